@@ -115,81 +115,124 @@ const ChipSound = (() => {
     // SOUND EFFECTS
     // ============================================
 
-    return {
+    // Each effect is a list of steps, each started `at` ms after the effect:
+    //   {tone: freq, duration, wave, volume}
+    //   {slide: [startFreq, endFreq], duration, wave, volume}
+    //   {arpeggio: [freqs], duration (per note), wave, volume}
+    //   {noise: true, duration, volume}
+    // Steps without a wave use the theme's waveform. Themes can replace any
+    // effect through sounds.effects, in the same format.
+    const DEFAULT_EFFECTS = {
         // Wall placement - soft subtle click
-        wall: () => {
-            playTone(180, 0.05, 'triangle', 0.06);
-        },
+        wall: [{ tone: 180, duration: 0.05, wave: 'triangle', volume: 0.06 }],
 
         // Path placement - soft higher tone
-        path: () => {
-            playTone(320, 0.05, 'triangle', 0.06);
-        },
+        path: [{ tone: 320, duration: 0.05, wave: 'triangle', volume: 0.06 }],
 
         // Erase - subtle descending tone
-        erase: () => {
-            playSlide(280, 140, 0.06, 'triangle', 0.05);
-        },
+        erase: [{ slide: [280, 140], duration: 0.06, wave: 'triangle', volume: 0.05 }],
 
         // Error/invalid - buzzer
-        error: () => {
-            playTone(110, 0.15, 'sawtooth', 0.15);
-            setTimeout(() => playTone(90, 0.15, 'sawtooth', 0.12), 100);
-        },
+        error: [
+            { tone: 110, duration: 0.15, wave: 'sawtooth', volume: 0.15 },
+            { at: 100, tone: 90, duration: 0.15, wave: 'sawtooth', volume: 0.12 }
+        ],
 
-        // Victory fanfare - ascending arpeggio
-        victory: () => {
-            const notes = [262, 330, 392, 523, 659, 784, 1047]; // C major scale up
-            playArpeggio(notes, 0.1, 'square', 0.15);
-            setTimeout(() => {
-                playArpeggio([1047, 1319, 1568], 0.15, 'triangle', 0.12);
-            }, 700);
-        },
+        // Victory fanfare - ascending arpeggio (C major scale up)
+        victory: [
+            { arpeggio: [262, 330, 392, 523, 659, 784, 1047], duration: 0.1, volume: 0.15 },
+            { at: 700, arpeggio: [1047, 1319, 1568], duration: 0.15, wave: 'triangle', volume: 0.12 }
+        ],
 
         // Fork - ascending sweep
-        fork: () => {
-            playSlide(200, 800, 0.15, 'square', 0.12);
-            setTimeout(() => playTone(800, 0.1, 'triangle', 0.1), 100);
-        },
+        fork: [
+            { slide: [200, 800], duration: 0.15, volume: 0.12 },
+            { at: 100, tone: 800, duration: 0.1, wave: 'triangle', volume: 0.1 }
+        ],
 
         // Commit - satisfying confirmation
-        commit: () => {
-            playTone(523, 0.08, 'square', 0.12);
-            setTimeout(() => playTone(659, 0.08, 'square', 0.12), 60);
-            setTimeout(() => playTone(784, 0.12, 'triangle', 0.15), 120);
-        },
+        commit: [
+            { tone: 523, duration: 0.08, volume: 0.12 },
+            { at: 60, tone: 659, duration: 0.08, volume: 0.12 },
+            { at: 120, tone: 784, duration: 0.12, wave: 'triangle', volume: 0.15 }
+        ],
 
         // Abort/Discard - descending
-        abort: () => {
-            playSlide(600, 200, 0.2, 'sawtooth', 0.1);
-        },
+        abort: [{ slide: [600, 200], duration: 0.2, wave: 'sawtooth', volume: 0.1 }],
 
         // Label click (auto-fill row/col) - sweep
-        labelFill: () => {
-            playSlide(300, 600, 0.1, 'triangle', 0.1);
-            playNoise(0.05, 0.05);
-        },
+        labelFill: [
+            { slide: [300, 600], duration: 0.1, wave: 'triangle', volume: 0.1 },
+            { noise: true, duration: 0.05, volume: 0.05 }
+        ],
 
         // Dead end auto-complete
-        autoComplete: () => {
-            playTone(392, 0.06, 'square', 0.1);
-            setTimeout(() => playTone(523, 0.08, 'triangle', 0.12), 50);
-        },
+        autoComplete: [
+            { tone: 392, duration: 0.06, volume: 0.1 },
+            { at: 50, tone: 523, duration: 0.08, wave: 'triangle', volume: 0.12 }
+        ],
 
         // New game / Initialize
-        newGame: () => {
-            playSlide(800, 200, 0.15, 'square', 0.1);
-            setTimeout(() => playSlide(200, 600, 0.2, 'triangle', 0.12), 150);
-        },
+        newGame: [
+            { slide: [800, 200], duration: 0.15, volume: 0.1 },
+            { at: 150, slide: [200, 600], duration: 0.2, wave: 'triangle', volume: 0.12 }
+        ],
 
         // Undo
-        undo: () => {
-            playSlide(500, 300, 0.1, 'triangle', 0.1);
-        },
+        undo: [{ slide: [500, 300], duration: 0.1, wave: 'triangle', volume: 0.1 }],
+
+        // Redo
+        redo: [{ slide: [300, 500], duration: 0.1, wave: 'triangle', volume: 0.1 }],
 
         // UI click (generic button)
-        click: () => {
-            playTone(660, 0.05, 'square', 0.08);
+        click: [{ tone: 660, duration: 0.05, volume: 0.08 }]
+    };
+
+    // The current theme's sounds settings (see ThemeBase.sounds)
+    let settings = { enabled: true, pitchMultiplier: 1, waveform: 'square', effects: {} };
+
+    function playStep(step) {
+        const pitch = settings.pitchMultiplier;
+        const wave = step.wave || settings.waveform;
+        if (step.tone) {
+            playTone(step.tone * pitch, step.duration, wave, step.volume);
+        } else if (step.slide) {
+            playSlide(step.slide[0] * pitch, step.slide[1] * pitch, step.duration, wave, step.volume);
+        } else if (step.arpeggio) {
+            playArpeggio(step.arpeggio.map(freq => freq * pitch), step.duration, wave, step.volume);
+        } else if (step.noise) {
+            playNoise(step.duration, step.volume);
+        }
+    }
+
+    function playEffect(name) {
+        if (isMuted || !settings.enabled) return;
+        const steps = settings.effects[name] || DEFAULT_EFFECTS[name];
+        steps.forEach(step => {
+            if (step.at) {
+                setTimeout(() => playStep(step), step.at);
+            } else {
+                playStep(step);
+            }
+        });
+    }
+
+    const effects = {};
+    Object.keys(DEFAULT_EFFECTS).forEach(name => {
+        effects[name] = () => playEffect(name);
+    });
+
+    return {
+        ...effects,
+
+        // Use a theme's sounds settings: {enabled, pitchMultiplier, waveform, effects}
+        configure: (sounds = {}) => {
+            settings = {
+                enabled: sounds.enabled !== false,
+                pitchMultiplier: sounds.pitchMultiplier || 1,
+                waveform: sounds.waveform || 'square',
+                effects: sounds.effects || {}
+            };
         },
 
         // Toggle mute state
@@ -220,40 +263,55 @@ const ChipMusic = (() => {
     let schedulerInterval = null;
     let nextNoteTime = 0;
     const scheduleAheadTime = 0.1; // seconds to schedule ahead
-    const tempo = 75; // BPM - mellow pace
-    const secondsPerBeat = 60.0 / tempo;
-
-    // Musical scales and patterns
-    const scale = [
-        130.81, // C3
-        146.83, // D3
-        164.81, // E3
-        196.00, // G3
-        220.00, // A3
-        261.63, // C4
-        293.66, // D4
-        329.63, // E4
-        392.00, // G4
-        440.00, // A4
-    ]; // C major pentatonic across 2 octaves
-
-    // Chord progressions (indices into scale)
-    const chordProgressions = [
-        [0, 2, 4],    // C major-ish
-        [1, 3, 5],    // D minor-ish
-        [4, 6, 8],    // A minor-ish
-        [3, 5, 7],    // G major-ish
-    ];
 
-    // Bass pattern (scale indices)
-    const bassPattern = [0, 0, 3, 3, 4, 4, 3, 3];
+    // Default music; themes replace any of these through sounds.music
+    const DEFAULT_MUSIC = {
+        tempo: 75, // BPM - mellow pace
+
+        // C major pentatonic across 2 octaves
+        scale: [
+            130.81, // C3
+            146.83, // D3
+            164.81, // E3
+            196.00, // G3
+            220.00, // A3
+            261.63, // C4
+            293.66, // D4
+            329.63, // E4
+            392.00, // G4
+            440.00, // A4
+        ],
+
+        // Chord progressions (indices into scale)
+        chordProgressions: [
+            [0, 2, 4],    // C major-ish
+            [1, 3, 5],    // D minor-ish
+            [4, 6, 8],    // A minor-ish
+            [3, 5, 7],    // G major-ish
+        ],
+
+        // Bass pattern (scale indices)
+        bassPattern: [0, 0, 3, 3, 4, 4, 3, 3],
+
+        // Arpeggio patterns (positions within the chord)
+        arpPatterns: [
+            [0, 2, 4, 2],
+            [0, 4, 2, 4],
+            [4, 2, 0, 2],
+        ]
+    };
+
+    let music = DEFAULT_MUSIC;
+    let enabled = true;
+    let arpWaveform = 'square'; // The theme's waveform leads; bass and pad keep theirs
 
-    // Arpeggio patterns
-    const arpPatterns = [
-        [0, 2, 4, 2],
-        [0, 4, 2, 4],
-        [4, 2, 0, 2],
-    ];
+    function getSecondsPerBeat() {
+        return 60.0 / music.tempo;
+    }
+
+    function getScaleFreq(scaleIdx) {
+        return music.scale[scaleIdx % music.scale.length];
+    }
 
     let currentBeat = 0;
     let currentBar = 0;
@@ -274,7 +332,7 @@ const ChipMusic = (() => {
     }
 
     function playNote(freq, time, duration, type = 'triangle', volume = 0.3) {
-        if (!audioCtx || isMuted) return;
+        if (!audioCtx || isMuted || !enabled) return;
 
         const osc = audioCtx.createOscillator();
         const gain = audioCtx.createGain();
@@ -296,30 +354,30 @@ const ChipMusic = (() => {
     }
 
     function playBass(time) {
-        const noteIdx = bassPattern[currentBeat % bassPattern.length];
-        const freq = scale[noteIdx] / 2; // One octave lower
-        playNote(freq, time, secondsPerBeat * 0.8, 'triangle', 0.4);
+        const noteIdx = music.bassPattern[currentBeat % music.bassPattern.length];
+        const freq = getScaleFreq(noteIdx) / 2; // One octave lower
+        playNote(freq, time, getSecondsPerBeat() * 0.8, 'triangle', 0.4);
     }
 
     function playArpeggio(time) {
-        const chord = chordProgressions[currentChordIdx];
-        const arpPattern = arpPatterns[currentArpPattern];
+        const chord = music.chordProgressions[currentChordIdx];
+        const arpPattern = music.arpPatterns[currentArpPattern];
         const arpIdx = currentBeat % arpPattern.length;
         const noteInChord = arpPattern[arpIdx] % chord.length;
         const scaleIdx = chord[noteInChord];
-        const freq = scale[scaleIdx];
-        playNote(freq, time, secondsPerBeat * 0.4, 'square', 0.15);
+        const freq = getScaleFreq(scaleIdx);
+        playNote(freq, time, getSecondsPerBeat() * 0.4, arpWaveform, 0.15);
     }
 
     function playPad(time) {
         // Play soft pad chord on beat 0 of each bar
         if (currentBeat !== 0) return;
 
-        const chord = chordProgressions[currentChordIdx];
+        const chord = music.chordProgressions[currentChordIdx];
         chord.forEach((scaleIdx, i) => {
-            const freq = scale[scaleIdx];
+            const freq = getScaleFreq(scaleIdx);
             // Stagger slightly for richness
-            playNote(freq, time + i * 0.02, secondsPerBeat * 3.5, 'sine', 0.12);
+            playNote(freq, time + i * 0.02, getSecondsPerBeat() * 3.5, 'sine', 0.12);
         });
     }
 
@@ -330,17 +388,17 @@ const ChipMusic = (() => {
         playPad(nextNoteTime);
 
         // Advance time
-        nextNoteTime += secondsPerBeat / 2; // 8th notes
+        nextNoteTime += getSecondsPerBeat() / 2; // 8th notes
         currentBeat = (currentBeat + 1) % 8;
 
         // Change chord every bar
         if (currentBeat === 0) {
             currentBar++;
-            currentChordIdx = (currentChordIdx + 1) % chordProgressions.length;
+            currentChordIdx = (currentChordIdx + 1) % music.chordProgressions.length;
 
             // Occasionally change arp pattern
             if (currentBar % 4 === 0) {
-                currentArpPattern = Math.floor(Math.random() * arpPatterns.length);
+                currentArpPattern = Math.floor(Math.random() * music.arpPatterns.length);
             }
         }
     }
@@ -405,6 +463,15 @@ const ChipMusic = (() => {
         setMuted: (muted) => {
             isMuted = muted;
             if (masterGain) masterGain.gain.value = muted ? 0 : 0.15;
+        },
+
+        // Use a theme's sounds settings; takes effect from the next note if playing
+        configure: (sounds = {}) => {
+            enabled = sounds.enabled !== false;
+            arpWaveform = sounds.waveform || 'square';
+            music = { ...DEFAULT_MUSIC, ...sounds.music };
+            currentChordIdx %= music.chordProgressions.length;
+            currentArpPattern %= music.arpPatterns.length;
         }
     };
 })();
@@ -420,24 +487,41 @@ function setAnimationDelay(element) {
     element.style.setProperty('--anim-delay', getAnimationDelay());
 }
 
+// Theme-rendered elements can nest animated parts, so sync those too
+function syncAnimations(element) {
+    setAnimationDelay(element);
+    element.querySelectorAll('*').forEach(setAnimationDelay);
+}
+
 // ============================================
 // GAME CONFIGURATION CONSTANTS
 // ============================================
-const DATA_VAULT_UNLOCK_SIZE = 7; // Grid size at which data vaults are first introduced
 const DATA_VAULT_FIRST_SEED = 'YT5EGJ'; // Seed for first puzzle when unlocking data vaults
 const LOCKED_WALLS_AFFECT_GAMEPLAY = true; // Toggle to enable/disable gameplay locking
 
+// The puzzle in play. puzzleCore (see puzzle-core.js) answers rule, solver and hint
+// questions about it, so call refreshPuzzleCore() after installing a different puzzle.
 let SIZE = 8;
 let solution = [];
-let layers = [];
-let currentIdx = 0;
 let lockedWalls = [];
 let targets = { r: [], c: [] };
-let forkAnchors = [null, null, null, null];
 let stockpilePos = null; // {r, c} position of data stockpile, or null if none
+let puzzleCore = createPuzzleCore({ size: SIZE, solution, lockedWalls, targets, stockpilePos });
+
+function refreshPuzzleCore() {
+    puzzleCore = createPuzzleCore({ size: SIZE, solution, lockedWalls, targets, stockpilePos });
+}
+
+let layers = [];
+let currentIdx = 0;
+let forkAnchors = [null, null, null, null];
+let forkTree = createForkTree(); // Branches beside the active one, see FORK TREE
 let isWon = false;
 let showKey = false;
-let undoState = null; // Single undo state: {layers, currentIdx, forkAnchors}
+const MAX_UNDO_HISTORY = 50;
+let undoStack = []; // Snapshots of {layers, currentIdx, forkAnchors, forkTree}, oldest first
+let redoStack = []; // Snapshots popped by undo, most recently undone last
+let redoBoard = null; // The board undo/redo left behind; redo stays valid until it changes
 
 // ============================================
 // RESPONSIVE LAYOUT (board sizing)
@@ -524,59 +608,102 @@ let hasSeenAutoToolExplanation = false; // Track if user has seen Auto tool expl
 let hasSeenForkExplanation = false; // Track if user has seen Fork explanation
 let hasSeenHintExplanation = false; // Track if user has seen Hint explanation
 
-// Seeded random number generator (Mulberry32)
+// Seeds
 let currentSeed = null;
 let seedHistory = []; // Last several seeds
 const MAX_SEED_HISTORY = 5;
 
-function mulberry32(seed) {
-    return function() {
-        let t = seed += 0x6D2B79F5;
-        t = Math.imul(t ^ t >>> 15, t | 1);
-        t ^= t + Math.imul(t ^ t >>> 7, t | 61);
-        return ((t ^ t >>> 14) >>> 0) / 4294967296;
-    };
+function addToSeedHistory(seed) {
+    // Don't add duplicates
+    seedHistory = seedHistory.filter(s => s !== seed);
+    seedHistory.unshift(seed);
+    if (seedHistory.length > MAX_SEED_HISTORY) {
+        seedHistory.pop();
+    }
+    updateSeedHistoryDisplay();
 }
 
-let seededRandom = Math.random; // Default to Math.random
+// Saves from before seed codes hold a bare seed; they were made with generator v1
+function upgradeSeedCode(seed, size, daily) {
+    if (seed && isBoardCode(seed)) return seed;
+    const code = seed ? parseSeedCode(seed, size) : null;
+    return code && code.legacy ? formatSeedCode({ size, seed: code.seed, daily, version: 1 }) : seed;
+}
 
-function generateSeed() {
-    // Generate a 6-character alphanumeric seed
-    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Avoid confusing chars like 0/O, 1/I
-    let seed = '';
-    for (let i = 0; i < 6; i++) {
-        seed += chars[Math.floor(Math.random() * chars.length)];
+// Why a parsed seed code can't be played on this install, or null if it can
+function getSeedCodeProblem(code) {
+    if (code.version < 1 || code.version > GENERATOR_VERSION) {
+        return `This seed needs puzzle generator v${code.version}; this version builds up to v${GENERATOR_VERSION} boards.`;
     }
-    return seed;
+    return getSizeProblem(code.size);
 }
 
-function seedToNumber(seed) {
-    // Convert alphanumeric seed to a number for the RNG
-    let hash = 0;
-    for (let i = 0; i < seed.length; i++) {
-        hash = ((hash << 5) - hash) + seed.charCodeAt(i);
-        hash = hash & hash; // Convert to 32-bit integer
+function getSizeProblem(size) {
+    if (!GRID_SIZES.includes(size)) {
+        return `${size}×${size} grids aren't supported.`;
     }
-    return Math.abs(hash);
+    if (!isSizeUnlocked(size)) {
+        return `Unlock ${size}×${size} grids to play this puzzle.`;
+    }
+    return null;
 }
 
-function setSeed(seed) {
-    currentSeed = seed.toUpperCase();
-    // For daily puzzles, apply an extra transformation so the same seed
-    // produces a different puzzle than in normal mode
-    const effectiveSeed = isDailyPuzzle ? 'DAILY_MODE_' + currentSeed : currentSeed;
-    seededRandom = mulberry32(seedToNumber(effectiveSeed));
-    updateSeedDisplay();
+// Start the puzzle for a typed, pasted or linked seed or board code, or replay a
+// recording code. Returns false if it can't be played.
+function playSeedCode(text) {
+    if (isBoardCode(text)) return playBoardCode(text);
+    if (isRecordingCode(text)) return playRecordingCode(text);
+
+    const code = parseSeedCode(text, parseInt(document.getElementById('gridSizeSelect').value));
+    const problem = code ? getSeedCodeProblem(code) : `Unrecognized seed code: ${text.trim()}`;
+    if (problem) {
+        ChipSound.error();
+        showHint({ message: problem, highlight: null });
+        return false;
+    }
+    init(true, text);
+    return true;
 }
 
-function addToSeedHistory(seed) {
-    // Don't add duplicates
-    seedHistory = seedHistory.filter(s => s !== seed);
-    seedHistory.unshift(seed);
-    if (seedHistory.length > MAX_SEED_HISTORY) {
-        seedHistory.pop();
+// Start a puzzle from a board code, bypassing generation. The board goes through
+// restoreGameState() like a saved game with no moves. Returns false if it can't be played.
+function playBoardCode(text) {
+    const board = decodeBoardCode(text);
+    const problem = board ? getSizeProblem(board.size) : 'This board code is damaged or incomplete.';
+    if (problem) {
+        ChipSound.error();
+        showHint({ message: problem, highlight: null });
+        return false;
     }
-    updateSeedHistoryDisplay();
+
+    if (isDailyPuzzle) {
+        isDailyPuzzle = false;
+        dailyArchiveDate = null;
+        updateDailyPuzzleUI(false);
+    }
+    ChipSound.newGame();
+    restoreGameState({
+        SIZE: board.size,
+        currentSeed: text.trim(),
+        solution: board.solution,
+        layers: [Array(board.size * board.size).fill(0)],
+        currentIdx: 0,
+        targets: board.targets,
+        lockedWalls: board.lockedWalls,
+        forkAnchors: [null, null, null, null],
+        stockpilePos: board.stockpilePos,
+        undoStack: [],
+        redoStack: [],
+        elapsedTime: 0,
+        moveCount: 0,
+        winStreak: 0
+    });
+    return true;
+}
+
+function getBoardLink() {
+    const code = encodeBoardCode({ size: SIZE, solution, lockedWalls, stockpilePos });
+    return `${window.location.origin}${window.location.pathname}?board=${code}`;
 }
 
 function updateSeedDisplay() {
@@ -584,6 +711,27 @@ function updateSeedDisplay() {
     if (el) el.textContent = currentSeed || '------';
 }
 
+let currentDifficulty = null; // Grade of the puzzle on the board, see puzzleCore.gradePuzzleDifficulty()
+
+function updateDifficultyDisplay() {
+    const el = document.getElementById('seedDifficulty');
+    if (!el) return;
+    if (!currentDifficulty) {
+        el.textContent = '';
+        el.removeAttribute('title');
+        el.className = 'seed-difficulty';
+        return;
+    }
+    const { score, tier, forks, maxForkDepth, solved } = currentDifficulty;
+    el.textContent = `${tier.name}${solved ? '' : '?'} ${score}`;
+    el.className = `seed-difficulty difficulty-${tier.id}`;
+    const techniqueList = Object.entries(currentDifficulty.techniques)
+        .map(([name, { count }]) => `${name.replace(/^hint/, '')} ×${count}`)
+        .join(', ');
+    el.title = `Techniques: ${techniqueList || 'none'}\nForks: ${forks} (max depth ${maxForkDepth})` +
+        (solved ? '' : '\nSolver could not finish this puzzle; score is a lower bound');
+}
+
 function updateSeedHistoryDisplay() {
     const container = document.getElementById('seedHistory');
     if (!container) return;
@@ -610,7 +758,8 @@ const assistSettings = {
         enabled: true,       // All visual hints
         errorIndicators: true,    // Red X on invalid cells, red traces/dots for 2x2 clumps
         progressIndicators: true, // Green/blue/cyan completion indicators
-        hintsEnabled: false       // Show hint buttons and allow hints - off by default
+        hintsEnabled: false,      // Show hint buttons and allow hints - off by default
+        forkContradictions: false // Check the active fork for contradictions after every move - off by default
     },
     autoFill: {
         enabled: true,       // All auto-fill features
@@ -633,6 +782,11 @@ function isHintsEnabled() {
     if (isDailyPuzzle) return false;
     return assistSettings.enabled && assistSettings.visualHints.enabled && assistSettings.visualHints.hintsEnabled;
 }
+function isForkContradictionCheckEnabled() {
+    // Contradiction checks are disabled in daily puzzle mode
+    if (isDailyPuzzle) return false;
+    return assistSettings.enabled && assistSettings.visualHints.enabled && assistSettings.visualHints.forkContradictions;
+}
 function isDeadEndFillEnabled() {
     // Auto-fill is disabled in daily puzzle mode
     if (isDailyPuzzle) return false;
@@ -660,23 +814,84 @@ function isSolutionDisplayAllowed() {
     return !isDailyPuzzle;
 }
 
-function saveUndoState() {
-    undoState = {
+function snapshotBoard() {
+    return {
         layers: layers.map(l => [...l]),
         currentIdx: currentIdx,
-        forkAnchors: [...forkAnchors]
+        forkAnchors: forkAnchors.map(a => a ? { ...a } : null),
+        forkTree: cloneForkTree(forkTree)
     };
-    document.getElementById('undoBtn').disabled = false;
+}
+
+function isSameSnapshot(a, b) {
+    return a.currentIdx === b.currentIdx &&
+        JSON.stringify(a.layers) === JSON.stringify(b.layers) &&
+        JSON.stringify(a.forkAnchors) === JSON.stringify(b.forkAnchors) &&
+        JSON.stringify(a.forkTree) === JSON.stringify(b.forkTree);
+}
+
+function restoreSnapshot(snapshot) {
+    layers = snapshot.layers;
+    currentIdx = snapshot.currentIdx;
+    forkAnchors = snapshot.forkAnchors;
+    forkTree = restoreForkTree(snapshot.forkTree, currentIdx);
+}
+
+// Record the board before an action so it becomes one undoable step
+function saveUndoState() {
+    const snapshot = snapshotBoard();
+    const top = undoStack[undoStack.length - 1];
+    // If the previous step changed nothing (e.g. a drag over locked cells), reuse it
+    if (!top || !isSameSnapshot(top, snapshot)) {
+        undoStack.push(snapshot);
+        if (undoStack.length > MAX_UNDO_HISTORY) undoStack.shift();
+    }
+    // The redo history is dropped by update() once the action actually changes the board
+    updateButtonStates();
+}
+
+function clearUndoHistory() {
+    undoStack = [];
+    redoStack = [];
+    redoBoard = null;
+}
+
+// A click that changes nothing (a locked wall, a dead end) keeps the redo history
+function dropStaleRedoHistory() {
+    if (redoStack.length === 0 || isSameSnapshot(redoBoard, snapshotBoard())) return;
+    redoStack = [];
+    redoBoard = null;
+    updateButtonStates();
 }
 
 function undo() {
-    if (undoState === null || isWon || isTutorialMode) return;
+    if (isWon || isTutorialMode) return;
+    const current = snapshotBoard();
+    // Skip snapshots left behind by actions that didn't change the board
+    while (undoStack.length > 0 && isSameSnapshot(undoStack[undoStack.length - 1], current)) {
+        undoStack.pop();
+    }
+    if (undoStack.length === 0) {
+        updateButtonStates();
+        return;
+    }
     ChipSound.undo();
-    layers = undoState.layers;
-    currentIdx = undoState.currentIdx;
-    forkAnchors = undoState.forkAnchors;
-    undoState = null;
-    document.getElementById('undoBtn').disabled = true;
+    noteSolveAction('undo');
+    redoStack.push(current);
+    restoreSnapshot(undoStack.pop());
+    redoBoard = snapshotBoard();
+    updateButtonStates();
+    update();
+}
+
+function redo() {
+    if (redoStack.length === 0 || isWon || isTutorialMode) return;
+    ChipSound.redo();
+    noteSolveAction('redo');
+    undoStack.push(snapshotBoard());
+    if (undoStack.length > MAX_UNDO_HISTORY) undoStack.shift();
+    restoreSnapshot(redoStack.pop());
+    redoBoard = snapshotBoard();
     updateButtonStates();
     update();
 }
@@ -686,19 +901,22 @@ let colors = ["cyan", "blue", "amber", "magenta"];
 
 function updateButtonStates() {
     const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
     const addLayerBtn = document.getElementById('addLayerBtn');
     const newMazeBtn = document.getElementById('newMazeBtn');
 
-    document.getElementById('commitBtn').disabled = currentIdx === 0;
-    document.getElementById('discardBtn').disabled = currentIdx === 0;
+    document.getElementById('commitBtn').disabled = currentIdx === 0 || isGenerating;
+    document.getElementById('discardBtn').disabled = currentIdx === 0 || isGenerating;
 
-    // Disable undo and fork during all tutorials
-    if (isTutorialMode) {
+    // Disable undo, redo and fork during all tutorials and while a puzzle is generating
+    if (isTutorialMode || isGenerating) {
         undoBtn.disabled = true;
+        redoBtn.disabled = true;
         addLayerBtn.disabled = true;
     } else {
-        undoBtn.disabled = undoState === null;
-        addLayerBtn.disabled = currentIdx >= 3;
+        undoBtn.disabled = undoStack.length === 0;
+        redoBtn.disabled = redoStack.length === 0;
+        addLayerBtn.disabled = currentIdx >= getMaxForkDepth();
     }
 
     // Disable Initialize during first tutorial (not user-initiated) or during daily puzzle (unless won)
@@ -713,6 +931,7 @@ function updateButtonStates() {
     const layerNames = theme?.terminology?.layerNames || ['Root', 'Fork 1', 'Fork 2', 'Fork 3'];
     document.getElementById('layerName').innerText = layerNames[currentIdx] || `Layer ${currentIdx}`;
     document.getElementById('layerName').style.color = `var(--neon-${colors[currentIdx]})`;
+    renderForkTree();
 
     // Update button labels from theme
     if (theme?.terminology) {
@@ -721,6 +940,7 @@ function updateButtonStates() {
         if (t.commit) document.getElementById('commitBtn').textContent = t.commit;
         if (t.discard) document.getElementById('discardBtn').textContent = t.discard;
         if (t.undo) undoBtn.textContent = t.undo;
+        if (t.redo) redoBtn.textContent = t.redo;
         if (t.newGame) newMazeBtn.textContent = t.newGame;
         if (t.briefing) document.getElementById('briefingBtn').textContent = t.briefing;
     }
@@ -742,6 +962,45 @@ let elapsedTimeBeforePause = 0; // Accumulated time from previous sessions
 let moveCount = 0;
 let winStreak = 0;
 
+// Board changes recorded for replay (see SOLVE RECORDING)
+let solveRecording = { events: [], frame: null, action: null };
+let recordingPlayback = null; // {recording, frames, index, playing, timer, resume} while replaying
+let ghostRaceEnabled = false;
+let ghostRace = null; // {recording, frames, progress, timer} while racing a previous best
+
+// How the board was solved, for the daily share card (never the walls themselves)
+// mistakeCells: cells ever set against the solution on the base layer
+// forkCells: cells that reached the base layer by committing a fork
+let solveLog = createSolveLog();
+
+function createSolveLog() {
+    return { forks: 0, mistakeCells: [], forkCells: [] };
+}
+
+function recordSolveMistakes() {
+    layers[0].forEach((v, i) => {
+        const isWall = solution[Math.floor(i / SIZE)][i % SIZE] === 1;
+        const isWrong = (v === 1 && !isWall) || (v === 2 && isWall);
+        if (isWrong && !solveLog.mistakeCells.includes(i)) solveLog.mistakeCells.push(i);
+    });
+}
+
+// Per-row and per-column marks: 'mistake', 'fork' or 'clean'
+function getSolveResult() {
+    const markLine = (inLine) => {
+        if (solveLog.mistakeCells.some(inLine)) return 'mistake';
+        if (solveLog.forkCells.some(inLine)) return 'fork';
+        return 'clean';
+    };
+    const lines = Array.from({ length: SIZE }, (_, n) => n);
+    return {
+        rows: lines.map(r => markLine(i => Math.floor(i / SIZE) === r)),
+        cols: lines.map(c => markLine(i => i % SIZE === c)),
+        forks: solveLog.forks,
+        mistakes: solveLog.mistakeCells.length
+    };
+}
+
 // ============================================
 // PERSISTENT PLAYER STATS (localStorage-based)
 // ============================================
@@ -752,7 +1011,8 @@ const PlayerStats = (() => {
         totalWins: 0,
         totalTimePlayed: 0,  // milliseconds
         totalMoves: 0,
-        bySize: {}           // { "4": {wins, bestStreak, fastestTime, fewestMoves}, ... }
+        bySize: {},          // { "4": {wins, bestStreak, fastestTime, fastestSeed, fewestMoves, fewestMovesSeed}, ... }
+        hintsUsed: {}        // { region, technique, answer } - hints revealed at each tier
     };
 
     function load() {
@@ -782,7 +1042,7 @@ const PlayerStats = (() => {
     return {
         get: () => ({ ...stats }),
 
-        recordWin: (gridSize, timeMs, moves, streak) => {
+        recordWin: (gridSize, timeMs, moves, streak, seed = null) => {
             stats.totalWins++;
             stats.totalTimePlayed += timeMs;
             stats.totalMoves += moves;
@@ -790,7 +1050,7 @@ const PlayerStats = (() => {
             // Track by size (all records are per-size now)
             const sizeKey = String(gridSize);
             if (!stats.bySize[sizeKey]) {
-                stats.bySize[sizeKey] = { wins: 0, bestStreak: 0, fastestTime: null, fewestMoves: null };
+                stats.bySize[sizeKey] = { wins: 0, bestStreak: 0, fastestTime: null, fastestSeed: null, fewestMoves: null, fewestMovesSeed: null };
             }
             stats.bySize[sizeKey].wins++;
 
@@ -799,16 +1059,23 @@ const PlayerStats = (() => {
             }
             if (stats.bySize[sizeKey].fastestTime === null || timeMs < stats.bySize[sizeKey].fastestTime) {
                 stats.bySize[sizeKey].fastestTime = timeMs;
+                stats.bySize[sizeKey].fastestSeed = seed;
             }
             if (stats.bySize[sizeKey].fewestMoves === null || moves < stats.bySize[sizeKey].fewestMoves) {
                 stats.bySize[sizeKey].fewestMoves = moves;
+                stats.bySize[sizeKey].fewestMovesSeed = seed;
             }
 
             save(stats);
         },
 
+        recordHint: (tier) => {
+            stats.hintsUsed = { ...stats.hintsUsed, [tier]: (stats.hintsUsed[tier] || 0) + 1 };
+            save(stats);
+        },
+
         clear: () => {
-            stats = { ...defaultStats, bySize: {} };
+            stats = { ...defaultStats, bySize: {}, hintsUsed: {} };
             save(stats);
         },
 
@@ -936,10 +1203,13 @@ const GameState = (() => {
             targets,
             lockedWalls,
             forkAnchors,
+            forkTree,
             stockpilePos,
-            undoState,
+            undoStack,
+            redoStack,
             elapsedTime: totalElapsed, // Save total elapsed time instead of start time
             moveCount,
+            recording: solveRecording.events,
             winStreak,
             drawingMode,
             savedAt: Date.now()
@@ -985,6 +1255,11 @@ const GameState = (() => {
 let isDailyPuzzle = false;
 const DAILY_PUZZLE_SIZE = 8;
 let cachedServerDate = null; // Cache the server date to avoid repeated requests
+let isDailyDateOffline = false; // True while cachedServerDate is an offline estimate
+let dailyArchiveDate = null; // Date of the past daily being played from the archive, null for today's
+const DAILY_ARCHIVE_FIRST_DATE = '01 Jan 2026';
+const DAILY_MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAILY_DAY_MS = 24 * 60 * 60 * 1000;
 
 // Fetch the server date from the HTTP Date header
 // Returns a promise that resolves to the date string (e.g., "28 Jan 2026")
@@ -998,31 +1273,126 @@ async function fetchServerDate() {
             // Extract just the date portion: "28 Jan 2026"
             const match = dateHeader.match(/\d{1,2}\s+\w{3}\s+\d{4}/);
             if (match) {
+                DailyClock.recordServerTime(Date.parse(dateHeader));
                 return match[0];
             }
         }
     } catch (e) {
         console.warn('Failed to fetch server date:', e);
     }
-    // Return null if server date unavailable - daily puzzles will be disabled
+    // Return null if server date unavailable - the offline fallback takes over
     return null;
 }
 
+// Offline date for the daily puzzle, used when the server can't be reached
+// (the service worker only serves GET requests, so the HEAD request fails offline).
+// After a server sync the date is the last server time plus the local time
+// elapsed since; before any sync it is the local date. Only a clock turned back
+// past the latest reading is refused, so the offline date never runs backwards.
+// A clock set forward isn't noticed offline, so a future daily can be played
+// early; discardOfflineAfter() drops those results at the next server sync.
+const DailyClock = (() => {
+    const STORAGE_KEY = 'neuralReconDailyClock';
+    const ROLLBACK_TOLERANCE_MS = 5 * 60 * 1000; // Small clock corrections are fine
+
+    function load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) {
+                return JSON.parse(saved);
+            }
+        } catch (e) {
+            console.warn('Failed to load daily clock:', e);
+        }
+        return {};
+    }
+
+    function save(data) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+        } catch (e) {
+            console.warn('Failed to save daily clock:', e);
+        }
+    }
+
+    function recordServerTime(serverTime) {
+        if (isNaN(serverTime)) return;
+        const localTime = Date.now();
+        save({ serverTime, localTime, latestLocalTime: localTime });
+    }
+
+    function isRolledBack() {
+        const data = load();
+        return !!data.latestLocalTime && Date.now() < data.latestLocalTime - ROLLBACK_TOLERANCE_MS;
+    }
+
+    // Returns the estimated date string, or null if the clock was turned back
+    function getOfflineDate() {
+        const data = load();
+        const now = Date.now();
+        if (isRolledBack()) return null;
+        save({ ...data, latestLocalTime: Math.max(now, data.latestLocalTime || 0) });
+
+        const estimate = data.serverTime ? data.serverTime + (now - data.localTime) : now;
+        return formatDailyDate(estimate);
+    }
+
+    return { recordServerTime, isRolledBack, getOfflineDate };
+})();
+
 // Get today's date string - uses cached value if available
 // Returns a promise that resolves to the date string (e.g., "28 Jan 2026")
+// An offline date is only held until the server can be reached again
 async function getDailyDateString() {
-    if (!cachedServerDate) {
-        cachedServerDate = await fetchServerDate();
+    if (!cachedServerDate || isDailyDateOffline) {
+        const serverDate = await fetchServerDate();
+        if (serverDate) {
+            cachedServerDate = serverDate;
+            isDailyDateOffline = false;
+            // Offline days the server hasn't reached yet were played on a clock running ahead
+            DailyPuzzleState.discardOfflineAfter(serverDate);
+        } else if (!cachedServerDate) {
+            cachedServerDate = DailyClock.getOfflineDate();
+            isDailyDateOffline = !!cachedServerDate;
+        }
     }
     return cachedServerDate;
 }
 
+// Explain why no daily date is available
+function getDailyDateProblem(feature = 'Daily puzzle') {
+    return DailyClock.isRolledBack()
+        ? `${feature} unavailable offline. The device clock was turned back; reconnect to sync.`
+        : `${feature} unavailable. Could not sync date with server.`;
+}
+
 // Synchronous version for use in storage checks (uses cached value only)
 // Returns null if server date hasn't been fetched yet
 function getDailyDateStringSync() {
     return cachedServerDate;
 }
 
+// Convert between daily date strings and UTC midnight timestamps
+// Day numbers are zero-padded like the HTTP Date header ("05 Feb 2026")
+function parseDailyDate(dateString) {
+    const [day, month, year] = dateString.split(' ');
+    return Date.UTC(parseInt(year), DAILY_MONTH_NAMES.indexOf(month), parseInt(day));
+}
+
+function formatDailyDate(time) {
+    const date = new Date(time);
+    const day = String(date.getUTCDate()).padStart(2, '0');
+    return `${day} ${DAILY_MONTH_NAMES[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+}
+
+// Date of the daily currently being played: an archive date or today's
+function getActiveDailyDate() {
+    return dailyArchiveDate || getDailyDateStringSync();
+}
+
+// Alphabet for daily seeds and verification codes (no 0/O or 1/I lookalikes)
+const DAILY_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
 // Generate a deterministic seed from the date string
 function generateDailySeed(dateString) {
     // Create a hash-based seed from the date string
@@ -1034,7 +1404,7 @@ function generateDailySeed(dateString) {
         hash = hash & hash;
     }
     // Convert to 6-character alphanumeric seed
-    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const chars = DAILY_CODE_CHARS;
     let seed = '';
     let n = Math.abs(hash);
     for (let i = 0; i < 6; i++) {
@@ -1045,16 +1415,171 @@ function generateDailySeed(dateString) {
     return seed;
 }
 
+// The day's full seed code; a bare seed would be read as a legacy v1 seed
+function getDailySeedCode(dateString) {
+    return formatSeedCode({ size: DAILY_PUZZLE_SIZE, seed: generateDailySeed(dateString), daily: true });
+}
+
+// ============================================
+// DAILY VERIFICATION CODES
+// ============================================
+// A verification code binds a reported daily result to the board it was played on:
+// a digest of the daily seed, the solved wall layout, and the time (whole seconds)
+// and moves from the share text, e.g. "V2-K7QX4M9P". Any copy of the game can
+// rebuild the day's board and recompute it, no server needed. The layout is the
+// canonical solution, which every accepted daily solve ends on.
+
+// 40-bit digest as 8 characters of DAILY_CODE_CHARS
+function hashVerificationText(text) {
+    let h1 = 0x811c9dc5;
+    let h2 = 0x9747b28c;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 0x01000193) >>> 0;
+        h2 = Math.imul(h2 ^ ch, 0x5bd1e995) >>> 0;
+    }
+    let code = '';
+    for (let i = 0; i < 4; i++) {
+        code += DAILY_CODE_CHARS[(h1 >>> (i * 5)) & 31];
+        code += DAILY_CODE_CHARS[(h2 >>> (i * 5)) & 31];
+    }
+    return code;
+}
+
+function createDailyVerificationCode({ dateString, version, solution: board, elapsedTime, moves }) {
+    const walls = board.map(row => row.join('')).join('');
+    const seconds = Math.floor(elapsedTime / 1000);
+    const digest = hashVerificationText(`NR|${version}|${generateDailySeed(dateString)}|${walls}|${seconds}|${moves}`);
+    return `V${version}-${digest}`;
+}
+
+// Rebuild a daily's solution; generation leaves the game in progress alone
+function buildDailySolution(dateString, version) {
+    return generatePuzzleData({
+        size: DAILY_PUZZLE_SIZE, seed: generateDailySeed(dateString), daily: true, version
+    }).solution;
+}
+
+// Check pasted share text. Returns {valid, message}.
+function verifyDailyShareText(text) {
+    const date = text.match(/Neural Recon Terminal (\d{2} \w{3} \d{4})/);
+    const time = text.match(/Time: (\d+):(\d{2})/);
+    const moves = text.match(/Moves: (\d+)/);
+    const code = text.match(/Verify: V(\d+)-([A-Z0-9]{8})/);
+    if (!date || !time || !moves || !code) {
+        return { valid: false, message: 'Paste the whole daily share text, including its Verify line.' };
+    }
+
+    const dateString = date[1];
+    const version = parseInt(code[1]);
+    if (!DAILY_MONTH_NAMES.includes(dateString.split(' ')[1])) {
+        return { valid: false, message: `"${dateString}" is not a daily date.` };
+    }
+    if (version < 1 || version > GENERATOR_VERSION) {
+        return { valid: false, message: 'This code is from a newer version of the game. Update to verify it.' };
+    }
+
+    const elapsedTime = (parseInt(time[1]) * 60 + parseInt(time[2])) * 1000;
+    const expected = createDailyVerificationCode({
+        dateString, version, solution: buildDailySolution(dateString, version), elapsedTime, moves: parseInt(moves[1])
+    });
+    if (expected !== `V${code[1]}-${code[2]}`) {
+        return { valid: false, message: `This result does not match the ${dateString} daily.` };
+    }
+    return {
+        valid: true,
+        message: `Genuine: the ${dateString} daily solved in ${formatTime(elapsedTime)} with ${moves[1]} moves.`
+    };
+}
+
+// ============================================
+// DAILY LEADERBOARD
+// ============================================
+// Optional: set to a leaderboard server (see server/leaderboard-server.js) to post
+// daily results and show the day's ranking. Empty disables the leaderboard.
+// This can be set during deploy by GitHub Actions
+const LEADERBOARD_URL = '';
+const LEADERBOARD_TIMEOUT_MS = 5000;
+
+const Leaderboard = (() => {
+    const PLAYER_KEY = 'neuralReconLeaderboardPlayer';
+    const pendingSubmissions = {}; // date -> promise of the ranking returned by the post
+
+    function isEnabled() {
+        return !!LEADERBOARD_URL;
+    }
+
+    // Anonymous operator name, created once per install
+    function getPlayer() {
+        try {
+            let player = localStorage.getItem(PLAYER_KEY);
+            if (!player) {
+                player = 'OP-' + Array.from({ length: 6 }, () =>
+                    DAILY_CODE_CHARS[Math.floor(Math.random() * DAILY_CODE_CHARS.length)]).join('');
+                localStorage.setItem(PLAYER_KEY, player);
+            }
+            return player;
+        } catch (e) {
+            console.warn('Failed to load leaderboard player:', e);
+            return 'OP-GUEST';
+        }
+    }
+
+    // Returns the parsed response, or null if the server can't be reached
+    async function request(path, options = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), LEADERBOARD_TIMEOUT_MS);
+        try {
+            const response = await fetch(LEADERBOARD_URL.replace(/\/$/, '') + path, {
+                ...options, signal: controller.signal
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return await response.json();
+        } catch (e) {
+            console.warn('Leaderboard request failed:', e);
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Post a daily result: {date, seed, time, moves, verification}
+    function submit(entry) {
+        if (!isEnabled()) return;
+        pendingSubmissions[entry.date] = request('/scores', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...entry, player: getPlayer() })
+        });
+    }
+
+    // The day's ranking: {date, total, rank, ranking: [{rank, player, time, moves}]}, or null
+    async function getRanking(date) {
+        if (!isEnabled()) return null;
+        // A fresh submission already answers with the ranking that includes it
+        const ranking = await pendingSubmissions[date];
+        if (ranking) return ranking;
+        const query = `date=${encodeURIComponent(date)}&player=${encodeURIComponent(getPlayer())}`;
+        return request(`/scores?${query}`);
+    }
+
+    return { isEnabled, getPlayer, submit, getRanking };
+})();
+
 // Daily puzzle state storage
+// Today's puzzle keeps a single slot; past days live in a per-date history so
+// archive solves never overwrite (or count as) the live daily
 const DailyPuzzleState = (() => {
     const STORAGE_KEY = 'neuralReconDailyPuzzle';
+    const HISTORY_KEY = 'neuralReconDailyHistory';
 
     function save(dateString, completed, state, completionStats = null) {
         const data = {
             dateString,
             completed,
             state,
-            completionStats
+            completionStats,
+            offline: isDailyDateOffline
         };
         try {
             localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
@@ -1083,6 +1608,83 @@ const DailyPuzzleState = (() => {
         }
     }
 
+    function loadHistory() {
+        let history = {};
+        try {
+            const saved = localStorage.getItem(HISTORY_KEY);
+            if (saved) {
+                history = JSON.parse(saved);
+            }
+        } catch (e) {
+            console.warn('Failed to load daily puzzle history:', e);
+        }
+        // A completion saved before the history existed only lives in the slot
+        const data = load();
+        if (data && data.completed && !history[data.dateString]) {
+            history[data.dateString] = {
+                completed: true, archive: false, state: null, completionStats: data.completionStats, offline: data.offline
+            };
+        }
+        return history;
+    }
+
+    function saveHistory(history) {
+        try {
+            localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+        } catch (e) {
+            console.warn('Failed to save daily puzzle history:', e);
+        }
+    }
+
+    // Merge fields into the history entry for one date
+    function saveHistoryEntry(dateString, fields) {
+        const history = loadHistory();
+        history[dateString] = { ...history[dateString], ...fields, offline: isDailyDateOffline };
+        saveHistory(history);
+    }
+
+    // Drop progress recorded offline for days after the given server date
+    function discardOfflineAfter(dateString) {
+        const limit = parseDailyDate(dateString);
+        const isAhead = (day, record) => record && record.offline && parseDailyDate(day) > limit;
+
+        const data = load();
+        if (data && isAhead(data.dateString, data)) clear();
+
+        const history = loadHistory();
+        const aheadDays = Object.keys(history).filter(day => isAhead(day, history[day]));
+        if (aheadDays.length === 0) return;
+        aheadDays.forEach(day => delete history[day]);
+        saveHistory(history);
+    }
+
+    // History entry for one date: { completed, archive, state, completionStats }
+    function getHistoryEntry(dateString) {
+        return loadHistory()[dateString] || null;
+    }
+
+    // Current and best runs of consecutive days solved on the day itself
+    // The current streak survives until the end of the day after the last solve
+    function getStreaks(today) {
+        const history = loadHistory();
+        const days = Object.keys(history)
+            .filter(dateString => history[dateString].completed && !history[dateString].archive)
+            .map(parseDailyDate)
+            .sort((a, b) => a - b);
+
+        let run = 0;
+        let best = 0;
+        days.forEach((day, i) => {
+            run = (i > 0 && day - days[i - 1] === DAILY_DAY_MS) ? run + 1 : 1;
+            best = Math.max(best, run);
+        });
+
+        const todayTime = parseDailyDate(today);
+        const last = days[days.length - 1];
+        const current = (last === todayTime || last === todayTime - DAILY_DAY_MS) ? run : 0;
+        return { current, best };
+    }
+
     function isCompletedToday(dateString) {
         const data = load();
         if (!data) return false;
@@ -1099,7 +1701,7 @@ const DailyPuzzleState = (() => {
     function saveProgress() {
         if (!isDailyPuzzle || isWon) return;
         // Use sync version - by the time we're saving, we should have the cached date
-        const dateString = getDailyDateStringSync();
+        const dateString = getActiveDailyDate();
         if (!dateString) return; // Can't save without valid date
 
         const currentSessionTime = gameStartTime ? Date.now() - gameStartTime : 0;
@@ -1114,32 +1716,56 @@ const DailyPuzzleState = (() => {
             targets,
             lockedWalls,
             forkAnchors,
+            forkTree,
             stockpilePos,
-            undoState,
+            undoStack,
+            redoStack,
             elapsedTime: totalElapsed,
             moveCount,
+            solveLog,
+            recording: solveRecording.events,
             drawingMode
         };
 
-        save(dateString, false, state, null);
+        if (dailyArchiveDate) {
+            saveHistoryEntry(dateString, { completed: false, archive: true, state });
+        } else {
+            save(dateString, false, state, null);
+        }
     }
 
-    function markCompleted(elapsedTime, moves) {
+    function markCompleted(elapsedTime, moves, result = null) {
         // Use sync version - by the time we complete, we should have the cached date
-        const dateString = getDailyDateStringSync();
+        const dateString = getActiveDailyDate();
         if (!dateString) return; // Can't mark complete without valid date
+        const verification = createDailyVerificationCode({
+            dateString, version: parseSeedCode(currentSeed).version, solution, elapsedTime, moves
+        });
+        const completionStats = { elapsedTime, moves, result, verification };
+        if (dailyArchiveDate) {
+            saveHistoryEntry(dateString, { completed: true, archive: true, state: null, completionStats });
+            return;
+        }
         const data = load();
         const state = data?.state || null;
-        save(dateString, true, state, { elapsedTime, moves });
+        save(dateString, true, state, completionStats);
+        // Keep a record of the day once the single slot moves on
+        saveHistoryEntry(dateString, { completed: true, archive: false, state: null, completionStats });
+        // Only results from the day itself go on the leaderboard
+        Leaderboard.submit({ date: dateString, seed: currentSeed, time: elapsedTime, moves, verification });
     }
 
-    function getCompletionStats() {
+    function getCompletionStats(dateString = getActiveDailyDate()) {
         const data = load();
-        if (!data || !data.completed) return null;
-        return data.completionStats;
+        if (data && data.completed && data.dateString === dateString) return data.completionStats;
+        const entry = getHistoryEntry(dateString);
+        return entry && entry.completed ? entry.completionStats : null;
     }
 
-    return { save, load, clear, isCompletedToday, getProgressForToday, saveProgress, markCompleted, getCompletionStats };
+    return {
+        save, load, clear, isCompletedToday, getProgressForToday, saveProgress, markCompleted, getCompletionStats,
+        loadHistory, getHistoryEntry, getStreaks, discardOfflineAfter
+    };
 })();
 
 // Start the daily puzzle
@@ -1152,7 +1778,7 @@ async function startDailyPuzzle() {
     // If server date couldn't be fetched, show error and prevent daily puzzle
     if (!dateString) {
         ChipSound.error();
-        showHintToast('Daily puzzle unavailable. Could not sync date with server.');
+        showHint({ message: getDailyDateProblem(), highlight: null });
         return;
     }
     
@@ -1167,12 +1793,15 @@ async function startDailyPuzzle() {
     // Don't save if the game was already won
     if (!isDailyPuzzle && hasCompletedTutorial && !isTutorialMode && !isWon) {
         GameState.save();
+    } else if (dailyArchiveDate) {
+        DailyPuzzleState.saveProgress();
     }
     
     // Hide victory overlay if it was showing from regular game
     document.getElementById('victoryOverlay').classList.remove('visible');
     
     isDailyPuzzle = true;
+    dailyArchiveDate = null;
 
     // Check if we have saved progress for today
     const todayProgress = DailyPuzzleState.getProgressForToday(dateString);
@@ -1181,38 +1810,78 @@ async function startDailyPuzzle() {
         // Restore saved progress
         restoreDailyPuzzleState(todayProgress.state);
     } else {
-        // Start fresh daily puzzle
-        const seed = generateDailySeed(dateString);
-        
-        // Set to 8x8 and generate puzzle with daily seed
-        document.getElementById('gridSizeSelect').value = String(DAILY_PUZZLE_SIZE);
-        init(true, seed);
+        // Start fresh daily puzzle; the seed code sets the 8x8 size
+        init(true, getDailySeedCode(dateString));
     }
 
     // Update header to show daily puzzle mode
     updateDailyPuzzleUI(true);
 }
 
-// Restore daily puzzle from saved state
-function restoreDailyPuzzleState(state) {
-    isWon = false;
-    document.getElementById('victoryOverlay').classList.remove('visible');
-
+// Start a past day's daily puzzle from the archive
+// Archive progress and completions are kept per date, apart from the live daily
+function startArchiveDailyPuzzle(dateString) {
+    // Already solved - show results without changing game state
+    const entry = DailyPuzzleState.getHistoryEntry(dateString);
+    if (entry && entry.completed) {
+        showDailyPuzzleComplete(dateString);
+        return;
+    }
+
+    // Save whatever is being played before switching
+    if (!isDailyPuzzle && hasCompletedTutorial && !isTutorialMode && !isWon) {
+        GameState.save();
+    } else if (isDailyPuzzle) {
+        DailyPuzzleState.saveProgress();
+    }
+
+    document.getElementById('victoryOverlay').classList.remove('visible');
+
+    isDailyPuzzle = true;
+    dailyArchiveDate = dateString;
+
+    if (entry && entry.state) {
+        restoreDailyPuzzleState(entry.state);
+    } else {
+        init(true, getDailySeedCode(dateString));
+    }
+
+    updateDailyPuzzleUI(true);
+}
+
+// Restore daily puzzle from saved state
+function restoreDailyPuzzleState(state) {
+    isWon = false;
+    document.getElementById('victoryOverlay').classList.remove('visible');
+    endSolveReplay(false);
+    endRecordingPlayback(false);
+
+    // A restored game replaces any puzzle still being generated
+    PuzzleGenerator.cancel();
+    setGenerating(false);
+
     SIZE = state.SIZE;
-    currentSeed = state.currentSeed;
+    currentSeed = upgradeSeedCode(state.currentSeed, state.SIZE, isDailyPuzzle);
     solution = state.solution;
     layers = state.layers;
     currentIdx = state.currentIdx;
     targets = state.targets;
+    stockpilePos = state.stockpilePos;
     lockedWalls = (state.lockedWalls && state.lockedWalls.length === SIZE * SIZE)
         ? state.lockedWalls
-        : findLockedWallsForAmbiguousSolutions();
+        : createPuzzleCore({ size: SIZE, solution, targets, stockpilePos }).findLockedWallsForAmbiguousSolutions();
+    refreshPuzzleCore();
     forkAnchors = state.forkAnchors;
-    stockpilePos = state.stockpilePos;
-    undoState = state.undoState;
+    forkTree = restoreForkTree(state.forkTree, currentIdx);
+    undoStack = state.undoStack || (state.undoState ? [state.undoState] : []);
+    redoStack = state.redoStack || [];
+    redoBoard = snapshotBoard();
     elapsedTimeBeforePause = state.elapsedTime || 0;
     gameStartTime = Date.now();
     moveCount = state.moveCount || 0;
+    solveLog = state.solveLog || createSolveLog();
+    resetSolveRecording(state.recording);
+    startGhostRace();
     if (state.drawingMode) {
         drawingMode = state.drawingMode;
         document.querySelectorAll('.mode-btn').forEach(btn => {
@@ -1224,7 +1893,8 @@ function restoreDailyPuzzleState(state) {
     scheduleLayoutUpdate();
     updateSeedDisplay();
     addToSeedHistory(currentSeed);
-    document.getElementById('undoBtn').disabled = undoState === null;
+    currentDifficulty = puzzleCore.gradePuzzleDifficulty();
+    updateDifficultyDisplay();
     updateButtonStates();
     render();
 }
@@ -1237,6 +1907,7 @@ function exitDailyPuzzle() {
     }
     
     isDailyPuzzle = false;
+    dailyArchiveDate = null;
     updateDailyPuzzleUI(false);
     
     // Hide victory overlay in case it was showing from daily puzzle
@@ -1298,6 +1969,7 @@ function updateDailyPuzzleRestrictions(active) {
     const applyHintsBtn = document.getElementById('applyHintsBtn');
     const seedSection = document.getElementById('seedSection');
     const seedDivider = document.getElementById('seedDivider');
+    const difficultySelect = document.getElementById('difficultySelect');
     const dailyPuzzleBtn = document.getElementById('dailyPuzzleBtn');
     const dailyPuzzleLabel = dailyPuzzleBtn?.querySelector('.menu-item-label');
     
@@ -1311,6 +1983,7 @@ function updateDailyPuzzleRestrictions(active) {
         if (applyHintsBtn) applyHintsBtn.style.display = 'none';
         if (seedSection) seedSection.style.display = 'none';
         if (seedDivider) seedDivider.style.display = 'none';
+        if (difficultySelect) difficultySelect.style.display = 'none';
         
         // Change Daily Puzzle button to "Return to Game"
         if (dailyPuzzleLabel) dailyPuzzleLabel.textContent = '🎮 Return to Game';
@@ -1330,6 +2003,7 @@ function updateDailyPuzzleRestrictions(active) {
         if (hintsEnabledBtn) hintsEnabledBtn.style.display = '';
         if (seedSection) seedSection.style.display = '';
         if (seedDivider) seedDivider.style.display = '';
+        if (difficultySelect) difficultySelect.style.display = '';
         
         // Restore Daily Puzzle button
         if (dailyPuzzleLabel) dailyPuzzleLabel.textContent = '📅 Daily Puzzle';
@@ -1341,35 +2015,76 @@ function updateDailyPuzzleRestrictions(active) {
 }
 
 // Show daily puzzle completion dialog
-function showDailyPuzzleComplete() {
+// Use sync version - by the time we show completion, we should have the cached date
+function showDailyPuzzleComplete(dateString = getActiveDailyDate()) {
     const dialog = document.getElementById('dailyCompleteDialog');
     if (!dialog) return;
 
-    const stats = DailyPuzzleState.getCompletionStats();
+    const stats = DailyPuzzleState.getCompletionStats(dateString);
     const dateEl = document.getElementById('dailyCompleteDate');
     const timeEl = document.getElementById('dailyCompleteTime');
     const movesEl = document.getElementById('dailyCompleteMoves');
 
-    // Use sync version - by the time we show completion, we should have the cached date
-    const dateString = getDailyDateStringSync();
+    // Remember which day's results are showing for the share button
+    dialog.dataset.date = dateString || '';
+    const messageEl = document.getElementById('dailyCompleteMessage');
+    if (messageEl) {
+        const t = ThemeManager.current()?.terminology || {};
+        messageEl.textContent = dateString === getDailyDateStringSync()
+            ? t.dailyComplete || "Today's neural link has been restored!"
+            : t.dailyArchiveComplete || 'Archived neural link restored!';
+    }
     if (dateEl) dateEl.textContent = dateString || 'Unknown';
     if (timeEl) timeEl.textContent = stats ? formatTime(stats.elapsedTime) : '--:--';
     if (movesEl) movesEl.textContent = stats ? stats.moves : '--';
 
     dialog.showModal();
+    updateDailyLeaderboard(dateString);
+}
+
+// Fill the daily-complete dialog's ranking; hidden when no leaderboard is configured
+async function updateDailyLeaderboard(dateString) {
+    const section = document.getElementById('dailyLeaderboard');
+    const status = document.getElementById('dailyLeaderboardStatus');
+    const list = document.getElementById('dailyLeaderboardList');
+    if (!section) return;
+    section.style.display = Leaderboard.isEnabled() && dateString ? '' : 'none';
+    if (section.style.display === 'none') return;
+
+    status.textContent = 'Syncing ranking...';
+    list.innerHTML = '';
+    const result = await Leaderboard.getRanking(dateString);
+    // The dialog may have moved on to another day while waiting
+    if (document.getElementById('dailyCompleteDialog').dataset.date !== dateString) return;
+    if (!result) {
+        status.textContent = 'Leaderboard unavailable.';
+        return;
+    }
+
+    const t = ThemeManager.current()?.terminology || {};
+    status.textContent = result.rank
+        ? `You placed #${result.rank} of ${result.total}.`
+        : `${result.total} ${result.total === 1 ? t.player || 'operator' : t.players || 'operators'} ranked.`;
+    const player = Leaderboard.getPlayer();
+    result.ranking.forEach(entry => {
+        const item = document.createElement('li');
+        item.textContent = `${entry.player}  ${formatTime(entry.time)}  ${entry.moves} moves`;
+        item.classList.toggle('leaderboard-self', entry.player === player);
+        list.appendChild(item);
+    });
 }
 
 // Generate shareable text for daily puzzle completion
-function generateDailyShareText() {
-    const stats = DailyPuzzleState.getCompletionStats();
-    const dateString = getDailyDateStringSync() || 'Unknown';
+function generateDailyShareText(dateString = getActiveDailyDate()) {
+    const stats = DailyPuzzleState.getCompletionStats(dateString);
+    dateString = dateString || 'Unknown';
     
     if (!stats) return null;
     
     const time = formatTime(stats.elapsedTime);
     const moves = stats.moves;
     
-    // Generate a visual representation based on performance
+    // Performance ratings
     // Time rating: ⚡ for fast, 🕐 for medium, 🐢 for slow
     const timeMs = stats.elapsedTime;
     let timeRating;
@@ -1385,33 +2100,43 @@ function generateDailyShareText() {
     else if (moves <= 80) moveRating = '⭐';
     else moveRating = '✓';
     
-    // Create grid visualization (8x8 = 64 cells, show as pattern)
-    const gridEmojis = ['🟦', '🟩', '⬛', '🟨'];
-    let gridPattern = '';
-    // Use the date as seed for consistent pattern
-    let patternSeed = 0;
-    for (let i = 0; i < dateString.length; i++) {
-        patternSeed = ((patternSeed << 5) - patternSeed) + dateString.charCodeAt(i);
-    }
-    // Generate 2 rows of 8 emojis based on performance
-    for (let row = 0; row < 2; row++) {
-        for (let col = 0; col < 8; col++) {
-            const idx = (Math.abs(patternSeed + row * 8 + col + moves + Math.floor(timeMs / 1000))) % gridEmojis.length;
-            gridPattern += gridEmojis[idx];
-        }
-        if (row === 0) gridPattern += '\n';
+    let shareText = `Neural Recon Terminal ${dateString}
+Time: ${time} ${timeRating}
+Moves: ${moves} ${moveRating}`;
+
+    if (stats.verification) {
+        shareText += `\nVerify: ${stats.verification}`;
+    }
+
+    // Streaks only count days solved on the day, so archive results leave it out
+    if (dateString === getDailyDateStringSync()) {
+        const streak = DailyPuzzleState.getStreaks(dateString).current;
+        shareText += `\nStreak: 🔥 ${streak} day${streak === 1 ? '' : 's'}`;
+    }
+
+    // One square per row and column: how it was solved, never which cells are walls
+    if (stats.result) {
+        shareText += `\n\n${formatSolveResultGrid(stats.result)}`;
     }
-    
-    const shareText = `Neural Recon Terminal ${dateString}
-Time: ${time}
-Moves: ${moves}`;
     
     return shareText;
 }
 
+// Share card lines for a daily result from getSolveResult()
+// 🟩 solved cleanly, 🟨 solved through a fork, 🟥 had a mistake
+function formatSolveResultGrid(result) {
+    const squares = { clean: '🟩', fork: '🟨', mistake: '🟥' };
+    const line = marks => marks.map(mark => squares[mark]).join('');
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    return `Rows ${line(result.rows)}
+Cols ${line(result.cols)}
+🔀 ${plural(result.forks, 'fork')} · ❌ ${plural(result.mistakes, 'mistake')}`;
+}
+
 // Copy daily puzzle stats to clipboard
 async function shareDailyPuzzle() {
-    const shareText = generateDailyShareText();
+    const dateString = document.getElementById('dailyCompleteDialog')?.dataset.date;
+    const shareText = generateDailyShareText(dateString || undefined);
     if (!shareText) {
         ChipSound.error();
         return false;
@@ -1462,9 +2187,118 @@ function generateTechnoBabble() {
     return `${prefix}-${middle} ${suffix}. ${extra}`;
 }
 
+// ============================================
+// PUZZLE WORKERS (Web Worker)
+// ============================================
+// Runs puzzle-core work in generator-worker.js so the solver never blocks the UI.
+// Falls back to the main thread where workers can't load (e.g. opened from file://).
+// Each runner has a worker of its own, so an editor check never cancels a generation.
+
+// task names the job in generator-worker.js and label names the runner in warnings;
+// runOnMainThread(options) does the same work in the page
+function createPuzzleWorkerRunner(task, label, runOnMainThread) {
+    let worker = null;
+    let workerFailed = false;
+    let pending = null; // {id, options, resolve} for the request in flight
+    let nextId = 1;
+
+    function runPendingOnMainThread(request) {
+        pending = null;
+        request.resolve(runOnMainThread(request.options));
+    }
+
+    function getWorker() {
+        if (worker || workerFailed) return worker;
+        try {
+            worker = new Worker('generator-worker.js');
+        } catch (e) {
+            console.warn(`${label} worker unavailable, running on main thread:`, e);
+            workerFailed = true;
+            return null;
+        }
+
+        worker.onmessage = (e) => {
+            // Ignore results for requests that were cancelled in the meantime
+            if (!pending || e.data.id !== pending.id) return;
+            const request = pending;
+            if (e.data.error) {
+                console.warn(`${label} worker error, retrying on main thread:`, e.data.error);
+                runPendingOnMainThread(request);
+                return;
+            }
+            pending = null;
+            request.resolve(e.data.result);
+        };
+
+        worker.onerror = (e) => {
+            // The worker script itself failed, so stop using workers for this session
+            console.warn(`${label} worker failed, running on main thread:`, e.message);
+            e.preventDefault();
+            worker.terminate();
+            worker = null;
+            workerFailed = true;
+            if (pending) runPendingOnMainThread(pending);
+        };
+
+        return worker;
+    }
+
+    // Run the task for options. Any request still in flight is cancelled and its
+    // promise resolves to null.
+    function request(options) {
+        cancel();
+        return new Promise(resolve => {
+            pending = { id: nextId++, options, resolve };
+            const w = getWorker();
+            if (w) {
+                w.postMessage({ id: pending.id, task, options });
+            } else {
+                runPendingOnMainThread(pending);
+            }
+        });
+    }
+
+    function cancel() {
+        if (!pending) return;
+        // Terminating is the only way to stop a solver run that is already going;
+        // a fresh worker is created on the next request
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+        const request = pending;
+        pending = null;
+        request.resolve(null);
+    }
+
+    return {
+        request,
+        cancel
+    };
+}
+
+// request(options) resolves to a puzzle; options as taken by generatePuzzleData()
+const PuzzleGenerator = createPuzzleWorkerRunner('generate', 'Generator', generatePuzzleData);
+
+// request({puzzle, cap}) resolves to the editor board's uniqueness (see checkBoardUniqueness)
+const BoardUniquenessChecker = createPuzzleWorkerRunner('uniqueness', 'Board check',
+    options => checkBoardUniqueness(options.puzzle, options.cap));
+
+let isGenerating = false;
+
+function setGenerating(active) {
+    isGenerating = active;
+    document.getElementById('generatingOverlay').classList.toggle('visible', active);
+    updateButtonStates();
+}
+
+// Start a new puzzle. Generation is asynchronous; the returned promise resolves to
+// true once the puzzle is on the board, or false if a newer init() superseded it.
 function init(resetStreak = true, specificSeed = null) {
     isWon = false;
     document.getElementById('victoryOverlay').classList.remove('visible');
+    endSolveReplay(false);
+    endRecordingPlayback(false);
     ChipSound.newGame();
     
     // If we're not in daily puzzle mode (starting a regular game), reset the flag
@@ -1472,40 +2306,61 @@ function init(resetStreak = true, specificSeed = null) {
     if (!isDailyPuzzle) {
         updateDailyPuzzleUI(false);
     }
-    
+
+    setGenerating(true);
+
+    // specificSeed may be a full seed code (see parseSeedCode), which also sets the size
+    const sizeSelect = document.getElementById('gridSizeSelect');
+    const code = specificSeed ? parseSeedCode(specificSeed, parseInt(sizeSelect.value)) : null;
+    if (code) sizeSelect.value = String(code.size);
+
+    // A given seed always wins over the difficulty target
+    return PuzzleGenerator.request({
+        size: parseInt(sizeSelect.value),
+        seed: code ? code.seed : null,
+        daily: isDailyPuzzle || (code !== null && code.daily),
+        version: code ? code.version : GENERATOR_VERSION,
+        difficulty: document.getElementById('difficultySelect').value
+    }).then(puzzle => {
+        if (!puzzle) return false;
+        setGenerating(false);
+        applyPuzzle(puzzle, resetStreak);
+        return true;
+    });
+}
+
+// Install a generated puzzle (see generatePuzzleData) as a fresh game
+function applyPuzzle(puzzle, resetStreak) {
     // Reset stats for new game
     gameStartTime = Date.now();
     elapsedTimeBeforePause = 0;
     moveCount = 0;
     if(resetStreak) winStreak = 0;
 
-    SIZE = parseInt(document.getElementById('gridSizeSelect').value);
+    SIZE = puzzle.size;
+    solution = puzzle.solution;
+    targets = puzzle.targets;
+    stockpilePos = puzzle.stockpilePos;
+    lockedWalls = puzzle.lockedWalls;
+    refreshPuzzleCore();
+    currentDifficulty = puzzle.difficulty;
 
     // Update responsive sizing before rendering the new grid.
     scheduleLayoutUpdate();
 
-    // Set up seed for this game
-    const seed = specificSeed || generateSeed();
-    setSeed(seed);
-    addToSeedHistory(seed);
-
-    // Generate maze
-    generateMaze();
-
-    // Ensure no row or column is entirely walls
-    ensureNoFullWallLines();
-
-    // Try to add a secret room with data stockpile
-    tryAddSecretRoom();
+    currentSeed = formatSeedCode(puzzle);
+    updateSeedDisplay();
+    addToSeedHistory(currentSeed);
+    updateDifficultyDisplay();
 
-    targets.r = solution.map(row => row.filter(v => v === 1).length);
-    targets.c = Array(SIZE).fill(0).map((_, c) => solution.filter(r => r[c] === 1).length);
-    lockedWalls = findLockedWallsForAmbiguousSolutions();
     layers = [Array(SIZE * SIZE).fill(0)];
     forkAnchors = [null, null, null, null];
+    forkTree = createForkTree();
     currentIdx = 0;
-    undoState = null;
-    document.getElementById('undoBtn').disabled = true;
+    solveLog = createSolveLog();
+    resetSolveRecording();
+    startGhostRace();
+    clearUndoHistory();
     updateButtonStates();
     render();
 
@@ -1525,25 +2380,38 @@ function init(resetStreak = true, specificSeed = null) {
 function restoreGameState(state) {
     isWon = false;
     document.getElementById('victoryOverlay').classList.remove('visible');
+    endSolveReplay(false);
+    endRecordingPlayback(false);
+
+    // A restored game replaces any puzzle still being generated
+    PuzzleGenerator.cancel();
+    setGenerating(false);
 
     // Restore all state variables
     SIZE = state.SIZE;
-    currentSeed = state.currentSeed;
+    currentSeed = upgradeSeedCode(state.currentSeed, state.SIZE, isDailyPuzzle);
     solution = state.solution;
     layers = state.layers;
     currentIdx = state.currentIdx;
     targets = state.targets;
+    stockpilePos = state.stockpilePos;
     lockedWalls = (state.lockedWalls && state.lockedWalls.length === SIZE * SIZE)
         ? state.lockedWalls
-        : findLockedWallsForAmbiguousSolutions();
+        : createPuzzleCore({ size: SIZE, solution, targets, stockpilePos }).findLockedWallsForAmbiguousSolutions();
+    refreshPuzzleCore();
     forkAnchors = state.forkAnchors;
-    stockpilePos = state.stockpilePos;
-    undoState = state.undoState;
+    forkTree = restoreForkTree(state.forkTree, currentIdx);
+    // Older saves only carry a single undoState snapshot
+    undoStack = state.undoStack || (state.undoState ? [state.undoState] : []);
+    redoStack = state.redoStack || [];
+    redoBoard = snapshotBoard();
     // Restore elapsed time: start fresh timer, carry over previous elapsed
     elapsedTimeBeforePause = state.elapsedTime || 0;
     gameStartTime = Date.now();
     moveCount = state.moveCount;
     winStreak = state.winStreak || 0;
+    resetSolveRecording(state.recording);
+    startGhostRace();
     if (state.drawingMode) {
         drawingMode = state.drawingMode;
         document.querySelectorAll('.mode-btn').forEach(btn => {
@@ -1560,5090 +2428,2291 @@ function restoreGameState(state) {
     // Update seed display
     updateSeedDisplay();
     addToSeedHistory(currentSeed);
-
-    // Update undo button state
-    document.getElementById('undoBtn').disabled = undoState === null;
+    currentDifficulty = puzzleCore.gradePuzzleDifficulty();
+    updateDifficultyDisplay();
 
     updateButtonStates();
     render();
 }
 
-// Choose maze generation algorithm randomly (50/50)
-function generateMaze() {
-    if (seededRandom() < 0.5) {
-        generateMazeDFS();
-    } else {
-        generateMazeAStar();
-    }
-}
-
-// DFS maze generation - creates long natural walls
-function generateMazeDFS() {
-    solution = Array(SIZE).fill().map(() => Array(SIZE).fill(1));
-    const start = {r: Math.floor(seededRandom()*SIZE), c: Math.floor(seededRandom()*SIZE)};
-    solution[start.r][start.c] = 0;
-    let stack = [start], visited = new Set([`${start.r},${start.c}`]);
+function handleCellAction(idx) {
+    const r = Math.floor(idx / SIZE), c = idx % SIZE;
+    if (isWon || isGenerating) return;
 
-    while(stack.length > 0) {
-        const curr = stack[stack.length-1];
-        let neighbors = [];
-        [[0,1],[0,-1],[1,0],[-1,0]].forEach(([dr, dc]) => {
-            let nr=curr.r+dr, nc=curr.c+dc;
-            if(nr>=0 && nr<SIZE && nc>=0 && nc<SIZE && !visited.has(`${nr},${nc}`)) {
-                let pn = 0;
-                [[0,1],[0,-1],[1,0],[-1,0]].forEach(([ddr,ddc])=>{
-                    let nnr=nr+ddr, nnc=nc+ddc;
-                    if(nnr>=0&&nnr<SIZE&&nnc>=0&&nnc<SIZE&&solution[nnr][nnc]===0) pn++;
-                });
-                if(pn === 1) neighbors.push({r:nr,c:nc});
-            }
-        });
-        if(neighbors.length > 0) {
-            let next = neighbors[Math.floor(seededRandom()*neighbors.length)];
-            solution[next.r][next.c] = 0;
-            visited.add(`${next.r},${next.c}`);
-            stack.push(next);
-        } else stack.pop();
-    }
-}
-
-// A* pathfinding-based maze generation
-function generateMazeAStar() {
-    // Try with decreasing number of paths until successful
-    for (let numPaths = SIZE - 2; numPaths >= 1; numPaths--) {
-        for (let fullAttempt = 0; fullAttempt < 10; fullAttempt++) {
-            if (tryGenerateMazeAStar(numPaths)) {
-                return; // Success
-            }
-        }
+    // Get merged value (what's visible) and current layer value
+    let mergedVal = (LOCKED_WALLS_AFFECT_GAMEPLAY && lockedWalls[idx]) ? 1 : 0;
+    for (let j = 0; j <= currentIdx; j++) {
+        if (layers[j][idx] === 1) mergedVal = 1;
+        else if (layers[j][idx] === 2 && mergedVal !== 1) mergedVal = 2;
     }
-    // Fallback: use DFS method
-    generateMazeDFS();
-}
-
-function tryGenerateMazeAStar(numPaths) {
-    // Initialize grid: all walls (1)
-    solution = Array(SIZE).fill().map(() => Array(SIZE).fill(1));
 
-    // Weight grid: tracks wall weights for A* pathfinding
-    // Infinity = impenetrable, 1.0 = normal wall, 0.4 = existing path
-    const weights = Array(SIZE).fill().map(() => Array(SIZE).fill(1.0));
-
-    // Track endpoints for later relaxation
-    const endpoints = [];
-
-    for (let pathIdx = 0; pathIdx < numPaths; pathIdx++) {
-        // Try up to 10 times to find valid start/end points
-        let pathSuccess = false;
-        let minDistance = Math.max(2, SIZE - pathIdx - 2); // Relax distance requirement on retries
-
-        for (let attempt = 0; attempt < 10; attempt++) {
-            const start = findValidStartPoint(weights, minDistance > 2);
-            if (!start) {
-                minDistance = Math.max(2, minDistance - 1);
-                continue;
-            }
+    // Check if this cell is locked by a lower layer
+    const isLocked = isCellLocked(idx);
 
-            const end = findValidEndPoint(weights, start, minDistance);
-            if (!end) {
-                minDistance = Math.max(2, minDistance - 1);
-                continue;
-            }
+    if (LOCKED_WALLS_AFFECT_GAMEPLAY && lockedWalls[idx]) {
+        return;
+    }
 
-            // Try to carve path using A*
-            const path = aStarCarve(start, end, weights);
-            if (!path) {
-                minDistance = Math.max(2, minDistance - 1);
-                continue;
-            }
+    // Check if this is a dead end node or data stockpile
+    const isDeadEnd = puzzleCore.isTargetDeadEnd(r, c);
+    const isStockpile = stockpilePos && stockpilePos.r === r && stockpilePos.c === c;
 
-            // Carve the path and update weights
-            carvePath(path, weights, start, end);
-            endpoints.push(start, end);
-            pathSuccess = true;
-            break;
+    // Tutorial mode: in hint mode, allow completing hint cells
+    // In other modes, only allow moves that match the current hint
+    if (isTutorialMode && !isTutorialHintsOnly && drawingMode !== 'hint') {
+        // Determine what value would be placed
+        let intendedValue = 0;
+        if (drawingMode === 'wall') {
+            intendedValue = (mergedVal === 1 && layers[currentIdx][idx] === 1) ? 0 : 1;
+        } else if (drawingMode === 'path') {
+            intendedValue = (mergedVal === 2 && layers[currentIdx][idx] === 2) ? 0 : 2;
+        } else if (drawingMode === 'erase') {
+            intendedValue = 0;
+        } else if (drawingMode === 'smart') {
+            // Smart mode: empty->wall, wall->path, path->empty
+            if (mergedVal === 0) intendedValue = 1;
+            else if (mergedVal === 1) intendedValue = 2;
+            else intendedValue = 0;
         }
 
-        if (!pathSuccess) {
-            return false; // Failed to carve this path
+        // Check if this move is valid in tutorial mode
+        if (!isTutorialMoveValid(r, c, intendedValue)) {
+            return; // Block the move
         }
     }
 
-    // Relax endpoint walls (change from infinite to 100 where safe)
-    relaxEndpointWalls(endpoints, weights);
-
-    // Connect disconnected subgraphs
-    if (!connectDisconnectedSubgraphs(weights)) {
-        return false;
-    }
-
-    // Final check: ensure no 2x2 open areas (secret room check happens later in tryAddSecretRoom)
-    if (has2x2PathBlock()) {
-        return false;
-    }
-
-    return true;
-}
-
-// Find a valid start point: 3-4 orthogonal neighbors as walls, at least one non-impenetrable
-function findValidStartPoint(weights, requireFourWalls) {
-    const candidates = [];
-
-    for (let r = 0; r < SIZE; r++) {
-        for (let c = 0; c < SIZE; c++) {
-            const wallInfo = countOrthogonalWalls(r, c, weights);
-
-            // Need 3 or 4 walls around it
-            if (wallInfo.wallCount < 3) continue;
-            if (requireFourWalls && wallInfo.wallCount < 4) continue;
-
-            // If surrounded by 4 walls, at least one must not be impenetrable
-            if (wallInfo.wallCount === 4 && wallInfo.penetrableCount === 0) continue;
-
-            candidates.push({r, c});
+    // Handle hint mode - find and display hint for this cell
+    if (drawingMode === 'hint') {
+        // Check if this cell is currently pulsing from an active hint
+        // If so, complete just this cell instead of showing a new hint
+        const cellElement = document.getElementById('mainGrid').querySelectorAll('.cell')[idx];
+        if (cellElement && cellElement.classList.contains('hint-highlight-cell') &&
+            currentHint && currentHint.cells && currentHint.shouldBe) {
+            // Check if this cell is one of the hint's cells
+            const isHintCell = currentHint.cells.some(hc => hc.r === r && hc.c === c);
+            if (isHintCell && mergedVal === 0 && !isDeadEnd && !isStockpile) {
+                // Apply the hint to just this cell
+                const fillValue = currentHint.shouldBe === 'wall' ? 1 : 2;
+                if (!isCellLocked(idx)) {
+                    saveUndoState();
+                    if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
+                        forkAnchors[currentIdx] = {type: 'cell', idx: idx};
+                    }
+                    layers[currentIdx][idx] = fillValue;
+                    if (fillValue === 1) {
+                        ChipSound.wall();
+                    } else {
+                        ChipSound.path();
+                    }
+                    moveCount++;
+                    noteSolveAction('cell');
+                    update();
+                    // Clear the hint highlights since we've acted on it
+                    clearHintHighlights();
+                    hideHintToast();
+                    return;
+                }
+            }
         }
-    }
-
-    if (candidates.length === 0) return null;
-    return candidates[Math.floor(seededRandom() * candidates.length)];
-}
-
-// Find a valid end point: distant from start, 3-4 walls around it
-function findValidEndPoint(weights, start, minDistance) {
-    const candidates = [];
-
-    for (let r = 0; r < SIZE; r++) {
-        for (let c = 0; c < SIZE; c++) {
-            // Check distance (Euclidean)
-            const dist = Math.sqrt((r - start.r) ** 2 + (c - start.c) ** 2);
-            if (dist < minDistance) continue;
-
-            const wallInfo = countOrthogonalWalls(r, c, weights);
-
-            // Need 3 or 4 walls around it
-            if (wallInfo.wallCount < 3) continue;
 
-            // If surrounded by 4 walls, at least one must not be impenetrable
-            if (wallInfo.wallCount === 4 && wallInfo.penetrableCount === 0) continue;
-
-            candidates.push({r, c, dist});
+        // Only show hints for empty cells
+        if (mergedVal !== 0 || isDeadEnd || isStockpile) {
+            return;
         }
-    }
-
-    if (candidates.length === 0) return null;
-
-    // Prefer more distant points
-    candidates.sort((a, b) => b.dist - a.dist);
-    const topCandidates = candidates.slice(0, Math.max(1, Math.floor(candidates.length / 3)));
-    return topCandidates[Math.floor(seededRandom() * topCandidates.length)];
-}
 
-// Count orthogonal walls around a cell
-function countOrthogonalWalls(r, c, weights) {
-    let wallCount = 0;
-    let penetrableCount = 0;
-
-    for (const [dr, dc] of [[0,1],[0,-1],[1,0],[-1,0]]) {
-        const nr = r + dr, nc = c + dc;
-        if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) {
-            wallCount++; // Grid edge counts as impenetrable wall
-        } else if (solution[nr][nc] === 1) {
-            wallCount++;
-            if (weights[nr][nc] !== Infinity) {
-                penetrableCount++;
-            }
+        const hint = getHintForCell(r, c);
+        if (hint) {
+            PlayerStats.recordHint('answer');
+            showHint(hint);
+        } else {
+            // No hint for this cell - show a message
+            showHint({
+                message: `No hint available for ${cellRef(r, c)} yet. Try another cell or use the ? button for the next available hint.`,
+                highlight: { type: 'cell', r, c }
+            });
         }
+        return;
     }
 
-    return {wallCount, penetrableCount};
-}
-
-// A* pathfinding to carve through the maze
-function aStarCarve(start, end, weights) {
-    const openSet = new MinHeap();
-    const gScore = Array(SIZE).fill().map(() => Array(SIZE).fill(Infinity));
-    const fScore = Array(SIZE).fill().map(() => Array(SIZE).fill(Infinity));
-    const cameFrom = Array(SIZE).fill().map(() => Array(SIZE).fill(null));
-    const prevDir = Array(SIZE).fill().map(() => Array(SIZE).fill(null));
-
-    gScore[start.r][start.c] = 0;
-    fScore[start.r][start.c] = euclideanDist(start, end);
-    openSet.push({r: start.r, c: start.c, f: fScore[start.r][start.c]});
-
-    const visited = new Set();
-
-    while (!openSet.isEmpty()) {
-        const current = openSet.pop();
-        const key = `${current.r},${current.c}`;
-
-        if (visited.has(key)) continue;
-        visited.add(key);
+    // Use simple mode handling for wall/path/erase modes
+    if (drawingMode !== 'smart') {
+        if (!isDragging) {
+            saveUndoState();
+            isDragging = true;
+            dragStartIdx = idx;
 
-        if (current.r === end.r && current.c === end.c) {
-            // Reconstruct path
-            const path = [];
-            let curr = {r: end.r, c: end.c};
-            while (curr) {
-                path.unshift(curr);
-                curr = cameFrom[curr.r][curr.c];
+            // Determine action based on first cell: place or erase
+            // For wall mode: if starting on wall, erase walls; otherwise place walls
+            // For path mode: if starting on path, erase paths; otherwise place paths
+            // For erase mode: always erase
+            if (drawingMode === 'wall') {
+                // Starting on a wall (that we can erase) = erase mode, otherwise place mode
+                const canEraseWall = mergedVal === 1 && layers[currentIdx][idx] === 1 && !isLocked && !isDeadEnd && !isStockpile;
+                dragMode = canEraseWall ? 0 : 1; // 0 = erasing walls, 1 = placing walls
+            } else if (drawingMode === 'path') {
+                // Starting on a path (that we can erase) = erase mode, otherwise place mode
+                const canErasePath = mergedVal === 2 && layers[currentIdx][idx] === 2 && !isLocked && !isDeadEnd && !isStockpile;
+                dragMode = canErasePath ? 0 : 2; // 0 = erasing paths, 2 = placing paths
+            } else if (drawingMode === 'erase') {
+                dragMode = 0;
             }
-            return path;
         }
 
-        for (const [dr, dc] of [[0,1],[0,-1],[1,0],[-1,0]]) {
-            const nr = current.r + dr, nc = current.c + dc;
-            if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) continue;
-
-            // Skip impenetrable walls
-            if (weights[nr][nc] === Infinity) continue;
-
-            // Calculate movement cost
-            let moveCost;
-            if (solution[nr][nc] === 0) {
-                moveCost = 0.4; // Existing path
-            } else {
-                moveCost = weights[nr][nc]; // Wall (1.0 or other weight)
-            }
-
-            // Add turn penalty to favor straight lines
-            const currentDir = `${dr},${dc}`;
-            const previousDir = prevDir[current.r][current.c];
-            if (previousDir !== null && previousDir !== currentDir) {
-                moveCost += 0.001; // Small penalty for turning
-            }
-
-            const tentativeG = gScore[current.r][current.c] + moveCost;
+        // Skip dead ends and stockpile (can't modify them)
+        if (isDeadEnd || isStockpile) return;
 
-            if (tentativeG < gScore[nr][nc]) {
-                cameFrom[nr][nc] = {r: current.r, c: current.c};
-                prevDir[nr][nc] = currentDir;
-                gScore[nr][nc] = tentativeG;
-                fScore[nr][nc] = tentativeG + euclideanDist({r: nr, c: nc}, end);
-                openSet.push({r: nr, c: nc, f: fScore[nr][nc]});
-            }
-        }
-    }
+        // Skip if locked by lower layer
+        if (isLocked) return;
 
-    return null; // No path found
-}
-
-function euclideanDist(a, b) {
-    return Math.sqrt((a.r - b.r) ** 2 + (a.c - b.c) ** 2);
-}
-
-// Simple min-heap for A*
-class MinHeap {
-    constructor() { this.data = []; }
-    push(item) {
-        this.data.push(item);
-        this.bubbleUp(this.data.length - 1);
-    }
-    pop() {
-        if (this.data.length === 0) return null;
-        const result = this.data[0];
-        const last = this.data.pop();
-        if (this.data.length > 0) {
-            this.data[0] = last;
-            this.bubbleDown(0);
-        }
-        return result;
-    }
-    isEmpty() { return this.data.length === 0; }
-    bubbleUp(i) {
-        while (i > 0) {
-            const parent = Math.floor((i - 1) / 2);
-            if (this.data[parent].f <= this.data[i].f) break;
-            [this.data[parent], this.data[i]] = [this.data[i], this.data[parent]];
-            i = parent;
-        }
-    }
-    bubbleDown(i) {
-        while (true) {
-            const left = 2 * i + 1, right = 2 * i + 2;
-            let smallest = i;
-            if (left < this.data.length && this.data[left].f < this.data[smallest].f) smallest = left;
-            if (right < this.data.length && this.data[right].f < this.data[smallest].f) smallest = right;
-            if (smallest === i) break;
-            [this.data[smallest], this.data[i]] = [this.data[i], this.data[smallest]];
-            i = smallest;
+        // Apply the locked-in action
+        if (drawingMode === 'wall') {
+            if (dragMode === 1) {
+                // Placing walls: on empty cells or over paths (if path is on current layer)
+                if (mergedVal === 0 || (mergedVal === 2 && layers[currentIdx][idx] === 2)) {
+                    if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
+                        forkAnchors[currentIdx] = {type: 'cell', idx: idx};
+                    }
+                    layers[currentIdx][idx] = 1;
+                    ChipSound.wall();
+                    moveCount++;
+                    noteSolveAction('cell');
+                    update();
+                }
+            } else {
+                // Erasing walls: only walls on current layer
+                if (mergedVal === 1 && layers[currentIdx][idx] === 1) {
+                    if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
+                        forkAnchors[currentIdx] = {type: 'cell', idx: idx};
+                    }
+                    layers[currentIdx][idx] = 0;
+                    ChipSound.erase();
+                    moveCount++;
+                    noteSolveAction('cell');
+                    update();
+                }
+            }
+        } else if (drawingMode === 'path') {
+            if (dragMode === 2) {
+                // Placing paths: on empty cells or over walls (if wall is on current layer)
+                if (mergedVal === 0 || (mergedVal === 1 && layers[currentIdx][idx] === 1)) {
+                    if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
+                        forkAnchors[currentIdx] = {type: 'cell', idx: idx};
+                    }
+                    layers[currentIdx][idx] = 2;
+                    ChipSound.path();
+                    moveCount++;
+                    noteSolveAction('cell');
+                    update();
+                }
+            } else {
+                // Erasing paths: only paths on current layer
+                if (mergedVal === 2 && layers[currentIdx][idx] === 2) {
+                    if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
+                        forkAnchors[currentIdx] = {type: 'cell', idx: idx};
+                    }
+                    layers[currentIdx][idx] = 0;
+                    ChipSound.erase();
+                    moveCount++;
+                    noteSolveAction('cell');
+                    update();
+                }
+            }
+        } else if (drawingMode === 'erase') {
+            // Erase mode: clear any cell on current layer
+            if (layers[currentIdx][idx] !== 0) {
+                if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
+                    forkAnchors[currentIdx] = {type: 'cell', idx: idx};
+                }
+                layers[currentIdx][idx] = 0;
+                ChipSound.erase();
+                moveCount++;
+                noteSolveAction('cell');
+                update();
+            }
         }
+        return;
     }
-}
 
-// Carve the path and update weights
-function carvePath(path, weights, start, end) {
-    // Mark remaining 3 walls around start as impenetrable (after first step)
-    const startNeighbors = getOrthogonalNeighbors(start.r, start.c);
+    // Smart mode - original complex behavior
+    const currentVal = layers[currentIdx][idx];
+
+    if (!isDragging) {
+        // Starting a new drag - save undo state
+        saveUndoState();
+        isDragging = true;
+        dragStartIdx = idx;
+        dragStartVal = mergedVal; // Use merged value for drag start type detection
+        dragPendingToggle = false;
+        dragToggleMode = false;
+
+        // If starting on a dead end node or stockpile, start drawing paths
+        if (isDeadEnd || isStockpile) {
+            // Check neighbors (only for dead ends, not stockpile) - requires dead-end fill assist
+            if (isDeadEnd && isDeadEndFillEnabled()) {
+                const merged = getMergedBoard();
 
-    for (let i = 0; i < path.length; i++) {
-        const {r, c} = path[i];
+                const neighbors = [[r-1,c],[r+1,c],[r,c-1],[r,c+1]];
+                let pathCount = 0;
+                let wallCount = 0;
+                let emptyNeighbors = [];
 
-        // Carve this cell
-        solution[r][c] = 0;
-        weights[r][c] = 0.4; // Now it's a path
+                neighbors.forEach(([nr, nc]) => {
+                    if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) {
+                        wallCount++; // Grid edge counts as wall
+                    } else {
+                        const nIdx = nr * SIZE + nc;
+                        if (merged[nIdx] === 1) wallCount++;
+                        else if (merged[nIdx] === 2 || puzzleCore.isTargetDeadEnd(nr, nc)) pathCount++;
+                        else emptyNeighbors.push(nIdx);
+                    }
+                });
 
-        // After first step, mark remaining walls around start as impenetrable
-        if (i === 1) {
-            for (const {nr, nc} of startNeighbors) {
-                if (solution[nr][nc] === 1) {
-                    weights[nr][nc] = Infinity;
+                // If surrounded by 3 walls and 1 empty, add path to the empty spot
+                if (wallCount === 3 && emptyNeighbors.length === 1) {
+                    const nIdx = emptyNeighbors[0];
+                    if (!isCellLocked(nIdx)) {
+                        if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
+                            forkAnchors[currentIdx] = {type: 'cell', idx: idx};
+                        }
+                        layers[currentIdx][nIdx] = 2;
+                        ChipSound.autoComplete();
+                        dragMode = 2; // Continue dragging paths
+                        moveCount++;
+                        noteSolveAction('cell');
+                        update();
+                        return;
+                    }
                 }
-            }
-        }
 
-        // Check for 2x2 prevention: if this cell creates a 2x2 with 3 open cells,
-        // mark the 4th as highly impenetrable
-        check2x2Prevention(r, c, weights);
-    }
+                // If exactly one path neighbor, fill empty neighbors with walls
+                if (pathCount === 1 && emptyNeighbors.length > 0) {
+                    if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
+                        forkAnchors[currentIdx] = {type: 'cell', idx: idx};
+                    }
+                    emptyNeighbors.forEach(nIdx => {
+                        // Only fill if not locked by lower layer
+                        if (!isCellLocked(nIdx)) layers[currentIdx][nIdx] = 1;
+                    });
+                    ChipSound.autoComplete();
+                    moveCount++;
+                    noteSolveAction('cell');
+                    update();
+                    return;
+                }
+            }
 
-    // Mark remaining 3 walls around end as impenetrable
-    const endNeighbors = getOrthogonalNeighbors(end.r, end.c);
-    for (const {nr, nc} of endNeighbors) {
-        if (solution[nr][nc] === 1) {
-            weights[nr][nc] = Infinity;
+            // Start drawing paths from dead end or stockpile
+            // Don't set anchor here - set it when we actually draw on a cell
+            dragMode = 2;
+            return;
         }
-    }
-}
 
-function getOrthogonalNeighbors(r, c) {
-    const neighbors = [];
-    for (const [dr, dc] of [[0,1],[0,-1],[1,0],[-1,0]]) {
-        const nr = r + dr, nc = c + dc;
-        if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE) {
-            neighbors.push({nr, nc});
+        // Starting on empty cell (merged): immediately start drawing walls
+        if (mergedVal === 0) {
+            dragMode = 1;
+            if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
+                forkAnchors[currentIdx] = {type: 'cell', idx: idx};
+            }
+            layers[currentIdx][idx] = 1;
+            ChipSound.wall();
+            moveCount++;
+            noteSolveAction('cell');
+            update();
+            return;
         }
-    }
-    return neighbors;
-}
 
-// Check all 2x2 areas containing this cell; if 3 are open, mark 4th as impenetrable
-function check2x2Prevention(r, c, weights) {
-    // Check all 4 possible 2x2 squares that include (r, c)
-    const offsets = [[0, 0], [0, -1], [-1, 0], [-1, -1]];
-
-    for (const [dr, dc] of offsets) {
-        const topR = r + dr, topC = c + dc;
-        if (topR < 0 || topR + 1 >= SIZE || topC < 0 || topC + 1 >= SIZE) continue;
+        // Starting on wall or path (could be from lower layer): wait for drag or mouse up
+        dragPendingToggle = !isLocked; // Only allow toggle if not locked
+        dragMode = mergedVal; // Remember what we started on (merged value)
+        return;
+    } else {
+        // Continuing a drag - skip dead ends and stockpile
+        if (isDeadEnd) return;
+        if (isStockpile) return;
 
-        const cells = [
-            {r: topR, c: topC},
-            {r: topR, c: topC + 1},
-            {r: topR + 1, c: topC},
-            {r: topR + 1, c: topC + 1}
-        ];
+        // If we had a pending toggle (started on wall/path, now dragging)
+        if (dragPendingToggle) {
+            dragPendingToggle = false;
 
-        let openCount = 0;
-        let wallCell = null;
+            // Dragged to empty space (merged): continue drawing the same type
+            if (mergedVal === 0) {
+                // dragMode is already set to what we started on (1 or 2)
+                if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
+                    forkAnchors[currentIdx] = {type: 'cell', idx: idx}; // Anchor on first drawn cell
+                }
+                layers[currentIdx][idx] = dragMode;
+                if (dragMode === 1) ChipSound.wall();
+                else if (dragMode === 2) ChipSound.path();
+                moveCount++;
+                noteSolveAction('cell');
+                update();
+                return;
+            }
 
-        for (const cell of cells) {
-            if (solution[cell.r][cell.c] === 0) {
-                openCount++;
-            } else {
-                wallCell = cell;
+            // Dragged to same type: enter toggle mode (convert to next type)
+            if (mergedVal === dragStartVal && !isLocked) {
+                dragToggleMode = true;
+                // wall -> path, path -> empty
+                dragMode = dragStartVal === 1 ? 2 : 0;
+                // Toggle the start cell (only if not locked)
+                const startLocked = isCellLocked(dragStartIdx);
+                if (!startLocked) {
+                    if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
+                        forkAnchors[currentIdx] = {type: 'cell', idx: dragStartIdx}; // Anchor on start cell if we modify it
+                    }
+                    layers[currentIdx][dragStartIdx] = dragMode;
+                } else if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
+                    forkAnchors[currentIdx] = {type: 'cell', idx: idx}; // Anchor on this cell if start was locked
+                }
+                // Toggle this cell too
+                const prevVal = layers[currentIdx][idx];
+                layers[currentIdx][idx] = dragMode;
+                if (dragMode === 2) ChipSound.path();
+                else if (dragMode === 0 && prevVal !== 0) ChipSound.erase();
+                moveCount++;
+                noteSolveAction('cell');
+                update();
+                return;
             }
-        }
 
-        // If 3 cells are open and 1 is a wall, mark that wall as impenetrable
-        if (openCount === 3 && wallCell) {
-            weights[wallCell.r][wallCell.c] = Infinity;
+            // Dragged to different non-empty type: just start drawing the original type
+            // Don't change the different type cell, no anchor yet (nothing drawn)
+            return;
         }
-    }
-}
-
-// Relax endpoint walls: change from infinite to 100 where it won't create 2x2 open areas
-function relaxEndpointWalls(endpoints, weights) {
-    for (const endpoint of endpoints) {
-        const neighbors = getOrthogonalNeighbors(endpoint.r, endpoint.c);
 
-        for (const {nr, nc} of neighbors) {
-            if (solution[nr][nc] === 1 && weights[nr][nc] === Infinity) {
-                // Check if carving this wall would create a 2x2 open area
-                if (!wouldCreate2x2Open(nr, nc)) {
-                    weights[nr][nc] = 100;
+        // Normal drag continuation
+        if (dragToggleMode) {
+            // In toggle mode: only affect same type as start or empty cells
+            // Must not be locked by lower layer
+            if (!isLocked && (mergedVal === dragStartVal || mergedVal === 0)) {
+                if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
+                    forkAnchors[currentIdx] = {type: 'cell', idx: idx};
                 }
+                const prevVal = layers[currentIdx][idx];
+                layers[currentIdx][idx] = dragMode;
+                if (dragMode === 2) ChipSound.path();
+                else if (dragMode === 0 && prevVal !== 0) ChipSound.erase();
+                noteSolveAction('cell');
+                update();
             }
+            // Different non-empty type or locked: ignore
+            return;
         }
-    }
-}
 
-// Check if carving a wall at (r, c) would create a 2x2 open area
-function wouldCreate2x2Open(r, c) {
-    // Temporarily mark as open
-    solution[r][c] = 0;
-
-    // Check all 4 possible 2x2 squares that include (r, c)
-    const offsets = [[0, 0], [0, -1], [-1, 0], [-1, -1]];
-    let creates2x2 = false;
+        // Standard drag behavior - skip if locked
+        if (isLocked) return;
 
-    for (const [dr, dc] of offsets) {
-        const topR = r + dr, topC = c + dc;
-        if (topR < 0 || topR + 1 >= SIZE || topC < 0 || topC + 1 >= SIZE) continue;
+        // If erasing (dragMode 0), can erase anything on current layer
+        // If drawing walls (dragMode 1), only draw over empty cells
+        // If drawing paths (dragMode 2), only draw over empty cells
+        if (dragMode === 1 && mergedVal !== 0) return;
+        if (dragMode === 2 && mergedVal !== 0) return;
 
-        if (solution[topR][topC] === 0 &&
-            solution[topR][topC + 1] === 0 &&
-            solution[topR + 1][topC] === 0 &&
-            solution[topR + 1][topC + 1] === 0) {
-            creates2x2 = true;
-            break;
+        // Set fork anchor on first cell we actually draw on
+        if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
+            forkAnchors[currentIdx] = {type: 'cell', idx: idx};
         }
+        const prevVal = layers[currentIdx][idx];
+        layers[currentIdx][idx] = dragMode;
+        if (dragMode === 1) ChipSound.wall();
+        else if (dragMode === 2) ChipSound.path();
+        else if (dragMode === 0 && prevVal !== 0) ChipSound.erase();
+        noteSolveAction('cell');
+        update();
     }
-
-    // Restore
-    solution[r][c] = 1;
-    return creates2x2;
 }
 
-// Connect disconnected subgraphs
-function connectDisconnectedSubgraphs(weights) {
-    const components = findConnectedComponents();
-
-    if (components.length <= 1) return true; // Already connected
+function handleLabelClick(isRow, index) {
+    if (isWon || isGenerating) return;
 
-    // Sort by size, largest first
-    components.sort((a, b) => b.length - a.length);
+    const merged = getMergedBoard();
 
-    // Try to connect each smaller component to the main one
-    const mainComponent = new Set(components[0].map(p => `${p.r},${p.c}`));
+    // Count current walls and paths in this row/column
+    let wallCount = 0, pathCount = 0;
+    const target = isRow ? targets.r[index] : targets.c[index];
+    const expectedPaths = SIZE - target;
 
-    for (let i = 1; i < components.length; i++) {
-        const other = components[i];
+    for (let i = 0; i < SIZE; i++) {
+        const idx = isRow ? index * SIZE + i : i * SIZE + index;
+        const r = Math.floor(idx / SIZE), c = idx % SIZE;
+        if (merged[idx] === 1) wallCount++;
+        else if (merged[idx] === 2 || puzzleCore.isFixedPath(r, c)) pathCount++;
+    }
 
-        // Pick a random point from the smaller component
-        const startPoint = other[Math.floor(seededRandom() * other.length)];
+    const wallsComplete = wallCount === target;
+    const pathsComplete = !wallsComplete && pathCount === expectedPaths;
 
-        // Find closest point in main component
-        let closestPoint = null;
-        let closestDist = Infinity;
-
-        for (const key of mainComponent) {
-            const [r, c] = key.split(',').map(Number);
-            const dist = euclideanDist(startPoint, {r, c});
-            if (dist < closestDist) {
-                closestDist = dist;
-                closestPoint = {r, c};
-            }
-        }
-
-        if (!closestPoint) return false;
-
-        // Use A* to carve a path between them
-        const path = aStarCarve(startPoint, closestPoint, weights);
-        if (!path) return false;
-
-        // Carve the connecting path
-        for (const {r, c} of path) {
-            solution[r][c] = 0;
-            weights[r][c] = 0.4;
-            // Check 2x2 prevention
-            check2x2Prevention(r, c, weights);
-        }
-
-        // Add other component to main
-        for (const p of other) {
-            mainComponent.add(`${p.r},${p.c}`);
-        }
-        // Add path cells to main
-        for (const p of path) {
-            mainComponent.add(`${p.r},${p.c}`);
-        }
-    }
-
-    return true;
-}
-
-// Find connected components of open cells
-function findConnectedComponents() {
-    const visited = Array(SIZE).fill().map(() => Array(SIZE).fill(false));
-    const components = [];
-
-    for (let r = 0; r < SIZE; r++) {
-        for (let c = 0; c < SIZE; c++) {
-            if (solution[r][c] === 0 && !visited[r][c]) {
-                const component = [];
-                const stack = [{r, c}];
-                visited[r][c] = true;
-
-                while (stack.length > 0) {
-                    const curr = stack.pop();
-                    component.push(curr);
-
-                    for (const [dr, dc] of [[0,1],[0,-1],[1,0],[-1,0]]) {
-                        const nr = curr.r + dr, nc = curr.c + dc;
-                        if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE &&
-                            solution[nr][nc] === 0 && !visited[nr][nc]) {
-                            visited[nr][nc] = true;
-                            stack.push({r: nr, c: nc});
-                        }
-                    }
-                }
-
-                components.push(component);
-            }
-        }
-    }
-
-    return components;
-}
-
-// Ensure no row or column is entirely walls (SIZE walls)
-function ensureNoFullWallLines() {
-    // Check rows
-    for (let r = 0; r < SIZE; r++) {
-        const wallCount = solution[r].filter(v => v === 1).length;
-        if (wallCount === SIZE) {
-            // Find a cell adjacent to existing path that won't create 2x2 path block
-            const candidates = [];
-            for (let c = 0; c < SIZE; c++) {
-                if (hasAdjacentPath(r, c)) candidates.push(c);
-            }
-            // Shuffle
-            for (let i = candidates.length - 1; i > 0; i--) {
-                const j = Math.floor(seededRandom() * (i + 1));
-                [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
-            }
-            for (const c of candidates) {
-                solution[r][c] = 0;
-                if (!has2x2PathBlock()) break;
-                solution[r][c] = 1;
-            }
-        }
-    }
-
-    // Check columns
-    for (let c = 0; c < SIZE; c++) {
-        let wallCount = 0;
-        for (let r = 0; r < SIZE; r++) {
-            if (solution[r][c] === 1) wallCount++;
-        }
-        if (wallCount === SIZE) {
-            const candidates = [];
-            for (let r = 0; r < SIZE; r++) {
-                if (hasAdjacentPath(r, c)) candidates.push(r);
-            }
-            for (let i = candidates.length - 1; i > 0; i--) {
-                const j = Math.floor(seededRandom() * (i + 1));
-                [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
-            }
-            for (const r of candidates) {
-                solution[r][c] = 0;
-                if (!has2x2PathBlock()) break;
-                solution[r][c] = 1;
-            }
-        }
-    }
-}
-
-// Check if a cell has an adjacent path cell
-function hasAdjacentPath(r, c) {
-    for (const [dr, dc] of [[0,1],[0,-1],[1,0],[-1,0]]) {
-        const nr = r + dr, nc = c + dc;
-        if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE && solution[nr][nc] === 0) {
-            return true;
-        }
-    }
-    return false;
-}
-
-// Check if solution has any 2x2 path blocks
-function has2x2PathBlock() {
-    for (let r = 0; r < SIZE - 1; r++) {
-        for (let c = 0; c < SIZE - 1; c++) {
-            if (solution[r][c] === 0 && solution[r+1][c] === 0 &&
-                solution[r][c+1] === 0 && solution[r+1][c+1] === 0) {
-                return true;
-            }
-        }
-    }
-    return false;
-}
-
-// Try to add a secret 3x3 room with a single door and data stockpile
-// Forces the room into the maze, adding walls as needed, then tries to fix connectivity
-function tryAddSecretRoom() {
-    stockpilePos = null;
-
-    if (SIZE < DATA_VAULT_UNLOCK_SIZE) return; // No data vaults for sizes below unlock size
-
-    // Save original solution in case we need to revert
-    const originalSolution = solution.map(row => [...row]);
-
-    // Candidate positions - prefer corners and edges
-    const candidates = [];
-    // Corners (0 or 1 row/col from edge)
-    const edgeOffsets = [0, 1];
-    for (const rOff of edgeOffsets) {
-        for (const cOff of edgeOffsets) {
-            candidates.push({r: rOff, c: cOff, priority: 0});
-            candidates.push({r: rOff, c: SIZE - 3 - cOff, priority: 0});
-            candidates.push({r: SIZE - 3 - rOff, c: cOff, priority: 0});
-            candidates.push({r: SIZE - 3 - rOff, c: SIZE - 3 - cOff, priority: 0});
-        }
-    }
-    // Add some interior positions with lower priority
-    for (let r = 2; r <= SIZE - 5; r++) {
-        for (let c = 2; c <= SIZE - 5; c++) {
-            candidates.push({r, c, priority: 1});
-        }
-    }
-
-    // Sort by priority, then shuffle within each priority group using Fisher-Yates
-    // (Using seededRandom in sort comparator is non-deterministic across platforms)
-    candidates.sort((a, b) => a.priority - b.priority);
-
-    // Fisher-Yates shuffle within priority groups
-    let groupStart = 0;
-    while (groupStart < candidates.length) {
-        const currentPriority = candidates[groupStart].priority;
-        let groupEnd = groupStart;
-        while (groupEnd < candidates.length && candidates[groupEnd].priority === currentPriority) {
-            groupEnd++;
-        }
-        // Shuffle from groupStart to groupEnd-1
-        for (let i = groupEnd - 1; i > groupStart; i--) {
-            const j = groupStart + Math.floor(seededRandom() * (i - groupStart + 1));
-            [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
-        }
-        groupStart = groupEnd;
-    }
-
-    for (const {r, c} of candidates) {
-        // Restore original solution for each attempt
-        for (let i = 0; i < SIZE; i++) solution[i] = [...originalSolution[i]];
-
-        // Step 1: Find door candidates BEFORE modifying the maze
-        // Look for path cells adjacent to where the perimeter walls will be
-        const doorCandidates = [];
-
-        // Top wall (at r-1) - check for paths at r-2 or paths that will be walled at r-1
-        if (r > 0) {
-            for (let dc = 0; dc < 3; dc++) {
-                const wallC = c + dc;
-                // Check if there's a path just outside where the wall will be
-                if (r > 1 && solution[r - 2][wallC] === 0) {
-                    doorCandidates.push({wallR: r - 1, wallC: wallC, side: 'top'});
-                } else if (r === 1 && solution[0][wallC] === 0) {
-                    // Room at row 1, wall at row 0 - but we can't have door at edge
-                    // Actually if r=1, wall is at r-1=0, and we need path outside which would be r-2=-1 (invalid)
-                }
-            }
-        }
-        // Bottom wall (at r+3) - check for paths at r+4
-        if (r + 3 < SIZE) {
-            for (let dc = 0; dc < 3; dc++) {
-                const wallC = c + dc;
-                if (r + 4 < SIZE && solution[r + 4][wallC] === 0) {
-                    doorCandidates.push({wallR: r + 3, wallC: wallC, side: 'bottom'});
-                }
-            }
-        }
-        // Left wall (at c-1) - check for paths at c-2
-        if (c > 0) {
-            for (let dr = 0; dr < 3; dr++) {
-                const wallR = r + dr;
-                if (c > 1 && solution[wallR][c - 2] === 0) {
-                    doorCandidates.push({wallR: wallR, wallC: c - 1, side: 'left'});
-                }
-            }
-        }
-        // Right wall (at c+3) - check for paths at c+4
-        if (c + 3 < SIZE) {
-            for (let dr = 0; dr < 3; dr++) {
-                const wallR = r + dr;
-                if (c + 4 < SIZE && solution[wallR][c + 4] === 0) {
-                    doorCandidates.push({wallR: wallR, wallC: c + 3, side: 'right'});
-                }
-            }
-        }
-
-        // Also check if perimeter itself has paths we can connect to
-        // Top perimeter row
-        if (r > 0) {
-            for (let dc = 0; dc < 3; dc++) {
-                if (solution[r - 1][c + dc] === 0) {
-                    doorCandidates.push({wallR: r - 1, wallC: c + dc, side: 'top', isPath: true});
-                }
-            }
-        }
-        // Bottom perimeter row
-        if (r + 3 < SIZE) {
-            for (let dc = 0; dc < 3; dc++) {
-                if (solution[r + 3][c + dc] === 0) {
-                    doorCandidates.push({wallR: r + 3, wallC: c + dc, side: 'bottom', isPath: true});
-                }
-            }
-        }
-        // Left perimeter column
-        if (c > 0) {
-            for (let dr = 0; dr < 3; dr++) {
-                if (solution[r + dr][c - 1] === 0) {
-                    doorCandidates.push({wallR: r + dr, wallC: c - 1, side: 'left', isPath: true});
-                }
-            }
-        }
-        // Right perimeter column
-        if (c + 3 < SIZE) {
-            for (let dr = 0; dr < 3; dr++) {
-                if (solution[r + dr][c + 3] === 0) {
-                    doorCandidates.push({wallR: r + dr, wallC: c + 3, side: 'right', isPath: true});
-                }
-            }
-        }
-
-        if (doorCandidates.length === 0) continue;
-
-        // Step 2: Add walls around the 3x3 room (perimeter)
-        // Top perimeter
-        if (r > 0) {
-            for (let dc = -1; dc <= 3; dc++) {
-                const cc = c + dc;
-                if (cc >= 0 && cc < SIZE) solution[r - 1][cc] = 1;
-            }
-        }
-        // Bottom perimeter
-        if (r + 3 < SIZE) {
-            for (let dc = -1; dc <= 3; dc++) {
-                const cc = c + dc;
-                if (cc >= 0 && cc < SIZE) solution[r + 3][cc] = 1;
-            }
-        }
-        // Left perimeter
-        if (c > 0) {
-            for (let dr = 0; dr < 3; dr++) {
-                solution[r + dr][c - 1] = 1;
-            }
-        }
-        // Right perimeter
-        if (c + 3 < SIZE) {
-            for (let dr = 0; dr < 3; dr++) {
-                solution[r + dr][c + 3] = 1;
-            }
-        }
-
-        // Step 3: Carve out the 3x3 room interior
-        for (let dr = 0; dr < 3; dr++) {
-            for (let dc = 0; dc < 3; dc++) {
-                solution[r + dr][c + dc] = 0;
-            }
-        }
-
-        // Step 4: Open the door
-        const door = doorCandidates[Math.floor(seededRandom() * doorCandidates.length)];
-        solution[door.wallR][door.wallC] = 0;
-
-        // Step 5: Check connectivity and try to fix if broken
-        // Pass room bounds so we don't open additional doors in the room perimeter
-        if (!tryFixConnectivity(r, c)) {
-            continue; // Can't fix, try another position
-        }
-
-        // Step 6: Verify no 2x2 path clumps were created OUTSIDE the room
-        if (has2x2PathClumpOutsideRoom(r, c)) {
-            continue;
-        }
-
-        // Success! Place stockpile randomly in the room
-        const roomCells = [];
-        for (let dr = 0; dr < 3; dr++) {
-            for (let dc = 0; dc < 3; dc++) {
-                roomCells.push({r: r + dr, c: c + dc});
-            }
-        }
-        stockpilePos = roomCells[Math.floor(seededRandom() * roomCells.length)];
-        return;
-    }
-
-    // Failed to add room, restore original
-    for (let i = 0; i < SIZE; i++) solution[i] = [...originalSolution[i]];
-}
-
-// Check if all path cells are connected, try to fix if not
-// roomR, roomC define the 3x3 room - don't open walls on its perimeter
-function tryFixConnectivity(roomR, roomC) {
-    // Helper to check if a wall cell is on the room perimeter
-    function isRoomPerimeter(wr, wc) {
-        // Top perimeter: row roomR-1, cols roomC-1 to roomC+3
-        if (wr === roomR - 1 && wc >= roomC - 1 && wc <= roomC + 3) return true;
-        // Bottom perimeter: row roomR+3, cols roomC-1 to roomC+3
-        if (wr === roomR + 3 && wc >= roomC - 1 && wc <= roomC + 3) return true;
-        // Left perimeter: col roomC-1, rows roomR to roomR+2
-        if (wc === roomC - 1 && wr >= roomR && wr <= roomR + 2) return true;
-        // Right perimeter: col roomC+3, rows roomR to roomR+2
-        if (wc === roomC + 3 && wr >= roomR && wr <= roomR + 2) return true;
-        return false;
-    }
-
-    const pathCells = [];
-    for (let r = 0; r < SIZE; r++) {
-        for (let c = 0; c < SIZE; c++) {
-            if (solution[r][c] === 0) pathCells.push({r, c});
-        }
-    }
-    if (pathCells.length === 0) return false;
-
-    // Find connected components
-    const visited = Array(SIZE).fill(null).map(() => Array(SIZE).fill(false));
-    const components = [];
-
-    for (const start of pathCells) {
-        if (visited[start.r][start.c]) continue;
-        const component = [];
-        const stack = [start];
-        while (stack.length > 0) {
-            const {r, c} = stack.pop();
-            if (visited[r][c]) continue;
-            visited[r][c] = true;
-            component.push({r, c});
-            [[0,1],[0,-1],[1,0],[-1,0]].forEach(([dr, dc]) => {
-                const nr = r + dr, nc = c + dc;
-                if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE &&
-                    solution[nr][nc] === 0 && !visited[nr][nc]) {
-                    stack.push({r: nr, c: nc});
-                }
-            });
-        }
-        components.push(component);
-    }
-
-    if (components.length === 1) return true; // Already connected
-
-    // Try to connect components by removing wall cells
-    // Find the largest component
-    components.sort((a, b) => b.length - a.length);
-    const mainComponent = new Set(components[0].map(p => `${p.r},${p.c}`));
-
-    for (let i = 1; i < components.length; i++) {
-        const other = components[i];
-        let connected = false;
-
-        // Try to find a wall cell that connects this component to main
-        for (const {r, c} of other) {
-            if (connected) break;
-            [[0,1],[0,-1],[1,0],[-1,0]].forEach(([dr, dc]) => {
-                if (connected) return;
-                const wallR = r + dr, wallC = c + dc;
-                if (wallR < 0 || wallR >= SIZE || wallC < 0 || wallC >= SIZE) return;
-                if (solution[wallR][wallC] !== 1) return;
-
-                // Don't open walls on the room perimeter (would create extra doors)
-                if (isRoomPerimeter(wallR, wallC)) return;
-
-                // Check if removing this wall connects to main component
-                [[0,1],[0,-1],[1,0],[-1,0]].forEach(([dr2, dc2]) => {
-                    if (connected) return;
-                    const adjR = wallR + dr2, adjC = wallC + dc2;
-                    if (adjR >= 0 && adjR < SIZE && adjC >= 0 && adjC < SIZE &&
-                        mainComponent.has(`${adjR},${adjC}`)) {
-                        // Remove wall to connect
-                        solution[wallR][wallC] = 0;
-                        // Add this component to main
-                        other.forEach(p => mainComponent.add(`${p.r},${p.c}`));
-                        mainComponent.add(`${wallR},${wallC}`);
-                        connected = true;
-                    }
-                });
-            });
-        }
-
-        if (!connected) return false; // Can't connect this component
-    }
-
-    return true;
-}
-
-// Check for 2x2 path clumps outside the room area
-function has2x2PathClumpOutsideRoom(roomR, roomC) {
-    for (let r = 0; r < SIZE - 1; r++) {
-        for (let c = 0; c < SIZE - 1; c++) {
-            // Skip if this 2x2 is entirely within the room
-            if (r >= roomR && r + 1 <= roomR + 2 && c >= roomC && c + 1 <= roomC + 2) {
-                continue;
-            }
-            if (solution[r][c] === 0 && solution[r+1][c] === 0 &&
-                solution[r][c+1] === 0 && solution[r+1][c+1] === 0) {
-                return true;
-            }
-        }
-    }
-    return false;
-}
-
-function handleCellAction(idx) {
-    const r = Math.floor(idx / SIZE), c = idx % SIZE;
-    if (isWon) return;
-
-    // Get merged value (what's visible) and current layer value
-    let mergedVal = (LOCKED_WALLS_AFFECT_GAMEPLAY && lockedWalls[idx]) ? 1 : 0;
-    for (let j = 0; j <= currentIdx; j++) {
-        if (layers[j][idx] === 1) mergedVal = 1;
-        else if (layers[j][idx] === 2 && mergedVal !== 1) mergedVal = 2;
-    }
-
-    // Check if this cell is locked by a lower layer
-    const isLocked = isCellLocked(idx);
-
-    if (LOCKED_WALLS_AFFECT_GAMEPLAY && lockedWalls[idx]) {
-        return;
-    }
-
-    // Check if this is a dead end node or data stockpile
-    const isDeadEnd = isTargetDeadEnd(r, c);
-    const isStockpile = stockpilePos && stockpilePos.r === r && stockpilePos.c === c;
-
-    // Tutorial mode: in hint mode, allow completing hint cells
-    // In other modes, only allow moves that match the current hint
-    if (isTutorialMode && !isTutorialHintsOnly && drawingMode !== 'hint') {
-        // Determine what value would be placed
-        let intendedValue = 0;
-        if (drawingMode === 'wall') {
-            intendedValue = (mergedVal === 1 && layers[currentIdx][idx] === 1) ? 0 : 1;
-        } else if (drawingMode === 'path') {
-            intendedValue = (mergedVal === 2 && layers[currentIdx][idx] === 2) ? 0 : 2;
-        } else if (drawingMode === 'erase') {
-            intendedValue = 0;
-        } else if (drawingMode === 'smart') {
-            // Smart mode: empty->wall, wall->path, path->empty
-            if (mergedVal === 0) intendedValue = 1;
-            else if (mergedVal === 1) intendedValue = 2;
-            else intendedValue = 0;
-        }
-
-        // Check if this move is valid in tutorial mode
-        if (!isTutorialMoveValid(r, c, intendedValue)) {
-            return; // Block the move
-        }
-    }
-
-    // Handle hint mode - find and display hint for this cell
-    if (drawingMode === 'hint') {
-        // Check if this cell is currently pulsing from an active hint
-        // If so, complete just this cell instead of showing a new hint
-        const cellElement = document.getElementById('mainGrid').querySelectorAll('.cell')[idx];
-        if (cellElement && cellElement.classList.contains('hint-highlight-cell') &&
-            currentHint && currentHint.cells && currentHint.shouldBe) {
-            // Check if this cell is one of the hint's cells
-            const isHintCell = currentHint.cells.some(hc => hc.r === r && hc.c === c);
-            if (isHintCell && mergedVal === 0 && !isDeadEnd && !isStockpile) {
-                // Apply the hint to just this cell
-                const fillValue = currentHint.shouldBe === 'wall' ? 1 : 2;
-                if (!isCellLocked(idx)) {
-                    saveUndoState();
-                    if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
-                        forkAnchors[currentIdx] = {type: 'cell', idx: idx};
-                    }
-                    layers[currentIdx][idx] = fillValue;
-                    if (fillValue === 1) {
-                        ChipSound.wall();
-                    } else {
-                        ChipSound.path();
-                    }
-                    moveCount++;
-                    update();
-                    // Clear the hint highlights since we've acted on it
-                    clearHintHighlights();
-                    hideHintToast();
-                    return;
-                }
-            }
-        }
-
-        // Only show hints for empty cells
-        if (mergedVal !== 0 || isDeadEnd || isStockpile) {
-            return;
-        }
-
-        const hint = getHintForCell(r, c);
-        if (hint) {
-            showHint(hint);
-        } else {
-            // No hint for this cell - show a message
-            showHint({
-                message: `No hint available for ${cellRef(r, c)} yet. Try another cell or use the ? button for the next available hint.`,
-                highlight: { type: 'cell', r, c }
-            });
-        }
-        return;
-    }
-
-    // Use simple mode handling for wall/path/erase modes
-    if (drawingMode !== 'smart') {
-        if (!isDragging) {
-            saveUndoState();
-            isDragging = true;
-            dragStartIdx = idx;
-
-            // Determine action based on first cell: place or erase
-            // For wall mode: if starting on wall, erase walls; otherwise place walls
-            // For path mode: if starting on path, erase paths; otherwise place paths
-            // For erase mode: always erase
-            if (drawingMode === 'wall') {
-                // Starting on a wall (that we can erase) = erase mode, otherwise place mode
-                const canEraseWall = mergedVal === 1 && layers[currentIdx][idx] === 1 && !isLocked && !isDeadEnd && !isStockpile;
-                dragMode = canEraseWall ? 0 : 1; // 0 = erasing walls, 1 = placing walls
-            } else if (drawingMode === 'path') {
-                // Starting on a path (that we can erase) = erase mode, otherwise place mode
-                const canErasePath = mergedVal === 2 && layers[currentIdx][idx] === 2 && !isLocked && !isDeadEnd && !isStockpile;
-                dragMode = canErasePath ? 0 : 2; // 0 = erasing paths, 2 = placing paths
-            } else if (drawingMode === 'erase') {
-                dragMode = 0;
-            }
-        }
-
-        // Skip dead ends and stockpile (can't modify them)
-        if (isDeadEnd || isStockpile) return;
-
-        // Skip if locked by lower layer
-        if (isLocked) return;
-
-        // Apply the locked-in action
-        if (drawingMode === 'wall') {
-            if (dragMode === 1) {
-                // Placing walls: on empty cells or over paths (if path is on current layer)
-                if (mergedVal === 0 || (mergedVal === 2 && layers[currentIdx][idx] === 2)) {
-                    if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
-                        forkAnchors[currentIdx] = {type: 'cell', idx: idx};
-                    }
-                    layers[currentIdx][idx] = 1;
-                    ChipSound.wall();
-                    moveCount++;
-                    update();
-                }
-            } else {
-                // Erasing walls: only walls on current layer
-                if (mergedVal === 1 && layers[currentIdx][idx] === 1) {
-                    if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
-                        forkAnchors[currentIdx] = {type: 'cell', idx: idx};
-                    }
-                    layers[currentIdx][idx] = 0;
-                    ChipSound.erase();
-                    moveCount++;
-                    update();
-                }
-            }
-        } else if (drawingMode === 'path') {
-            if (dragMode === 2) {
-                // Placing paths: on empty cells or over walls (if wall is on current layer)
-                if (mergedVal === 0 || (mergedVal === 1 && layers[currentIdx][idx] === 1)) {
-                    if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
-                        forkAnchors[currentIdx] = {type: 'cell', idx: idx};
-                    }
-                    layers[currentIdx][idx] = 2;
-                    ChipSound.path();
-                    moveCount++;
-                    update();
-                }
-            } else {
-                // Erasing paths: only paths on current layer
-                if (mergedVal === 2 && layers[currentIdx][idx] === 2) {
-                    if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
-                        forkAnchors[currentIdx] = {type: 'cell', idx: idx};
-                    }
-                    layers[currentIdx][idx] = 0;
-                    ChipSound.erase();
-                    moveCount++;
-                    update();
-                }
-            }
-        } else if (drawingMode === 'erase') {
-            // Erase mode: clear any cell on current layer
-            if (layers[currentIdx][idx] !== 0) {
-                if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
-                    forkAnchors[currentIdx] = {type: 'cell', idx: idx};
-                }
-                layers[currentIdx][idx] = 0;
-                ChipSound.erase();
-                moveCount++;
-                update();
-            }
-        }
-        return;
-    }
-
-    // Smart mode - original complex behavior
-    const currentVal = layers[currentIdx][idx];
-
-    if (!isDragging) {
-        // Starting a new drag - save undo state
-        saveUndoState();
-        isDragging = true;
-        dragStartIdx = idx;
-        dragStartVal = mergedVal; // Use merged value for drag start type detection
-        dragPendingToggle = false;
-        dragToggleMode = false;
-
-        // If starting on a dead end node or stockpile, start drawing paths
-        if (isDeadEnd || isStockpile) {
-            // Check neighbors (only for dead ends, not stockpile) - requires dead-end fill assist
-            if (isDeadEnd && isDeadEndFillEnabled()) {
-                const merged = getMergedBoard();
-
-                const neighbors = [[r-1,c],[r+1,c],[r,c-1],[r,c+1]];
-                let pathCount = 0;
-                let wallCount = 0;
-                let emptyNeighbors = [];
-
-                neighbors.forEach(([nr, nc]) => {
-                    if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) {
-                        wallCount++; // Grid edge counts as wall
-                    } else {
-                        const nIdx = nr * SIZE + nc;
-                        if (merged[nIdx] === 1) wallCount++;
-                        else if (merged[nIdx] === 2 || isTargetDeadEnd(nr, nc)) pathCount++;
-                        else emptyNeighbors.push(nIdx);
-                    }
-                });
-
-                // If surrounded by 3 walls and 1 empty, add path to the empty spot
-                if (wallCount === 3 && emptyNeighbors.length === 1) {
-                    const nIdx = emptyNeighbors[0];
-                    if (!isCellLocked(nIdx)) {
-                        if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
-                            forkAnchors[currentIdx] = {type: 'cell', idx: idx};
-                        }
-                        layers[currentIdx][nIdx] = 2;
-                        ChipSound.autoComplete();
-                        dragMode = 2; // Continue dragging paths
-                        moveCount++;
-                        update();
-                        return;
-                    }
-                }
-
-                // If exactly one path neighbor, fill empty neighbors with walls
-                if (pathCount === 1 && emptyNeighbors.length > 0) {
-                    if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
-                        forkAnchors[currentIdx] = {type: 'cell', idx: idx};
-                    }
-                    emptyNeighbors.forEach(nIdx => {
-                        // Only fill if not locked by lower layer
-                        if (!isCellLocked(nIdx)) layers[currentIdx][nIdx] = 1;
-                    });
-                    ChipSound.autoComplete();
-                    moveCount++;
-                    update();
-                    return;
-                }
-            }
-
-            // Start drawing paths from dead end or stockpile
-            // Don't set anchor here - set it when we actually draw on a cell
-            dragMode = 2;
-            return;
-        }
-
-        // Starting on empty cell (merged): immediately start drawing walls
-        if (mergedVal === 0) {
-            dragMode = 1;
-            if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
-                forkAnchors[currentIdx] = {type: 'cell', idx: idx};
-            }
-            layers[currentIdx][idx] = 1;
-            ChipSound.wall();
-            moveCount++;
-            update();
-            return;
-        }
-
-        // Starting on wall or path (could be from lower layer): wait for drag or mouse up
-        dragPendingToggle = !isLocked; // Only allow toggle if not locked
-        dragMode = mergedVal; // Remember what we started on (merged value)
-        return;
-    } else {
-        // Continuing a drag - skip dead ends and stockpile
-        if (isDeadEnd) return;
-        if (isStockpile) return;
-
-        // If we had a pending toggle (started on wall/path, now dragging)
-        if (dragPendingToggle) {
-            dragPendingToggle = false;
-
-            // Dragged to empty space (merged): continue drawing the same type
-            if (mergedVal === 0) {
-                // dragMode is already set to what we started on (1 or 2)
-                if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
-                    forkAnchors[currentIdx] = {type: 'cell', idx: idx}; // Anchor on first drawn cell
-                }
-                layers[currentIdx][idx] = dragMode;
-                if (dragMode === 1) ChipSound.wall();
-                else if (dragMode === 2) ChipSound.path();
-                moveCount++;
-                update();
-                return;
-            }
-
-            // Dragged to same type: enter toggle mode (convert to next type)
-            if (mergedVal === dragStartVal && !isLocked) {
-                dragToggleMode = true;
-                // wall -> path, path -> empty
-                dragMode = dragStartVal === 1 ? 2 : 0;
-                // Toggle the start cell (only if not locked)
-                const startLocked = isCellLocked(dragStartIdx);
-                if (!startLocked) {
-                    if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
-                        forkAnchors[currentIdx] = {type: 'cell', idx: dragStartIdx}; // Anchor on start cell if we modify it
-                    }
-                    layers[currentIdx][dragStartIdx] = dragMode;
-                } else if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
-                    forkAnchors[currentIdx] = {type: 'cell', idx: idx}; // Anchor on this cell if start was locked
-                }
-                // Toggle this cell too
-                const prevVal = layers[currentIdx][idx];
-                layers[currentIdx][idx] = dragMode;
-                if (dragMode === 2) ChipSound.path();
-                else if (dragMode === 0 && prevVal !== 0) ChipSound.erase();
-                moveCount++;
-                update();
-                return;
-            }
-
-            // Dragged to different non-empty type: just start drawing the original type
-            // Don't change the different type cell, no anchor yet (nothing drawn)
-            return;
-        }
-
-        // Normal drag continuation
-        if (dragToggleMode) {
-            // In toggle mode: only affect same type as start or empty cells
-            // Must not be locked by lower layer
-            if (!isLocked && (mergedVal === dragStartVal || mergedVal === 0)) {
-                if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
-                    forkAnchors[currentIdx] = {type: 'cell', idx: idx};
-                }
-                const prevVal = layers[currentIdx][idx];
-                layers[currentIdx][idx] = dragMode;
-                if (dragMode === 2) ChipSound.path();
-                else if (dragMode === 0 && prevVal !== 0) ChipSound.erase();
-                update();
-            }
-            // Different non-empty type or locked: ignore
-            return;
-        }
-
-        // Standard drag behavior - skip if locked
-        if (isLocked) return;
-
-        // If erasing (dragMode 0), can erase anything on current layer
-        // If drawing walls (dragMode 1), only draw over empty cells
-        // If drawing paths (dragMode 2), only draw over empty cells
-        if (dragMode === 1 && mergedVal !== 0) return;
-        if (dragMode === 2 && mergedVal !== 0) return;
-
-        // Set fork anchor on first cell we actually draw on
-        if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
-            forkAnchors[currentIdx] = {type: 'cell', idx: idx};
-        }
-        const prevVal = layers[currentIdx][idx];
-        layers[currentIdx][idx] = dragMode;
-        if (dragMode === 1) ChipSound.wall();
-        else if (dragMode === 2) ChipSound.path();
-        else if (dragMode === 0 && prevVal !== 0) ChipSound.erase();
-        update();
-    }
-}
-
-// Helper to check if a cell is a fixed path (dead end or stockpile)
-function isFixedPath(r, c) {
-    return isTargetDeadEnd(r, c) || (stockpilePos && stockpilePos.r === r && stockpilePos.c === c);
-}
-
-function handleLabelClick(isRow, index) {
-    if (isWon) return;
-
-    const merged = getMergedBoard();
-
-    // Count current walls and paths in this row/column
-    let wallCount = 0, pathCount = 0;
-    const target = isRow ? targets.r[index] : targets.c[index];
-    const expectedPaths = SIZE - target;
-
-    for (let i = 0; i < SIZE; i++) {
-        const idx = isRow ? index * SIZE + i : i * SIZE + index;
-        const r = Math.floor(idx / SIZE), c = idx % SIZE;
-        if (merged[idx] === 1) wallCount++;
-        else if (merged[idx] === 2 || isFixedPath(r, c)) pathCount++;
-    }
-
-    const wallsComplete = wallCount === target;
-    const pathsComplete = !wallsComplete && pathCount === expectedPaths;
-
-    // Check if the appropriate completion type is enabled
-    // Wall completion (green headers) fills paths when walls are done
-    // Path completion (blue headers) fills walls when paths are done
-    if (wallsComplete && !isWallCompletionEnabled()) return;
-    if (pathsComplete && !isPathCompletionEnabled()) return;
-    if (!wallsComplete && !pathsComplete) return;
-
-    // Determine what to fill: paths if walls complete, walls if paths complete
-    const fillType = wallsComplete ? 2 : 1; // 2 = path, 1 = wall
-
-    // Check if there are any empty cells to fill
-    let hasEmpty = false;
-    for (let i = 0; i < SIZE; i++) {
-        const idx = isRow ? index * SIZE + i : i * SIZE + index;
-        const r = Math.floor(idx / SIZE), c = idx % SIZE;
-        if (merged[idx] === 0 && !isFixedPath(r, c)) {
-            if (!isCellLocked(idx)) hasEmpty = true;
-        }
-    }
-    if (!hasEmpty) return;
-
-    // Save undo state before making changes
-    saveUndoState();
-
-    // Set fork anchor to the label
-    if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
-        forkAnchors[currentIdx] = {type: isRow ? 'row' : 'col', index: index};
-    }
-
-    // Fill empty cells with the appropriate type
-    for (let i = 0; i < SIZE; i++) {
-        const idx = isRow ? index * SIZE + i : i * SIZE + index;
-        const r = Math.floor(idx / SIZE), c = idx % SIZE;
-
-        if (merged[idx] === 0 && !isFixedPath(r, c)) {
-            // Check if locked by lower layer or generator
-            if (!isCellLocked(idx)) {
-                layers[currentIdx][idx] = fillType;
-            }
-        }
-    }
-
-    ChipSound.labelFill();
-    moveCount++;
-    update();
-}
-
-function render() {
-    const gameB = document.getElementById('mainGrid');
-    const rowL = document.getElementById('rowLabels'), colL = document.getElementById('colLabels');
-    gameB.querySelectorAll('.cell').forEach(c => c.remove());
-    rowL.innerHTML = ''; colL.innerHTML = '';
-    gameB.style.gridTemplateColumns = `repeat(${SIZE}, var(--cell-size))`;
-    gameB.style.gridTemplateRows = `repeat(${SIZE}, var(--cell-size))`;
-    for(let i=0; i<SIZE; i++) {
-        const rowLabel = document.createElement('div');
-        rowLabel.className = 'count-neon';
-        rowLabel.style.cursor = 'pointer';
-        rowLabel.onclick = () => handleLabelClick(true, i);
-        rowL.appendChild(rowLabel);
-
-        const colLabel = document.createElement('div');
-        colLabel.className = 'count-neon';
-        colLabel.style.cursor = 'pointer';
-        colLabel.onclick = () => handleLabelClick(false, i);
-        colL.appendChild(colLabel);
-    }
-    for(let i=0; i<SIZE*SIZE; i++) {
-        const gCell = document.createElement('div');
-        gCell.className = 'cell';
-        gCell.onpointerdown = (e) => { gCell.releasePointerCapture(e.pointerId); handleCellAction(i); };
-        gCell.onpointerenter = () => { if (isDragging) handleCellAction(i); };
-        gameB.appendChild(gCell);
-    }
-    window.onpointerup = () => {
-        // If we had a pending toggle (clicked on wall/path without dragging), complete it
-        if (dragPendingToggle && dragStartIdx !== null) {
-            // Toggle: wall -> path, path -> empty
-            const newVal = dragStartVal === 1 ? 2 : 0;
-            if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
-                forkAnchors[currentIdx] = {type: 'cell', idx: dragStartIdx};
-            }
-            layers[currentIdx][dragStartIdx] = newVal;
-            if (newVal === 2) ChipSound.path();
-            else if (newVal === 0) ChipSound.erase();
-            moveCount++;
-            update();
-        }
-        isDragging = false;
-        dragMode = null;
-        dragStartIdx = null;
-        dragStartVal = null;
-        dragPendingToggle = false;
-        dragToggleMode = false;
-    };
-    update();
-}
-
-function isTargetDeadEnd(r, c) {
-    if(solution[r][c] === 1) return false;
-    let walls = 0;
-    [[0,1],[0,-1],[1,0],[-1,0]].forEach(([dr, dc]) => {
-        let nr=r+dr, nc=c+dc;
-        if(nr<0||nr>=SIZE||nc<0||nc>=SIZE||solution[nr][nc] === 1) walls++;
-    });
-    return walls >= 3;
-}
-
-// Check if player's current state is a valid alternate solution
-// Returns true if: row/col counts match, no 2x2 path blocks, paths connected
-function isValidAlternateSolution(merged) {
-    // 1. Check row wall counts match targets
-    for (let r = 0; r < SIZE; r++) {
-        let wallCount = 0;
-        for (let c = 0; c < SIZE; c++) {
-            if (merged[r * SIZE + c] === 1) wallCount++;
-        }
-        if (wallCount !== targets.r[r]) return false;
-    }
-
-    // 2. Check column wall counts match targets
-    for (let c = 0; c < SIZE; c++) {
-        let wallCount = 0;
-        for (let r = 0; r < SIZE; r++) {
-            if (merged[r * SIZE + c] === 1) wallCount++;
-        }
-        if (wallCount !== targets.c[c]) return false;
-    }
-
-    // 3. Check no 2x2 path blocks (except around stockpile)
-    for (let r = 0; r < SIZE - 1; r++) {
-        for (let c = 0; c < SIZE - 1; c++) {
-            const corners = [
-                r * SIZE + c,
-                r * SIZE + c + 1,
-                (r + 1) * SIZE + c,
-                (r + 1) * SIZE + c + 1
-            ];
-
-            // Check if all 4 corners are paths (not walls)
-            if (corners.every(idx => merged[idx] !== 1)) {
-                // Allow 2x2 paths near stockpile (it's in a 3x3 room)
-                if (stockpilePos) {
-                    let nearStockpile = false;
-                    for (const idx of corners) {
-                        const cr = Math.floor(idx / SIZE), cc = idx % SIZE;
-                        const dr = Math.abs(cr - stockpilePos.r);
-                        const dc = Math.abs(cc - stockpilePos.c);
-                        if (dr <= 1 && dc <= 1) nearStockpile = true;
-                    }
-                    if (nearStockpile) continue;
-                }
-                return false; // Invalid 2x2 path block
-            }
-        }
-    }
-
-    // 4. Check all paths are connected (single connected component)
-    // Find all path cells
-    const pathCells = [];
-    for (let i = 0; i < SIZE * SIZE; i++) {
-        if (merged[i] !== 1) pathCells.push(i);
-    }
-
-    if (pathCells.length === 0) return false;
-
-    // BFS from first path cell
-    const visited = new Set();
-    const stack = [pathCells[0]];
-    visited.add(pathCells[0]);
-
-    while (stack.length > 0) {
-        const idx = stack.pop();
-        const r = Math.floor(idx / SIZE), c = idx % SIZE;
-
-        [[0,1],[0,-1],[1,0],[-1,0]].forEach(([dr, dc]) => {
-            const nr = r + dr, nc = c + dc;
-            if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE) {
-                const nIdx = nr * SIZE + nc;
-                if (merged[nIdx] !== 1 && !visited.has(nIdx)) {
-                    visited.add(nIdx);
-                    stack.push(nIdx);
-                }
-            }
-        });
-    }
-
-    // All path cells should be visited
-    if (visited.size !== pathCells.length) return false;
-
-    return true;
-}
-
-function findLockedWallsForAmbiguousSolutions() {
-    const locked = Array(SIZE * SIZE).fill(false);
-    const merged = Array(SIZE * SIZE).fill(0);
-    const solverGuard = {
-        steps: 0,
-        maxSteps: 8000,
-        maxDepth: 24
-    };
-
-    function guardExceeded() {
-        solverGuard.steps++;
-        return solverGuard.steps > solverGuard.maxSteps;
-    }
-
-    function isSolved(mergedBoard) {
-        return isValidAlternateSolution(mergedBoard);
-    }
-
-    function hasContradiction(mergedBoard) {
-        // 1. Invalid dead end (path boxed in by 3+ walls that isn't a dead end node)
-        if (findInvalidDeadEnd(mergedBoard)) return true;
-
-        // 2. Row/column over limit
-        for (let r = 0; r < SIZE; r++) {
-            const { walls, paths, target, expectedPaths } = getRowCounts(mergedBoard, r);
-            if (walls > target || paths > expectedPaths) return true;
-        }
-        for (let c = 0; c < SIZE; c++) {
-            const { walls, paths, target, expectedPaths } = getColCounts(mergedBoard, c);
-            if (walls > target || paths > expectedPaths) return true;
-        }
-
-        // 3. 2x2 path block (outside vault)
-        for (let r = 0; r < SIZE - 1; r++) {
-            for (let c = 0; c < SIZE - 1; c++) {
-                let allPaths = true;
-                let nearStockpile = false;
-                for (const [dr, dc] of [[0, 0], [0, 1], [1, 0], [1, 1]]) {
-                    const cr = r + dr, cc = c + dc;
-                    const idx = cr * SIZE + cc;
-                    if (mergedBoard[idx] !== 2 && !isFixedPath(cr, cc)) allPaths = false;
-                    if (stockpilePos && Math.abs(cr - stockpilePos.r) <= 1 && Math.abs(cc - stockpilePos.c) <= 1) {
-                        nearStockpile = true;
-                    }
-                }
-                if (allPaths && !nearStockpile) return true;
-            }
-        }
-
-        // 4. Dead end with multiple paths
-        for (let r = 0; r < SIZE; r++) {
-            for (let c = 0; c < SIZE; c++) {
-                if (!isTargetDeadEnd(r, c)) continue;
-                let pathCount = 0;
-                for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
-                    const nr = r + dr, nc = c + dc;
-                    if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) continue;
-                    const nIdx = nr * SIZE + nc;
-                    if (mergedBoard[nIdx] === 2 || isFixedPath(nr, nc)) pathCount++;
-                }
-                if (pathCount > 1) return true;
-            }
-        }
-
-        // 5. Cut-off section of the grid (walls separating regions so paths can't connect)
-        const nonWallCells = [];
-        for (let i = 0; i < SIZE * SIZE; i++) {
-            if (mergedBoard[i] !== 1) nonWallCells.push(i);
-        }
-        if (nonWallCells.length > 1) {
-            const visited = new Set();
-            const stack = [nonWallCells[0]];
-            visited.add(nonWallCells[0]);
-
-            while (stack.length > 0) {
-                const idx = stack.pop();
-                const r = Math.floor(idx / SIZE), c = idx % SIZE;
-                for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
-                    const nr = r + dr, nc = c + dc;
-                    if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE) {
-                        const nIdx = nr * SIZE + nc;
-                        if (!visited.has(nIdx) && mergedBoard[nIdx] !== 1) {
-                            visited.add(nIdx);
-                            stack.push(nIdx);
-                        }
-                    }
-                }
-            }
-
-            if (visited.size < nonWallCells.length) return true;
-        }
-
-        return false;
-    }
-
-    function getDeterministicHint(mergedBoard) {
-        const hintFunctions = [
-            { name: 'hintTrivialRowCol', fn: () => hintTrivialRowCol(mergedBoard) },
-            { name: 'hintDeadEndCanBeFinished', fn: () => hintDeadEndCanBeFinished(mergedBoard) },
-            { name: 'hint2x2With3Paths', fn: () => hint2x2With3Paths(mergedBoard) },
-            { name: 'hintVaultPerimeterComplete', fn: () => hintVaultPerimeterComplete(mergedBoard) },
-            { name: 'hintPathMustExtend', fn: () => hintPathMustExtend(mergedBoard) },
-            { name: 'hintRowColComplete', fn: () => hintRowColComplete(mergedBoard) },
-            { name: 'hintEmptyDeadEndMustBeWall', fn: () => hintEmptyDeadEndMustBeWall(mergedBoard, null) },
-            { name: 'hintVaultInteriorMustBePath', fn: () => hintVaultInteriorMustBePath(mergedBoard) },
-            { name: 'hintVaultExitDeadEnd', fn: () => hintVaultExitDeadEnd(mergedBoard) },
-            { name: 'hintDeadEndAdjacent', fn: () => hintDeadEndAdjacent(mergedBoard) },
-            { name: 'hintCornerFlankingDeadEnds', fn: () => hintCornerFlankingDeadEnds(mergedBoard) },
-            { name: 'hintDeadEndOr2x2Squeeze', fn: () => hintDeadEndOr2x2Squeeze(mergedBoard) },
-            { name: 'hintEdgeDeadEndOneWall', fn: () => hintEdgeDeadEndOneWall(mergedBoard) },
-            { name: 'hintEdgeCornerDeadEnd', fn: () => hintEdgeCornerDeadEnd(mergedBoard) },
-            { name: 'hintCacheNearEdge', fn: () => hintCacheNearEdge(mergedBoard) },
-            { name: 'hintRowColCompletionCausesError', fn: () => hintRowColCompletionCausesError(mergedBoard) }
-        ];
-
-        for (const { name, fn } of hintFunctions) {
-            const hint = fn();
-            if (hint && hint.cells && hint.shouldBe) {
-                return hint;
-            }
-        }
-        return null;
-    }
-
-    function applyHint(mergedBoard, hint) {
-        const value = hint.shouldBe === 'wall' ? 1 : 2;
-        let changed = false;
-        for (const cell of hint.cells) {
-            const idx = cell.r * SIZE + cell.c;
-            if (mergedBoard[idx] === 0) {
-                mergedBoard[idx] = value;
-                changed = true;
-            } else if (mergedBoard[idx] !== value) {
-                return { conflict: true, changed: false };
-            }
-        }
-        return { conflict: false, changed };
-    }
-
-    function findVaultExitCandidates() {
-        if (!stockpilePos) return [];
-        for (let roomR = Math.max(0, stockpilePos.r - 2); roomR <= Math.min(stockpilePos.r, SIZE - 3); roomR++) {
-            for (let roomC = Math.max(0, stockpilePos.c - 2); roomC <= Math.min(stockpilePos.c, SIZE - 3); roomC++) {
-                if (stockpilePos.r < roomR || stockpilePos.r > roomR + 2 ||
-                    stockpilePos.c < roomC || stockpilePos.c > roomC + 2) continue;
-
-                let interiorClear = true;
-                for (let dr = 0; dr < 3 && interiorClear; dr++) {
-                    for (let dc = 0; dc < 3 && interiorClear; dc++) {
-                        if (solution[roomR + dr][roomC + dc] === 1) interiorClear = false;
-                    }
-                }
-                if (!interiorClear) continue;
-
-                let doorCells = [];
-                let wallCount = 0;
-                for (let dc = 0; dc < 3; dc++) {
-                    if (roomR === 0) {
-                        wallCount++;
-                    } else if (solution[roomR - 1][roomC + dc] === 1) {
-                        wallCount++;
-                    } else {
-                        doorCells.push((roomR - 1) * SIZE + (roomC + dc));
-                    }
-
-                    if (roomR + 2 === SIZE - 1) {
-                        wallCount++;
-                    } else if (solution[roomR + 3][roomC + dc] === 1) {
-                        wallCount++;
-                    } else {
-                        doorCells.push((roomR + 3) * SIZE + (roomC + dc));
-                    }
-                }
-                for (let dr = 0; dr < 3; dr++) {
-                    if (roomC === 0) {
-                        wallCount++;
-                    } else if (solution[roomR + dr][roomC - 1] === 1) {
-                        wallCount++;
-                    } else {
-                        doorCells.push((roomR + dr) * SIZE + (roomC - 1));
-                    }
-
-                    if (roomC + 2 === SIZE - 1) {
-                        wallCount++;
-                    } else if (solution[roomR + dr][roomC + 3] === 1) {
-                        wallCount++;
-                    } else {
-                        doorCells.push((roomR + dr) * SIZE + (roomC + 3));
-                    }
-                }
-
-                if (wallCount === 11) return doorCells;
-            }
-        }
-        return [];
-    }
-
-    function chooseForkCell(mergedBoard) {
-        // Priority 1: path out of dead end
-        for (let r = 0; r < SIZE; r++) {
-            for (let c = 0; c < SIZE; c++) {
-                if (!isTargetDeadEnd(r, c)) continue;
-                for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
-                    const nr = r + dr, nc = c + dc;
-                    if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) continue;
-                    if (isFixedPath(nr, nc)) continue;
-                    const nIdx = nr * SIZE + nc;
-                    if (mergedBoard[nIdx] === 0) return nIdx;
-                }
-            }
-        }
-
-        // Priority 2: row/col needs one more path
-        for (let r = 0; r < SIZE; r++) {
-            const { walls, paths, target } = getRowCounts(mergedBoard, r);
-            const expectedPaths = SIZE - target;
-            if (expectedPaths - paths === 1) {
-                for (let c = 0; c < SIZE; c++) {
-                    const idx = r * SIZE + c;
-                    if (mergedBoard[idx] === 0 && !isFixedPath(r, c)) return idx;
-                }
-            }
-        }
-        for (let c = 0; c < SIZE; c++) {
-            const { walls, paths, target } = getColCounts(mergedBoard, c);
-            const expectedPaths = SIZE - target;
-            if (expectedPaths - paths === 1) {
-                for (let r = 0; r < SIZE; r++) {
-                    const idx = r * SIZE + c;
-                    if (mergedBoard[idx] === 0 && !isFixedPath(r, c)) return idx;
-                }
-            }
-        }
-
-        // Priority 3: row/col needs one more wall
-        for (let r = 0; r < SIZE; r++) {
-            const { walls, target } = getRowCounts(mergedBoard, r);
-            if (target - walls === 1) {
-                for (let c = 0; c < SIZE; c++) {
-                    const idx = r * SIZE + c;
-                    if (mergedBoard[idx] === 0 && !isFixedPath(r, c)) return idx;
-                }
-            }
-        }
-        for (let c = 0; c < SIZE; c++) {
-            const { walls, target } = getColCounts(mergedBoard, c);
-            if (target - walls === 1) {
-                for (let r = 0; r < SIZE; r++) {
-                    const idx = r * SIZE + c;
-                    if (mergedBoard[idx] === 0 && !isFixedPath(r, c)) return idx;
-                }
-            }
-        }
-
-        // Priority 4: path out of a vault (door cell)
-        const vaultExitCandidates = findVaultExitCandidates();
-        for (const idx of vaultExitCandidates) {
-            const r = Math.floor(idx / SIZE);
-            const c = idx % SIZE;
-            if (mergedBoard[idx] === 0 && !isFixedPath(r, c)) return idx;
-        }
-
-        // Fallback: first empty cell
-        for (let i = 0; i < SIZE * SIZE; i++) {
-            const r = Math.floor(i / SIZE), c = i % SIZE;
-            if (mergedBoard[i] === 0 && !isFixedPath(r, c)) return i;
-        }
-
-        return null;
-    }
-
-    function copyMerged(target, source) {
-        for (let i = 0; i < target.length; i++) {
-            target[i] = source[i];
-        }
-    }
-
-    function solveWithHints(mergedBoard) {
-        while (true) {
-            if (guardExceeded())
-                return { status: 'stuck' };
-            if (hasContradiction(mergedBoard))
-                return { status: 'conflict' };
-            if (isSolved(mergedBoard))
-                return { status: 'solved' };
-
-            const hint = getDeterministicHint(mergedBoard);
-            if (!hint) return { status: 'stuck' };
-            const result = applyHint(mergedBoard, hint);
-            if (result.conflict) return { status: 'conflict' };
-            if (!result.changed) return { status: 'stuck' };
-        }
-    }
-
-    function solveWithForks(mergedBoard, depth = 0) {
-        if (depth > solverGuard.maxDepth) return { status: 'stuck', board: mergedBoard };
-
-        while (true) {
-            const hintResult = solveWithHints(mergedBoard);
-            if (hintResult.status !== 'stuck') {
-                return { status: hintResult.status, board: mergedBoard };
-            }
-
-            const decisionIdx = chooseForkCell(mergedBoard);
-            if (decisionIdx === null) return { status: 'stuck', board: mergedBoard };
-
-            const wallBranch = mergedBoard.slice();
-            wallBranch[decisionIdx] = 1;
-            const pathBranch = mergedBoard.slice();
-            pathBranch[decisionIdx] = 2;
-
-            const wallResult = solveWithForks(wallBranch, depth + 1);
-            const pathResult = solveWithForks(pathBranch, depth + 1);
-
-            if (wallResult.status === 'conflict' && pathResult.status === 'conflict') {
-                return { status: 'conflict', board: mergedBoard };
-            }
-
-            if (wallResult.status === 'solved' && pathResult.status === 'solved') {
-                const newLocks = [];
-                for (let i = 0; i < SIZE * SIZE; i++) {
-                    if (wallResult.board[i] === pathResult.board[i]) continue;
-                    const r = Math.floor(i / SIZE);
-                    const c = i % SIZE;
-                    if (solution[r][c] === 1) {
-                        if (!locked[i]) newLocks.push(i);
-                    }
-                }
-
-                if (newLocks.length === 0) {
-                    return { status: 'solved', board: mergedBoard };
-                }
-
-                let bestIdx = newLocks[0];
-                let bestScore = -Infinity;
-                for (const idx of newLocks) {
-                    const r = Math.floor(idx / SIZE);
-                    const c = idx % SIZE;
-                    const rowCounts = getRowCounts(mergedBoard, r);
-                    const colCounts = getColCounts(mergedBoard, c);
-                    const remainingRowWalls = rowCounts.target - rowCounts.walls;
-                    const remainingColWalls = colCounts.target - colCounts.walls;
-                    const score = remainingRowWalls + remainingColWalls;
-                    if (score > bestScore) {
-                        bestScore = score;
-                        bestIdx = idx;
-                    }
-                }
-
-                locked[bestIdx] = true;
-                mergedBoard[bestIdx] = 1;
-                continue;
-            }
-
-            if (wallResult.status === 'conflict' && pathResult.status !== 'conflict') {
-                copyMerged(mergedBoard, pathResult.board);
-                continue;
-            }
-            if (pathResult.status === 'conflict' && wallResult.status !== 'conflict') {
-                copyMerged(mergedBoard, wallResult.board);
-                continue;
-            }
-
-            if (wallResult.status === 'solved' || pathResult.status === 'solved') {
-                return { status: 'solved', board: mergedBoard };
-            }
-
-            return { status: 'stuck', board: mergedBoard };
-        }
-    }
-
-    solveWithForks(merged);
-    return locked;
-}
-
-function getShortestPathBetween(merged, startIdx, endIdx) {
-    let queue = [[startIdx]];
-    let visited = new Set([startIdx]);
-    while (queue.length > 0) {
-        let path = queue.shift();
-        let curr = path[path.length - 1];
-        if (curr === endIdx) return path;
-        let r = Math.floor(curr / SIZE), c = curr % SIZE;
-        [[0,1],[0,-1],[1,0],[-1,0]].forEach(([dr, dc]) => {
-            let nr = r + dr, nc = c + dc;
-            let nIdx = nr * SIZE + nc;
-            if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE && !visited.has(nIdx)) {
-                if (merged[nIdx] === 2 || isTargetDeadEnd(nr, nc)) {
-                    visited.add(nIdx);
-                    queue.push([...path, nIdx]);
-                }
-            }
-        });
-    }
-    return null;
-}
-
-function update() {
-    if (isWon) return;
-    const cells = document.getElementById('mainGrid').querySelectorAll('.cell');
-    const rl = document.getElementById('rowLabels').children;
-    const cl = document.getElementById('colLabels').children;
-    const merged = getMergedBoard();
-
-    // Check for win: either exact match OR valid alternate solution
-    let allWallsCorrect = true;
-    for(let i=0; i<SIZE*SIZE; i++) {
-        const r = Math.floor(i/SIZE), c = i%SIZE;
-        if(solution[r][c] === 1 && merged[i] !== 1) allWallsCorrect = false;
-        if(merged[i] === 1 && solution[r][c] !== 1) allWallsCorrect = false;
-    }
-    if(allWallsCorrect || isValidAlternateSolution(merged)) {
-        isWon = true;
-        triggerVictorySequence();
-        return;
-    }
-
-    // Tutorial mode: check if current hint is complete and show next
-    if (isTutorialMode) {
-        onTutorialMove();
-    }
-
-    const rowTotals = Array(SIZE).fill(0), colTotals = Array(SIZE).fill(0);
-    const rowPathTotals = Array(SIZE).fill(0), colPathTotals = Array(SIZE).fill(0);
-    const rowOk = Array(SIZE).fill(false), colOk = Array(SIZE).fill(false);
-    const rowPathOk = Array(SIZE).fill(false), colPathOk = Array(SIZE).fill(false);
-    const fa = forkAnchors[currentIdx];
-    const anchorColor = colors[currentIdx]; // green, amber, or magenta
-    for(let r=0; r<SIZE; r++) {
-        let wallCount = 0, pathCount = 0;
-        for(let c=0; c<SIZE; c++) {
-            const idx = r*SIZE+c;
-            if(merged[idx] === 1) wallCount++;
-            // Count paths, dead ends, and stockpile (which are effectively paths)
-            else if(merged[idx] === 2 || isFixedPath(r, c)) pathCount++;
-        }
-        rowTotals[r] = wallCount;
-        rowPathTotals[r] = pathCount;
-        rl[r].innerText = targets.r[r];
-        rowOk[r] = wallCount === targets.r[r];
-        // Path is complete when we have exactly (SIZE - target walls) paths
-        const expectedPaths = SIZE - targets.r[r];
-        // Blue headers are controlled by path completion toggle
-        rowPathOk[r] = isPathCompletionEnabled() && !rowOk[r] && pathCount === expectedPaths;
-        let rowClass = `count-neon ${rowOk[r] ? 'count-ok' : (rowPathOk[r] ? 'count-path-ok' : (wallCount > targets.r[r] ? 'count-over' : ''))}`;
-        if (currentIdx > 0 && fa && fa.type === 'row' && fa.index === r) {
-            rowClass += ` label-anchor label-anchor-${anchorColor}`;
-        }
-        rl[r].className = rowClass;
-    }
-    for(let c=0; c<SIZE; c++) {
-        let wallCount = 0, pathCount = 0;
-        for(let r=0; r<SIZE; r++) {
-            const idx = r*SIZE+c;
-            if(merged[idx] === 1) wallCount++;
-            // Count paths, dead ends, and stockpile (which are effectively paths)
-            else if(merged[idx] === 2 || isFixedPath(r, c)) pathCount++;
-        }
-        colTotals[c] = wallCount;
-        colPathTotals[c] = pathCount;
-        cl[c].innerText = targets.c[c];
-        colOk[c] = wallCount === targets.c[c];
-        // Path is complete when we have exactly (SIZE - target walls) paths
-        const expectedPaths = SIZE - targets.c[c];
-        // Blue headers are controlled by path completion toggle
-        colPathOk[c] = isPathCompletionEnabled() && !colOk[c] && pathCount === expectedPaths;
-        let colClass = `count-neon ${colOk[c] ? 'count-ok' : (colPathOk[c] ? 'count-path-ok' : (wallCount > targets.c[c] ? 'count-over' : ''))}`;
-        if (currentIdx > 0 && fa && fa.type === 'col' && fa.index === c) {
-            colClass += ` label-anchor label-anchor-${anchorColor}`;
-        }
-        cl[c].className = colClass;
-    }
-
-    // Apply row/col ok classes to cells with staggered animation delays
-    // Pulse should span the entire grid: when last cell starts, first should be dimming
-    const cellPulseTime = 0.3; // how long each cell's pulse lasts (seconds)
-    const totalTravelTime = cellPulseTime * SIZE; // time for pulse to travel across grid
-    const randomPause = 2 + Math.random() * 3; // 2-5 seconds random pause between loops
-    const pulseDuration = totalTravelTime + randomPause;
-
-    for(let i=0; i<SIZE*SIZE; i++) {
-        const r = Math.floor(i/SIZE), c = i % SIZE;
-        cells[i].classList.toggle('cell-row-ok', rowOk[r]);
-        cells[i].classList.toggle('cell-col-ok', colOk[c]);
-        // Set animation delays based on position (row pulse: left to right, col pulse: top to bottom)
-        cells[i].style.setProperty('--row-delay', `${c * cellPulseTime}s`);
-        cells[i].style.setProperty('--col-delay', `${r * cellPulseTime}s`);
-        cells[i].style.setProperty('--pulse-duration', `${pulseDuration}s`);
-    }
-
-    const subgraphMap = Array(SIZE * SIZE).fill(-1);
-    let subgraphs = [];
-    for (let i = 0; i < SIZE * SIZE; i++) {
-        if (merged[i] !== 1 && subgraphMap[i] === -1) {
-            const currentGraph = [];
-            const stack = [i]; subgraphMap[i] = subgraphs.length;
-            while (stack.length > 0) {
-                const curr = stack.pop(); currentGraph.push(curr);
-                const r = Math.floor(curr/SIZE), c = curr % SIZE;
-                [[0,1],[0,-1],[1,0],[-1,0]].forEach(([dr, dc]) => {
-                    const nr = r + dr, nc = c + dc, nIdx = nr * SIZE + nc;
-                    if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE && merged[nIdx] !== 1 && subgraphMap[nIdx] === -1) {
-                        subgraphMap[nIdx] = subgraphs.length; stack.push(nIdx);
-                    }
-                });
-            }
-            subgraphs.push(currentGraph);
-        }
-    }
-
-    let primaryIdx = -1;
-    if (subgraphs.length > 0) {
-        let maxLen = -1;
-        subgraphs.forEach((g, idx) => { if(g.length > maxLen) { maxLen = g.length; primaryIdx = idx; } });
-    }
-    const erraticIndices = new Set();
-    subgraphs.forEach((g, idx) => { if (idx !== primaryIdx) g.forEach(i => erraticIndices.add(i)); });
-
-    const authenticatedIndices = new Set();
-    const authenticatedEdges = new Set();
-    const visitedNetwork = new Set();
-    for(let i=0; i<SIZE*SIZE; i++) {
-        if(merged[i] === 2 && !visitedNetwork.has(i)) {
-            let cluster = [], deadEndsFound = [], stack = [i];
-            visitedNetwork.add(i);
-            while(stack.length > 0) {
-                let idx = stack.pop(), cr = Math.floor(idx/SIZE), cc = idx%SIZE;
-                cluster.push(idx);
-                [[0,1],[0,-1],[1,0],[-1,0]].forEach(([dr, dc]) => {
-                    let nr=cr+dr, nc=cc+dc;
-                    if(nr>=0 && nr<SIZE && nc>=0 && nc<SIZE) {
-                        let nIdx = nr*SIZE+nc;
-                        if(merged[nIdx] === 2 && !visitedNetwork.has(nIdx)) { visitedNetwork.add(nIdx); stack.push(nIdx); } 
-                        else if(isTargetDeadEnd(nr, nc)) { if(!deadEndsFound.includes(nIdx)) deadEndsFound.push(nIdx); }
-                    }
-                });
-            }
-            if(deadEndsFound.length >= 2) {
-                for(let start = 0; start < deadEndsFound.length; start++) {
-                    for(let end = start + 1; end < deadEndsFound.length; end++) {
-                        let path = getShortestPathBetween(merged, deadEndsFound[start], deadEndsFound[end]);
-                        if(path) {
-                            path.forEach(nodeIdx => authenticatedIndices.add(nodeIdx));
-                            for(let pIdx=0; pIdx < path.length - 1; pIdx++) {
-                                let u = Math.min(path[pIdx], path[pIdx+1]);
-                                let v = Math.max(path[pIdx], path[pIdx+1]);
-                                authenticatedEdges.add(`${u}-${v}`);
-                            }
-                        }
-                    }
-                }
-            }
-        }
-    }
-
-    // Check if a 3x3 room starting at (roomR, roomC) is surrounded by 11 walls (1 door)
-    // AND has no walls inside the room
-    function isRoomSurroundedByWalls(roomR, roomC) {
-        if (roomR < 0 || roomR + 2 >= SIZE || roomC < 0 || roomC + 2 >= SIZE) return false;
-        if (!stockpilePos) return false;
-
-        // Check if stockpile is in this room
-        if (stockpilePos.r < roomR || stockpilePos.r > roomR + 2 ||
-            stockpilePos.c < roomC || stockpilePos.c > roomC + 2) return false;
-
-        // Check that there are no walls inside the 3x3 room
-        for (let dr = 0; dr < 3; dr++) {
-            for (let dc = 0; dc < 3; dc++) {
-                const idx = (roomR + dr) * SIZE + (roomC + dc);
-                if (merged[idx] === 1) return false; // Wall inside room - not valid
-            }
-        }
-
-        // Count walls around the perimeter (should be 11 for 1 door)
-        let wallCount = 0;
-        // Top edge (3 cells above room)
-        for (let dc = 0; dc < 3; dc++) {
-            if (roomR === 0) wallCount++; // Grid edge counts as wall
-            else if (merged[(roomR - 1) * SIZE + (roomC + dc)] === 1) wallCount++;
-        }
-        // Bottom edge (3 cells below room)
-        for (let dc = 0; dc < 3; dc++) {
-            if (roomR + 2 === SIZE - 1) wallCount++; // Grid edge counts as wall
-            else if (merged[(roomR + 3) * SIZE + (roomC + dc)] === 1) wallCount++;
-        }
-        // Left edge (3 cells left of room)
-        for (let dr = 0; dr < 3; dr++) {
-            if (roomC === 0) wallCount++; // Grid edge counts as wall
-            else if (merged[(roomR + dr) * SIZE + (roomC - 1)] === 1) wallCount++;
-        }
-        // Right edge (3 cells right of room)
-        for (let dr = 0; dr < 3; dr++) {
-            if (roomC + 2 === SIZE - 1) wallCount++; // Grid edge counts as wall
-            else if (merged[(roomR + dr) * SIZE + (roomC + 3)] === 1) wallCount++;
-        }
-
-        return wallCount === 11; // 12 perimeter cells - 1 door = 11 walls
-    }
-
-    // Check if a 3x3 room has all 9 cells as path AND contains stockpile
-    // Stockpile cell counts as always having a path
-    function isComplete3x3Path(roomR, roomC) {
-        if (roomR < 0 || roomR + 2 >= SIZE || roomC < 0 || roomC + 2 >= SIZE) return false;
-        if (!stockpilePos) return false;
-
-        // Check if stockpile is in this room
-        if (stockpilePos.r < roomR || stockpilePos.r > roomR + 2 ||
-            stockpilePos.c < roomC || stockpilePos.c > roomC + 2) return false;
-
-        // Check all 9 cells are path (merged === 2, dead end, or stockpile)
-        for (let dr = 0; dr < 3; dr++) {
-            for (let dc = 0; dc < 3; dc++) {
-                const idx = (roomR + dr) * SIZE + (roomC + dc);
-                const cr = roomR + dr, cc = roomC + dc;
-                const isStockpileCell = stockpilePos.r === cr && stockpilePos.c === cc;
-                if (merged[idx] !== 2 && !isTargetDeadEnd(cr, cc) && !isStockpileCell) return false;
-            }
-        }
-
-        return true;
-    }
-
-    // Check if stockpile is in a room surrounded by 11 walls
-    let stockpileInWalledRoom = false;
-    if (stockpilePos) {
-        for (let roomR = Math.max(0, stockpilePos.r - 2); roomR <= stockpilePos.r; roomR++) {
-            for (let roomC = Math.max(0, stockpilePos.c - 2); roomC <= stockpilePos.c; roomC++) {
-                if (isRoomSurroundedByWalls(roomR, roomC)) {
-                    stockpileInWalledRoom = true;
-                    break;
-                }
-            }
-            if (stockpileInWalledRoom) break;
-        }
-    }
-
-    // Find complete 3x3 path cells (for exemption from clump detection)
-    const complete3x3Cells = new Set();
-    if (stockpilePos) {
-        for (let roomR = Math.max(0, stockpilePos.r - 2); roomR <= stockpilePos.r; roomR++) {
-            for (let roomC = Math.max(0, stockpilePos.c - 2); roomC <= stockpilePos.c; roomC++) {
-                if (isComplete3x3Path(roomR, roomC)) {
-                    for (let dr = 0; dr < 3; dr++) {
-                        for (let dc = 0; dc < 3; dc++) {
-                            complete3x3Cells.add((roomR + dr) * SIZE + (roomC + dc));
-                        }
-                    }
-                }
-            }
-        }
-    }
-
-    const clumps = new Set();
-    for (let r=0; r<SIZE-1; r++) {
-        for (let c=0; c<SIZE-1; c++) {
-            let i = r*SIZE+c;
-            // Check the 4 corners of the 2x2 square
-            let corners = [i, i+1, i+SIZE, i+SIZE+1];
-            let pathCount = 0;
-            let deadEndCount = 0;
-            let nearStockpile = false;
-
-            corners.forEach((idx) => {
-                let cr = Math.floor(idx/SIZE), cc = idx%SIZE;
-                if(merged[idx] === 2) pathCount++;
-                else if(isTargetDeadEnd(cr, cc)) deadEndCount++;
-                // Check if this corner is the stockpile or orthogonally adjacent to it
-                if(stockpilePos) {
-                    const dr = Math.abs(cr - stockpilePos.r);
-                    const dc = Math.abs(cc - stockpilePos.c);
-                    if((dr === 0 && dc <= 1) || (dc === 0 && dr <= 1)) nearStockpile = true;
-                }
-            });
-
-            // Skip clump detection if any corner is the stockpile or adjacent to it
-            // (stockpile is part of a 3x3 room, so 2x2 paths around it are expected)
-            if (nearStockpile) continue;
-
-            // Mark as clump if path nodes + dead end nodes fill the 2x2 square
-            // BUT exempt if all corners are part of a complete 3x3 path with stockpile
-            if(pathCount + deadEndCount === 4 && pathCount > 0) {
-                const allInComplete3x3 = corners.every(idx => complete3x3Cells.has(idx));
-                if (!allInComplete3x3) {
-                    corners.forEach(idx => clumps.add(idx));
-                }
-            }
-        }
-    }
-
-    for(let i=0; i<SIZE*SIZE; i++) {
-        const cell = cells[i], r = Math.floor(i/SIZE), c = i%SIZE;
-        cell.innerHTML = ''; cell.classList.remove('cell-erratic');
-        let playerWalls = 0, connectedToManualPath = 0;
-        [[0,1],[0,-1],[1,0],[-1,0]].forEach(([dr, dc]) => {
-            let nr=r+dr, nc=c+dc;
-            if(nr<0||nr>=SIZE||nc<0||nc>=SIZE||merged[nr*SIZE+nc] === 1) playerWalls++;
-            else if(merged[nr*SIZE+nc] === 2) connectedToManualPath++;
-        });
-        if (erraticIndices.has(i)) cell.classList.add('cell-erratic');
-
-        // Render fork anchor diamond on cells
-        if (currentIdx > 0 && fa && fa.type === 'cell' && fa.idx === i) {
-            const anchor = document.createElement('div');
-            anchor.className = 'fork-anchor';
-            anchor.style.borderColor = `var(--neon-${colors[currentIdx]})`;
-            anchor.style.boxShadow = `0 0 10px var(--neon-${colors[currentIdx]})`;
-            setAnimationDelay(anchor);
-            cell.appendChild(anchor);
-        }
-
-        // Render stockpile if this is the stockpile position
-        if (stockpilePos && stockpilePos.r === r && stockpilePos.c === c) {
-            const stockpileState = stockpileInWalledRoom ? 'complete' : 'normal';
-            let stockpile;
-
-            // Use theme renderer if available
-            if (typeof ThemeManager !== 'undefined' && ThemeManager.current()?.renderStockpile) {
-                stockpile = ThemeManager.render.stockpile(stockpileState);
-            } else {
-                stockpile = document.createElement('div');
-                stockpile.className = 'stockpile' + (stockpileInWalledRoom ? ' stockpile-complete' : '');
-                const icon = document.createElement('div');
-                icon.className = 'stockpile-icon';
-                setAnimationDelay(icon);
-                stockpile.appendChild(icon);
-            }
-            setAnimationDelay(stockpile);
-            cell.appendChild(stockpile);
-        }
-
-        if(isTargetDeadEnd(r, c)) {
-            // Determine node state
-            let nodeState = 'normal';
-            if (erraticIndices.has(i) || playerWalls === 4) nodeState = 'erratic';
-            else if (isProgressIndicatorsEnabled() && playerWalls === 3) nodeState = 'complete';
-            else if (connectedToManualPath >= 2) nodeState = 'conflict';
-
-            let node;
-            // Use theme renderer if available
-            if (typeof ThemeManager !== 'undefined' && ThemeManager.current()?.renderNode) {
-                node = ThemeManager.render.node(nodeState);
-            } else {
-                node = document.createElement('div');
-                let nodeClass = 'node';
-                if (nodeState === 'erratic') nodeClass += ' node-erratic';
-                else if (nodeState === 'complete') nodeClass += ' node-complete';
-                else if (nodeState === 'conflict') nodeClass += ' node-conflict';
-                node.className = nodeClass;
-                const core = document.createElement('div');
-                core.className = 'node-core';
-                setAnimationDelay(core);
-                node.appendChild(core);
-            }
-            setAnimationDelay(node);
-            cell.appendChild(node);
-        } else if(isErrorIndicatorsEnabled() && playerWalls >= 3 && merged[i] !== 1) {
-            const box = document.createElement('div');
-            box.className = 'invalid-box';
-            if ((rowTotals[r] > targets.r[r] || colTotals[c] > targets.c[c]) || merged[i] === 2) box.classList.add('invalid-box-high');
-            setAnimationDelay(box);
-            box.innerHTML = '<div class="invalid-x"></div>';
-            cell.appendChild(box);
-        }
-
-        const isStockpileCell = stockpilePos && stockpilePos.r === r && stockpilePos.c === c;
-        if (merged[i] !== 1) {
-            // Draw trace lines from path nodes, dead ends, or stockpile (which acts as path)
-            if (merged[i] === 2 || isTargetDeadEnd(r, c) || isStockpileCell) {
-                [[0,1,'e','h','trace-e'],[0,-1,'w','h','trace-w'],[1,0,'s','v','trace-s'],[-1,0,'n','v','trace-n']].forEach(([dr, dc, dir, orient, cls]) => {
-                    let nr=r+dr, nc=c+dc, nIdx = nr*SIZE+nc;
-                    const isNeighborStockpile = stockpilePos && stockpilePos.r === nr && stockpilePos.c === nc;
-                    if(nr>=0 && nr<SIZE && nc>=0 && nc<SIZE && (merged[nIdx] === 2 || isTargetDeadEnd(nr, nc) || isNeighborStockpile)) {
-                        const trace = document.createElement('div');
-                        trace.className = `trace-line trace-${orient} ${cls}`;
-                        let u = Math.min(i, nIdx), v = Math.max(i, nIdx);
-                        if (isErrorIndicatorsEnabled() && (clumps.has(i) || clumps.has(nIdx))) trace.classList.add('trace-error');
-                        else if (erraticIndices.has(i)) trace.classList.add('trace-erratic');
-                        else if (isProgressIndicatorsEnabled() && (authenticatedEdges.has(`${u}-${v}`) || (complete3x3Cells.has(i) && complete3x3Cells.has(nIdx)))) {
-                            // Use blue for traces inside the 3x3 data node, green for authenticated paths
-                            const bothIn3x3 = complete3x3Cells.has(i) && complete3x3Cells.has(nIdx);
-                            trace.classList.add(bothIn3x3 ? 'trace-complete-blue' : 'trace-complete');
-                            // Check if both cells are from lower layers (should dim the trace)
-                            const iFromLower = layers[currentIdx][i] !== 2 && layers.slice(0, currentIdx).some(l => l[i] === 2);
-                            const nFromLower = layers[currentIdx][nIdx] !== 2 && layers.slice(0, currentIdx).some(l => l[nIdx] === 2);
-                            // Also consider dead ends and stockpile as "current" (not dimmed)
-                            const iIsCurrent = layers[currentIdx][i] === 2 || isTargetDeadEnd(r, c) || isStockpileCell;
-                            const nIsCurrent = layers[currentIdx][nIdx] === 2 || isTargetDeadEnd(nr, nc) || isNeighborStockpile;
-                            if (!iIsCurrent && !nIsCurrent && (iFromLower || nFromLower)) {
-                                trace.classList.add('trace-dim');
-                            }
-                        }
-                        cell.appendChild(trace);
-                    }
-                });
-            }
-        }
-
-        // Render answer key overlay if enabled (not allowed in daily puzzle mode)
-        if (showKey && isSolutionDisplayAllowed() && solution[r][c] === 1) {
-            const keyOverlay = document.createElement('div');
-            keyOverlay.className = 'answer-key-overlay';
-            cell.appendChild(keyOverlay);
-        }
-
-        if (lockedWalls[i]) {
-            let lockedWall;
-            if (typeof ThemeManager !== 'undefined' && ThemeManager.current()?.renderWall) {
-                lockedWall = ThemeManager.render.wall(0, false, false);
-            } else {
-                lockedWall = document.createElement('div');
-                lockedWall.className = 'wall wall-l0';
-            }
-            lockedWall.classList.add('wall-locked');
-            cell.appendChild(lockedWall);
-        }
-
-        layers.forEach((layer, lIdx) => {
-            if (layer[i] === 1) {
-                const isError = rowTotals[r] > targets.r[r] || colTotals[c] > targets.c[c];
-                const isCurrentLayer = lIdx === currentIdx;
-
-                // Use theme renderer if available
-                let wall;
-                if (typeof ThemeManager !== 'undefined' && ThemeManager.current()?.renderWall) {
-                    wall = ThemeManager.render.wall(lIdx, isError, isCurrentLayer);
-                } else {
-                    wall = document.createElement('div');
-                    const errorClass = isError ? (isCurrentLayer ? 'wall-error' : 'wall-error-dim') : '';
-                    wall.className = `wall wall-l${lIdx} ${isCurrentLayer ? '' : 'opacity-40'} ${errorClass}`;
-                }
-                if (isError && isCurrentLayer) setAnimationDelay(wall);
-                cell.appendChild(wall);
-            } else if (layer[i] === 2) {
-                const isCurrentLayer = lIdx === currentIdx;
-                const hasAnimation = clumps.has(i) || erraticIndices.has(i);
-
-                // Determine path state
-                let pathState = 'normal';
-                if (isErrorIndicatorsEnabled() && clumps.has(i)) pathState = 'error';
-                else if (erraticIndices.has(i)) pathState = 'erratic';
-                else if (isProgressIndicatorsEnabled() && complete3x3Cells.has(i)) pathState = 'complete-blue';
-                else if (isProgressIndicatorsEnabled() && authenticatedIndices.has(i)) pathState = 'complete';
-
-                // Use theme renderer if available
-                let dot;
-                if (typeof ThemeManager !== 'undefined' && ThemeManager.current()?.renderPathDot) {
-                    dot = ThemeManager.render.pathDot(lIdx, isCurrentLayer, pathState);
-                } else {
-                    dot = document.createElement('div');
-                    let dotClass = `path-dot ${isCurrentLayer ? '' : 'path-dot-dim'}`;
-                    if (pathState === 'error') dotClass += ' path-dot-error';
-                    else if (pathState === 'erratic') dotClass += ' path-dot-erratic';
-                    else if (pathState === 'complete-blue') dotClass += ' path-dot-complete-blue';
-                    else if (pathState === 'complete') dotClass += ' path-dot-complete';
-                    dot.className = dotClass;
-                }
-                if (hasAnimation) setAnimationDelay(dot);
-                cell.appendChild(dot);
-            }
-        });
-    }
-
-    updateButtonStates();
-
-    // Save game state after each update
-    if (isDailyPuzzle) {
-        DailyPuzzleState.saveProgress();
-    } else {
-        GameState.save();
-    }
-}
-
-function getPathOrder() {
-    // Find all path cells (non-wall cells in solution)
-    const pathCells = new Set();
-    for(let i=0; i<SIZE*SIZE; i++) {
-        const r = Math.floor(i/SIZE), c = i%SIZE;
-        if(solution[r][c] === 0) pathCells.add(i);
-    }
-    if(pathCells.size === 0) return [];
-
-    // Find a dead end to start from
-    let startIdx = pathCells.values().next().value;
-    for(let idx of pathCells) {
-        const r = Math.floor(idx/SIZE), c = idx%SIZE;
-        if(isTargetDeadEnd(r, c)) { startIdx = idx; break; }
-    }
-
-    // BFS flood fill - returns array of arrays, each inner array is cells at that distance
-    const waves = [[startIdx]];
-    const visited = new Set([startIdx]);
-
-    while(visited.size < pathCells.size) {
-        const currentWave = waves[waves.length - 1];
-        const nextWave = [];
-
-        for(let idx of currentWave) {
-            const r = Math.floor(idx/SIZE), c = idx%SIZE;
-            for(let [dr, dc] of [[0,1],[0,-1],[1,0],[-1,0]]) {
-                const nr = r+dr, nc = c+dc, nIdx = nr*SIZE+nc;
-                if(nr>=0 && nr<SIZE && nc>=0 && nc<SIZE && !visited.has(nIdx) && pathCells.has(nIdx)) {
-                    visited.add(nIdx);
-                    nextWave.push(nIdx);
-                }
-            }
-        }
-
-        if(nextWave.length === 0) break;
-        waves.push(nextWave);
-    }
-
-    return waves;
-}
-
-function formatTime(ms) {
-    const totalSeconds = Math.floor(ms / 1000);
-    const minutes = Math.floor(totalSeconds / 60);
-    const seconds = totalSeconds % 60;
-    return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-}
-
-function triggerVictorySequence() {
-    ChipSound.victory();
-    // Fill in any missing path nodes on the current layer (skip dead end nodes)
-    for(let i=0; i<SIZE*SIZE; i++) {
-        const r = Math.floor(i/SIZE), c = i%SIZE;
-        if(solution[r][c] === 0 && !isTargetDeadEnd(r, c)) {
-            // Check if this path cell is not already marked
-            let alreadyMarked = false;
-            for(let l of layers) {
-                if(l[i] === 2) { alreadyMarked = true; break; }
-            }
-            if(!alreadyMarked) {
-                layers[currentIdx][i] = 2;
-            }
-        }
-    }
-
-    // Re-render to show the last wall and filled path nodes
-    const cells = document.getElementById('mainGrid').querySelectorAll('.cell');
-    const rl = document.getElementById('rowLabels').children;
-    const cl = document.getElementById('colLabels').children;
-    const merged = getMergedBoard();
-
-    // Quick render of walls and path dots
-    for(let i=0; i<SIZE*SIZE; i++) {
-        const cell = cells[i], r = Math.floor(i/SIZE), c = i%SIZE;
-        cell.innerHTML = '';
-
-        if(isTargetDeadEnd(r, c)) {
-            const node = document.createElement('div');
-            node.className = 'node node-complete';
-            setAnimationDelay(node);
-            const core = document.createElement('div');
-            core.className = 'node-core';
-            setAnimationDelay(core);
-            node.appendChild(core);
-            cell.appendChild(node);
-        }
-
-        // Render stockpile if this is the stockpile position
-        if (stockpilePos && stockpilePos.r === r && stockpilePos.c === c) {
-            const stockpile = document.createElement('div');
-            stockpile.className = 'stockpile stockpile-complete';
-            const icon = document.createElement('div');
-            icon.className = 'stockpile-icon';
-            setAnimationDelay(icon);
-            stockpile.appendChild(icon);
-            setAnimationDelay(stockpile);
-            cell.appendChild(stockpile);
-        }
-
-        // Draw traces for path cells
-        if (merged[i] !== 1) {
-            if (merged[i] === 2 || isTargetDeadEnd(r, c)) {
-                [[0,1,'e','h','trace-e'],[0,-1,'w','h','trace-w'],[1,0,'s','v','trace-s'],[-1,0,'n','v','trace-n']].forEach(([dr, dc, dir, orient, cls]) => {
-                    let nr=r+dr, nc=c+dc, nIdx = nr*SIZE+nc;
-                    if(nr>=0 && nr<SIZE && nc>=0 && nc<SIZE && (merged[nIdx] === 2 || isTargetDeadEnd(nr, nc))) {
-                        const trace = document.createElement('div');
-                        trace.className = `trace-line trace-${orient} ${cls} trace-complete`;
-                        cell.appendChild(trace);
-                    }
-                });
-            }
-        }
-
-        if (lockedWalls[i]) {
-            cell.appendChild(Object.assign(document.createElement('div'), {className: 'wall wall-l0 wall-locked'}));
-        }
-
-        layers.forEach((layer, lIdx) => {
-            if (layer[i] === 1) {
-                cell.appendChild(Object.assign(document.createElement('div'), {className: `wall wall-l${lIdx}`}));
-            } else if (layer[i] === 2) {
-                cell.appendChild(Object.assign(document.createElement('div'), {className: `path-dot path-dot-complete`}));
-            }
-        });
-    }
-
-    // Update labels to show complete
-    for(let r=0; r<SIZE; r++) {
-        rl[r].className = 'count-neon count-ok';
-    }
-    for(let c=0; c<SIZE; c++) {
-        cl[c].className = 'count-neon count-ok';
-    }
-
-    // Small delay to let the DOM render the final state before animation
-    setTimeout(() => {
-        const waves = getPathOrder();
-        const delayPerWave = Math.max(40, 600 / waves.length); // Faster for larger grids
-
-        // Find which wave contains the stockpile
-        let stockpileWaveIdx = -1;
-        if (stockpilePos) {
-            const stockpileIdx = stockpilePos.r * SIZE + stockpilePos.c;
-            for (let wIdx = 0; wIdx < waves.length; wIdx++) {
-                if (waves[wIdx].includes(stockpileIdx)) {
-                    stockpileWaveIdx = wIdx;
-                    break;
-                }
-            }
-        }
-
-        // Animate cells wave by wave (flood fill effect)
-        waves.forEach((wave, waveIdx) => {
-            setTimeout(() => {
-                wave.forEach(idx => {
-                    cells[idx].classList.add('cell-victory-glow');
-                });
-
-                // Trigger data retrieved animation when wave reaches stockpile
-                if (waveIdx === stockpileWaveIdx && stockpilePos) {
-                    const stockpileCell = cells[stockpilePos.r * SIZE + stockpilePos.c];
-                    const stockpileEl = stockpileCell.querySelector('.stockpile');
-                    if (stockpileEl) {
-                        stockpileEl.classList.add('stockpile-retrieved');
-                    }
-                }
-            }, waveIdx * delayPerWave);
-        });
-
-        // Show victory overlay after path animation completes
-        const totalAnimTime = waves.length * delayPerWave + 400;
-        setTimeout(() => {
-            // Tutorial mode: show tutorial complete dialog instead of victory overlay
-            if (isTutorialMode) {
-                showTutorialComplete();
-                return;
-            }
-
-            // Calculate elapsed time
-            const currentSessionTime = gameStartTime ? Date.now() - gameStartTime : 0;
-            const elapsed = elapsedTimeBeforePause + currentSessionTime;
-
-            // Daily puzzle mode: show daily complete dialog and return to main game
-            if (isDailyPuzzle) {
-                DailyPuzzleState.markCompleted(elapsed, moveCount);
-                showDailyPuzzleComplete();
-                return;
-            }
-
-            // Update stats
-            winStreak++;
-            document.getElementById('statTime').textContent = formatTime(elapsed);
-            document.getElementById('statMoves').textContent = moveCount;
-            document.getElementById('statStreak').textContent = winStreak;
-
-            // Record persistent stats
-            PlayerStats.recordWin(SIZE, elapsed, moveCount, winStreak);
-
-            // Check if we just unlocked a new size
-            const newlyUnlockedSize = checkForNewUnlock(SIZE);
-            if (newlyUnlockedSize) {
-                updateGridSizeSelect();
-                showLevelUnlockedDialog(newlyUnlockedSize);
-                return;
-            }
-
-            // Generate techno-babble
-            document.getElementById('technoBabble').textContent = generateTechnoBabble();
-
-            // Highlight streak if > 1
-            const streakEl = document.getElementById('statStreak');
-            if(winStreak > 1) {
-                streakEl.classList.add('highlight');
-            } else {
-                streakEl.classList.remove('highlight');
-            }
-
-            document.getElementById('victoryOverlay').classList.add('visible');
-        }, totalAnimTime);
-    }, 100);
-}
-
-// Show the level unlocked dialog
-function showLevelUnlockedDialog(newSize) {
-    const dialog = document.getElementById('levelUnlockedDialog');
-    const sizeText = document.getElementById('unlockedSizeText');
-    const technoText = document.getElementById('unlockTechnoText');
-    const nextText = document.getElementById('unlockNextText');
-
-    if (sizeText) {
-        sizeText.textContent = `${newSize}×${newSize}`;
-    }
-
-    // Special message for data vault unlock size - introduces Data Vaults
-    if (newSize === DATA_VAULT_UNLOCK_SIZE) {
-        if (technoText) {
-            technoText.textContent = 'Secure data sectors now within operational parameters. New containment protocols available.';
-        }
-        if (nextText) {
-            nextText.innerHTML = `You've unlocked <span class="tutorial-highlight">${newSize}×${newSize}</span> grids. These larger matrices may contain <span class="tutorial-highlight">Data Vaults</span> — secure 3×3 zones with special rules. You can always return to smaller grids anytime.`;
-        }
-    } else {
-        // Standard message for other sizes
-        if (technoText) {
-            technoText.textContent = 'Cognitive load capacity verified. Higher-complexity matrices now accessible.';
-        }
-        if (nextText) {
-            nextText.innerHTML = `You've unlocked <span class="tutorial-highlight" id="unlockedSizeText">${newSize}×${newSize}</span> grids. Ready to increase the challenge? You can always return to smaller grids anytime.`;
-        }
-    }
-
-    // Store the new size for the button handlers
-    dialog.dataset.newSize = newSize;
-    dialog.showModal();
-}
-
-// Check if user has made any progress on the current puzzle
-function hasPuzzleProgress() {
-    for (let layer of layers) {
-        for (let val of layer) {
-            if (val !== 0) return true;
-        }
-    }
-    return false;
-}
-
-// Reset puzzle confirmation dialog
-const resetPuzzleDialog = document.getElementById('resetPuzzleDialog');
-let pendingResetAction = null;
-let pendingResetCancel = null;
-
-function confirmReset(action, onCancel) {
-    if (hasPuzzleProgress()) {
-        pendingResetAction = action;
-        pendingResetCancel = onCancel || null;
-        ChipSound.click();
-        resetPuzzleDialog.showModal();
-    } else {
-        action();
-    }
-}
-
-function cancelReset() {
-    ChipSound.click();
-    resetPuzzleDialog.close();
-    if (pendingResetCancel) {
-        pendingResetCancel();
-        pendingResetCancel = null;
-    }
-    pendingResetAction = null;
-}
-
-document.getElementById('resetPuzzleCancelBtn').onclick = cancelReset;
-
-document.getElementById('resetPuzzleConfirmBtn').onclick = () => {
-    ChipSound.click();
-    resetPuzzleDialog.close();
-    if (pendingResetAction) {
-        pendingResetAction();
-        pendingResetAction = null;
-    }
-    pendingResetCancel = null;
-};
-
-resetPuzzleDialog.addEventListener('click', (e) => {
-    if (e.target === resetPuzzleDialog) {
-        cancelReset();
-    }
-});
-
-document.getElementById('gridSizeSelect').onchange = () => {
-    const select = document.getElementById('gridSizeSelect');
-    const selectedSize = parseInt(select.value);
-    const previousSize = SIZE;
-
-    // Check if selected size is unlocked
-    if (!isSizeUnlocked(selectedSize)) {
-        select.value = previousSize;
-        ChipSound.error();
-        return;
-    }
-
-    confirmReset(
-        () => {
-            // Exit daily puzzle mode if active (changing size means starting regular game)
-            if (isDailyPuzzle) {
-                isDailyPuzzle = false;
-                updateDailyPuzzleUI(false);
-            }
-            init(true);
-        },
-        () => { select.value = previousSize; }
-    );
-};
-document.getElementById('undoBtn').onclick = undo;
-document.getElementById('addLayerBtn').onclick = () => {
-    if (isTutorialMode) {
-        ChipSound.error();
-        return;
-    }
-    if(currentIdx < 3) {
-        // Show Fork explanation on first use
-        if (!hasSeenForkExplanation) {
-            showForkExplanation();
-        }
-        
-        ChipSound.fork();
-        saveUndoState();
-        layers.push(Array(SIZE*SIZE).fill(0));
-        currentIdx++;
-        forkAnchors[currentIdx] = null;
-        updateButtonStates();
-        update();
-    }
-};
-document.getElementById('commitBtn').onclick = () => {
-    if(currentIdx > 0) {
-        ChipSound.commit();
-        saveUndoState();
-        const cur = layers.pop();
-        currentIdx--;
-        cur.forEach((v, i) => { if(v !== 0) layers[currentIdx][i] = v; });
-        updateButtonStates();
-        update();
-    }
-};
-document.getElementById('discardBtn').onclick = () => {
-    if(currentIdx > 0) {
-        ChipSound.abort();
-        saveUndoState();
-        layers.pop();
-        currentIdx--;
-        updateButtonStates();
-        update();
-    }
-};
-document.getElementById('newMazeBtn').onclick = () => {
-    // Disable during first tutorial
-    if (isTutorialMode && !isUserInitiatedTutorial) {
-        ChipSound.error();
-        return;
-    }
-    
-    // Block Initialize during daily puzzle mode (can only exit via menu or after winning)
-    if (isDailyPuzzle && !isWon) {
-        ChipSound.error();
-        return;
-    }
-    
-    // If puzzle is won, behave like "Initialize Next Sequence" (no confirmation, keep streak)
-    if (isWon) {
-        // For daily puzzle mode, exit and go back to regular game
-        if (isDailyPuzzle) {
-            exitDailyPuzzle();
-            return;
-        }
-        init(false);
-        return;
-    }
-    
-    confirmReset(() => {
-        // Starting a new puzzle should terminate any active tutorial (including hints-only).
-        if (isTutorialMode) {
-            // Close any tutorial dialogs that might be open, then clear tutorial state/UI locks.
-            const tutorialDialogs = [
-                document.getElementById('tutorialIntroDialog'),
-                document.getElementById('tutorialCompleteDialog'),
-                document.getElementById('userTutorialCompleteDialog'),
-            ];
-            tutorialDialogs.forEach(d => {
-                if (d && d.open) d.close();
-            });
-            endTutorial();
-        }
-        
-        init(true);
-    });
-};
-document.getElementById('nextLevelBtn').onclick = () => init(false);
-document.getElementById('decryptToggleBtn').onclick = () => {
-    // Block in daily puzzle mode
-    if (!isSolutionDisplayAllowed()) {
-        ChipSound.error();
-        return;
-    }
-    ChipSound.click();
-    showKey = !showKey;
-    const btn = document.getElementById('decryptToggleBtn');
-    const state = document.getElementById('decryptToggleState');
-    if (showKey) {
-        btn.classList.remove('off');
-        state.textContent = 'ON';
-        state.classList.remove('off-state');
-    } else {
-        btn.classList.add('off');
-        state.textContent = 'OFF';
-        state.classList.add('off-state');
-    }
-    saveUserPreferences();
-    update();
-};
-
-// ============================================
-// HINT SYSTEM HELPER FUNCTIONS
-
-// Find empty cells in a row, optionally excluding cells adjacent to a given position
-function findEmptyCellsInRow(merged, r, excludeAdjacentTo = null) {
-    const emptyCells = [];
-    for (let c = 0; c < SIZE; c++) {
-        if (excludeAdjacentTo && Math.abs(c - excludeAdjacentTo.c) <= 1) continue;
-        const idx = r * SIZE + c;
-        if (merged[idx] === 0 && !isFixedPath(r, c)) {
-            emptyCells.push({ r, c });
-        }
-    }
-    return emptyCells;
-}
+    // Check if the appropriate completion type is enabled
+    // Wall completion (green headers) fills paths when walls are done
+    // Path completion (blue headers) fills walls when paths are done
+    if (wallsComplete && !isWallCompletionEnabled()) return;
+    if (pathsComplete && !isPathCompletionEnabled()) return;
+    if (!wallsComplete && !pathsComplete) return;
 
-// Find empty cells in a column, optionally excluding cells adjacent to a given position
-function findEmptyCellsInCol(merged, c, excludeAdjacentTo = null) {
-    const emptyCells = [];
-    for (let r = 0; r < SIZE; r++) {
-        if (excludeAdjacentTo && Math.abs(r - excludeAdjacentTo.r) <= 1) continue;
-        const idx = r * SIZE + c;
-        if (merged[idx] === 0 && !isFixedPath(r, c)) {
-            emptyCells.push({ r, c });
-        }
-    }
-    return emptyCells;
-}
+    // Determine what to fill: paths if walls complete, walls if paths complete
+    const fillType = wallsComplete ? 2 : 1; // 2 = path, 1 = wall
 
-// Get perpendicular cells to a position (above/below for rows, left/right for columns)
-// Returns array of {r, c, isEmpty} objects for cells that can be checked
-function getPerpendicularCells(merged, r, c, direction) {
-    const cells = [];
-    if (direction === 'row') {
-        // For rows, perpendicular means above and below
-        if (r > 0) {
-            const idx = (r - 1) * SIZE + c;
-            cells.push({ r: r - 1, c, isEmpty: merged[idx] === 0 && !isFixedPath(r - 1, c) });
-        }
-        if (r < SIZE - 1) {
-            const idx = (r + 1) * SIZE + c;
-            cells.push({ r: r + 1, c, isEmpty: merged[idx] === 0 && !isFixedPath(r + 1, c) });
-        }
-    } else {
-        // For columns, perpendicular means left and right
-        if (c > 0) {
-            const idx = r * SIZE + (c - 1);
-            cells.push({ r, c: c - 1, isEmpty: merged[idx] === 0 && !isFixedPath(r, c - 1) });
-        }
-        if (c < SIZE - 1) {
-            const idx = r * SIZE + (c + 1);
-            cells.push({ r, c: c + 1, isEmpty: merged[idx] === 0 && !isFixedPath(r, c + 1) });
+    // Check if there are any empty cells to fill
+    let hasEmpty = false;
+    for (let i = 0; i < SIZE; i++) {
+        const idx = isRow ? index * SIZE + i : i * SIZE + index;
+        const r = Math.floor(idx / SIZE), c = idx % SIZE;
+        if (merged[idx] === 0 && !puzzleCore.isFixedPath(r, c)) {
+            if (!isCellLocked(idx)) hasEmpty = true;
         }
     }
-    return cells;
-}
+    if (!hasEmpty) return;
 
-// Create a hint object with standardized structure and forCell filtering
-function createHintObject(cells, shouldBe, message, highlight, forCell = null) {
-    if (!cells || cells.length === 0) return null;
-    
-    // If forCell is specified, check if any cell matches
-    if (forCell) {
-        const matches = cells.some(cell => cell.r === forCell.r && cell.c === forCell.c);
-        if (!matches) return null;
-    }
-    
-    return {
-        message,
-        highlight,
-        cells,
-        shouldBe
-    };
-}
+    // Save undo state before making changes
+    saveUndoState();
 
-// Generic function to check a row or column for hints
-// isRow: true for rows, false for columns
-// index: row number or column number
-// checkFn: callback(counts, emptyCells, isRow, index) that returns hint object or null
-function checkRowColForHint(merged, isRow, index, checkFn, forCell = null) {
-    const counts = isRow ? getRowCounts(merged, index) : getColCounts(merged, index);
-    const emptyCells = isRow 
-        ? findEmptyCellsInRow(merged, index)
-        : findEmptyCellsInCol(merged, index);
-    
-    if (emptyCells.length === 0) return null;
-    
-    const hint = checkFn(counts, emptyCells, isRow, index);
-    if (!hint) return null;
-    
-    // Apply forCell filtering if specified
-    if (forCell) {
-        const matches = emptyCells.some(ec => ec.r === forCell.r && ec.c === forCell.c);
-        if (!matches) return null;
-    }
-    
-    return hint;
-}
-
-// Count neighbors of a cell (walls, paths, empty cells)
-// Returns { wallCount, pathCount, emptyCount, emptyCells, wallCells, pathCells }
-// emptyCells, wallCells, pathCells are arrays of {r, c} objects
-function countNeighbors(merged, r, c, treatEdgesAsWalls = true) {
-    let wallCount = 0;
-    let pathCount = 0;
-    let emptyCount = 0;
-    const emptyCells = [];
-    const wallCells = [];
-    const pathCells = [];
-
-    for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
-        const nr = r + dr, nc = c + dc;
-        if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) {
-            if (treatEdgesAsWalls) {
-                wallCount++;
-            }
-            continue;
-        }
-        const nIdx = nr * SIZE + nc;
-        if (merged[nIdx] === 1) {
-            wallCount++;
-            wallCells.push({ r: nr, c: nc });
-        } else if (merged[nIdx] === 2 || isFixedPath(nr, nc)) {
-            pathCount++;
-            pathCells.push({ r: nr, c: nc });
-        } else {
-            emptyCount++;
-            emptyCells.push({ r: nr, c: nc });
-        }
+    // Set fork anchor to the label
+    if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
+        forkAnchors[currentIdx] = {type: isRow ? 'row' : 'col', index: index};
     }
 
-    return { wallCount, pathCount, emptyCount, emptyCells, wallCells, pathCells };
-}
+    // Fill empty cells with the appropriate type
+    for (let i = 0; i < SIZE; i++) {
+        const idx = isRow ? index * SIZE + i : i * SIZE + index;
+        const r = Math.floor(idx / SIZE), c = idx % SIZE;
 
-// Generic function to iterate all cells and collect hints with forCell support
-// checkFn: callback(merged, r, c) that returns hint object or null
-// Returns the first hint that matches forCell, or the best candidate if no forCell
-function iterateAllCellsForHint(merged, checkFn, forCell = null, bestSelector = null) {
-    const candidates = [];
-    
-    for (let r = 0; r < SIZE; r++) {
-        for (let c = 0; c < SIZE; c++) {
-            const hint = checkFn(merged, r, c);
-            if (!hint) continue;
-            
-            // If forCell is specified, check if hint includes that cell
-            if (forCell && hint.cells) {
-                const matches = hint.cells.some(cell => cell.r === forCell.r && cell.c === forCell.c);
-                if (matches) return hint;
+        if (merged[idx] === 0 && !puzzleCore.isFixedPath(r, c)) {
+            // Check if locked by lower layer or generator
+            if (!isCellLocked(idx)) {
+                layers[currentIdx][idx] = fillType;
             }
-            
-            candidates.push(hint);
         }
     }
-    
-    if (forCell) return null;
-    if (candidates.length === 0) return null;
-    
-    // Use bestSelector if provided, otherwise return first
-    if (bestSelector) {
-        return candidates.reduce(bestSelector);
-    }
-    return candidates[0];
-}
-
-// HINT SYSTEM
-// ============================================
 
-// Convert column index to letter (0 = A, 1 = B, etc.)
-function colToLetter(c) {
-    return String.fromCharCode(65 + c);
-}
-
-// Convert row index to 1-based number
-function rowToNumber(r) {
-    return r + 1;
-}
-
-// Get cell reference like "A1", "B3", etc.
-function cellRef(r, c) {
-    return `${colToLetter(c)}${rowToNumber(r)}`;
-}
-
-// Check if a cell is locked (lower layer, plus generator lock when enabled)
-function isCellLocked(idx) {
-    if (LOCKED_WALLS_AFFECT_GAMEPLAY && lockedWalls[idx]) return true;
-    return layers.slice(0, currentIdx).some(l => l[idx] !== 0);
+    ChipSound.labelFill();
+    moveCount++;
+    noteSolveAction('label');
+    update();
 }
 
-// Get merged board state (walls=1, paths=2, empty=0)
-function getMergedBoard() {
-    const merged = Array(SIZE * SIZE).fill(0);
-    if (LOCKED_WALLS_AFFECT_GAMEPLAY) {
-        lockedWalls.forEach((locked, i) => {
-            if (locked) merged[i] = 1;
-        });
-    }
-    layers.forEach(l => l.forEach((s, i) => {
-        if (s === 1) merged[i] = 1;
-        if (s === 2 && merged[i] !== 1) merged[i] = 2;
-    }));
-    return merged;
-}
+function render() {
+    const gameB = document.getElementById('mainGrid');
+    const rowL = document.getElementById('rowLabels'), colL = document.getElementById('colLabels');
+    gameB.querySelectorAll('.cell').forEach(c => c.remove());
+    rowL.innerHTML = ''; colL.innerHTML = '';
+    gameB.style.gridTemplateColumns = `repeat(${SIZE}, var(--cell-size))`;
+    gameB.style.gridTemplateRows = `repeat(${SIZE}, var(--cell-size))`;
+    for(let i=0; i<SIZE; i++) {
+        const rowLabel = document.createElement('div');
+        rowLabel.className = 'count-neon';
+        rowLabel.style.cursor = 'pointer';
+        rowLabel.onclick = () => handleLabelClick(true, i);
+        rowL.appendChild(rowLabel);
 
-// Count walls and paths in a row
-function getRowCounts(merged, r) {
-    let walls = 0, paths = 0;
-    for (let c = 0; c < SIZE; c++) {
-        const idx = r * SIZE + c;
-        if (merged[idx] === 1) walls++;
-        else if (merged[idx] === 2 || isFixedPath(r, c)) paths++;
+        const colLabel = document.createElement('div');
+        colLabel.className = 'count-neon';
+        colLabel.style.cursor = 'pointer';
+        colLabel.onclick = () => handleLabelClick(false, i);
+        colL.appendChild(colLabel);
     }
-    return { walls, paths, target: targets.r[r], expectedPaths: SIZE - targets.r[r] };
-}
-
-// Count walls and paths in a column
-function getColCounts(merged, c) {
-    let walls = 0, paths = 0;
-    for (let r = 0; r < SIZE; r++) {
-        const idx = r * SIZE + c;
-        if (merged[idx] === 1) walls++;
-        else if (merged[idx] === 2 || isFixedPath(r, c)) paths++;
+    for(let i=0; i<SIZE*SIZE; i++) {
+        const gCell = document.createElement('div');
+        gCell.className = 'cell';
+        gCell.onpointerdown = (e) => { gCell.releasePointerCapture(e.pointerId); handleCellAction(i); };
+        gCell.onpointerenter = () => { if (isDragging) handleCellAction(i); };
+        gameB.appendChild(gCell);
     }
-    return { walls, paths, target: targets.c[c], expectedPaths: SIZE - targets.c[c] };
-}
-
-// Check if current board state has any mistakes compared to solution
-// Returns the first mistake found (wall where path should be, or path where wall should be)
-function findMistake(merged) {
-    for (let r = 0; r < SIZE; r++) {
-        for (let c = 0; c < SIZE; c++) {
-            const idx = r * SIZE + c;
-            const playerState = merged[idx]; // 0=empty, 1=wall, 2=path
-            const solutionIsWall = solution[r][c] === 1;
-
-            // Player placed a wall where solution has a path
-            if (playerState === 1 && !solutionIsWall) {
-                return { type: 'cell', r, c, mistake: 'wall-on-path' };
-            }
-            // Player placed a path where solution has a wall
-            if (playerState === 2 && solutionIsWall) {
-                return { type: 'cell', r, c, mistake: 'path-on-wall' };
+    window.onpointerup = () => {
+        // If we had a pending toggle (clicked on wall/path without dragging), complete it
+        if (dragPendingToggle && dragStartIdx !== null) {
+            // Toggle: wall -> path, path -> empty
+            const newVal = dragStartVal === 1 ? 2 : 0;
+            if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
+                forkAnchors[currentIdx] = {type: 'cell', idx: dragStartIdx};
             }
+            layers[currentIdx][dragStartIdx] = newVal;
+            if (newVal === 2) ChipSound.path();
+            else if (newVal === 0) ChipSound.erase();
+            moveCount++;
+            noteSolveAction('cell');
+            update();
         }
-    }
-    return null;
+        isDragging = false;
+        dragMode = null;
+        dragStartIdx = null;
+        dragStartVal = null;
+        dragPendingToggle = false;
+        dragToggleMode = false;
+    };
+    update();
 }
 
-// Check for 2x2 areas with 3 paths (the 4th must be a wall)
-// Skip areas near the data cache (stockpile) since 2x2 paths are allowed there
-function find2x2With3Paths(merged) {
-    for (let r = 0; r < SIZE - 1; r++) {
-        for (let c = 0; c < SIZE - 1; c++) {
-            const corners = [
-                { r, c, idx: r * SIZE + c },
-                { r, c: c + 1, idx: r * SIZE + c + 1 },
-                { r: r + 1, c, idx: (r + 1) * SIZE + c },
-                { r: r + 1, c: c + 1, idx: (r + 1) * SIZE + c + 1 }
-            ];
-
-            // Skip if any corner is near the stockpile
-            if (stockpilePos) {
-                let nearStockpile = false;
-                for (const corner of corners) {
-                    const dr = Math.abs(corner.r - stockpilePos.r);
-                    const dc = Math.abs(corner.c - stockpilePos.c);
-                    if (dr <= 1 && dc <= 1) {
-                        nearStockpile = true;
-                        break;
-                    }
-                }
-                if (nearStockpile) continue;
-            }
-
-            let pathCount = 0;
-            let emptyCell = null;
-
-            for (const corner of corners) {
-                if (merged[corner.idx] === 2 || isFixedPath(corner.r, corner.c)) {
-                    pathCount++;
-                } else if (merged[corner.idx] === 0) {
-                    emptyCell = corner;
-                }
-            }
-
-            if (pathCount === 3 && emptyCell) {
-                return { r: emptyCell.r, c: emptyCell.c };
+function getShortestPathBetween(merged, startIdx, endIdx) {
+    let queue = [[startIdx]];
+    let visited = new Set([startIdx]);
+    while (queue.length > 0) {
+        let path = queue.shift();
+        let curr = path[path.length - 1];
+        if (curr === endIdx) return path;
+        let r = Math.floor(curr / SIZE), c = curr % SIZE;
+        [[0,1],[0,-1],[1,0],[-1,0]].forEach(([dr, dc]) => {
+            let nr = r + dr, nc = c + dc;
+            let nIdx = nr * SIZE + nc;
+            if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE && !visited.has(nIdx)) {
+                if (merged[nIdx] === 2 || puzzleCore.isTargetDeadEnd(nr, nc)) {
+                    visited.add(nIdx);
+                    queue.push([...path, nIdx]);
+                }
             }
-        }
+        });
     }
     return null;
 }
 
-// Check if a cell is part of a 2x2 path block
-function isIn2x2PathBlock(merged, r, c) {
-    // Check all 2x2 squares that include this cell
-    for (const [dr, dc] of [[0, 0], [0, -1], [-1, 0], [-1, -1]]) {
-        const topR = r + dr, topC = c + dc;
-        if (topR < 0 || topR + 1 >= SIZE || topC < 0 || topC + 1 >= SIZE) continue;
-
-        let allPaths = true;
-        for (const [rr, cc] of [[0, 0], [0, 1], [1, 0], [1, 1]]) {
-            const checkR = topR + rr, checkC = topC + cc;
-            const idx = checkR * SIZE + checkC;
-            // Path if merged[idx] === 2 OR it's a fixed path (dead end/stockpile)
-            if (merged[idx] !== 2 && !isFixedPath(checkR, checkC)) {
-                allPaths = false;
-                break;
-            }
-        }
-        if (allPaths) return true;
-    }
-    return false;
-}
-
-// Check if a dead end has multiple paths connected to it
-function deadEndHasMultiplePaths(merged, r, c) {
-    if (!isTargetDeadEnd(r, c)) return false;
+function update() {
+    // A replay draws its frames through the live renderer but must not win or save
+    if (isWon && !recordingPlayback) return;
+    if (!recordingPlayback) dropStaleRedoHistory();
+    const cells = document.getElementById('mainGrid').querySelectorAll('.cell');
+    const rl = document.getElementById('rowLabels').children;
+    const cl = document.getElementById('colLabels').children;
+    const merged = getMergedBoard();
+    checkForkContradiction(merged);
 
-    let pathCount = 0;
-    for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
-        const nr = r + dr, nc = c + dc;
-        if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) continue;
-        const nIdx = nr * SIZE + nc;
-        // Count paths (merged === 2) or other fixed paths (dead ends, stockpile)
-        if (merged[nIdx] === 2 || isFixedPath(nr, nc)) {
-            pathCount++;
+    // Check for win: either exact match OR valid alternate solution
+    let allWallsCorrect = true;
+    for(let i=0; i<SIZE*SIZE; i++) {
+        const r = Math.floor(i/SIZE), c = i%SIZE;
+        if(solution[r][c] === 1 && merged[i] !== 1) allWallsCorrect = false;
+        if(merged[i] === 1 && solution[r][c] !== 1) allWallsCorrect = false;
+    }
+    if (!recordingPlayback) {
+        recordSolveFrame();
+        if(allWallsCorrect || puzzleCore.isValidAlternateSolution(merged)) {
+            isWon = true;
+            triggerVictorySequence();
+            return;
         }
     }
-    return pathCount > 1;
-}
 
-// Check if a path cell is an invalid dead end (surrounded by 3 walls but not a target dead end)
-function isInvalidDeadEnd(merged, r, c) {
-    // Must be a path (user-placed or fixed path like stockpile)
-    const idx = r * SIZE + c;
-    if (merged[idx] !== 2 && !isFixedPath(r, c)) return false;
+    if (isDailyPuzzle && !recordingPlayback) recordSolveMistakes();
 
-    // Skip if it's a target dead end (those are supposed to have 3 walls)
-    if (isTargetDeadEnd(r, c)) return false;
+    // Tutorial mode: check if current hint is complete and show next
+    if (isTutorialMode && !recordingPlayback) {
+        onTutorialMove();
+    }
 
-    // Count walls around this cell
-    let wallCount = 0;
-    for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
-        const nr = r + dr, nc = c + dc;
-        if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) {
-            wallCount++; // Edge counts as wall
-        } else if (merged[nr * SIZE + nc] === 1) {
-            wallCount++;
+    const rowTotals = Array(SIZE).fill(0), colTotals = Array(SIZE).fill(0);
+    const rowPathTotals = Array(SIZE).fill(0), colPathTotals = Array(SIZE).fill(0);
+    const rowOk = Array(SIZE).fill(false), colOk = Array(SIZE).fill(false);
+    const rowPathOk = Array(SIZE).fill(false), colPathOk = Array(SIZE).fill(false);
+    const fa = forkAnchors[currentIdx];
+    const anchorColor = colors[currentIdx]; // green, amber, or magenta
+    for(let r=0; r<SIZE; r++) {
+        let wallCount = 0, pathCount = 0;
+        for(let c=0; c<SIZE; c++) {
+            const idx = r*SIZE+c;
+            if(merged[idx] === 1) wallCount++;
+            // Count paths, dead ends, and stockpile (which are effectively paths)
+            else if(merged[idx] === 2 || puzzleCore.isFixedPath(r, c)) pathCount++;
+        }
+        rowTotals[r] = wallCount;
+        rowPathTotals[r] = pathCount;
+        rl[r].innerText = targets.r[r];
+        rowOk[r] = wallCount === targets.r[r];
+        // Path is complete when we have exactly (SIZE - target walls) paths
+        const expectedPaths = SIZE - targets.r[r];
+        // Blue headers are controlled by path completion toggle
+        rowPathOk[r] = isPathCompletionEnabled() && !rowOk[r] && pathCount === expectedPaths;
+        let rowClass = `count-neon ${rowOk[r] ? 'count-ok' : (rowPathOk[r] ? 'count-path-ok' : (wallCount > targets.r[r] ? 'count-over' : ''))}`;
+        if (currentIdx > 0 && fa && fa.type === 'row' && fa.index === r) {
+            rowClass += ` label-anchor label-anchor-${anchorColor}`;
         }
+        rl[r].className = rowClass;
     }
-
-    return wallCount >= 3;
-}
-
-// Check if a mistake is "obvious" - returns type of obviousness
-function getMistakeObviousness(merged, r, c) {
-    const { walls: rowWalls, target: rowTarget } = getRowCounts(merged, r);
-    const { paths: rowPaths, expectedPaths: rowExpectedPaths } = getRowCounts(merged, r);
-    const { walls: colWalls, target: colTarget } = getColCounts(merged, c);
-    const { paths: colPaths, expectedPaths: colExpectedPaths } = getColCounts(merged, c);
-
-    // Check for row/col count violations (pulsing red)
-    if (rowWalls > rowTarget) return { type: 'row-walls', index: r };
-    if (rowPaths > rowExpectedPaths) return { type: 'row-paths', index: r };
-    if (colWalls > colTarget) return { type: 'col-walls', index: c };
-    if (colPaths > colExpectedPaths) return { type: 'col-paths', index: c };
-
-    // Check for 2x2 path block
-    if (isIn2x2PathBlock(merged, r, c)) return { type: '2x2' };
-
-    // Check if mistake is adjacent to a dead end with multiple paths
-    for (const [dr, dc] of [[0, 0], [0, 1], [0, -1], [1, 0], [-1, 0]]) {
-        const nr = r + dr, nc = c + dc;
-        if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) continue;
-        if (deadEndHasMultiplePaths(merged, nr, nc)) {
-            return { type: 'dead-end-multiple', r: nr, c: nc };
+    for(let c=0; c<SIZE; c++) {
+        let wallCount = 0, pathCount = 0;
+        for(let r=0; r<SIZE; r++) {
+            const idx = r*SIZE+c;
+            if(merged[idx] === 1) wallCount++;
+            // Count paths, dead ends, and stockpile (which are effectively paths)
+            else if(merged[idx] === 2 || puzzleCore.isFixedPath(r, c)) pathCount++;
+        }
+        colTotals[c] = wallCount;
+        colPathTotals[c] = pathCount;
+        cl[c].innerText = targets.c[c];
+        colOk[c] = wallCount === targets.c[c];
+        // Path is complete when we have exactly (SIZE - target walls) paths
+        const expectedPaths = SIZE - targets.c[c];
+        // Blue headers are controlled by path completion toggle
+        colPathOk[c] = isPathCompletionEnabled() && !colOk[c] && pathCount === expectedPaths;
+        let colClass = `count-neon ${colOk[c] ? 'count-ok' : (colPathOk[c] ? 'count-path-ok' : (wallCount > targets.c[c] ? 'count-over' : ''))}`;
+        if (currentIdx > 0 && fa && fa.type === 'col' && fa.index === c) {
+            colClass += ` label-anchor label-anchor-${anchorColor}`;
         }
+        cl[c].className = colClass;
     }
 
-    return null;
-}
+    // Apply row/col ok classes to cells with staggered animation delays
+    // Pulse should span the entire grid: when last cell starts, first should be dimming
+    const cellPulseTime = 0.3; // how long each cell's pulse lasts (seconds)
+    const totalTravelTime = cellPulseTime * SIZE; // time for pulse to travel across grid
+    const randomPause = 2 + Math.random() * 3; // 2-5 seconds random pause between loops
+    const pulseDuration = totalTravelTime + randomPause;
 
-// Format a list of cell references with proper grammar
-// 1 cell: "A1"
-// 2 cells: "A1 and B2"
-// 3+ cells: "A1, B2, and C3" (Oxford comma)
-function formatCellList(cells) {
-    const refs = cells.map(cell => cellRef(cell.r, cell.c));
-    if (refs.length === 1) return refs[0];
-    if (refs.length === 2) return `${refs[0]} and ${refs[1]}`;
-    return refs.slice(0, -1).join(', ') + ', and ' + refs[refs.length - 1];
-}
+    for(let i=0; i<SIZE*SIZE; i++) {
+        const r = Math.floor(i/SIZE), c = i % SIZE;
+        cells[i].classList.toggle('cell-row-ok', rowOk[r]);
+        cells[i].classList.toggle('cell-col-ok', colOk[c]);
+        // Set animation delays based on position (row pulse: left to right, col pulse: top to bottom)
+        cells[i].style.setProperty('--row-delay', `${c * cellPulseTime}s`);
+        cells[i].style.setProperty('--col-delay', `${r * cellPulseTime}s`);
+        cells[i].style.setProperty('--pulse-duration', `${pulseDuration}s`);
+    }
 
-// Find any invalid dead end on the board (path boxed in by 3+ walls that isn't a target dead end)
-function findInvalidDeadEnd(merged) {
-    for (let r = 0; r < SIZE; r++) {
-        for (let c = 0; c < SIZE; c++) {
-            if (isInvalidDeadEnd(merged, r, c)) {
-                return { r, c };
+    const subgraphMap = Array(SIZE * SIZE).fill(-1);
+    let subgraphs = [];
+    for (let i = 0; i < SIZE * SIZE; i++) {
+        if (merged[i] !== 1 && subgraphMap[i] === -1) {
+            const currentGraph = [];
+            const stack = [i]; subgraphMap[i] = subgraphs.length;
+            while (stack.length > 0) {
+                const curr = stack.pop(); currentGraph.push(curr);
+                const r = Math.floor(curr/SIZE), c = curr % SIZE;
+                [[0,1],[0,-1],[1,0],[-1,0]].forEach(([dr, dc]) => {
+                    const nr = r + dr, nc = c + dc, nIdx = nr * SIZE + nc;
+                    if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE && merged[nIdx] !== 1 && subgraphMap[nIdx] === -1) {
+                        subgraphMap[nIdx] = subgraphs.length; stack.push(nIdx);
+                    }
+                });
             }
+            subgraphs.push(currentGraph);
         }
     }
-    return null;
-}
 
-// Hint 1: Check for mistakes against solution
-// If onlyObvious is true, only report mistakes that are obviously wrong (e.g., row/col overflow)
-function hintCheckMistakes(merged, onlyObvious = false) {
-    // First check for invalid dead ends (structural error, doesn't need findMistake)
-    const invalidDeadEnd = findInvalidDeadEnd(merged);
-    if (invalidDeadEnd) {
-        return {
-            message: `The path at ${cellRef(invalidDeadEnd.r, invalidDeadEnd.c)} is boxed in by walls but isn't a dead end node. It needs another exit.`,
-            highlight: { type: 'cell', r: invalidDeadEnd.r, c: invalidDeadEnd.c }
-        };
+    let primaryIdx = -1;
+    if (subgraphs.length > 0) {
+        let maxLen = -1;
+        subgraphs.forEach((g, idx) => { if(g.length > maxLen) { maxLen = g.length; primaryIdx = idx; } });
     }
+    const erraticIndices = new Set();
+    subgraphs.forEach((g, idx) => { if (idx !== primaryIdx) g.forEach(i => erraticIndices.add(i)); });
 
-    const mistake = findMistake(merged);
-    if (mistake) {
-        const obvious = getMistakeObviousness(merged, mistake.r, mistake.c);
-
-        if (obvious) {
-            // Indicate general area, not exact cell
-            if (obvious.type === 'row-walls') {
-                return {
-                    message: `Row ${rowToNumber(obvious.index)} has too many walls.`,
-                    highlight: { type: 'row', index: obvious.index }
-                };
-            } else if (obvious.type === 'row-paths') {
-                return {
-                    message: `Row ${rowToNumber(obvious.index)} has too many paths.`,
-                    highlight: { type: 'row', index: obvious.index }
-                };
-            } else if (obvious.type === 'col-walls') {
-                return {
-                    message: `Column ${colToLetter(obvious.index)} has too many walls.`,
-                    highlight: { type: 'col', index: obvious.index }
-                };
-            } else if (obvious.type === 'col-paths') {
-                return {
-                    message: `Column ${colToLetter(obvious.index)} has too many paths.`,
-                    highlight: { type: 'col', index: obvious.index }
-                };
-            } else if (obvious.type === '2x2') {
-                return {
-                    message: `There's a 2×2 block of paths. One of them should be a wall.`,
-                    highlight: null
-                };
-            } else if (obvious.type === 'dead-end-multiple') {
-                return {
-                    message: `The dead end at ${cellRef(obvious.r, obvious.c)} has multiple paths connected to it. Dead ends should only have one path.`,
-                    highlight: { type: 'cell', r: obvious.r, c: obvious.c }
-                };
+    const authenticatedIndices = new Set();
+    const authenticatedEdges = new Set();
+    const visitedNetwork = new Set();
+    for(let i=0; i<SIZE*SIZE; i++) {
+        if(merged[i] === 2 && !visitedNetwork.has(i)) {
+            let cluster = [], deadEndsFound = [], stack = [i];
+            visitedNetwork.add(i);
+            while(stack.length > 0) {
+                let idx = stack.pop(), cr = Math.floor(idx/SIZE), cc = idx%SIZE;
+                cluster.push(idx);
+                [[0,1],[0,-1],[1,0],[-1,0]].forEach(([dr, dc]) => {
+                    let nr=cr+dr, nc=cc+dc;
+                    if(nr>=0 && nr<SIZE && nc>=0 && nc<SIZE) {
+                        let nIdx = nr*SIZE+nc;
+                        if(merged[nIdx] === 2 && !visitedNetwork.has(nIdx)) { visitedNetwork.add(nIdx); stack.push(nIdx); } 
+                        else if(puzzleCore.isTargetDeadEnd(nr, nc)) { if(!deadEndsFound.includes(nIdx)) deadEndsFound.push(nIdx); }
+                    }
+                });
+            }
+            if(deadEndsFound.length >= 2) {
+                for(let start = 0; start < deadEndsFound.length; start++) {
+                    for(let end = start + 1; end < deadEndsFound.length; end++) {
+                        let path = getShortestPathBetween(merged, deadEndsFound[start], deadEndsFound[end]);
+                        if(path) {
+                            path.forEach(nodeIdx => authenticatedIndices.add(nodeIdx));
+                            for(let pIdx=0; pIdx < path.length - 1; pIdx++) {
+                                let u = Math.min(path[pIdx], path[pIdx+1]);
+                                let v = Math.max(path[pIdx], path[pIdx+1]);
+                                authenticatedEdges.add(`${u}-${v}`);
+                            }
+                        }
+                    }
+                }
             }
-        }
-
-        // Non-obvious mistake - only report if not in onlyObvious mode
-        if (!onlyObvious) {
-            return {
-                message: `There's a mistake somewhere on the board. Review your work carefully.`,
-                highlight: null
-            };
         }
     }
-    return null;
-}
 
-// Hint: Trivial rows/columns (0 or SIZE walls) should be filled first
-// These are the easiest deductions and should be suggested early
-function hintTrivialRowCol(merged, forCell = null) {
-    const candidates = [];
+    // Check if a 3x3 room starting at (roomR, roomC) is surrounded by 11 walls (1 door)
+    // AND has no walls inside the room
+    function isRoomSurroundedByWalls(roomR, roomC) {
+        if (roomR < 0 || roomR + 2 >= SIZE || roomC < 0 || roomC + 2 >= SIZE) return false;
+        if (!stockpilePos) return false;
 
-    // Check function for trivial cases
-    function checkTrivial(counts, emptyCells, isRow, index) {
-        const { walls, paths, target } = counts;
-        if (emptyCells.length === 0) return null;
+        // Check if stockpile is in this room
+        if (stockpilePos.r < roomR || stockpilePos.r > roomR + 2 ||
+            stockpilePos.c < roomC || stockpilePos.c > roomC + 2) return false;
 
-        // Only handle trivial cases: target is 0 or SIZE
-        if (target === 0 && walls === 0) {
-            const lineName = isRow ? `Row ${rowToNumber(index)}` : `Column ${colToLetter(index)}`;
-            return {
-                message: `${lineName} needs 0 walls, so all cells must be paths.`,
-                highlight: isRow ? { type: 'row', index } : { type: 'col', index },
-                cells: emptyCells, shouldBe: 'path'
-            };
-        } else if (target === SIZE && paths === 0) {
-            const lineName = isRow ? `Row ${rowToNumber(index)}` : `Column ${colToLetter(index)}`;
-            return {
-                message: `${lineName} needs ${SIZE} walls, so all cells must be walls.`,
-                highlight: isRow ? { type: 'row', index } : { type: 'col', index },
-                cells: emptyCells, shouldBe: 'wall'
-            };
-        }
-        return null;
+        // Check that there are no walls inside the 3x3 room
+        for (let dr = 0; dr < 3; dr++) {
+            for (let dc = 0; dc < 3; dc++) {
+                const idx = (roomR + dr) * SIZE + (roomC + dc);
+                if (merged[idx] === 1) return false; // Wall inside room - not valid
+            }
         }
 
-    // Check rows
-    for (let r = 0; r < SIZE; r++) {
-        const hint = checkRowColForHint(merged, true, r, (counts, emptyCells) => 
-            checkTrivial(counts, emptyCells, true, r), forCell);
-        if (hint) {
-            if (forCell) return hint;
-            candidates.push(hint);
+        // Count walls around the perimeter (should be 11 for 1 door)
+        let wallCount = 0;
+        // Top edge (3 cells above room)
+        for (let dc = 0; dc < 3; dc++) {
+            if (roomR === 0) wallCount++; // Grid edge counts as wall
+            else if (merged[(roomR - 1) * SIZE + (roomC + dc)] === 1) wallCount++;
         }
-    }
-
-    // Check columns
-    for (let c = 0; c < SIZE; c++) {
-        const hint = checkRowColForHint(merged, false, c, (counts, emptyCells) => 
-            checkTrivial(counts, emptyCells, false, c), forCell);
-        if (hint) {
-            if (forCell) return hint;
-            candidates.push(hint);
+        // Bottom edge (3 cells below room)
+        for (let dc = 0; dc < 3; dc++) {
+            if (roomR + 2 === SIZE - 1) wallCount++; // Grid edge counts as wall
+            else if (merged[(roomR + 3) * SIZE + (roomC + dc)] === 1) wallCount++;
+        }
+        // Left edge (3 cells left of room)
+        for (let dr = 0; dr < 3; dr++) {
+            if (roomC === 0) wallCount++; // Grid edge counts as wall
+            else if (merged[(roomR + dr) * SIZE + (roomC - 1)] === 1) wallCount++;
+        }
+        // Right edge (3 cells right of room)
+        for (let dr = 0; dr < 3; dr++) {
+            if (roomC + 2 === SIZE - 1) wallCount++; // Grid edge counts as wall
+            else if (merged[(roomR + dr) * SIZE + (roomC + 3)] === 1) wallCount++;
         }
-    }
-
-    if (forCell) return null;
-    if (candidates.length === 0) return null;
-    return candidates.reduce((best, curr) => curr.cells.length > best.cells.length ? curr : best);
-}
 
-// Hint 2: Row or column can be finished (walls or paths complete)
-function hintRowColComplete(merged, forCell = null) {
-    // Collect all possible hints and return the one with the most cells
-    const candidates = [];
+        return wallCount === 11; // 12 perimeter cells - 1 door = 11 walls
+    }
 
-    // Check function for completion cases
-    function checkComplete(counts, emptyCells, isRow, index) {
-        const { walls, paths, target, expectedPaths } = counts;
-        if (emptyCells.length === 0) return null;
+    // Check if a 3x3 room has all 9 cells as path AND contains stockpile
+    // Stockpile cell counts as always having a path
+    function isComplete3x3Path(roomR, roomC) {
+        if (roomR < 0 || roomR + 2 >= SIZE || roomC < 0 || roomC + 2 >= SIZE) return false;
+        if (!stockpilePos) return false;
 
-        const lineName = isRow ? `Row ${rowToNumber(index)}` : `Column ${colToLetter(index)}`;
-        let hint = null;
+        // Check if stockpile is in this room
+        if (stockpilePos.r < roomR || stockpilePos.r > roomR + 2 ||
+            stockpilePos.c < roomC || stockpilePos.c > roomC + 2) return false;
 
-        if (walls === target) {
-            const pathMessage = emptyCells.length === 1 ? 'The remaining cell must be a path' : 'The remaining cells must all be paths';
-            hint = {
-                message: `${lineName} has all its walls. ${pathMessage}.`,
-                highlight: isRow ? { type: 'row', index } : { type: 'col', index },
-                cells: emptyCells, shouldBe: 'path'
-            };
-        } else if (paths === expectedPaths) {
-            const wallMessage = emptyCells.length === 1 ? 'The remaining cell must be a wall' : 'The remaining cells must all be walls';
-            hint = {
-                message: `${lineName} has all its paths. ${wallMessage}.`,
-                highlight: isRow ? { type: 'row', index } : { type: 'col', index },
-                cells: emptyCells, shouldBe: 'wall'
-            };
+        // Check all 9 cells are path (merged === 2, dead end, or stockpile)
+        for (let dr = 0; dr < 3; dr++) {
+            for (let dc = 0; dc < 3; dc++) {
+                const idx = (roomR + dr) * SIZE + (roomC + dc);
+                const cr = roomR + dr, cc = roomC + dc;
+                const isStockpileCell = stockpilePos.r === cr && stockpilePos.c === cc;
+                if (merged[idx] !== 2 && !puzzleCore.isTargetDeadEnd(cr, cc) && !isStockpileCell) return false;
+            }
         }
 
-                return hint;
-            }
+        return true;
+    }
 
-    // Check rows
-    for (let r = 0; r < SIZE; r++) {
-        const hint = checkRowColForHint(merged, true, r, (counts, emptyCells) => 
-            checkComplete(counts, emptyCells, true, r), forCell);
-        if (hint) {
-            if (forCell) return hint;
-            candidates.push(hint);
+    // Check if stockpile is in a room surrounded by 11 walls
+    let stockpileInWalledRoom = false;
+    if (stockpilePos) {
+        for (let roomR = Math.max(0, stockpilePos.r - 2); roomR <= stockpilePos.r; roomR++) {
+            for (let roomC = Math.max(0, stockpilePos.c - 2); roomC <= stockpilePos.c; roomC++) {
+                if (isRoomSurroundedByWalls(roomR, roomC)) {
+                    stockpileInWalledRoom = true;
+                    break;
+                }
+            }
+            if (stockpileInWalledRoom) break;
         }
     }
 
-    // Check columns
-    for (let c = 0; c < SIZE; c++) {
-        const hint = checkRowColForHint(merged, false, c, (counts, emptyCells) => 
-            checkComplete(counts, emptyCells, false, c), forCell);
-        if (hint) {
-            if (forCell) return hint;
-            candidates.push(hint);
+    // Find complete 3x3 path cells (for exemption from clump detection)
+    const complete3x3Cells = new Set();
+    if (stockpilePos) {
+        for (let roomR = Math.max(0, stockpilePos.r - 2); roomR <= stockpilePos.r; roomR++) {
+            for (let roomC = Math.max(0, stockpilePos.c - 2); roomC <= stockpilePos.c; roomC++) {
+                if (isComplete3x3Path(roomR, roomC)) {
+                    for (let dr = 0; dr < 3; dr++) {
+                        for (let dc = 0; dc < 3; dc++) {
+                            complete3x3Cells.add((roomR + dr) * SIZE + (roomC + dc));
+                        }
+                    }
+                }
+            }
         }
     }
 
-    // Return the hint with the most cells
-    if (forCell) return null;
-    if (candidates.length === 0) return null;
-    return candidates.reduce((best, curr) => curr.cells.length > best.cells.length ? curr : best);
-}
-
-// Hint 3: Dead end can be finished (has 1 path or 3 walls around it)
-function hintDeadEndCanBeFinished(merged, forCell = null) {
-    function checkDeadEnd(merged, r, c) {
-        if (!isTargetDeadEnd(r, c)) return null;
+    const clumps = new Set();
+    for (let r=0; r<SIZE-1; r++) {
+        for (let c=0; c<SIZE-1; c++) {
+            let i = r*SIZE+c;
+            // Check the 4 corners of the 2x2 square
+            let corners = [i, i+1, i+SIZE, i+SIZE+1];
+            let pathCount = 0;
+            let deadEndCount = 0;
+            let nearStockpile = false;
 
-        const { pathCount, wallCount, emptyCount, emptyCells } = countNeighbors(merged, r, c);
+            corners.forEach((idx) => {
+                let cr = Math.floor(idx/SIZE), cc = idx%SIZE;
+                if(merged[idx] === 2) pathCount++;
+                else if(puzzleCore.isTargetDeadEnd(cr, cc)) deadEndCount++;
+                // Check if this corner is the stockpile or orthogonally adjacent to it
+                if(stockpilePos) {
+                    const dr = Math.abs(cr - stockpilePos.r);
+                    const dc = Math.abs(cc - stockpilePos.c);
+                    if((dr === 0 && dc <= 1) || (dc === 0 && dr <= 1)) nearStockpile = true;
+                }
+            });
 
-            // Dead end has exactly 1 path - remaining empty neighbors must be walls
-            if (pathCount === 1 && emptyCount > 0) {
-                const cellList = formatCellList(emptyCells);
-                const cellWord = emptyCount === 1 ? 'Cell' : 'Cells';
-                const wallWord = emptyCount === 1 ? 'a wall' : 'walls';
-                const mustWord = emptyCount === 1 ? 'must' : emptyCount == 2 ? 'must both' : 'must all';
-            return {
-                    message: `${cellWord} ${cellList} ${mustWord} be ${wallWord} to complete the dead end at ${cellRef(r, c)}.`,
-                    highlight: emptyCount === 1
-                        ? { type: 'cell', r: emptyCells[0].r, c: emptyCells[0].c }
-                        : { type: 'cells', cells: emptyCells },
-                    cells: emptyCells, shouldBe: 'wall'
-                };
-            }
+            // Skip clump detection if any corner is the stockpile or adjacent to it
+            // (stockpile is part of a 3x3 room, so 2x2 paths around it are expected)
+            if (nearStockpile) continue;
 
-            // Dead end has 3 walls - the remaining empty neighbor must be a path
-            if (wallCount === 3 && emptyCount === 1 && pathCount === 0) {
-                const cell = emptyCells[0];
-            return {
-                    message: `Cell ${cellRef(cell.r, cell.c)} must be a path to complete the dead end at ${cellRef(r, c)}.`,
-                    highlight: { type: 'cell', r: cell.r, c: cell.c },
-                    cells: [cell], shouldBe: 'path'
-                };
+            // Mark as clump if path nodes + dead end nodes fill the 2x2 square
+            // BUT exempt if all corners are part of a complete 3x3 path with stockpile
+            if(pathCount + deadEndCount === 4 && pathCount > 0) {
+                const allInComplete3x3 = corners.every(idx => complete3x3Cells.has(idx));
+                if (!allInComplete3x3) {
+                    corners.forEach(idx => clumps.add(idx));
+                }
             }
-
-        return null;
+        }
     }
 
-    return iterateAllCellsForHint(merged, checkDeadEnd, forCell, 
-        (best, curr) => curr.cells.length > best.cells.length ? curr : best);
-}
-// Hint 4: Data cache vault constraints - some cells are guaranteed to be in the vault
-// Based on edges, walls, AND row/column wall requirements, we can determine which vault positions are valid
-function hintCacheNearEdge(merged) {
-    // Check if there's a stockpile (data cache)
-    if (!stockpilePos) return null;
+    for(let i=0; i<SIZE*SIZE; i++) {
+        const cell = cells[i], r = Math.floor(i/SIZE), c = i%SIZE;
+        cell.innerHTML = ''; cell.classList.remove('cell-erratic');
+        let playerWalls = 0, connectedToManualPath = 0;
+        [[0,1],[0,-1],[1,0],[-1,0]].forEach(([dr, dc]) => {
+            let nr=r+dr, nc=c+dc;
+            if(nr<0||nr>=SIZE||nc<0||nc>=SIZE||merged[nr*SIZE+nc] === 1) playerWalls++;
+            else if(merged[nr*SIZE+nc] === 2) connectedToManualPath++;
+        });
+        if (erraticIndices.has(i)) cell.classList.add('cell-erratic');
 
-    const cacheR = stockpilePos.r;
-    const cacheC = stockpilePos.c;
+        // Render fork anchor diamond on cells
+        if (currentIdx > 0 && fa && fa.type === 'cell' && fa.idx === i) {
+            const anchor = document.createElement('div');
+            anchor.className = 'fork-anchor';
+            anchor.style.borderColor = `var(--neon-${colors[currentIdx]})`;
+            anchor.style.boxShadow = `0 0 10px var(--neon-${colors[currentIdx]})`;
+            setAnimationDelay(anchor);
+            cell.appendChild(anchor);
+        }
 
-    // Check if a 3x3 vault position is valid
-    function isValidVaultPosition(vr, vc) {
-        // Must be within grid
-        if (vr < 0 || vr + 2 >= SIZE || vc < 0 || vc + 2 >= SIZE) return false;
+        // Render stockpile if this is the stockpile position
+        if (stockpilePos && stockpilePos.r === r && stockpilePos.c === c) {
+            const stockpile = ThemeManager.render.stockpile(stockpileInWalledRoom ? 'complete' : 'normal');
+            syncAnimations(stockpile);
+            cell.appendChild(stockpile);
+        }
 
-        // Must contain the cache
-        if (cacheR < vr || cacheR > vr + 2 || cacheC < vc || cacheC > vc + 2) return false;
+        if(puzzleCore.isTargetDeadEnd(r, c)) {
+            // Determine node state
+            let nodeState = 'normal';
+            if (erraticIndices.has(i) || playerWalls === 4) nodeState = 'erratic';
+            else if (isProgressIndicatorsEnabled() && playerWalls === 3) nodeState = 'complete';
+            else if (connectedToManualPath >= 2) nodeState = 'conflict';
 
-        // Must not have any walls inside the 3x3 area
-        for (let dr = 0; dr < 3; dr++) {
-            for (let dc = 0; dc < 3; dc++) {
-                const idx = (vr + dr) * SIZE + (vc + dc);
-                if (merged[idx] === 1) return false; // Wall inside vault
-            }
+            const node = ThemeManager.render.node(nodeState);
+            syncAnimations(node);
+            cell.appendChild(node);
+        } else if(isErrorIndicatorsEnabled() && playerWalls >= 3 && merged[i] !== 1) {
+            const box = document.createElement('div');
+            box.className = 'invalid-box';
+            if ((rowTotals[r] > targets.r[r] || colTotals[c] > targets.c[c]) || merged[i] === 2) box.classList.add('invalid-box-high');
+            setAnimationDelay(box);
+            box.innerHTML = '<div class="invalid-x"></div>';
+            cell.appendChild(box);
         }
 
-        // Check if any row in the vault requires too many walls to fit outside the vault
-        // If vault is here, these 3 columns must be paths in this row
-        // So all remaining walls must fit in the other SIZE-3 columns
-        for (let dr = 0; dr < 3; dr++) {
-            const r = vr + dr;
-            const { target: rowTarget } = getRowCounts(merged, r);
-            // Count walls already placed outside the vault columns
-            // Count empty cells outside the vault columns (where walls could still go)
-            let wallsOutside = 0;
-            let emptyOutside = 0;
-            for (let c = 0; c < SIZE; c++) {
-                if (c >= vc && c <= vc + 2) continue; // Skip vault columns
-                const idx = r * SIZE + c;
-                if (merged[idx] === 1) wallsOutside++;
-                else if (merged[idx] === 0 && !isFixedPath(r, c)) emptyOutside++;
+        const isStockpileCell = stockpilePos && stockpilePos.r === r && stockpilePos.c === c;
+        if (merged[i] !== 1) {
+            // Draw trace lines from path nodes, dead ends, or stockpile (which acts as path)
+            if (merged[i] === 2 || puzzleCore.isTargetDeadEnd(r, c) || isStockpileCell) {
+                [[0,1,'e','h','trace-e'],[0,-1,'w','h','trace-w'],[1,0,'s','v','trace-s'],[-1,0,'n','v','trace-n']].forEach(([dr, dc, dir, orient, cls]) => {
+                    let nr=r+dr, nc=c+dc, nIdx = nr*SIZE+nc;
+                    const isNeighborStockpile = stockpilePos && stockpilePos.r === nr && stockpilePos.c === nc;
+                    if(nr>=0 && nr<SIZE && nc>=0 && nc<SIZE && (merged[nIdx] === 2 || puzzleCore.isTargetDeadEnd(nr, nc) || isNeighborStockpile)) {
+                        const trace = document.createElement('div');
+                        trace.className = `trace-line trace-${orient} ${cls}`;
+                        let u = Math.min(i, nIdx), v = Math.max(i, nIdx);
+                        if (isErrorIndicatorsEnabled() && (clumps.has(i) || clumps.has(nIdx))) trace.classList.add('trace-error');
+                        else if (erraticIndices.has(i)) trace.classList.add('trace-erratic');
+                        else if (isProgressIndicatorsEnabled() && (authenticatedEdges.has(`${u}-${v}`) || (complete3x3Cells.has(i) && complete3x3Cells.has(nIdx)))) {
+                            // Use blue for traces inside the 3x3 data node, green for authenticated paths
+                            const bothIn3x3 = complete3x3Cells.has(i) && complete3x3Cells.has(nIdx);
+                            trace.classList.add(bothIn3x3 ? 'trace-complete-blue' : 'trace-complete');
+                            // Check if both cells are from lower layers (should dim the trace)
+                            const iFromLower = layers[currentIdx][i] !== 2 && layers.slice(0, currentIdx).some(l => l[i] === 2);
+                            const nFromLower = layers[currentIdx][nIdx] !== 2 && layers.slice(0, currentIdx).some(l => l[nIdx] === 2);
+                            // Also consider dead ends and stockpile as "current" (not dimmed)
+                            const iIsCurrent = layers[currentIdx][i] === 2 || puzzleCore.isTargetDeadEnd(r, c) || isStockpileCell;
+                            const nIsCurrent = layers[currentIdx][nIdx] === 2 || puzzleCore.isTargetDeadEnd(nr, nc) || isNeighborStockpile;
+                            if (!iIsCurrent && !nIsCurrent && (iFromLower || nFromLower)) {
+                                trace.classList.add('trace-dim');
+                            }
+                        }
+                        cell.appendChild(trace);
+                    }
+                });
             }
-            // If walls needed > walls we have + empty cells outside vault, can't fit
-            if (rowTarget > wallsOutside + emptyOutside) return false;
         }
 
-        // Same check for columns
-        for (let dc = 0; dc < 3; dc++) {
-            const c = vc + dc;
-            const { target: colTarget } = getColCounts(merged, c);
-            let wallsOutside = 0;
-            let emptyOutside = 0;
-            for (let r = 0; r < SIZE; r++) {
-                if (r >= vr && r <= vr + 2) continue; // Skip vault rows
-                const idx = r * SIZE + c;
-                if (merged[idx] === 1) wallsOutside++;
-                else if (merged[idx] === 0 && !isFixedPath(r, c)) emptyOutside++;
-            }
-            if (colTarget > wallsOutside + emptyOutside) return false;
+        // Render answer key overlay if enabled (not allowed in daily puzzle mode)
+        if (showKey && isSolutionDisplayAllowed() && solution[r][c] === 1) {
+            const keyOverlay = document.createElement('div');
+            keyOverlay.className = 'answer-key-overlay';
+            cell.appendChild(keyOverlay);
         }
 
-        return true;
-    }
-
-    // Find all valid vault positions
-    const validVaults = [];
-    for (let vr = Math.max(0, cacheR - 2); vr <= Math.min(SIZE - 3, cacheR); vr++) {
-        for (let vc = Math.max(0, cacheC - 2); vc <= Math.min(SIZE - 3, cacheC); vc++) {
-            if (isValidVaultPosition(vr, vc)) {
-                validVaults.push({ r: vr, c: vc });
-            }
+        if (lockedWalls[i]) {
+            cell.appendChild(ThemeManager.render.wall(0, false, false, true));
         }
-    }
 
-    if (validVaults.length === 0) return null; // No valid vaults (shouldn't happen in valid puzzle)
-
-    // Find cells that are in ALL valid vault positions
-    const guaranteedPaths = [];
+        layers.forEach((layer, lIdx) => {
+            if (layer[i] === 1) {
+                const isError = rowTotals[r] > targets.r[r] || colTotals[c] > targets.c[c];
+                const isCurrentLayer = lIdx === currentIdx;
 
-    for (let r = 0; r < SIZE; r++) {
-        for (let c = 0; c < SIZE; c++) {
-            // Check if this cell is in every valid vault
-            let inAllVaults = true;
+                const wall = ThemeManager.render.wall(lIdx, isError, isCurrentLayer);
+                if (isError && isCurrentLayer) setAnimationDelay(wall);
+                cell.appendChild(wall);
+            } else if (layer[i] === 2) {
+                const isCurrentLayer = lIdx === currentIdx;
+                const hasAnimation = clumps.has(i) || erraticIndices.has(i);
 
-            for (const vault of validVaults) {
-                if (r < vault.r || r > vault.r + 2 || c < vault.c || c > vault.c + 2) {
-                    inAllVaults = false;
-                    break;
-                }
-            }
+                // Determine path state
+                let pathState = 'normal';
+                if (isErrorIndicatorsEnabled() && clumps.has(i)) pathState = 'error';
+                else if (erraticIndices.has(i)) pathState = 'erratic';
+                else if (isProgressIndicatorsEnabled() && complete3x3Cells.has(i)) pathState = 'complete-blue';
+                else if (isProgressIndicatorsEnabled() && authenticatedIndices.has(i)) pathState = 'complete';
 
-            if (inAllVaults) {
-                const idx = r * SIZE + c;
-                // Only suggest if cell is empty (not already a path or wall)
-                if (merged[idx] === 0 && !isFixedPath(r, c)) {
-                    guaranteedPaths.push({ r, c });
-                }
+                const dot = ThemeManager.render.pathDot(lIdx, isCurrentLayer, pathState);
+                if (hasAnimation) setAnimationDelay(dot);
+                cell.appendChild(dot);
             }
-        }
+        });
     }
 
-    if (guaranteedPaths.length === 0) return null;
+    updateButtonStates();
+    renderGhost();
 
-    // Return hint for the guaranteed path cells
-    if (guaranteedPaths.length === 1) {
-        const cell = guaranteedPaths[0];
-        return {
-            message: `Cell ${cellRef(cell.r, cell.c)} must be a path. Any valid vault containing the data cache must include this cell.`,
-            highlight: { type: 'cell', r: cell.r, c: cell.c },
-            cells: guaranteedPaths, shouldBe: 'path'
-        };
+    // Save game state after each update
+    if (recordingPlayback) return;
+    if (isDailyPuzzle) {
+        DailyPuzzleState.saveProgress();
     } else {
-        const cellList = formatCellList(guaranteedPaths);
-        return {
-            message: `Cells ${cellList} must be paths. Any valid vault containing the data cache must include these cells.`,
-            highlight: { type: 'cells', cells: guaranteedPaths },
-            cells: guaranteedPaths, shouldBe: 'path'
-        };
+        GameState.save();
     }
 }
 
-// Hint: If only one vault position is valid and some interior cells are empty, they must be paths
-// This handles cases where paths around the stockpile constrain the vault to a single position
-function hintVaultInteriorMustBePath(merged) {
-    if (!stockpilePos) return null;
-
-    const cacheR = stockpilePos.r;
-    const cacheC = stockpilePos.c;
-
-    // Check if a 3x3 vault position is valid (no walls inside, at most 1 door, row/col constraints satisfied)
-    function isValidVaultPosition(vr, vc) {
-        // Must be within grid
-        if (vr < 0 || vr + 2 >= SIZE || vc < 0 || vc + 2 >= SIZE) return false;
+function getPathOrder() {
+    // Find all path cells (non-wall cells in solution)
+    const pathCells = new Set();
+    for(let i=0; i<SIZE*SIZE; i++) {
+        const r = Math.floor(i/SIZE), c = i%SIZE;
+        if(solution[r][c] === 0) pathCells.add(i);
+    }
+    if(pathCells.size === 0) return [];
 
-        // Must contain the stockpile
-        if (cacheR < vr || cacheR > vr + 2 || cacheC < vc || cacheC > vc + 2) return false;
+    // Find a dead end to start from
+    let startIdx = pathCells.values().next().value;
+    for(let idx of pathCells) {
+        const r = Math.floor(idx/SIZE), c = idx%SIZE;
+        if(puzzleCore.isTargetDeadEnd(r, c)) { startIdx = idx; break; }
+    }
 
-        // Check no walls inside the 3x3
-        for (let dr = 0; dr < 3; dr++) {
-            for (let dc = 0; dc < 3; dc++) {
-                const idx = (vr + dr) * SIZE + (vc + dc);
-                if (merged[idx] === 1) return false;
-            }
-        }
+    // BFS flood fill - returns array of arrays, each inner array is cells at that distance
+    const waves = [[startIdx]];
+    const visited = new Set([startIdx]);
 
-        // Count paths on the perimeter (doors) - vault can only have 1 door
-        let doorCount = 0;
-        const checkPerimeter = (pr, pc) => {
-            if (pr < 0 || pr >= SIZE || pc < 0 || pc >= SIZE) return;
-            const pIdx = pr * SIZE + pc;
-            if (merged[pIdx] === 2 || isFixedPath(pr, pc)) doorCount++;
-        };
-        // Top perimeter
-        if (vr > 0) for (let dc = 0; dc < 3; dc++) checkPerimeter(vr - 1, vc + dc);
-        // Bottom perimeter
-        if (vr + 3 < SIZE) for (let dc = 0; dc < 3; dc++) checkPerimeter(vr + 3, vc + dc);
-        // Left perimeter
-        if (vc > 0) for (let dr = 0; dr < 3; dr++) checkPerimeter(vr + dr, vc - 1);
-        // Right perimeter
-        if (vc + 3 < SIZE) for (let dr = 0; dr < 3; dr++) checkPerimeter(vr + dr, vc + 3);
-
-        if (doorCount > 1) return false; // Too many doors
-
-        // Check row constraints
-        for (let dr = 0; dr < 3; dr++) {
-            const r = vr + dr;
-            const { target: rowTarget } = getRowCounts(merged, r);
-            let wallsOutside = 0, emptyOutside = 0;
-            for (let c = 0; c < SIZE; c++) {
-                if (c >= vc && c <= vc + 2) continue;
-                const idx = r * SIZE + c;
-                if (merged[idx] === 1) wallsOutside++;
-                else if (merged[idx] === 0 && !isFixedPath(r, c)) emptyOutside++;
-            }
-            if (rowTarget > wallsOutside + emptyOutside) return false;
-        }
+    while(visited.size < pathCells.size) {
+        const currentWave = waves[waves.length - 1];
+        const nextWave = [];
 
-        // Check column constraints
-        for (let dc = 0; dc < 3; dc++) {
-            const c = vc + dc;
-            const { target: colTarget } = getColCounts(merged, c);
-            let wallsOutside = 0, emptyOutside = 0;
-            for (let r = 0; r < SIZE; r++) {
-                if (r >= vr && r <= vr + 2) continue;
-                const idx = r * SIZE + c;
-                if (merged[idx] === 1) wallsOutside++;
-                else if (merged[idx] === 0 && !isFixedPath(r, c)) emptyOutside++;
+        for(let idx of currentWave) {
+            const r = Math.floor(idx/SIZE), c = idx%SIZE;
+            for(let [dr, dc] of [[0,1],[0,-1],[1,0],[-1,0]]) {
+                const nr = r+dr, nc = c+dc, nIdx = nr*SIZE+nc;
+                if(nr>=0 && nr<SIZE && nc>=0 && nc<SIZE && !visited.has(nIdx) && pathCells.has(nIdx)) {
+                    visited.add(nIdx);
+                    nextWave.push(nIdx);
+                }
             }
-            if (colTarget > wallsOutside + emptyOutside) return false;
         }
 
-        return true;
-    }
-
-    // Find all valid vault positions
-    const validVaults = [];
-    for (let vr = Math.max(0, cacheR - 2); vr <= Math.min(SIZE - 3, cacheR); vr++) {
-        for (let vc = Math.max(0, cacheC - 2); vc <= Math.min(SIZE - 3, cacheC); vc++) {
-            if (isValidVaultPosition(vr, vc)) {
-                validVaults.push({ r: vr, c: vc });
-            }
-        }
+        if(nextWave.length === 0) break;
+        waves.push(nextWave);
     }
 
-    if (validVaults.length !== 1) return null; // Only applies when exactly one vault position is valid
+    return waves;
+}
 
-    const vault = validVaults[0];
+function formatTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+}
 
-    // Find empty cells inside this vault that must be paths
-    const emptyInterior = [];
-    for (let dr = 0; dr < 3; dr++) {
-        for (let dc = 0; dc < 3; dc++) {
-            const r = vault.r + dr, c = vault.c + dc;
-            const idx = r * SIZE + c;
-            if (merged[idx] === 0 && !isFixedPath(r, c)) {
-                emptyInterior.push({ r, c });
+function triggerVictorySequence() {
+    ChipSound.victory();
+    // Fill in any missing path nodes on the current layer (skip dead end nodes)
+    for(let i=0; i<SIZE*SIZE; i++) {
+        const r = Math.floor(i/SIZE), c = i%SIZE;
+        if(solution[r][c] === 0 && !puzzleCore.isTargetDeadEnd(r, c)) {
+            // Check if this path cell is not already marked
+            let alreadyMarked = false;
+            for(let l of layers) {
+                if(l[i] === 2) { alreadyMarked = true; break; }
+            }
+            if(!alreadyMarked) {
+                layers[currentIdx][i] = 2;
             }
         }
     }
 
-    if (emptyInterior.length === 0) return null;
+    finishGhostRace();
 
-    if (emptyInterior.length === 1) {
-        const cell = emptyInterior[0];
-        return {
-            message: `Cell ${cellRef(cell.r, cell.c)} must be paths within the vault. This is the only valid vault position, so all interior cells must be paths.`,
-            highlight: { type: 'cell', r: cell.r, c: cell.c },
-            cells: emptyInterior, shouldBe: 'path'
-        };
-    } else {
-        const cellList = formatCellList(emptyInterior);
-        return {
-            message: `Cells ${cellList} must be paths within the vault. This is the only valid vault position, so all interior cells must be paths.`,
-            highlight: { type: 'cells', cells: emptyInterior },
-            cells: emptyInterior, shouldBe: 'path'
-        };
-    }
-}
+    // Keep the solve for replay (the tutorial's scripted board isn't worth keeping)
+    recordSolveFrame('finish');
+    if (!isTutorialMode) SolveRecordings.add(createRecordingFromSolve());
 
-// Hint: If vault interior is complete (3x3 paths with single exit), remaining perimeter must be walls
-function hintVaultPerimeterComplete(merged) {
-    if (!stockpilePos) return null;
+    // Re-render to show the last wall and filled path nodes
+    const cells = document.getElementById('mainGrid').querySelectorAll('.cell');
+    const rl = document.getElementById('rowLabels').children;
+    const cl = document.getElementById('colLabels').children;
+    const merged = getMergedBoard();
+    let stockpileEl = null; // Swapped for the retrieved stockpile when the fill reaches it
 
-    // Check all possible 3x3 vault positions containing the stockpile
-    for (let roomR = Math.max(0, stockpilePos.r - 2); roomR <= Math.min(stockpilePos.r, SIZE - 3); roomR++) {
-        for (let roomC = Math.max(0, stockpilePos.c - 2); roomC <= Math.min(stockpilePos.c, SIZE - 3); roomC++) {
-            // Check if stockpile is in this room
-            if (stockpilePos.r < roomR || stockpilePos.r > roomR + 2 ||
-                stockpilePos.c < roomC || stockpilePos.c > roomC + 2) continue;
+    // Quick render of walls and path dots
+    for(let i=0; i<SIZE*SIZE; i++) {
+        const cell = cells[i], r = Math.floor(i/SIZE), c = i%SIZE;
+        cell.innerHTML = '';
 
-            // Check if all 9 interior cells are paths
-            let interiorComplete = true;
-            for (let dr = 0; dr < 3 && interiorComplete; dr++) {
-                for (let dc = 0; dc < 3 && interiorComplete; dc++) {
-                    const cr = roomR + dr, cc = roomC + dc;
-                    const idx = cr * SIZE + cc;
-                    const isStockpileCell = stockpilePos.r === cr && stockpilePos.c === cc;
-                    if (merged[idx] !== 2 && !isTargetDeadEnd(cr, cc) && !isStockpileCell) {
-                        interiorComplete = false;
-                    }
-                }
-            }
-            if (!interiorComplete) continue;
-
-            // Interior is complete - count doors (paths in perimeter) and find empty perimeter cells
-            let doorCount = 0;
-            const emptyPerimeter = [];
-
-            // Helper to check a perimeter cell
-            const checkPerimeter = (pr, pc) => {
-                if (pr < 0 || pr >= SIZE || pc < 0 || pc >= SIZE) return; // Edge of grid
-                const pIdx = pr * SIZE + pc;
-                if (merged[pIdx] === 2 || isFixedPath(pr, pc)) {
-                    doorCount++;
-                } else if (merged[pIdx] === 0 && !isFixedPath(pr, pc)) {
-                    emptyPerimeter.push({ r: pr, c: pc });
-                }
-            };
+        if(puzzleCore.isTargetDeadEnd(r, c)) {
+            const node = ThemeManager.render.node('complete');
+            syncAnimations(node);
+            cell.appendChild(node);
+        }
 
-            // Top perimeter (row above room)
-            if (roomR > 0) {
-                for (let dc = 0; dc < 3; dc++) checkPerimeter(roomR - 1, roomC + dc);
-            }
-            // Bottom perimeter (row below room)
-            if (roomR + 3 < SIZE) {
-                for (let dc = 0; dc < 3; dc++) checkPerimeter(roomR + 3, roomC + dc);
-            }
-            // Left perimeter (column left of room)
-            if (roomC > 0) {
-                for (let dr = 0; dr < 3; dr++) checkPerimeter(roomR + dr, roomC - 1);
-            }
-            // Right perimeter (column right of room)
-            if (roomC + 3 < SIZE) {
-                for (let dr = 0; dr < 3; dr++) checkPerimeter(roomR + dr, roomC + 3);
+        // Render stockpile if this is the stockpile position
+        if (stockpilePos && stockpilePos.r === r && stockpilePos.c === c) {
+            stockpileEl = ThemeManager.render.stockpile('complete');
+            syncAnimations(stockpileEl);
+            cell.appendChild(stockpileEl);
+        }
+
+        // Draw traces for path cells
+        if (merged[i] !== 1) {
+            if (merged[i] === 2 || puzzleCore.isTargetDeadEnd(r, c)) {
+                [[0,1,'e','h','trace-e'],[0,-1,'w','h','trace-w'],[1,0,'s','v','trace-s'],[-1,0,'n','v','trace-n']].forEach(([dr, dc, dir, orient, cls]) => {
+                    let nr=r+dr, nc=c+dc, nIdx = nr*SIZE+nc;
+                    if(nr>=0 && nr<SIZE && nc>=0 && nc<SIZE && (merged[nIdx] === 2 || puzzleCore.isTargetDeadEnd(nr, nc))) {
+                        const trace = document.createElement('div');
+                        trace.className = `trace-line trace-${orient} ${cls} trace-complete`;
+                        cell.appendChild(trace);
+                    }
+                });
             }
+        }
 
-            // If exactly 1 door and there are empty perimeter cells, they must be walls
-            if (doorCount === 1 && emptyPerimeter.length > 0) {
-                if (emptyPerimeter.length === 1) {
-                    const cell = emptyPerimeter[0];
-                    return {
-                        message: `Cell ${cellRef(cell.r, cell.c)} must be a wall. The vault interior is complete with one door, so the remaining perimeter must be sealed.`,
-                        highlight: { type: 'cell', r: cell.r, c: cell.c },
-                        cells: emptyPerimeter, shouldBe: 'wall'
-                    };
-                } else {
-                    const cellList = formatCellList(emptyPerimeter);
-                    return {
-                        message: `Cells ${cellList} must be walls. The vault interior is complete with one door, so the remaining perimeter must be sealed.`,
-                        highlight: { type: 'cells', cells: emptyPerimeter },
-                        cells: emptyPerimeter, shouldBe: 'wall'
-                    };
-                }
-            }
+        if (lockedWalls[i]) {
+            cell.appendChild(ThemeManager.render.wall(0, false, true, true));
         }
-    }
-    return null;
-}
 
-// Hint: Vault exit cannot be adjacent to dead end in certain positions
-// A vault exit on the center of an edge cannot be adjacent to a dead end
-// A vault exit on a corner adjacent to a dead end cannot be on the grid edge
-function hintVaultExitDeadEnd(merged) {
-    if (!stockpilePos) return null;
-
-    const cacheR = stockpilePos.r;
-    const cacheC = stockpilePos.c;
-
-    // Find the vault position where all 9 interior cells are paths
-    // Check all possible 3x3 vault positions containing the stockpile
-    for (let vr = Math.max(0, cacheR - 2); vr <= Math.min(cacheR, SIZE - 3); vr++) {
-        for (let vc = Math.max(0, cacheC - 2); vc <= Math.min(cacheC, SIZE - 3); vc++) {
-            // Check if stockpile is in this vault
-            if (cacheR < vr || cacheR > vr + 2 || cacheC < vc || cacheC > vc + 2) continue;
-
-            // Check if all 9 interior cells are paths (vault is complete)
-            let vaultComplete = true;
-            for (let dr = 0; dr < 3 && vaultComplete; dr++) {
-                for (let dc = 0; dc < 3 && vaultComplete; dc++) {
-                    const cr = vr + dr, cc = vc + dc;
-                    const idx = cr * SIZE + cc;
-                    const isStockpileCell = cacheR === cr && cacheC === cc;
-                    // All cells must be paths (or stockpile/dead end which are fixed paths)
-                    if (merged[idx] !== 2 && !isTargetDeadEnd(cr, cc) && !isStockpileCell) {
-                        vaultComplete = false;
-                    }
-                }
+        layers.forEach((layer, lIdx) => {
+            if (layer[i] === 1) {
+                cell.appendChild(ThemeManager.render.wall(lIdx, false, true));
+            } else if (layer[i] === 2) {
+                cell.appendChild(ThemeManager.render.pathDot(lIdx, true, 'complete'));
             }
-            if (!vaultComplete) continue;
+        });
+    }
 
-            // Check perimeter cells for potential exits (the 12 cells surrounding the vault)
-            const checkPerimeterExit = (pr, pc, isCorner, isEdgeCenter) => {
-                if (pr < 0 || pr >= SIZE || pc < 0 || pc >= SIZE) return null;
-                const pIdx = pr * SIZE + pc;
-                
-                // Only check empty cells (potential exits)
-                if (merged[pIdx] !== 0) return null;
-
-                // Verify this cell is directly adjacent to the vault (one of its 4 neighbors is in the vault)
-                let adjacentToVault = false;
-                for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
-                    const nr = pr + dr, nc = pc + dc;
-                    if (nr >= vr && nr <= vr + 2 && nc >= vc && nc <= vc + 2) {
-                        // This neighbor is inside the vault - since vault is complete, it's a path
-                        adjacentToVault = true;
-                        break;
-                    }
-                }
-                if (!adjacentToVault) return null;
-
-                // Check if this perimeter cell is adjacent to a dead end
-                let adjacentToDeadEnd = false;
-                for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
-                    const nr = pr + dr, nc = pc + dc;
-                    if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE && isTargetDeadEnd(nr, nc)) {
-                        adjacentToDeadEnd = true;
+    // Update labels to show complete
+    for(let r=0; r<SIZE; r++) {
+        rl[r].className = 'count-neon count-ok';
+    }
+    for(let c=0; c<SIZE; c++) {
+        cl[c].className = 'count-neon count-ok';
+    }
+
+    // Small delay to let the DOM render the final state before animation
+    setTimeout(() => {
+        const waves = getPathOrder();
+        const delayPerWave = Math.max(40, 600 / waves.length); // Faster for larger grids
+
+        // The path fill over the cells; themes can wrap or replace it
+        const playPathFill = () => {
+            // Find which wave contains the stockpile
+            let stockpileWaveIdx = -1;
+            if (stockpilePos) {
+                const stockpileIdx = stockpilePos.r * SIZE + stockpilePos.c;
+                for (let wIdx = 0; wIdx < waves.length; wIdx++) {
+                    if (waves[wIdx].includes(stockpileIdx)) {
+                        stockpileWaveIdx = wIdx;
                         break;
                     }
                 }
+            }
 
-                if (!adjacentToDeadEnd) return null;
+            // Animate cells wave by wave (flood fill effect)
+            waves.forEach((wave, waveIdx) => {
+                setTimeout(() => {
+                    wave.forEach(idx => {
+                        cells[idx].classList.add('cell-victory-glow');
+                    });
 
-                // Case 1: Center of edge adjacent to dead end - cannot be exit
-                if (isEdgeCenter) {
-                    return {
-                        message: `Cell ${cellRef(pr, pc)} cannot be the vault exit. It's next to a dead end that would cut off the vault from the rest of the grid.`,
-                        highlight: { type: 'cell', r: pr, c: pc },
-                        cells: [{ r: pr, c: pc }], shouldBe: 'wall'
-                    };
-                }
+                    // Trigger data retrieved animation when wave reaches stockpile
+                    if (waveIdx === stockpileWaveIdx && stockpileEl && stockpileEl.isConnected) {
+                        const retrieved = ThemeManager.render.stockpile('retrieved');
+                        syncAnimations(retrieved);
+                        stockpileEl.replaceWith(retrieved);
+                        stockpileEl = retrieved;
+                    }
+                }, waveIdx * delayPerWave);
+            });
+        };
+        ThemeManager.playVictorySequence(playPathFill);
 
-                // Case 2: Corner adjacent to dead end on grid edge - cannot be exit
-                if (isCorner && (pr === 0 || pr === SIZE - 1 || pc === 0 || pc === SIZE - 1)) {
-                    return {
-                        message: `Cell ${cellRef(pr, pc)} cannot be the vault exit. It's next to a dead end that would cut off the vault from the rest of the grid.`,
-                        highlight: { type: 'cell', r: pr, c: pc },
-                        cells: [{ r: pr, c: pc }], shouldBe: 'wall'
-                    };
-                }
+        // Show victory overlay after path animation completes
+        const totalAnimTime = waves.length * delayPerWave + 400;
+        setTimeout(() => {
+            // Tutorial mode: show tutorial complete dialog instead of victory overlay
+            if (isTutorialMode) {
+                showTutorialComplete();
+                return;
+            }
 
-                return null;
-            };
+            // Calculate elapsed time
+            const currentSessionTime = gameStartTime ? Date.now() - gameStartTime : 0;
+            const elapsed = elapsedTimeBeforePause + currentSessionTime;
 
-            // Check top perimeter (row above vault)
-            if (vr > 0) {
-                // Left corner
-                const topLeftHint = checkPerimeterExit(vr - 1, vc, true, false);
-                if (topLeftHint) return topLeftHint;
-                // Center
-                const topCenterHint = checkPerimeterExit(vr - 1, vc + 1, false, true);
-                if (topCenterHint) return topCenterHint;
-                // Right corner
-                const topRightHint = checkPerimeterExit(vr - 1, vc + 2, true, false);
-                if (topRightHint) return topRightHint;
+            // Daily puzzle mode: show daily complete dialog and return to main game
+            if (isDailyPuzzle) {
+                DailyPuzzleState.markCompleted(elapsed, moveCount, getSolveResult());
+                showDailyPuzzleComplete();
+                return;
             }
 
-            // Check bottom perimeter (row below vault)
-            if (vr + 3 < SIZE) {
-                // Left corner
-                const bottomLeftHint = checkPerimeterExit(vr + 3, vc, true, false);
-                if (bottomLeftHint) return bottomLeftHint;
-                // Center
-                const bottomCenterHint = checkPerimeterExit(vr + 3, vc + 1, false, true);
-                if (bottomCenterHint) return bottomCenterHint;
-                // Right corner
-                const bottomRightHint = checkPerimeterExit(vr + 3, vc + 2, true, false);
-                if (bottomRightHint) return bottomRightHint;
-            }
+            // Update stats
+            winStreak++;
+            document.getElementById('statTime').textContent = formatTime(elapsed);
+            document.getElementById('statMoves').textContent = moveCount;
+            document.getElementById('statStreak').textContent = winStreak;
 
-            // Check left perimeter (column left of vault)
-            if (vc > 0) {
-                // Top corner
-                const leftTopHint = checkPerimeterExit(vr, vc - 1, true, false);
-                if (leftTopHint) return leftTopHint;
-                // Center
-                const leftCenterHint = checkPerimeterExit(vr + 1, vc - 1, false, true);
-                if (leftCenterHint) return leftCenterHint;
-                // Bottom corner
-                const leftBottomHint = checkPerimeterExit(vr + 2, vc - 1, true, false);
-                if (leftBottomHint) return leftBottomHint;
-            }
+            // Record persistent stats
+            PlayerStats.recordWin(SIZE, elapsed, moveCount, winStreak, currentSeed);
 
-            // Check right perimeter (column right of vault)
-            if (vc + 3 < SIZE) {
-                // Top corner
-                const rightTopHint = checkPerimeterExit(vr, vc + 3, true, false);
-                if (rightTopHint) return rightTopHint;
-                // Center
-                const rightCenterHint = checkPerimeterExit(vr + 1, vc + 3, false, true);
-                if (rightCenterHint) return rightCenterHint;
-                // Bottom corner
-                const rightBottomHint = checkPerimeterExit(vr + 2, vc + 3, true, false);
-                if (rightBottomHint) return rightBottomHint;
+            // Check if we just unlocked a new size
+            const newlyUnlockedSize = checkForNewUnlock(SIZE);
+            if (newlyUnlockedSize) {
+                updateGridSizeSelect();
+                showLevelUnlockedDialog(newlyUnlockedSize);
+                return;
             }
-        }
-    }
 
-    return null;
-}
+            // Generate techno-babble
+            document.getElementById('technoBabble').textContent = generateTechnoBabble();
 
-// Hint: When only 4 empty cells remain and puzzle has two valid solutions, suggest one
-function hintTwoValidSolutions(merged, forCell = null) {
-    // Find all empty cells
-    const emptyCells = [];
-    for (let r = 0; r < SIZE; r++) {
-        for (let c = 0; c < SIZE; c++) {
-            const idx = r * SIZE + c;
-            if (merged[idx] === 0 && !isFixedPath(r, c)) {
-                emptyCells.push({ r, c });
+            // Highlight streak if > 1
+            const streakEl = document.getElementById('statStreak');
+            if(winStreak > 1) {
+                streakEl.classList.add('highlight');
+            } else {
+                streakEl.classList.remove('highlight');
             }
-        }
-    }
 
-    // Only apply if exactly 4 empty cells
-    if (emptyCells.length !== 4) return null;
+            document.getElementById('victoryOverlay').classList.add('visible');
+        }, totalAnimTime);
+    }, 100);
+}
 
-    // If forCell is specified, check if it's one of the 4 empty cells
-    if (forCell) {
-        const isInEmptyCells = emptyCells.some(ec => ec.r === forCell.r && ec.c === forCell.c);
-        if (!isInEmptyCells) return null;
-    }
+// Show the level unlocked dialog
+function showLevelUnlockedDialog(newSize) {
+    const dialog = document.getElementById('levelUnlockedDialog');
+    const sizeText = document.getElementById('unlockedSizeText');
+    const technoText = document.getElementById('unlockTechnoText');
+    const nextText = document.getElementById('unlockNextText');
 
-    // Try all possible pairings: (0,1) & (2,3), (0,2) & (1,3), (0,3) & (1,2)
-    const pairings = [
-        [[0, 1], [2, 3]],
-        [[0, 2], [1, 3]],
-        [[0, 3], [1, 2]]
-    ];
+    if (sizeText) {
+        sizeText.textContent = `${newSize}×${newSize}`;
+    }
 
-    const validSolutions = [];
+    const t = ThemeManager.current()?.terminology || {};
 
-    for (const pairing of pairings) {
-        const [pair1, pair2] = pairing;
-        
-        // Try making pair1 walls and pair2 paths
-        const testBoard1 = [...merged];
-        for (const idx of pair1) {
-            testBoard1[emptyCells[idx].r * SIZE + emptyCells[idx].c] = 1; // wall
-        }
-        for (const idx of pair2) {
-            testBoard1[emptyCells[idx].r * SIZE + emptyCells[idx].c] = 2; // path
-        }
-        if (isValidAlternateSolution(testBoard1)) {
-            validSolutions.push({
-                walls: pair1.map(idx => emptyCells[idx]),
-                paths: pair2.map(idx => emptyCells[idx])
-            });
+    // Special message for data vault unlock size - introduces Data Vaults
+    if (newSize === DATA_VAULT_UNLOCK_SIZE) {
+        if (technoText) {
+            technoText.textContent = t.vaultUnlockTechno || 'Secure data sectors now within operational parameters. New containment protocols available.';
         }
-
-        // Try making pair1 paths and pair2 walls
-        const testBoard2 = [...merged];
-        for (const idx of pair1) {
-            testBoard2[emptyCells[idx].r * SIZE + emptyCells[idx].c] = 2; // path
+        if (nextText) {
+            nextText.innerHTML = `You've unlocked <span class="tutorial-highlight">${newSize}×${newSize}</span> grids. These larger matrices may contain <span class="tutorial-highlight theme-vaults"></span> — secure 3×3 zones with special rules. You can always return to smaller grids anytime.`;
+            nextText.querySelector('.theme-vaults').textContent = `${t.vault || 'Data Vault'}s`;
         }
-        for (const idx of pair2) {
-            testBoard2[emptyCells[idx].r * SIZE + emptyCells[idx].c] = 1; // wall
+    } else {
+        // Standard message for other sizes
+        if (technoText) {
+            technoText.textContent = t.levelUpTechno || 'Cognitive load capacity verified. Higher-complexity matrices now accessible.';
         }
-        if (isValidAlternateSolution(testBoard2)) {
-            validSolutions.push({
-                walls: pair2.map(idx => emptyCells[idx]),
-                paths: pair1.map(idx => emptyCells[idx])
-            });
+        if (nextText) {
+            nextText.innerHTML = `You've unlocked <span class="tutorial-highlight" id="unlockedSizeText">${newSize}×${newSize}</span> grids. Ready to increase the challenge? You can always return to smaller grids anytime.`;
         }
     }
 
-    // Only hint if exactly 2 solutions found
-    if (validSolutions.length !== 2) return null;
+    // Store the new size for the button handlers
+    dialog.dataset.newSize = newSize;
+    dialog.showModal();
+}
 
-    // Check which solution matches the canonical solution
-    let matchingSolution = null;
-    for (const sol of validSolutions) {
-        let matches = true;
-        for (const cell of sol.walls) {
-            if (solution[cell.r][cell.c] !== 1) {
-                matches = false;
-                break;
-            }
-        }
-        if (matches) {
-            // Also verify the paths match
-            for (const cell of sol.paths) {
-                if (solution[cell.r][cell.c] !== 0) {
-                    matches = false;
-                    break;
-                }
-            }
-            if (matches) {
-                matchingSolution = sol;
-                break;
-            }
+// Check if user has made any progress on the current puzzle
+function hasPuzzleProgress() {
+    // The board on screen is already being replaced
+    if (isGenerating) return false;
+    for (let layer of layers) {
+        for (let val of layer) {
+            if (val !== 0) return true;
         }
     }
-
-    // If no solution matches exactly, pick the first one (both are valid)
-    const solutionToSuggest = matchingSolution || validSolutions[0];
-    const cellList = formatCellList(solutionToSuggest.walls);
-    const cellWord = solutionToSuggest.walls.length === 1 ? 'Cell' : 'Cells';
-
-    return {
-        message: `Two solutions are valid. Try making ${cellWord} ${cellList} ${solutionToSuggest.walls.length === 1 ? 'a wall' : 'walls'}.`,
-        highlight: solutionToSuggest.walls.length === 1
-            ? { type: 'cell', r: solutionToSuggest.walls[0].r, c: solutionToSuggest.walls[0].c }
-            : { type: 'cells', cells: solutionToSuggest.walls },
-        // Include all 4 empty cells so clicking any of them will show the hint
-        // But only the suggested cells (in highlight) should be validated
-        cells: emptyCells,
-        shouldBe: 'wall',
-        // Mark that validation should only check highlighted cells, not all cells
-        validateOnlyHighlighted: true
-    };
+    return false;
 }
 
-// Hint: If placing a wall/path would complete a row/column and cause an obvious error, cell must be opposite
-// Errors checked: 2x2 path block (outside vault), invalid dead end, dead end with multiple exits, disconnected paths
-function hintRowColCompletionCausesError(merged) {
-    // Helper to check if a 2x2 at (topR, topC) would be all paths in the test board
-    const would2x2BeAllPaths = (testBoard, topR, topC) => {
-        if (topR < 0 || topR + 1 >= SIZE || topC < 0 || topC + 1 >= SIZE) return false;
-        for (const [dr, dc] of [[0, 0], [0, 1], [1, 0], [1, 1]]) {
-            const cr = topR + dr, cc = topC + dc;
-            const idx = cr * SIZE + cc;
-            if (testBoard[idx] !== 2 && !isFixedPath(cr, cc)) return false;
-        }
-        // Check if near stockpile (2x2 paths allowed there)
-        if (stockpilePos) {
-            for (const [dr, dc] of [[0, 0], [0, 1], [1, 0], [1, 1]]) {
-                const cr = topR + dr, cc = topC + dc;
-                if (Math.abs(cr - stockpilePos.r) <= 1 && Math.abs(cc - stockpilePos.c) <= 1) {
-                    return false; // Near stockpile, 2x2 allowed
-                }
-            }
-        }
-        return true;
-    };
-
-    // Helper to check if cell would be an invalid dead end in test board
-    const wouldBeInvalidDeadEnd = (testBoard, r, c) => {
-        const idx = r * SIZE + c;
-        if (testBoard[idx] !== 2 && !isFixedPath(r, c)) return false;
-        if (isTargetDeadEnd(r, c)) return false;
-        let wallCount = 0;
-        for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
-            const nr = r + dr, nc = c + dc;
-            if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) wallCount++;
-            else if (testBoard[nr * SIZE + nc] === 1) wallCount++;
-        }
-        return wallCount >= 3;
-    };
-
-    // Helper to check if a dead end would have multiple paths
-    const wouldDeadEndHaveMultiplePaths = (testBoard, r, c) => {
-        if (!isTargetDeadEnd(r, c)) return false;
-        let pathCount = 0;
-        for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
-            const nr = r + dr, nc = c + dc;
-            if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) continue;
-            const nIdx = nr * SIZE + nc;
-            if (testBoard[nIdx] === 2 || isFixedPath(nr, nc)) pathCount++;
-        }
-        return pathCount > 1;
-    };
-
-    // Helper to check if paths would be truly disconnected (separated by walls with no possible route)
-    // Paths are only "disconnected" if walls make it impossible to connect them - empty cells don't count
-    const wouldPathsBeDisconnected = (testBoard) => {
-        const pathCells = [];
-        for (let i = 0; i < SIZE * SIZE; i++) {
-            const r = Math.floor(i / SIZE), c = i % SIZE;
-            if (testBoard[i] === 2 || isFixedPath(r, c)) pathCells.push(i);
-        }
-        if (pathCells.length <= 1) return false;
-
-        // BFS from first path cell, traversing through paths AND empty cells (not walls)
-        // This checks if all path cells are in the same "reachable region"
-        const visited = new Set();
-        const stack = [pathCells[0]];
-        visited.add(pathCells[0]);
-
-        while (stack.length > 0) {
-            const idx = stack.pop();
-            const r = Math.floor(idx / SIZE), c = idx % SIZE;
-            for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
-                const nr = r + dr, nc = c + dc;
-                if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE) {
-                    const nIdx = nr * SIZE + nc;
-                    // Can traverse through non-wall cells (paths or empty)
-                    if (!visited.has(nIdx) && testBoard[nIdx] !== 1) {
-                        visited.add(nIdx);
-                        stack.push(nIdx);
-                    }
-                }
-            }
-        }
-
-        // Check if all path cells were reached
-        for (const pathIdx of pathCells) {
-            if (!visited.has(pathIdx)) return true; // This path cell is unreachable - truly disconnected
-        }
-        return false;
-    };
-
-    // Check what errors would occur after filling a row/column
-    const checkForErrors = (testBoard, filledCells, fillType) => {
-        // Check each filled cell and its neighbors for errors
-        for (const cell of filledCells) {
-            const { r, c } = cell;
-
-            if (fillType === 2) { // Filled with paths
-                // Check for 2x2 path blocks involving this cell
-                for (const [dr, dc] of [[0, 0], [0, -1], [-1, 0], [-1, -1]]) {
-                    if (would2x2BeAllPaths(testBoard, r + dr, c + dc)) {
-                        return { type: '2x2', r, c };
-                    }
-                }
-                // Check if this cell becomes an invalid dead end
-                if (wouldBeInvalidDeadEnd(testBoard, r, c)) {
-                    return { type: 'invalid-dead-end', r, c };
-                }
-            }
-
-            if (fillType === 1) { // Filled with walls
-                // Check neighbors for invalid dead ends
-                for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
-                    const nr = r + dr, nc = c + dc;
-                    if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE) {
-                        if (wouldBeInvalidDeadEnd(testBoard, nr, nc)) {
-                            return { type: 'invalid-dead-end', r: nr, c: nc };
-                        }
-                    }
-                }
-            }
+// Reset puzzle confirmation dialog
+const resetPuzzleDialog = document.getElementById('resetPuzzleDialog');
+let pendingResetAction = null;
+let pendingResetCancel = null;
 
-            // Check adjacent dead ends for multiple paths
-            for (const [dr, dc] of [[0, 0], [0, 1], [0, -1], [1, 0], [-1, 0]]) {
-                const nr = r + dr, nc = c + dc;
-                if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE) {
-                    if (wouldDeadEndHaveMultiplePaths(testBoard, nr, nc)) {
-                        return { type: 'dead-end-multiple', r: nr, c: nc };
-                    }
-                }
-            }
-        }
+function confirmReset(action, onCancel) {
+    if (hasPuzzleProgress()) {
+        pendingResetAction = action;
+        pendingResetCancel = onCancel || null;
+        ChipSound.click();
+        resetPuzzleDialog.showModal();
+    } else {
+        action();
+    }
+}
 
-        // Check for disconnected paths (only if we added walls)
-        if (fillType === 1 && wouldPathsBeDisconnected(testBoard)) {
-            return { type: 'disconnected' };
-        }
+function cancelReset() {
+    ChipSound.click();
+    resetPuzzleDialog.close();
+    if (pendingResetCancel) {
+        pendingResetCancel();
+        pendingResetCancel = null;
+    }
+    pendingResetAction = null;
+}
 
-        return null;
-    };
+document.getElementById('resetPuzzleCancelBtn').onclick = cancelReset;
 
-    // Try each empty cell
-    for (let r = 0; r < SIZE; r++) {
-        for (let c = 0; c < SIZE; c++) {
-            const idx = r * SIZE + c;
-            if (merged[idx] !== 0 || isFixedPath(r, c)) continue;
-
-            // Check if locked by lower layer
-            const isLocked = isCellLocked(idx);
-            if (isLocked) continue;
-
-            // Try placing a wall here
-            for (const tryType of [1, 2]) { // 1 = wall, 2 = path
-                const testBoard = [...merged];
-                testBoard[idx] = tryType;
-
-                // Check row completion
-                const rowCounts = getRowCounts(testBoard, r);
-                let rowWouldComplete = false;
-                let rowFillType = 0;
-                let rowEmptyCells = [];
-
-                if (rowCounts.walls === rowCounts.target) {
-                    // Row walls complete - remaining empty cells become paths
-                    rowWouldComplete = true;
-                    rowFillType = 2;
-                    for (let cc = 0; cc < SIZE; cc++) {
-                        if (testBoard[r * SIZE + cc] === 0 && !isFixedPath(r, cc)) {
-                            rowEmptyCells.push({ r, c: cc });
-                        }
-                    }
-                } else if (rowCounts.paths === rowCounts.expectedPaths) {
-                    // Row paths complete - remaining empty cells become walls
-                    rowWouldComplete = true;
-                    rowFillType = 1;
-                    for (let cc = 0; cc < SIZE; cc++) {
-                        if (testBoard[r * SIZE + cc] === 0 && !isFixedPath(r, cc)) {
-                            rowEmptyCells.push({ r, c: cc });
-                        }
-                    }
-                }
+document.getElementById('resetPuzzleConfirmBtn').onclick = () => {
+    ChipSound.click();
+    resetPuzzleDialog.close();
+    if (pendingResetAction) {
+        pendingResetAction();
+        pendingResetAction = null;
+    }
+    pendingResetCancel = null;
+};
 
-                if (rowWouldComplete && rowEmptyCells.length > 0) {
-                    // Simulate filling the row
-                    const rowTestBoard = [...testBoard];
-                    for (const cell of rowEmptyCells) {
-                        rowTestBoard[cell.r * SIZE + cell.c] = rowFillType;
-                    }
-                    const error = checkForErrors(rowTestBoard, rowEmptyCells, rowFillType);
-                    if (error) {
-                        const opposite = tryType === 1 ? 'path' : 'wall';
-                        const placed = tryType === 1 ? 'wall' : 'path';
-                        let reason = '';
-                        if (error.type === '2x2') reason = 'it would create a 2×2 path block';
-                        else if (error.type === 'invalid-dead-end') reason = `it would trap ${cellRef(error.r, error.c)} as a dead end`;
-                        else if (error.type === 'dead-end-multiple') reason = `it would give the dead end at ${cellRef(error.r, error.c)} multiple exits`;
-                        else if (error.type === 'disconnected') reason = 'it would disconnect the path network';
-
-                        return {
-                            message: `Cell ${cellRef(r, c)} must be a ${opposite}. Placing a ${placed} would complete row ${rowToNumber(r)}, but ${reason}.`,
-                            highlight: { type: 'cell', r, c },
-                            cells: [{ r, c }], shouldBe: opposite
-                        };
-                    }
-                }
+resetPuzzleDialog.addEventListener('click', (e) => {
+    if (e.target === resetPuzzleDialog) {
+        cancelReset();
+    }
+});
 
-                // Check column completion
-                const colCounts = getColCounts(testBoard, c);
-                let colWouldComplete = false;
-                let colFillType = 0;
-                let colEmptyCells = [];
-
-                if (colCounts.walls === colCounts.target) {
-                    colWouldComplete = true;
-                    colFillType = 2;
-                    for (let rr = 0; rr < SIZE; rr++) {
-                        if (testBoard[rr * SIZE + c] === 0 && !isFixedPath(rr, c)) {
-                            colEmptyCells.push({ r: rr, c });
-                        }
-                    }
-                } else if (colCounts.paths === colCounts.expectedPaths) {
-                    colWouldComplete = true;
-                    colFillType = 1;
-                    for (let rr = 0; rr < SIZE; rr++) {
-                        if (testBoard[rr * SIZE + c] === 0 && !isFixedPath(rr, c)) {
-                            colEmptyCells.push({ r: rr, c });
-                        }
-                    }
-                }
+document.getElementById('gridSizeSelect').onchange = () => {
+    const select = document.getElementById('gridSizeSelect');
+    const selectedSize = parseInt(select.value);
+    const previousSize = SIZE;
 
-                if (colWouldComplete && colEmptyCells.length > 0) {
-                    const colTestBoard = [...testBoard];
-                    for (const cell of colEmptyCells) {
-                        colTestBoard[cell.r * SIZE + cell.c] = colFillType;
-                    }
-                    const error = checkForErrors(colTestBoard, colEmptyCells, colFillType);
-                    if (error) {
-                        const opposite = tryType === 1 ? 'path' : 'wall';
-                        const placed = tryType === 1 ? 'wall' : 'path';
-                        let reason = '';
-                        if (error.type === '2x2') reason = 'it would create a 2×2 path block';
-                        else if (error.type === 'invalid-dead-end') reason = `it would trap ${cellRef(error.r, error.c)} as a dead end`;
-                        else if (error.type === 'dead-end-multiple') reason = `it would give the dead end at ${cellRef(error.r, error.c)} multiple exits`;
-                        else if (error.type === 'disconnected') reason = 'it would disconnect the path network';
-
-                        return {
-                            message: `Cell ${cellRef(r, c)} must be a ${opposite}. Placing a ${placed} would complete column ${colToLetter(c)}, but ${reason}.`,
-                            highlight: { type: 'cell', r, c },
-                            cells: [{ r, c }], shouldBe: opposite
-                        };
-                    }
-                }
-            }
-        }
+    // Check if selected size is unlocked
+    if (!isSizeUnlocked(selectedSize)) {
+        select.value = previousSize;
+        ChipSound.error();
+        return;
     }
 
-    return null;
-}
+    confirmReset(
+        () => {
+            // Exit daily puzzle mode if active (changing size means starting regular game)
+            if (isDailyPuzzle) {
+                isDailyPuzzle = false;
+                dailyArchiveDate = null;
+                updateDailyPuzzleUI(false);
+            }
+            init(true);
+        },
+        () => { select.value = previousSize; }
+    );
+};
+// ============================================
+// FORK TREE
+// ============================================
+// Forks branch from any fork, so sibling hypotheses ("A3 is a wall" / "A3 is a path")
+// can sit side by side. The active branch, root to current fork, is still what
+// layers/forkAnchors/currentIdx hold; forkTree.path has the ids of its forks and
+// forkTree.parked keeps the forks of every other branch until they're switched to.
+// Depth is limited by the theme's layerColors, one color per level.
 
-// Hint: Empty cell surrounded by 3+ walls must be a wall
-// An empty cell with 3+ walls around it cannot be a path (would be an invalid dead end)
-function hintEmptyDeadEndMustBeWall(merged, forCell = null) {
-    function checkCell(merged, r, c) {
-        const idx = r * SIZE + c;
-        // Check both empty cells and path cells
-        const isPath = merged[idx] === 2 || isFixedPath(r, c);
-        const isEmpty = merged[idx] === 0 && !isFixedPath(r, c);
-        
-        if (!isEmpty && !isPath) return null;
-        
-        // Skip if it's a target dead end (those are valid path locations)
-        if (isTargetDeadEnd(r, c)) return null;
-
-        const { wallCount } = countNeighbors(merged, r, c);
-
-        // If exactly 3 walls (or 3+ for empty cells), this cell must be a wall
-        // For empty cells: 3+ walls means it would be an invalid dead end
-        // For path cells: exactly 3 walls means it IS an invalid dead end
-        if ((isEmpty && wallCount >= 3) || (isPath && wallCount === 3)) {
-            const message = isPath
-                ? `Cell ${cellRef(r, c)} is a path with 3 walls around it, making it a dead end. Since it's not a target dead end node, this is invalid. The cell must be a wall.`
-                : `Cell ${cellRef(r, c)} must be a wall. A path there would be a dead end with no exit.`;
-            
-            return {
-                message,
-                highlight: { type: 'cell', r, c },
-                cells: [{ r, c }], shouldBe: 'wall'
-            };
-        }
+function createForkTree(depth = 0) {
+    const path = Array.from({ length: depth + 1 }, (_, i) => i);
+    return { path, parked: [], nextId: depth + 1 };
+}
 
-        return null;
-    }
+function cloneForkTree(tree) {
+    return {
+        path: [...tree.path],
+        parked: tree.parked.map(node => ({ ...node, layer: [...node.layer], anchor: node.anchor ? { ...node.anchor } : null })),
+        nextId: tree.nextId
+    };
+}
 
-    return iterateAllCellsForHint(merged, checkCell, forCell);
+// Saves from before fork trees only have the active branch
+function restoreForkTree(saved, depth) {
+    return saved && saved.path.length === depth + 1 ? saved : createForkTree(depth);
 }
 
-// Hint 5: 2x2 area with 3 paths
-function hint2x2With3Paths(merged, forCell = null) {
-    // Find all 2x2 areas with 3 paths and 1 empty cell
-    const allCells = [];
+function getMaxForkDepth() {
+    return colors.length - 1;
+}
 
-    for (let r = 0; r < SIZE - 1; r++) {
-        for (let c = 0; c < SIZE - 1; c++) {
-            const corners = [
-                { r, c, idx: r * SIZE + c },
-                { r, c: c + 1, idx: r * SIZE + c + 1 },
-                { r: r + 1, c, idx: (r + 1) * SIZE + c },
-                { r: r + 1, c: c + 1, idx: (r + 1) * SIZE + c + 1 }
-            ];
+function getForkParent(id) {
+    const depth = forkTree.path.indexOf(id);
+    if (depth !== -1) return depth > 0 ? forkTree.path[depth - 1] : null;
+    const node = forkTree.parked.find(n => n.id === id);
+    return node ? node.parent : null;
+}
 
-            // Skip if any corner is near the stockpile
-            if (stockpilePos) {
-                let nearStockpile = false;
-                for (const corner of corners) {
-                    const dr = Math.abs(corner.r - stockpilePos.r);
-                    const dc = Math.abs(corner.c - stockpilePos.c);
-                    if (dr <= 1 && dc <= 1) {
-                        nearStockpile = true;
-                        break;
-                    }
-                }
-                if (nearStockpile) continue;
-            }
+function getForkChildren(id) {
+    const depth = forkTree.path.indexOf(id);
+    const children = forkTree.parked.filter(n => n.parent === id).map(n => n.id);
+    if (depth !== -1 && depth < currentIdx) children.push(forkTree.path[depth + 1]);
+    return children.sort((a, b) => a - b);
+}
 
-            let pathCount = 0;
-            let emptyCell = null;
+// Ids from the root to a fork
+function getForkPathTo(id) {
+    const path = [];
+    for (let node = id; node !== null; node = getForkParent(node)) path.unshift(node);
+    return path;
+}
 
-            for (const corner of corners) {
-                if (merged[corner.idx] === 2 || isFixedPath(corner.r, corner.c)) {
-                    pathCount++;
-                } else if (merged[corner.idx] === 0) {
-                    emptyCell = corner;
-                }
-            }
+function openFork() {
+    layers.push(Array(SIZE * SIZE).fill(0));
+    currentIdx++;
+    forkAnchors[currentIdx] = null;
+    forkTree.path.push(forkTree.nextId++);
+}
 
-            if (pathCount === 3 && emptyCell) {
-                // If looking for a specific cell, return immediately if found
-                if (forCell && emptyCell.r === forCell.r && emptyCell.c === forCell.c) {
-                    return {
-                        message: `Cell ${cellRef(emptyCell.r, emptyCell.c)} must be a wall to prevent a 2×2 path block.`,
-                        highlight: { type: 'cell', r: emptyCell.r, c: emptyCell.c },
-                        cells: [{ r: emptyCell.r, c: emptyCell.c }], shouldBe: 'wall'
-                    };
-                }
+// Merge the active fork into its parent; its own forks move up to the parent.
+// The other forks of that parent were alternatives to the committed one, so they go.
+function commitFork() {
+    const id = forkTree.path.pop();
+    const cur = layers.pop();
+    currentIdx--;
+    const parent = forkTree.path[currentIdx];
+    dropParkedForks(forkTree.parked.filter(node => node.parent === parent).map(node => node.id));
+    cur.forEach((v, i) => {
+        if (v === 0) return;
+        layers[currentIdx][i] = v;
+        if (currentIdx === 0 && !solveLog.forkCells.includes(i)) solveLog.forkCells.push(i);
+    });
+    forkTree.parked.forEach(node => {
+        if (node.parent === id) node.parent = forkTree.path[currentIdx];
+    });
+}
 
-                // Check if this cell is already in our list
-                const exists = allCells.some(c => c.r === emptyCell.r && c.c === emptyCell.c);
-                if (!exists) {
-                    allCells.push({ r: emptyCell.r, c: emptyCell.c });
-                }
-            }
-        }
-    }
+// Drop the active fork and everything branched from it
+function discardFork() {
+    dropParkedForks([forkTree.path.pop()]);
+    layers.pop();
+    currentIdx--;
+}
 
-    // If looking for a specific cell and we didn't find it, return null
-    if (forCell) return null;
+// Remove forks and everything branched from them from the parked ones
+function dropParkedForks(ids) {
+    const dropped = new Set(ids);
+    let remaining = forkTree.parked;
+    let size;
+    do {
+        size = dropped.size;
+        remaining = remaining.filter(node => {
+            if (!dropped.has(node.id) && !dropped.has(node.parent)) return true;
+            dropped.add(node.id);
+            return false;
+        });
+    } while (dropped.size > size);
+    forkTree.parked = remaining;
+}
 
-    if (allCells.length === 0) return null;
+// Make another fork active: park the branch above the shared ancestor, unpark the target's
+function switchFork(id) {
+    const target = getForkPathTo(id);
+    const path = forkTree.path;
+    let shared = 0;
+    while (shared < target.length && shared < path.length && target[shared] === path[shared]) shared++;
 
-    // Find groups of overlapping cells (cells that are adjacent or share a 2x2 area)
-    // Two cells overlap if they could be part of the same 2x2 region (within 1 step of each other)
-    const groups = [];
-    const used = new Set();
+    for (let depth = path.length - 1; depth >= shared; depth--) {
+        forkTree.parked.push({ id: path[depth], parent: path[depth - 1], layer: layers[depth], anchor: forkAnchors[depth] });
+    }
+    layers.length = shared;
+    forkAnchors.length = shared;
+    for (let depth = shared; depth < target.length; depth++) {
+        const node = forkTree.parked.find(n => n.id === target[depth]);
+        forkTree.parked = forkTree.parked.filter(n => n !== node);
+        layers.push(node.layer);
+        forkAnchors.push(node.anchor);
+    }
+    // Keep a null slot for the anchor of a fork opened later
+    while (forkAnchors.length < colors.length) forkAnchors.push(null);
+    forkTree.path = target;
+    currentIdx = target.length - 1;
+}
 
-    for (const cell of allCells) {
-        if (used.has(`${cell.r},${cell.c}`)) continue;
+function getForkLayer(id) {
+    const depth = forkTree.path.indexOf(id);
+    return depth !== -1 ? layers[depth] : forkTree.parked.find(n => n.id === id).layer;
+}
 
-        // BFS to find all connected cells
-        const group = [cell];
-        const queue = [cell];
-        used.add(`${cell.r},${cell.c}`);
+function getForkAnchor(id) {
+    const depth = forkTree.path.indexOf(id);
+    return depth !== -1 ? forkAnchors[depth] : forkTree.parked.find(n => n.id === id).anchor;
+}
 
-        while (queue.length > 0) {
-            const current = queue.shift();
-            for (const other of allCells) {
-                const key = `${other.r},${other.c}`;
-                if (used.has(key)) continue;
-                // Check if cells are close enough to be in overlapping 2x2 areas (within 2 steps)
-                if (Math.abs(other.r - current.r) <= 2 && Math.abs(other.c - current.c) <= 2) {
-                    used.add(key);
-                    group.push(other);
-                    queue.push(other);
-                }
-            }
-        }
+function describeForkAnchor(anchor, layer) {
+    if (!anchor) return 'No moves yet';
+    if (anchor.type === 'row') return `Row ${rowToNumber(anchor.index)}`;
+    if (anchor.type === 'col') return `Column ${colToLetter(anchor.index)}`;
+    const value = layer[anchor.idx] === 1 ? 'wall' : layer[anchor.idx] === 2 ? 'path' : 'cleared';
+    return `${cellRef(Math.floor(anchor.idx / SIZE), anchor.idx % SIZE)} ${value}`;
+}
 
-        groups.push(group);
+// Board as seen from a fork: locked walls plus every layer from the root to the fork
+function getForkBoard(id) {
+    const board = Array(SIZE * SIZE).fill(0);
+    if (LOCKED_WALLS_AFFECT_GAMEPLAY) {
+        lockedWalls.forEach((locked, i) => {
+            if (locked) board[i] = 1;
+        });
     }
+    getForkPathTo(id).forEach(forkId => getForkLayer(forkId).forEach((s, i) => {
+        if (s === 1) board[i] = 1;
+        if (s === 2 && board[i] !== 1) board[i] = 2;
+    }));
+    return board;
+}
 
-    // Return the largest group
-    const bestGroup = groups.reduce((best, curr) => curr.length > best.length ? curr : best);
+// Highlight the cells where another branch's board differs from the active fork's
+function compareWithFork(id) {
+    const active = getMergedBoard();
+    const other = getForkBoard(id);
+    const cells = [];
+    let conflicts = 0;
+    active.forEach((v, i) => {
+        if (v === other[i]) return;
+        cells.push({ r: Math.floor(i / SIZE), c: i % SIZE });
+        if (v !== 0 && other[i] !== 0) conflicts++;
+    });
 
-    if (bestGroup.length === 1) {
-        const cell = bestGroup[0];
-        return {
-            message: `Cell ${cellRef(cell.r, cell.c)} must be a wall to prevent a 2×2 path block.`,
-            highlight: { type: 'cell', r: cell.r, c: cell.c },
-            cells: bestGroup, shouldBe: 'wall'
-        };
-    } else {
-        const cellList = formatCellList(bestGroup);
-        return {
-            message: `Cells ${cellList} must be walls to prevent 2×2 path blocks.`,
-            highlight: { type: 'cells', cells: bestGroup },
-            cells: bestGroup, shouldBe: 'wall'
-        };
-    }
+    const name = describeForkAnchor(getForkAnchor(id), getForkLayer(id));
+    const filledInOne = cells.length - conflicts;
+    showHint({
+        message: cells.length === 0
+            ? `The fork "${name}" has the same board as the active fork.`
+            : `${cells.length} cell${cells.length === 1 ? '' : 's'} differ from the fork "${name}": ` +
+              `${conflicts} marked the opposite way, ${filledInOne} filled in on only one of the two boards.`,
+        highlight: cells.length > 0 ? { type: 'cells', cells } : null
+    });
 }
 
-// Hint: Forced wall via "dead-end or 2x2" squeeze
-// If an empty cell has exactly 2 walls and 1 path around it, then (if it were a path)
-// the remaining neighbor would need to be a path to avoid an invalid dead end.
-// If making that neighbor a path would complete a forbidden 2x2 path block, the cell must be a wall.
-function hintDeadEndOr2x2Squeeze(merged) {
-    const dirs = [
-        { name: 'up', dr: -1, dc: 0 },
-        { name: 'right', dr: 0, dc: 1 },
-        { name: 'down', dr: 1, dc: 0 },
-        { name: 'left', dr: 0, dc: -1 }
-    ];
+// Compact panel listing the forks, hidden while there's only the root
+function renderForkTree() {
+    const panel = document.getElementById('forkTreePanel');
+    const hasForks = forkTree.path.length > 1 || forkTree.parked.length > 0;
+    const wasVisible = panel.classList.contains('visible');
+    panel.classList.toggle('visible', hasForks);
+    if (wasVisible !== hasForks) scheduleLayoutUpdate();
+    panel.innerHTML = '';
+    if (!hasForks) return;
 
-    const isWall = (r, c) => {
-        if (r < 0 || r >= SIZE || c < 0 || c >= SIZE) return true; // edge counts as wall
-        return merged[r * SIZE + c] === 1;
-    };
-    const isPath = (r, c) => {
-        if (r < 0 || r >= SIZE || c < 0 || c >= SIZE) return false;
-        return merged[r * SIZE + c] === 2 || isFixedPath(r, c);
-    };
-    const isEmpty = (r, c) => {
-        if (r < 0 || r >= SIZE || c < 0 || c >= SIZE) return false;
-        return merged[r * SIZE + c] === 0 && !isFixedPath(r, c);
-    };
+    const theme = typeof ThemeManager !== 'undefined' ? ThemeManager.current() : null;
+    const rootName = theme?.terminology?.layerNames?.[0] || 'Root';
+    const activeId = forkTree.path[currentIdx];
+
+    const addNode = (id, depth) => {
+        const layer = getForkLayer(id);
+        const node = document.createElement('button');
+        node.className = 'fork-tree-node';
+        node.classList.toggle('active', id === activeId);
+        node.classList.toggle('on-path', forkTree.path.includes(id));
+        node.classList.toggle('contradicted', forkContradiction?.id === id);
+        node.style.paddingLeft = `${4 + depth * 12}px`;
+        node.style.setProperty('--fork-color', `var(--layer-${depth}-color)`);
+        const filled = layer.filter(v => v !== 0).length;
+        node.textContent = depth === 0 ? rootName : `${describeForkAnchor(getForkAnchor(id), layer)} · ${filled}`;
+        node.title = id === activeId ? 'Active fork' : 'Switch to this fork';
+        node.onclick = () => {
+            if (id === activeId || isWon || isGenerating) return;
+            ChipSound.click();
+            noteSolveAction('switch');
+            saveUndoState();
+            switchFork(id);
+            updateButtonStates();
+            update();
+        };
 
-    const is2x2AllowedHere = (cells) => {
-        // 2x2 paths are allowed in/near the data cache room (within 1 of stockpile)
-        if (!stockpilePos) return false;
-        return cells.some(cell => Math.abs(cell.r - stockpilePos.r) <= 1 && Math.abs(cell.c - stockpilePos.c) <= 1);
+        const row = document.createElement('div');
+        row.className = 'fork-tree-row';
+        row.appendChild(node);
+        // Forks on other branches can be compared with the active one
+        if (!forkTree.path.includes(id)) {
+            const compare = document.createElement('button');
+            compare.className = 'fork-tree-compare';
+            compare.textContent = '⇄';
+            compare.title = 'Compare with the active fork';
+            compare.onclick = () => {
+                if (isGenerating) return;
+                ChipSound.click();
+                compareWithFork(id);
+            };
+            row.appendChild(compare);
+        }
+        panel.appendChild(row);
+        getForkChildren(id).forEach(child => addNode(child, depth + 1));
     };
+    addNode(forkTree.path[0], 0);
+}
 
-    for (let r = 0; r < SIZE; r++) {
-        for (let c = 0; c < SIZE; c++) {
-            const idx = r * SIZE + c;
-            if (merged[idx] !== 0 || isFixedPath(r, c)) continue;
-            // If this is a target dead end node, being boxed in is allowed, so this inference isn't valid.
-            if (isTargetDeadEnd(r, c)) continue;
-
-            const wallDirs = [];
-            const pathDirs = [];
-            const emptyDirs = [];
-
-            for (const d of dirs) {
-                const nr = r + d.dr, nc = c + d.dc;
-                if (isWall(nr, nc)) wallDirs.push(d);
-                else if (isPath(nr, nc)) pathDirs.push(d);
-                else if (isEmpty(nr, nc)) emptyDirs.push(d);
+document.getElementById('undoBtn').onclick = undo;
+document.getElementById('redoBtn').onclick = redo;
+document.getElementById('addLayerBtn').onclick = () => {
+    if (isTutorialMode) {
+        ChipSound.error();
+        return;
+    }
+    if (currentIdx < getMaxForkDepth()) {
+        // Show Fork explanation on first use
+        if (!hasSeenForkExplanation) {
+            showForkExplanation();
+        }
+        
+        ChipSound.fork();
+        noteSolveAction('fork');
+        saveUndoState();
+        openFork();
+        solveLog.forks++;
+        updateButtonStates();
+        update();
+    }
+};
+document.getElementById('commitBtn').onclick = () => {
+    if(currentIdx > 0) {
+        ChipSound.commit();
+        noteSolveAction('commit');
+        saveUndoState();
+        commitFork();
+        updateButtonStates();
+        update();
+    }
+};
+document.getElementById('discardBtn').onclick = () => {
+    if(currentIdx > 0) {
+        ChipSound.abort();
+        noteSolveAction('discard');
+        saveUndoState();
+        discardFork();
+        updateButtonStates();
+        update();
+    }
+};
+document.getElementById('newMazeBtn').onclick = () => {
+    // Disable during first tutorial
+    if (isTutorialMode && !isUserInitiatedTutorial) {
+        ChipSound.error();
+        return;
+    }
+    
+    // Block Initialize during daily puzzle mode (can only exit via menu or after winning)
+    if (isDailyPuzzle && !isWon) {
+        ChipSound.error();
+        return;
+    }
+    
+    // If puzzle is won, behave like "Initialize Next Sequence" (no confirmation, keep streak)
+    if (isWon) {
+        // For daily puzzle mode, exit and go back to regular game
+        if (isDailyPuzzle) {
+            exitDailyPuzzle();
+            return;
+        }
+        init(false);
+        return;
+    }
+    
+    confirmReset(() => {
+        // Starting a new puzzle should terminate any active tutorial (including hints-only).
+        if (isTutorialMode) {
+            // Close any tutorial dialogs that might be open, then clear tutorial state/UI locks.
+            const tutorialDialogs = [
+                document.getElementById('tutorialIntroDialog'),
+                document.getElementById('tutorialCompleteDialog'),
+                document.getElementById('userTutorialCompleteDialog'),
+            ];
+            tutorialDialogs.forEach(d => {
+                if (d && d.open) d.close();
+            });
+            endTutorial();
+        }
+        
+        init(true);
+    });
+};
+document.getElementById('nextLevelBtn').onclick = () => init(false);
+
+// ============================================
+// SOLVE WALKTHROUGH
+// ============================================
+// After a win, replay a logical solve of the same puzzle from an empty board, one
+// deduction at a time (see tracePuzzleSolve), for players who got there by forking.
+
+let solveReplay = null; // {steps, index} while the walkthrough is open
+
+function startSolveReplay() {
+    const { steps, solved } = puzzleCore.tracePuzzleSolve();
+    const start = lockedWalls.map(isLocked => isLocked ? 1 : 0);
+    const finished = solution.flat().map(v => v === 1 ? 1 : 2);
+    solveReplay = {
+        index: 0,
+        steps: [
+            { hint: { message: 'The board starts empty apart from its dead ends and locked walls. Step through the deductions that solve it.', highlight: null }, board: start },
+            ...steps,
+            {
+                hint: {
+                    message: solved
+                        ? 'Every wall is placed, so the remaining cells are path.'
+                        : 'The hint techniques run out here, so the rest of the solution is filled in.',
+                    highlight: null
+                },
+                board: finished
             }
+        ]
+    };
+    document.getElementById('victoryOverlay').classList.remove('visible');
+    document.getElementById('solveReplayPanel').classList.add('visible');
+    hideHintToast();
+    showSolveReplayStep();
+}
 
-            if (wallDirs.length !== 2 || pathDirs.length !== 1 || emptyDirs.length !== 1) continue;
+function showSolveReplayStep() {
+    const { steps, index } = solveReplay;
+    const { hint, board } = steps[index];
+    renderSolveReplayBoard(board);
 
-            const pathDir = pathDirs[0];
-            const emptyDir = emptyDirs[0];
-            // Need a corner (perpendicular) so that making the empty neighbor a path could form a 2x2.
-            if (pathDir.dr * emptyDir.dr + pathDir.dc * emptyDir.dc !== 0) continue;
+    document.getElementById('solveReplayStep').textContent = `Step ${index} / ${steps.length - 1}`;
+    document.getElementById('solveReplayMessage').textContent = hint.message;
+    document.getElementById('solveReplayPrevBtn').disabled = index === 0;
+    document.getElementById('solveReplayNextBtn').disabled = index === steps.length - 1;
+
+    clearHintHighlights();
+    applyHintHighlight(hint);
+}
 
-            const xCell = { r: r + emptyDir.dr, c: c + emptyDir.dc };
-            const diag = { r: r + pathDir.dr + emptyDir.dr, c: c + pathDir.dc + emptyDir.dc };
-            // The diagonal must exist and already be a path for the 2x2 to be forced.
-            if (!isPath(diag.r, diag.c)) continue;
+// Draw a walkthrough board (walls=1, paths=2, empty=0) over the solved grid
+function renderSolveReplayBoard(board) {
+    const cells = document.getElementById('mainGrid').querySelectorAll('.cell');
+    const rl = document.getElementById('rowLabels').children;
+    const cl = document.getElementById('colLabels').children;
 
-            const pCell = { r: r + pathDir.dr, c: c + pathDir.dc };
-            const square = [{ r, c }, xCell, pCell, diag];
-            if (is2x2AllowedHere(square)) continue;
+    for (let i = 0; i < SIZE * SIZE; i++) {
+        const cell = cells[i], r = Math.floor(i / SIZE), c = i % SIZE;
+        cell.innerHTML = '';
+        cell.classList.remove('cell-victory-glow');
 
-            return {
-                message: `Cell ${cellRef(r, c)} must be a wall. If it were a path, it would need to connect to ${cellRef(xCell.r, xCell.c)} to avoid becoming an invalid dead end, but that would create a 2×2 block of paths.`,
-                highlight: { type: 'cell', r, c },
-                cells: [{ r, c }], shouldBe: 'wall'
-            };
+        if (puzzleCore.isTargetDeadEnd(r, c)) {
+            cell.appendChild(ThemeManager.render.node('normal'));
+        } else if (stockpilePos && stockpilePos.r === r && stockpilePos.c === c) {
+            cell.appendChild(ThemeManager.render.stockpile('normal'));
+        } else if (board[i] === 1) {
+            cell.appendChild(ThemeManager.render.wall(0, false, true, lockedWalls[i]));
+        } else if (board[i] === 2) {
+            cell.appendChild(ThemeManager.render.pathDot(0, true, 'normal'));
         }
     }
-    return null;
-}
 
-// Hint 4: Path flanked by walls must be extended
-// E.g., __WPW___ means the cell below P must be a path (otherwise P would be a dead end)
-function hintPathMustExtend(merged, forCell = null) {
-    // Helper to analyze a cell's neighbors (using countNeighbors but with custom board)
-    function analyzeCell(r, c, testBoard) {
-        // countNeighbors uses merged, so we need a custom version for test boards
-        let wallCount = 0, emptyCount = 0, pathCount = 0;
-        const emptyCells = [];
-
-        for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
-            const nr = r + dr, nc = c + dc;
-            if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) {
-                wallCount++;
-                continue;
-            }
-            const nIdx = nr * SIZE + nc;
-            if (testBoard[nIdx] === 1) {
-                wallCount++;
-            } else if (testBoard[nIdx] === 2 || isFixedPath(nr, nc)) {
-                pathCount++;
-            } else {
-                emptyCount++;
-                emptyCells.push({ r: nr, c: nc });
-            }
-        }
-        return { wallCount, emptyCount, pathCount, emptyCells };
+    for (let r = 0; r < SIZE; r++) {
+        const walls = board.slice(r * SIZE, (r + 1) * SIZE).filter(v => v === 1).length;
+        rl[r].className = walls === targets.r[r] ? 'count-neon count-ok' : 'count-neon';
+    }
+    for (let c = 0; c < SIZE; c++) {
+        const walls = board.filter((v, i) => i % SIZE === c && v === 1).length;
+        cl[c].className = walls === targets.c[c] ? 'count-neon count-ok' : 'count-neon';
     }
+}
 
-    // Helper to check if a cell needs extension (has only 1 connection and 1 empty neighbor)
-    function needsExtension(r, c, testBoard) {
-        if (isTargetDeadEnd(r, c)) return null; // Dead ends don't need 2 connections
-        const { wallCount, emptyCount, pathCount, emptyCells } = analyzeCell(r, c, testBoard);
-        // Needs extension if: 3 walls + 1 empty, OR 2 walls + 1 path + 1 empty
-        if ((wallCount === 3 && emptyCount === 1) || (wallCount === 2 && pathCount === 1 && emptyCount === 1)) {
-            return emptyCells[0];
-        }
-        return null;
+function stepSolveReplay(delta) {
+    const index = solveReplay.index + delta;
+    if (index < 0 || index >= solveReplay.steps.length) return;
+    ChipSound.click();
+    solveReplay.index = index;
+    showSolveReplayStep();
+}
+
+// Close the walkthrough. With returnToVictory the solved board and victory overlay come back.
+function endSolveReplay(returnToVictory) {
+    if (!solveReplay) return;
+    const finished = solveReplay.steps[solveReplay.steps.length - 1].board;
+    solveReplay = null;
+    clearHintHighlights();
+    document.getElementById('solveReplayPanel').classList.remove('visible');
+    if (returnToVictory) {
+        renderSolveReplayBoard(finished);
+        document.getElementById('victoryOverlay').classList.add('visible');
     }
+}
 
-    // Collect all possible hints and return the one with the most cells
-    const candidates = [];
+document.getElementById('explainSolveBtn').onclick = () => {
+    ChipSound.click();
+    startSolveReplay();
+};
+document.getElementById('solveReplayPrevBtn').onclick = () => stepSolveReplay(-1);
+document.getElementById('solveReplayNextBtn').onclick = () => stepSolveReplay(1);
+document.getElementById('solveReplayDoneBtn').onclick = () => {
+    ChipSound.click();
+    endSolveReplay(true);
+};
 
-    for (let r = 0; r < SIZE; r++) {
-        for (let c = 0; c < SIZE; c++) {
-            const idx = r * SIZE + c;
-            // Check if this is a path (user-placed or fixed)
-            if (merged[idx] !== 2 && !isFixedPath(r, c)) continue;
-            // Skip dead ends - they're supposed to have only one exit
-            if (isTargetDeadEnd(r, c)) continue;
-
-            const firstForced = needsExtension(r, c, merged);
-            if (!firstForced) continue;
-
-            // Found a path that needs extension - now follow the forced path
-            const forcedCells = [firstForced];
-            const visited = new Set([`${r},${c}`, `${firstForced.r},${firstForced.c}`]);
-
-            // Create a test board with the forced cells as paths
-            const testBoard = [...merged];
-            testBoard[firstForced.r * SIZE + firstForced.c] = 2;
-
-            // Keep following forced extensions
-            let current = firstForced;
-            while (true) {
-                const next = needsExtension(current.r, current.c, testBoard);
-                if (!next) break;
-
-                const key = `${next.r},${next.c}`;
-                if (visited.has(key)) break;
-
-                visited.add(key);
-                forcedCells.push(next);
-                testBoard[next.r * SIZE + next.c] = 2;
-                current = next;
-            }
+// ============================================
+// SOLVE RECORDING
+// ============================================
+// Every board change is recorded so a win can be replayed. update() runs after each
+// action, so it records whatever changed since the last frame, labelled with the
+// action the handler noted. An event {t, a, i, n, c, f} holds the solve time (ms),
+// the action ('cell', 'label', 'fork', 'commit', 'discard', 'undo', 'redo', 'hint',
+// 'auto' for anything unlabelled, 'finish' for the victory fill), currentIdx and the
+// layer count after it, the changed cells packed as (layer * cells + cell) * 4 + value,
+// and forkAnchors when they changed.
+const MAX_RECORDING_GAP_MS = 1500; // Long pauses are shortened in replays
+const RECORDING_ACTION_LABELS = {
+    cell: 'Cell', label: 'Line fill', fork: 'Fork', commit: 'Commit', discard: 'Discard',
+    switch: 'Switch fork', undo: 'Undo', redo: 'Redo', hint: 'Hint', auto: 'Auto-fill', finish: 'Solved'
+};
 
-            // Build the hint
-            let hint;
-            if (forcedCells.length === 1) {
-                const cell = forcedCells[0];
-                hint = {
-                    message: `Cell ${cellRef(cell.r, cell.c)} must be a path. The path at ${cellRef(r, c)} needs another connection.`,
-                    highlight: { type: 'cell', r: cell.r, c: cell.c },
-                    cells: forcedCells, shouldBe: 'path'
-                };
-            } else {
-                const cellList = formatCellList(forcedCells);
-                hint = {
-                    message: `Cells ${cellList} must be paths. The path at ${cellRef(r, c)} needs another connection, forcing this path.`,
-                    highlight: { type: 'cells', cells: forcedCells },
-                    cells: forcedCells, shouldBe: 'path'
-                };
-            }
+function getSolveElapsed() {
+    return elapsedTimeBeforePause + (gameStartTime ? Date.now() - gameStartTime : 0);
+}
 
-            // If looking for a specific cell, return immediately if this hint includes it
-            if (forCell && forcedCells.some(fc => fc.r === forCell.r && fc.c === forCell.c)) {
-                return hint;
-            }
+function createEmptyFrame(size) {
+    return { layers: [Array(size * size).fill(0)], currentIdx: 0, forkAnchors: [null, null, null, null] };
+}
 
-            candidates.push(hint);
-        }
-    }
+// Apply one event to a frame, returning the next frame
+function applyRecordingEvent(frame, event, size) {
+    const cells = size * size;
+    const layers = frame.layers.slice(0, event.n).map(layer => [...layer]);
+    while (layers.length < event.n) layers.push(Array(cells).fill(0));
+    event.c.forEach(packed => {
+        const value = packed % 4, index = (packed - value) / 4;
+        layers[Math.floor(index / cells)][index % cells] = value;
+    });
+    return { layers, currentIdx: event.i, forkAnchors: event.f || frame.forkAnchors };
+}
 
-    // If looking for a specific cell and we didn't find it, return null
-    if (forCell) return null;
+// Frames 0..events.length: the empty board, then the board after each event
+function buildRecordingFrames(events, size) {
+    const frames = [createEmptyFrame(size)];
+    events.forEach(event => frames.push(applyRecordingEvent(frames[frames.length - 1], event, size)));
+    return frames;
+}
 
-    // Return the hint with the most cells
-    if (candidates.length === 0) return null;
-    return candidates.reduce((best, curr) => curr.cells.length > best.cells.length ? curr : best);
+// Start recording over for the board; saved events continue a restored game
+function resetSolveRecording(events = []) {
+    const frames = buildRecordingFrames(events, SIZE);
+    solveRecording = { events, frame: frames[frames.length - 1], action: null };
 }
 
-// Hint 5: Corner with two flanking dead ends must be a wall
-// E.g., if A2 and B1 are dead ends, A1 must be a wall (a path there would be cut off)
-function hintCornerFlankingDeadEnds(merged) {
-    function checkCorner(merged, r, c) {
-            const idx = r * SIZE + c;
-            // Only check empty cells
-        if (merged[idx] !== 0 || isFixedPath(r, c)) return null;
+function noteSolveAction(action) {
+    solveRecording.action = action;
+}
 
-            // Check each orthogonal direction
-            const dirs = [
-                { dr: -1, dc: 0 }, // North
-                { dr: 1, dc: 0 },  // South
-                { dr: 0, dc: -1 }, // West
-                { dr: 0, dc: 1 }   // East
-            ];
+function recordSolveFrame(action = solveRecording.action || 'auto') {
+    solveRecording.action = null;
+    const prev = solveRecording.frame;
+    if (!prev) return;
+    const cells = SIZE * SIZE;
+    const changes = [];
+    layers.forEach((layer, l) => {
+        const prevLayer = prev.layers[l];
+        layer.forEach((v, i) => {
+            if (v !== (prevLayer ? prevLayer[i] : 0)) changes.push((l * cells + i) * 4 + v);
+        });
+    });
+    const anchorsChanged = JSON.stringify(forkAnchors) !== JSON.stringify(prev.forkAnchors);
+    if (changes.length === 0 && !anchorsChanged && currentIdx === prev.currentIdx &&
+        layers.length === prev.layers.length) return;
 
-            const blocked = []; // directions blocked by wall or edge
-            const deadEnds = []; // directions with dead ends
-
-            for (const dir of dirs) {
-                const nr = r + dir.dr;
-                const nc = c + dir.dc;
-
-                if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) {
-                    // Edge of grid - blocked
-                    blocked.push(dir);
-                } else if (merged[nr * SIZE + nc] === 1) {
-                    // Wall - blocked
-                    blocked.push(dir);
-                } else if (isTargetDeadEnd(nr, nc)) {
-                    // Dead end
-                    deadEnds.push({ r: nr, c: nc });
-                }
-            }
+    const event = { t: getSolveElapsed(), a: action, i: currentIdx, n: layers.length, c: changes };
+    if (anchorsChanged) event.f = forkAnchors.map(a => a ? { ...a } : null);
+    solveRecording.events.push(event);
+    solveRecording.frame = snapshotBoard();
+}
 
-            // Need exactly 2 blocked directions and 2 dead end directions
-        if (blocked.length !== 2 || deadEnds.length !== 2) return null;
-
-            // Check if blocked directions are perpendicular (not opposite)
-            // Perpendicular means one is vertical (dr !== 0) and one is horizontal (dc !== 0)
-            const b1Vertical = blocked[0].dr !== 0;
-            const b2Vertical = blocked[1].dr !== 0;
-
-            if (b1Vertical !== b2Vertical) {
-                // They are perpendicular - this forms a corner
-                return {
-                    message: `Cell ${cellRef(r, c)} must be a wall. The dead ends at ${cellRef(deadEnds[0].r, deadEnds[0].c)} and ${cellRef(deadEnds[1].r, deadEnds[1].c)} would cut off a path there.`,
-                    highlight: { type: 'cell', r, c },
-                    cells: [{ r, c }], shouldBe: 'wall'
-                };
-            }
+// Daily recordings leave the board code out: it holds the solution, and a shared
+// recording would give the day's answer away. Their seed code rebuilds the board.
+function createRecordingFromSolve() {
+    return {
+        board: isDailyPuzzle ? null : encodeBoardCode({ size: SIZE, solution, lockedWalls, stockpilePos }),
+        seed: currentSeed,
+        size: SIZE,
+        elapsedTime: getSolveElapsed(),
+        moves: moveCount,
+        solvedAt: Date.now(),
+        events: solveRecording.events
+    };
+}
 
-    return null;
-    }
+// Recent solves, newest first
+const SolveRecordings = (() => {
+    const STORAGE_KEY = 'neuralReconRecordings';
+    const BEST_KEY = 'neuralReconBestRecordings';
+    const MAX_RECORDINGS = 10;
+    const MAX_BEST_SEEDS = 50;
 
-    return iterateAllCellsForHint(merged, checkCorner);
-}
-
-// Hint 5: Edge row/column with exactly 1 wall remaining - corners must have path next to them
-// E.g., on top row with 1 wall needed: ________ -> _P____P_ (corners can't be dead ends)
-function hintEdgeCornerDeadEnd(merged) {
-    const edgeRows = [0, SIZE - 1];
-    const edgeCols = [0, SIZE - 1];
-
-    // Check edge rows
-    for (const r of edgeRows) {
-        const { walls, target } = getRowCounts(merged, r);
-        const remaining = target - walls;
-        if (remaining !== 1) continue; // Only applies when exactly 1 wall left
-
-        // Check if corners are empty - if so, the cell next to them must be a path
-        // Left corner (column 0)
-        const leftIdx = r * SIZE + 0;
-        if (merged[leftIdx] === 0 && !isFixedPath(r, 0)) {
-            // Column 0 is empty, check column 1
-            const checkC = 1;
-            if (merged[r * SIZE + checkC] === 0 && !isFixedPath(r, checkC)) {
-                return {
-                    message: `Cell ${cellRef(r, checkC)} must be a path. A wall there would trap cell ${cellRef(r, 0)} as a dead end.`,
-                    highlight: { type: 'cell', r, c: checkC },
-                    cells: [{ r, c: checkC }], shouldBe: 'path'
-                };
-            }
-            // Additional check: if corner is not a marked dead end, the cell two positions away must also be a path
-            // to avoid creating a 2x2 path area
-            // Only applies if there are no dead ends between the corner and the target cell
-            if (!isTargetDeadEnd(r, 0) && SIZE > 2) {
-                const checkC2 = 2;
-                if (merged[r * SIZE + checkC2] === 0 && !isFixedPath(r, checkC2)) {
-                    // Check if there are any dead ends between corner and target cell
-                    let hasDeadEndBetween = false;
-                    for (let c = 1; c < checkC2; c++) {
-                        if (isTargetDeadEnd(r, c)) {
-                            hasDeadEndBetween = true;
-                            break;
-                        }
-                    }
-                    if (!hasDeadEndBetween) {
-                        return {
-                            message: `Cell ${cellRef(r, checkC2)} must be a path. A wall there would force a dead end or 2x2 path area in the corner.`,
-                            highlight: { type: 'cell', r, c: checkC2 },
-                            cells: [{ r, c: checkC2 }], shouldBe: 'path'
-                        };
-                    }
-                }
+    function load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) {
+                return JSON.parse(saved);
             }
+        } catch (e) {
+            console.warn('Failed to load solve recordings:', e);
         }
-
-        // Right corner (column SIZE-1)
-        const rightIdx = r * SIZE + (SIZE - 1);
-        if (merged[rightIdx] === 0 && !isFixedPath(r, SIZE - 1)) {
-            // Column SIZE-1 is empty, check column SIZE-2
-            const checkC = SIZE - 2;
-            if (merged[r * SIZE + checkC] === 0 && !isFixedPath(r, checkC)) {
-                return {
-                    message: `Cell ${cellRef(r, checkC)} must be a path. A wall there would trap cell ${cellRef(r, SIZE - 1)} as a dead end.`,
-                    highlight: { type: 'cell', r, c: checkC },
-                    cells: [{ r, c: checkC }], shouldBe: 'path'
-                };
-            }
-            // Additional check: if corner is not a marked dead end, the cell two positions away must also be a path
-            // to avoid creating a 2x2 path area
-            // Only applies if there are no dead ends between the corner and the target cell
-            if (!isTargetDeadEnd(r, SIZE - 1) && SIZE > 2) {
-                const checkC2 = SIZE - 3;
-                if (merged[r * SIZE + checkC2] === 0 && !isFixedPath(r, checkC2)) {
-                    // Check if there are any dead ends between corner and target cell
-                    let hasDeadEndBetween = false;
-                    for (let c = checkC2 + 1; c < SIZE - 1; c++) {
-                        if (isTargetDeadEnd(r, c)) {
-                            hasDeadEndBetween = true;
-                            break;
-                        }
-                    }
-                    if (!hasDeadEndBetween) {
-                        return {
-                            message: `Cell ${cellRef(r, checkC2)} must be a path. A wall there would force a dead end or 2x2 path area in the corner.`,
-                            highlight: { type: 'cell', r, c: checkC2 },
-                            cells: [{ r, c: checkC2 }], shouldBe: 'path'
-                        };
-                    }
-                }
+        return [];
+    }
+
+    // Fastest recording per seed, for ghost races
+    function loadBest() {
+        try {
+            const saved = localStorage.getItem(BEST_KEY);
+            if (saved) {
+                return JSON.parse(saved);
             }
+        } catch (e) {
+            console.warn('Failed to load best solve recordings:', e);
         }
+        return {};
     }
 
-    // Check edge columns
-    for (const c of edgeCols) {
-        const { walls, target } = getColCounts(merged, c);
-        const remaining = target - walls;
-        if (remaining !== 1) continue; // Only applies when exactly 1 wall left
+    function getBest(seed) {
+        return loadBest()[seed] || null;
+    }
 
-        // Top corner (row 0)
-        const topIdx = 0 * SIZE + c;
-        if (merged[topIdx] === 0 && !isFixedPath(0, c)) {
-            const checkR = 1;
-            if (merged[checkR * SIZE + c] === 0 && !isFixedPath(checkR, c)) {
-                return {
-                    message: `Cell ${cellRef(checkR, c)} must be a path. A wall there would trap cell ${cellRef(0, c)} as a dead end.`,
-                    highlight: { type: 'cell', r: checkR, c },
-                    cells: [{ r: checkR, c }], shouldBe: 'path'
-                };
-            }
-            // Additional check: if corner is not a marked dead end, the cell two positions away must also be a path
-            // to avoid creating a 2x2 path area
-            // Only applies if there are no dead ends between the corner and the target cell
-            if (!isTargetDeadEnd(0, c) && SIZE > 2) {
-                const checkR2 = 2;
-                if (merged[checkR2 * SIZE + c] === 0 && !isFixedPath(checkR2, c)) {
-                    // Check if there are any dead ends between corner and target cell
-                    let hasDeadEndBetween = false;
-                    for (let r = 1; r < checkR2; r++) {
-                        if (isTargetDeadEnd(r, c)) {
-                            hasDeadEndBetween = true;
-                            break;
-                        }
-                    }
-                    if (!hasDeadEndBetween) {
-                        return {
-                            message: `Cell ${cellRef(checkR2, c)} must be a path. A wall there would force a dead end or 2x2 path area in the corner.`,
-                            highlight: { type: 'cell', r: checkR2, c },
-                            cells: [{ r: checkR2, c }], shouldBe: 'path'
-                        };
-                    }
-                }
-            }
+    function add(recording) {
+        const recordings = [recording, ...load()].slice(0, MAX_RECORDINGS);
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(recordings));
+        } catch (e) {
+            console.warn('Failed to save solve recording:', e);
         }
 
-        // Bottom corner (row SIZE-1)
-        const bottomIdx = (SIZE - 1) * SIZE + c;
-        if (merged[bottomIdx] === 0 && !isFixedPath(SIZE - 1, c)) {
-            const checkR = SIZE - 2;
-            if (merged[checkR * SIZE + c] === 0 && !isFixedPath(checkR, c)) {
-                return {
-                    message: `Cell ${cellRef(checkR, c)} must be a path. A wall there would trap cell ${cellRef(SIZE - 1, c)} as a dead end.`,
-                    highlight: { type: 'cell', r: checkR, c },
-                    cells: [{ r: checkR, c }], shouldBe: 'path'
-                };
-            }
-            // Additional check: if corner is not a marked dead end, the cell two positions away must also be a path
-            // to avoid creating a 2x2 path area
-            // Only applies if there are no dead ends between the corner and the target cell
-            if (!isTargetDeadEnd(SIZE - 1, c) && SIZE > 2) {
-                const checkR2 = SIZE - 3;
-                if (merged[checkR2 * SIZE + c] === 0 && !isFixedPath(checkR2, c)) {
-                    // Check if there are any dead ends between corner and target cell
-                    let hasDeadEndBetween = false;
-                    for (let r = checkR2 + 1; r < SIZE - 1; r++) {
-                        if (isTargetDeadEnd(r, c)) {
-                            hasDeadEndBetween = true;
-                            break;
-                        }
-                    }
-                    if (!hasDeadEndBetween) {
-                        return {
-                            message: `Cell ${cellRef(checkR2, c)} must be a path. A wall there would force a dead end or 2x2 path area in the corner.`,
-                            highlight: { type: 'cell', r: checkR2, c },
-                            cells: [{ r: checkR2, c }], shouldBe: 'path'
-                        };
-                    }
-                }
-            }
+        const best = loadBest();
+        const previous = best[recording.seed];
+        if (previous && previous.elapsedTime <= recording.elapsedTime) return;
+        best[recording.seed] = recording;
+        // Forget the seeds solved longest ago
+        const seeds = Object.keys(best).sort((a, b) => best[b].solvedAt - best[a].solvedAt);
+        seeds.slice(MAX_BEST_SEEDS).forEach(seed => delete best[seed]);
+        try {
+            localStorage.setItem(BEST_KEY, JSON.stringify(best));
+        } catch (e) {
+            console.warn('Failed to save best solve recording:', e);
         }
     }
 
-    return null;
-}
+    return { load, add, getBest };
+})();
 
-// Hint 5: Row/column needs N-1 walls, cells next to dead ends must be walls
-function hintDeadEndAdjacent(merged) {
-    // Helper to check a line (row or column) for dead end adjacent hints
-    function checkLineForDeadEndAdjacent(merged, isRow, index) {
-        const counts = isRow ? getRowCounts(merged, index) : getColCounts(merged, index);
-        if (counts.target !== SIZE - 1) return null;
+// Recording codes share a solve: "R1.<base64url JSON of the recording>"
+const RECORDING_CODE_PATTERN = /^R1\.([A-Za-z0-9_-]+)$/;
 
-        // Check adjacent lines for dead ends
-        const adjIndices = isRow ? [index - 1, index + 1] : [index - 1, index + 1];
-        
-        for (const adjIndex of adjIndices) {
-            if (adjIndex < 0 || adjIndex >= SIZE) continue;
-            
-            // Iterate through cells in the line
-            for (let i = 0; i < SIZE; i++) {
-                const deadEndR = isRow ? adjIndex : i;
-                const deadEndC = isRow ? i : adjIndex;
-                
-                if (isTargetDeadEnd(deadEndR, deadEndC)) {
-                    const cellR = isRow ? index : i;
-                    const cellC = isRow ? i : index;
-                    const idx = cellR * SIZE + cellC;
-                    
-                        if (merged[idx] === 0) {
-                        const lineName = isRow ? `row ${rowToNumber(index)}` : `column ${colToLetter(index)}`;
-                            return {
-                            message: `Cell ${cellRef(cellR, cellC)} must be a wall. It's adjacent to a dead end, and ${lineName} needs ${SIZE - 1} walls.`,
-                            highlight: { type: 'cell', r: cellR, c: cellC },
-                            cells: [{ r: cellR, c: cellC }], shouldBe: 'wall'
-                            };
-                        }
-                    }
-                }
-            }
-        
-        return null;
-        }
+function isRecordingCode(text) {
+    return RECORDING_CODE_PATTERN.test(text.trim());
+}
 
-    // Check rows
-    for (let r = 0; r < SIZE; r++) {
-        const hint = checkLineForDeadEndAdjacent(merged, true, r);
-        if (hint) return hint;
-    }
+function encodeRecordingCode(recording) {
+    const { board, seed, elapsedTime, moves, events } = recording;
+    const base64 = btoa(JSON.stringify({ board, seed, elapsedTime, moves, events }));
+    return 'R1.' + base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
 
-    // Check columns
-    for (let c = 0; c < SIZE; c++) {
-        const hint = checkLineForDeadEndAdjacent(merged, false, c);
-        if (hint) return hint;
-    }
+// The daily seed code of a recording made without a board code, or null
+function getRecordingDailySeed(recording) {
+    const code = typeof recording.seed === 'string' ? parseSeedCode(recording.seed) : null;
+    return code && code.daily && !code.legacy && code.version <= GENERATOR_VERSION ? code : null;
+}
 
-    return null;
+// The board a recording was made on, or null if it can't be rebuilt
+function getRecordingBoard(recording) {
+    if (recording.board) return decodeBoardCode(recording.board);
+    const code = getRecordingDailySeed(recording);
+    return code ? generatePuzzleData(code) : null;
 }
 
-// Helper function to check a dead end one wall case
-// Returns path hint or wall hint as appropriate
-function checkDeadEndOneWallCase(merged, r, c, isRow, isEdge, remainingWalls, neighborState) {
-    // neighborState contains: leftIsWall, rightIsWall, aboveIsWall, belowIsWall,
-    // leftIsEmpty, rightIsEmpty, aboveIsEmpty, belowIsEmpty
-    const { leftIsWall, rightIsWall, aboveIsWall, belowIsWall,
-            leftIsEmpty, rightIsEmpty, aboveIsEmpty, belowIsEmpty } = neighborState;
-    
-    // Count existing walls around dead end
-    const existingWalls = (leftIsWall ? 1 : 0) + (rightIsWall ? 1 : 0) + 
-                          (aboveIsWall ? 1 : 0) + (belowIsWall ? 1 : 0);
-    const wallsStillNeeded = 3 - existingWalls;
-    
-    if (wallsStillNeeded <= 0) return null; // Dead end already satisfied
-    
-    // For edge cases, we know remainingWalls === 1
-    // For interior cases, we need to calculate if the dead end must get the wall
-    let wallsNeededFromLine = 0;
-    let potentialLineWalls = 0;
-    let potentialOutsideWalls = 0;
-    let maxWallsFromLine = 0;
-    
-    if (isEdge) {
-        // Edge case: remainingWalls is always 1, and dead end must get it
-        wallsNeededFromLine = 1;
-    } else {
-        // Interior case: calculate if dead end must get wall from the line
-        if (isRow) {
-            potentialLineWalls = (leftIsEmpty ? 1 : 0) + (rightIsEmpty ? 1 : 0);
-            potentialOutsideWalls = (aboveIsEmpty ? 1 : 0) + (belowIsEmpty ? 1 : 0);
-        } else {
-            potentialLineWalls = (aboveIsEmpty ? 1 : 0) + (belowIsEmpty ? 1 : 0);
-            potentialOutsideWalls = (leftIsEmpty ? 1 : 0) + (rightIsEmpty ? 1 : 0);
-        }
-        maxWallsFromLine = Math.min(remainingWalls, potentialLineWalls);
-        wallsNeededFromLine = Math.max(0, wallsStillNeeded - potentialOutsideWalls);
+// Returns the recording, or null if the code is damaged
+function decodeRecordingCode(text) {
+    const match = text.trim().match(RECORDING_CODE_PATTERN);
+    if (!match) return null;
+    try {
+        const recording = JSON.parse(atob(match[1].replace(/-/g, '+').replace(/_/g, '/')));
+        const board = recording.board ? decodeBoardCode(recording.board) : getRecordingDailySeed(recording);
+        if (!board || !Array.isArray(recording.events)) return null;
+        // Replaying must not fail halfway, so check every event up front
+        const cells = board.size * board.size;
+        const valid = recording.events.every(e => Number.isFinite(e.t) && e.n >= 1 && e.n <= 4 &&
+            e.i >= 0 && e.i < e.n && Array.isArray(e.c) && (!e.f || Array.isArray(e.f)) &&
+            e.c.every(packed => Number.isInteger(packed) && packed >= 0 && packed < e.n * cells * 4));
+        return valid ? { ...recording, size: board.size } : null;
+    } catch (e) {
+        return null;
     }
-    
-    // Only proceed if line needs exactly 1 wall AND dead end must get that wall
-    if (remainingWalls !== 1 || wallsNeededFromLine < 1) {
-        // Check for the other case: need 2+ walls from outside (only for interior cases)
-        if (!isEdge) {
-            // Calculate maxWallsFromLine if not already done
-            if (maxWallsFromLine === 0) {
-                if (isRow) {
-                    potentialLineWalls = (leftIsEmpty ? 1 : 0) + (rightIsEmpty ? 1 : 0);
-                    potentialOutsideWalls = (aboveIsEmpty ? 1 : 0) + (belowIsEmpty ? 1 : 0);
-                } else {
-                    potentialLineWalls = (aboveIsEmpty ? 1 : 0) + (belowIsEmpty ? 1 : 0);
-                    potentialOutsideWalls = (leftIsEmpty ? 1 : 0) + (rightIsEmpty ? 1 : 0);
-                }
-                maxWallsFromLine = Math.min(remainingWalls, potentialLineWalls);
-            }
-            if (wallsStillNeeded - maxWallsFromLine >= 2) {
-            const wallCells = [];
-            if (isRow) {
-                if (aboveIsEmpty) wallCells.push({ r: r - 1, c });
-                if (belowIsEmpty) wallCells.push({ r: r + 1, c });
-            } else {
-                if (leftIsEmpty) wallCells.push({ r, c: c - 1 });
-                if (rightIsEmpty) wallCells.push({ r, c: c + 1 });
-            }
+}
 
-            if (wallCells.length > 0) {
-                const cellsText = wallCells.length === 1 ? `Cell ${formatCellList(wallCells)} must be a wall` : `Cells ${formatCellList(wallCells)} must be walls`;
-                const lineName = isRow ? `row ${rowToNumber(r)}` : `column ${colToLetter(c)}`;
-                const perpName = isRow ? 'above and below' : 'left and right';
-                            return {
-                    message: `${cellsText}. The dead end at ${cellRef(r, c)} needs ${wallsStillNeeded} more wall${wallsStillNeeded > 1 ? 's' : ''}, but ${lineName} can only provide ${maxWallsFromLine}, so the cells ${perpName} must be walls.`,
-                    highlight: wallCells.length === 1 ? { type: 'cell', r: wallCells[0].r, c: wallCells[0].c } : { type: 'cells', cells: wallCells },
-                    cells: wallCells, shouldBe: 'wall'
-                            };
-                        }
-                    }
-                }
-        return null;
+function playRecordingCode(text) {
+    const recording = decodeRecordingCode(text);
+    if (!recording) {
+        ChipSound.error();
+        showHint({ message: 'This recording code is damaged or incomplete.', highlight: null });
+        return false;
     }
+    startRecordingPlayback(recording);
+    return true;
+}
 
-    // Check if the dead end already has an adjacent wall in the row/column direction
-    // If it does, we can't conclude that the remaining wall must be adjacent to it
-    const hasAdjacentWallInLine = isRow
-        ? (leftIsWall || rightIsWall)
-        : (aboveIsWall || belowIsWall);
+// Replay a recording on the main grid. The game on the board is put aside and
+// brought back by endRecordingPlayback(true).
+function startRecordingPlayback(recording) {
+    endSolveReplay(false);
+    endRecordingPlayback(true);
+    const board = getRecordingBoard(recording);
+    if (!board) return;
 
-    if (hasAdjacentWallInLine) {
-        // Dead end already has a wall in this direction, so we can't use this hint
-        return null;
+    // Save the game first in case the page closes mid-replay
+    if (!isWon && hasCompletedTutorial && !isTutorialMode) {
+        if (isDailyPuzzle) DailyPuzzleState.saveProgress(); else GameState.save();
     }
+    const resume = {
+        SIZE, solution, targets, lockedWalls, stockpilePos, currentSeed, isWon,
+        ...snapshotBoard(),
+        pausedAt: Date.now(),
+        victoryVisible: document.getElementById('victoryOverlay').classList.contains('visible')
+    };
+
+    recordingPlayback = {
+        recording,
+        frames: buildRecordingFrames(recording.events, board.size),
+        index: 0,
+        playing: false,
+        timer: null,
+        resume
+    };
+
+    // isWon keeps the replay board out of reach of input
+    isWon = true;
+    SIZE = board.size;
+    solution = board.solution;
+    targets = board.targets;
+    lockedWalls = board.lockedWalls;
+    stockpilePos = board.stockpilePos;
+    refreshPuzzleCore();
+    hideHintToast();
+    clearHintHighlights();
+    document.getElementById('victoryOverlay').classList.remove('visible');
+    scheduleLayoutUpdate();
 
-    // Find non-adjacent empty cells that must be paths
-    const pathCells = isRow
-        ? findEmptyCellsInRow(merged, r, { r, c })
-        : findEmptyCellsInCol(merged, c, { r, c });
+    const scrubber = document.getElementById('recordingScrubber');
+    scrubber.max = recording.events.length;
+    document.getElementById('recordingPanel').classList.add('visible');
+    restoreSnapshot(recordingPlayback.frames[0]);
+    render();
+    showRecordingFrame(0);
+    setRecordingPlaying(true);
+}
+
+function showRecordingFrame(index) {
+    const playback = recordingPlayback;
+    playback.index = index;
+    const frame = playback.frames[index];
+    layers = frame.layers.map(layer => [...layer]);
+    currentIdx = frame.currentIdx;
+    forkAnchors = frame.forkAnchors.map(a => a ? { ...a } : null);
+    forkTree = createForkTree(currentIdx);
+    update();
 
-                if (pathCells.length > 0) {
-                    const cellsText = pathCells.length === 1 ? `Cell ${formatCellList(pathCells)} must be a path` : `Cells ${formatCellList(pathCells)} must be paths`;
-        const lineName = isRow ? `Row ${rowToNumber(r)}` : `Column ${colToLetter(c)}`;
-                    return {
-            message: `${cellsText}. ${lineName} needs only 1 more wall, which must be adjacent to the dead end at ${cellRef(r, c)}.`,
-                        highlight: pathCells.length === 1 ? { type: 'cell', r: pathCells[0].r, c: pathCells[0].c } : { type: 'cells', cells: pathCells },
-                        cells: pathCells, shouldBe: 'path'
-                    };
+    const event = playback.recording.events[index - 1];
+    document.getElementById('recordingScrubber').value = index;
+    document.getElementById('recordingTime').textContent =
+        `${formatTime(event ? event.t : 0)} / ${formatTime(playback.recording.elapsedTime)}`;
+    document.getElementById('recordingAction').textContent = event ? RECORDING_ACTION_LABELS[event.a] || '' : 'Start';
+}
+
+function setRecordingPlaying(playing) {
+    const playback = recordingPlayback;
+    clearTimeout(playback.timer);
+    playback.timer = null;
+    // Playing from the end starts over
+    if (playing && playback.index === playback.frames.length - 1) showRecordingFrame(0);
+    playback.playing = playing && playback.frames.length > 1;
+    document.getElementById('recordingPlayBtn').textContent = playback.playing ? '❚❚ Pause' : '▶ Play';
+    if (playback.playing) scheduleRecordingFrame();
+}
+
+function scheduleRecordingFrame() {
+    const playback = recordingPlayback;
+    const { events } = playback.recording;
+    const next = playback.index + 1;
+    if (next >= playback.frames.length) {
+        setRecordingPlaying(false);
+        return;
+    }
+    const gap = events[next - 1].t - (next > 1 ? events[next - 2].t : 0);
+    const speed = parseFloat(document.getElementById('recordingSpeed').value);
+    playback.timer = setTimeout(() => {
+        showRecordingFrame(next);
+        scheduleRecordingFrame();
+    }, Math.min(Math.max(gap, 0), MAX_RECORDING_GAP_MS) / speed);
+}
+
+// Stop the replay. With resume the game that was on the board comes back.
+function endRecordingPlayback(resume) {
+    if (!recordingPlayback) return;
+    const playback = recordingPlayback;
+    clearTimeout(playback.timer);
+    recordingPlayback = null;
+    document.getElementById('recordingPanel').classList.remove('visible');
+    if (!resume) return;
+
+    const saved = playback.resume;
+    ({ SIZE, solution, targets, lockedWalls, stockpilePos, currentSeed, isWon } = saved);
+    refreshPuzzleCore();
+    restoreSnapshot(saved);
+    // The replay doesn't count towards the solve time
+    if (gameStartTime) gameStartTime += Date.now() - saved.pausedAt;
+    scheduleLayoutUpdate();
+    render();
+    if (isWon) {
+        // render() leaves a won board alone, so draw the solved board directly
+        renderSolveReplayBoard(getMergedBoard());
+        if (saved.victoryVisible) document.getElementById('victoryOverlay').classList.add('visible');
     }
-    
-    // All non-adjacent cells are already paths - check perpendicular cells
-    const perpCells = getPerpendicularCells(merged, r, c, isRow ? 'row' : 'col');
-    const wallCells = perpCells.filter(cell => cell.isEmpty).map(cell => ({ r: cell.r, c: cell.c }));
-
-                if (wallCells.length > 0) {
-        const cellsText = formatCellList(wallCells);
-        const lineName = isRow ? `row ${rowToNumber(r)}` : `column ${colToLetter(c)}`;
-        const perpLineName = isRow ? `column ${colToLetter(c)}` : `row ${rowToNumber(r)}`;
-                    return {
-            message: `The exit for the dead end at ${cellRef(r, c)} must be in ${lineName}. The dead end needs 3 walls total, so the adjacent cell${wallCells.length > 1 ? 's' : ''} at ${cellsText} in ${perpLineName} must be ${wallCells.length === 1 ? 'a wall' : 'walls'}.`,
-                        highlight: wallCells.length === 1 ? { type: 'cell', r: wallCells[0].r, c: wallCells[0].c } : { type: 'cells', cells: wallCells },
-                        cells: wallCells, shouldBe: 'wall'
-                    };
-                }
-    
-    return null;
 }
 
-// Hint 6: Dead end in edge row/col with only 1 more wall needed
-// The wall must be adjacent to the dead end, so all other empty cells must be paths
-// Only applies to dead ends with 2 possible exits within the row/col (not corner dead ends)
-function hintEdgeDeadEndOneWall(merged) {
-    // Helper to get neighbor state for a dead end
-    function getNeighborState(merged, r, c) {
-            const leftIdx = r * SIZE + (c - 1);
-            const rightIdx = r * SIZE + (c + 1);
-            const aboveIdx = (r - 1) * SIZE + c;
-            const belowIdx = (r + 1) * SIZE + c;
+document.getElementById('replaySolveBtn').onclick = () => {
+    ChipSound.click();
+    const [latest] = SolveRecordings.load();
+    if (latest) startRecordingPlayback(latest);
+};
+document.getElementById('recordingPlayBtn').onclick = () => {
+    ChipSound.click();
+    setRecordingPlaying(!recordingPlayback.playing);
+};
+document.getElementById('recordingScrubber').oninput = (e) => {
+    setRecordingPlaying(false);
+    showRecordingFrame(parseInt(e.target.value));
+};
+document.getElementById('recordingCopyBtn').onclick = () => {
+    const code = encodeRecordingCode(recordingPlayback.recording);
+    navigator.clipboard.writeText(code).then(() => {
+        const btn = document.getElementById('recordingCopyBtn');
+        btn.textContent = 'Copied!';
+        setTimeout(() => btn.textContent = 'Copy Code', 1000);
+    });
+};
+document.getElementById('recordingDoneBtn').onclick = () => {
+    ChipSound.click();
+    endRecordingPlayback(true);
+};
+
+// ============================================
+// GHOST RACE
+// ============================================
+// With Ghost Race on, a seed that has a recorded solve (SolveRecordings.getBest) is
+// raced against it: the ghost's board at the same solve time shows faintly in empty
+// cells, and a badge shows how far ahead or behind you are. Progress is the number of
+// cells marked correctly; the delta is how much earlier or later the ghost reached it.
+const GHOST_REFRESH_MS = 500;
+
+// Correctly marked cells on a frame, counting walls across all layers
+function countCorrectCells(frame) {
+    let count = 0;
+    for (let i = 0; i < SIZE * SIZE; i++) {
+        const v = getFrameCell(frame, i);
+        const isWall = solution[Math.floor(i / SIZE)][i % SIZE] === 1;
+        if ((v === 1 && isWall) || (v === 2 && !isWall)) count++;
+    }
+    return count;
+}
 
-        return {
-            leftIsWall: c === 0 || merged[leftIdx] === 1,
-            rightIsWall: c === SIZE - 1 || merged[rightIdx] === 1,
-            aboveIsWall: r === 0 || merged[aboveIdx] === 1,
-            belowIsWall: r === SIZE - 1 || merged[belowIdx] === 1,
-            leftIsEmpty: c > 0 && merged[leftIdx] === 0 && !isFixedPath(r, c - 1),
-            rightIsEmpty: c < SIZE - 1 && merged[rightIdx] === 0 && !isFixedPath(r, c + 1),
-            aboveIsEmpty: r > 0 && merged[aboveIdx] === 0 && !isFixedPath(r - 1, c),
-            belowIsEmpty: r < SIZE - 1 && merged[belowIdx] === 0 && !isFixedPath(r + 1, c)
-        };
+// A cell as shown on the board: a wall on any layer wins over a path
+function getFrameCell(frame, i) {
+    let v = 0;
+    for (const layer of frame.layers) {
+        if (layer[i] === 1) return 1;
+        if (layer[i] === 2) v = 2;
     }
+    return v;
+}
 
-    // Check edge rows (top and bottom)
-    for (const r of [0, SIZE - 1]) {
-        const { walls, target } = getRowCounts(merged, r);
-        if (target - walls !== 1) continue;
+function updateGhostRaceButton() {
+    const state = document.getElementById('ghostRaceState');
+    document.getElementById('ghostRaceBtn').classList.toggle('off', !ghostRaceEnabled);
+    state.textContent = ghostRaceEnabled ? 'ON' : 'OFF';
+    state.classList.toggle('off-state', !ghostRaceEnabled);
+}
 
-        for (let c = 0; c < SIZE; c++) {
-            if (!isTargetDeadEnd(r, c)) continue;
-            // Skip corner dead ends - they only have 1 exit within the row
-            if (c === 0 || c === SIZE - 1) continue;
+function setGhostRaceEnabled(enabled) {
+    ghostRaceEnabled = enabled;
+    updateGhostRaceButton();
+    saveUserPreferences();
+    startGhostRace();
+    update();
+}
 
-            const neighborState = getNeighborState(merged, r, c);
-            const hint = checkDeadEndOneWallCase(merged, r, c, true, true, 1, neighborState);
-            if (hint) return hint;
-        }
-    }
+// Race the best recording for the current seed, if there is one
+function startGhostRace() {
+    stopGhostRace();
+    document.getElementById('ghostBadge').classList.remove('visible');
+    if (!ghostRaceEnabled || isDailyPuzzle || isTutorialMode || isWon) return;
 
-    // Check edge columns (left and right)
-    for (const c of [0, SIZE - 1]) {
-        const { walls, target } = getColCounts(merged, c);
-        if (target - walls !== 1) continue;
+    const recording = SolveRecordings.getBest(currentSeed);
+    // The same seed must still build the same board
+    const board = encodeBoardCode({ size: SIZE, solution, lockedWalls, stockpilePos });
+    if (!recording || recording.board !== board) return;
 
-        for (let r = 0; r < SIZE; r++) {
-            if (!isTargetDeadEnd(r, c)) continue;
-            // Skip corner dead ends - they only have 1 exit within the column
-            if (r === 0 || r === SIZE - 1) continue;
+    const frames = buildRecordingFrames(recording.events, SIZE);
+    ghostRace = {
+        recording,
+        frames,
+        progress: frames.map(countCorrectCells),
+        timer: setInterval(renderGhost, GHOST_REFRESH_MS)
+    };
+}
 
-            const neighborState = getNeighborState(merged, r, c);
-            const hint = checkDeadEndOneWallCase(merged, r, c, false, true, 1, neighborState);
-            if (hint) return hint;
-        }
-    }
+function stopGhostRace() {
+    if (!ghostRace) return;
+    clearInterval(ghostRace.timer);
+    ghostRace = null;
+}
 
-    // Check interior rows with dead ends
-    for (let r = 1; r < SIZE - 1; r++) {
-        const { walls, target } = getRowCounts(merged, r);
-        const remainingWalls = target - walls;
-        if (remainingWalls < 1) continue;
+// Index of the ghost's frame at a solve time
+function getGhostFrameIndex(time) {
+    const { events } = ghostRace.recording;
+    let index = 0;
+    while (index < events.length && events[index].t <= time) index++;
+    return index;
+}
 
-        for (let c = 0; c < SIZE; c++) {
-            if (!isTargetDeadEnd(r, c)) continue;
+function renderGhost() {
+    const grid = document.getElementById('mainGrid');
+    grid.querySelectorAll('.ghost-mark').forEach(mark => mark.remove());
+    if (!ghostRace || isWon || recordingPlayback) return;
 
-            const neighborState = getNeighborState(merged, r, c);
-            const hint = checkDeadEndOneWallCase(merged, r, c, true, false, remainingWalls, neighborState);
-            if (hint) return hint;
-        }
+    const elapsed = getSolveElapsed();
+    const ghostFrame = ghostRace.frames[getGhostFrameIndex(elapsed)];
+    const board = snapshotBoard();
+    const cells = grid.querySelectorAll('.cell');
+    for (let i = 0; i < SIZE * SIZE; i++) {
+        const v = getFrameCell(ghostFrame, i);
+        if (v === 0 || getFrameCell(board, i) !== 0) continue;
+        cells[i].appendChild(Object.assign(document.createElement('div'), {
+            className: `ghost-mark ${v === 1 ? 'ghost-wall' : 'ghost-path'}`
+        }));
     }
 
-    // Check interior columns with dead ends
-    for (let c = 1; c < SIZE - 1; c++) {
-        const { walls, target } = getColCounts(merged, c);
-        const remainingWalls = target - walls;
-        if (remainingWalls < 1) continue;
+    // When did the ghost reach the progress you have now?
+    const progress = countCorrectCells(board);
+    const { events } = ghostRace.recording;
+    const reached = ghostRace.progress.findIndex(p => p >= progress);
+    const ghostTime = reached <= 0 ? 0 : events[reached - 1].t;
+    showGhostDelta(elapsed - ghostTime);
+}
 
-        for (let r = 0; r < SIZE; r++) {
-            if (!isTargetDeadEnd(r, c)) continue;
+// Positive deltas are behind the ghost
+function showGhostDelta(delta, prefix = '👻') {
+    const badge = document.getElementById('ghostBadge');
+    badge.textContent = `${prefix} ${delta > 0 ? '+' : '−'}${formatTime(Math.abs(delta))}`;
+    badge.classList.add('visible');
+    badge.classList.toggle('ghost-ahead', delta <= 0);
+    badge.classList.toggle('ghost-behind', delta > 0);
+}
 
-            const neighborState = getNeighborState(merged, r, c);
-            const hint = checkDeadEndOneWallCase(merged, r, c, false, false, remainingWalls, neighborState);
-            if (hint) return hint;
-        }
+// On a win, show the final margin against the ghost's total time
+function finishGhostRace() {
+    if (!ghostRace) return;
+    const delta = getSolveElapsed() - ghostRace.recording.elapsedTime;
+    stopGhostRace();
+    document.getElementById('mainGrid').querySelectorAll('.ghost-mark').forEach(mark => mark.remove());
+    showGhostDelta(delta, delta <= 0 ? '👻 New best' : '👻 Best');
+}
+
+document.getElementById('ghostRaceBtn').onclick = () => {
+    ChipSound.click();
+    setGhostRaceEnabled(!ghostRaceEnabled);
+};
+document.getElementById('decryptToggleBtn').onclick = () => {
+    // Block in daily puzzle mode
+    if (!isSolutionDisplayAllowed()) {
+        ChipSound.error();
+        return;
+    }
+    ChipSound.click();
+    showKey = !showKey;
+    const btn = document.getElementById('decryptToggleBtn');
+    const state = document.getElementById('decryptToggleState');
+    if (showKey) {
+        btn.classList.remove('off');
+        state.textContent = 'ON';
+        state.classList.remove('off-state');
+    } else {
+        btn.classList.add('off');
+        state.textContent = 'OFF';
+        state.classList.add('off-state');
     }
+    saveUserPreferences();
+    update();
+};
 
-    return null;
+// Check if a cell is locked (lower layer, plus generator lock when enabled)
+function isCellLocked(idx) {
+    if (LOCKED_WALLS_AFFECT_GAMEPLAY && lockedWalls[idx]) return true;
+    return layers.slice(0, currentIdx).some(l => l[idx] !== 0);
+}
+
+// Get merged board state (walls=1, paths=2, empty=0)
+function getMergedBoard() {
+    const merged = Array(SIZE * SIZE).fill(0);
+    if (LOCKED_WALLS_AFFECT_GAMEPLAY) {
+        lockedWalls.forEach((locked, i) => {
+            if (locked) merged[i] = 1;
+        });
+    }
+    layers.forEach(l => l.forEach((s, i) => {
+        if (s === 1) merged[i] = 1;
+        if (s === 2 && merged[i] !== 1) merged[i] = 2;
+    }));
+    return merged;
+}
+
+// Debug readout: how many solutions the board still allows, with the cells where two
+// of them differ highlighted (see countPuzzleSolutions)
+const SOLUTION_COUNT_CAP = 10;
+
+function showSolutionCount() {
+    const result = puzzleCore.countPuzzleSolutions({ board: getMergedBoard(), cap: SOLUTION_COUNT_CAP });
+    const count = result.exact ? `${result.count}` : `${result.count}+`;
+    let message;
+    if (result.count === 0) {
+        message = result.exact
+            ? 'No solution is consistent with your board. Something placed is wrong.'
+            : 'No solution found within the search limit.';
+    } else if (result.count === 1) {
+        message = result.exact
+            ? 'Exactly one solution remains consistent with your board.'
+            : 'At least one solution remains consistent with your board.';
+    } else {
+        message = `${count} solutions remain consistent with your board.`;
+    }
+    showHint({
+        message,
+        highlight: result.differingCells.length > 0 ? { type: 'cells', cells: result.differingCells } : null
+    });
 }
 
 // Hint 7: Fallback - suggest forking
@@ -6699,30 +4768,36 @@ function hintForkContradiction(merged) {
     const fa = forkAnchors[currentIdx];
     if (!fa) return null; // No anchor set yet
 
+    const reason = findForkContradiction(merged);
+    return reason ? buildForkContradictionHint(fa, reason) : null;
+}
+
+// Returns which rule the board breaks, or null. Also used by the automatic fork check.
+function findForkContradiction(merged) {
     // Check for obvious contradictions (same checks as hintCheckMistakes)
     // 1. Invalid dead end (path boxed in by 3+ walls that isn't a dead end node)
-    const invalidDeadEnd = findInvalidDeadEnd(merged);
+    const invalidDeadEnd = puzzleCore.findInvalidDeadEnd(merged);
     if (invalidDeadEnd) {
-        return buildForkContradictionHint(fa, 'a path got boxed in as an invalid dead end');
+        return 'a path got boxed in as an invalid dead end';
     }
 
     // 2. Row/column over limit
     for (let r = 0; r < SIZE; r++) {
-        const { walls, paths, target, expectedPaths } = getRowCounts(merged, r);
+        const { walls, paths, target, expectedPaths } = puzzleCore.getRowCounts(merged, r);
         if (walls > target) {
-            return buildForkContradictionHint(fa, `row ${rowToNumber(r)} has too many walls`);
+            return `row ${rowToNumber(r)} has too many walls`;
         }
         if (paths > expectedPaths) {
-            return buildForkContradictionHint(fa, `row ${rowToNumber(r)} has too many paths`);
+            return `row ${rowToNumber(r)} has too many paths`;
         }
     }
     for (let c = 0; c < SIZE; c++) {
-        const { walls, paths, target, expectedPaths } = getColCounts(merged, c);
+        const { walls, paths, target, expectedPaths } = puzzleCore.getColCounts(merged, c);
         if (walls > target) {
-            return buildForkContradictionHint(fa, `column ${colToLetter(c)} has too many walls`);
+            return `column ${colToLetter(c)} has too many walls`;
         }
         if (paths > expectedPaths) {
-            return buildForkContradictionHint(fa, `column ${colToLetter(c)} has too many paths`);
+            return `column ${colToLetter(c)} has too many paths`;
         }
     }
 
@@ -6734,13 +4809,13 @@ function hintForkContradiction(merged) {
             for (const [dr, dc] of [[0, 0], [0, 1], [1, 0], [1, 1]]) {
                 const cr = r + dr, cc = c + dc;
                 const idx = cr * SIZE + cc;
-                if (merged[idx] !== 2 && !isFixedPath(cr, cc)) allPaths = false;
+                if (merged[idx] !== 2 && !puzzleCore.isFixedPath(cr, cc)) allPaths = false;
                 if (stockpilePos && Math.abs(cr - stockpilePos.r) <= 1 && Math.abs(cc - stockpilePos.c) <= 1) {
                     nearStockpile = true;
                 }
             }
             if (allPaths && !nearStockpile) {
-                return buildForkContradictionHint(fa, 'a 2×2 path block was created');
+                return 'a 2×2 path block was created';
             }
         }
     }
@@ -6748,16 +4823,16 @@ function hintForkContradiction(merged) {
     // 4. Dead end with multiple paths
     for (let r = 0; r < SIZE; r++) {
         for (let c = 0; c < SIZE; c++) {
-            if (!isTargetDeadEnd(r, c)) continue;
+            if (!puzzleCore.isTargetDeadEnd(r, c)) continue;
             let pathCount = 0;
             for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
                 const nr = r + dr, nc = c + dc;
                 if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) continue;
                 const nIdx = nr * SIZE + nc;
-                if (merged[nIdx] === 2 || isFixedPath(nr, nc)) pathCount++;
+                if (merged[nIdx] === 2 || puzzleCore.isFixedPath(nr, nc)) pathCount++;
             }
             if (pathCount > 1) {
-                return buildForkContradictionHint(fa, `the dead end at ${cellRef(r, c)} has multiple exits`);
+                return `the dead end at ${cellRef(r, c)} has multiple exits`;
             }
         }
     }
@@ -6789,7 +4864,7 @@ function hintForkContradiction(merged) {
         }
 
         if (visited.size < nonWallCells.length) {
-            return buildForkContradictionHint(fa, 'a section of the grid got cut off by walls');
+            return 'a section of the grid got cut off by walls';
         }
     }
 
@@ -6827,6 +4902,54 @@ function buildForkContradictionHint(fa, reason) {
     };
 }
 
+// ============================================
+// FORK CONTRADICTION CHECK
+// ============================================
+// With the Fork Contradictions assist on, every change to the active fork is checked
+// against the contradiction hint's rules. A fork that breaks one is flagged in the fork
+// tree, and an alert offers to discard it and place the opposite of its anchor cell.
+let forkContradiction = null; // {id, anchor} of the active fork while it's contradicted
+
+function checkForkContradiction(merged) {
+    const fa = forkAnchors[currentIdx];
+    const reason = isForkContradictionCheckEnabled() && currentIdx > 0 && fa && !recordingPlayback
+        ? findForkContradiction(merged)
+        : null;
+    forkContradiction = reason ? { id: forkTree.path[currentIdx], anchor: fa } : null;
+
+    const alert = document.getElementById('forkContradictionAlert');
+    const wasVisible = alert.classList.contains('visible');
+    alert.classList.toggle('visible', !!reason);
+    if (wasVisible !== !!reason) scheduleLayoutUpdate();
+    if (!reason) return;
+
+    document.getElementById('forkContradictionMessage').textContent = buildForkContradictionHint(fa, reason).message;
+    const value = fa.type === 'cell' ? layers[currentIdx][fa.idx] : 0;
+    document.getElementById('forkContradictionBtn').textContent =
+        value === 1 ? 'Discard & place path' : value === 2 ? 'Discard & place wall' : 'Discard fork';
+}
+
+document.getElementById('forkContradictionBtn').onclick = () => {
+    if (!forkContradiction || isWon) return;
+    const { anchor } = forkContradiction;
+    const value = anchor.type === 'cell' ? layers[currentIdx][anchor.idx] : 0;
+
+    ChipSound.abort();
+    noteSolveAction('discard');
+    saveUndoState();
+    discardFork();
+    // The assumption was wrong, so its opposite holds
+    if (value !== 0 && getMergedBoard()[anchor.idx] === 0) {
+        if (currentIdx > 0 && forkAnchors[currentIdx] === null) {
+            forkAnchors[currentIdx] = { type: 'cell', idx: anchor.idx };
+        }
+        layers[currentIdx][anchor.idx] = value === 1 ? 2 : 1;
+        moveCount++;
+    }
+    updateButtonStates();
+    update();
+};
+
 // Main hint function - returns the first applicable hint
 function getHint() {
     const merged = getMergedBoard();
@@ -6838,51 +4961,51 @@ function getHint() {
         // ===== LEVEL 0: ERROR DETECTION =====
         // Not really hints - these detect mistakes or contradictions
         { name: 'hintForkContradiction', fn: () => hintForkContradiction(merged) },
-        { name: 'hintCheckMistakes', fn: () => hintCheckMistakes(merged, inFork) },
+        { name: 'hintCheckMistakes', fn: () => puzzleCore.hintCheckMistakes(merged, inFork) },
 
         // ===== LEVEL 1: TRIVIAL (single constraint, no reasoning) =====
         // Just counting: row/col has 0 or SIZE walls, so all cells are determined
-        { name: 'hintTrivialRowCol', fn: () => hintTrivialRowCol(merged) },
+        { name: 'hintTrivialRowCol', fn: () => puzzleCore.hintTrivialRowCol(merged) },
 
         // ===== LEVEL 2: SIMPLE (single rule application) =====
         // Dead end already has 3 walls, the 4th neighbor must be a path
-        { name: 'hintDeadEndCanBeFinished', fn: () => hintDeadEndCanBeFinished(merged) },
+        { name: 'hintDeadEndCanBeFinished', fn: () => puzzleCore.hintDeadEndCanBeFinished(merged) },
         // 3 paths in a 2x2, the 4th must be a wall
-        { name: 'hint2x2With3Paths', fn: () => hint2x2With3Paths(merged) },
+        { name: 'hint2x2With3Paths', fn: () => puzzleCore.hint2x2With3Paths(merged) },
         // Vault perimeter is complete (all 8 cells around stockpile determined)
-        { name: 'hintVaultPerimeterComplete', fn: () => hintVaultPerimeterComplete(merged) },
+        { name: 'hintVaultPerimeterComplete', fn: () => puzzleCore.hintVaultPerimeterComplete(merged) },
         // Path has only one possible extension direction
-        { name: 'hintPathMustExtend', fn: () => hintPathMustExtend(merged) },
+        { name: 'hintPathMustExtend', fn: () => puzzleCore.hintPathMustExtend(merged) },
         // Row/col wall count is complete, remaining cells must be paths (or vice versa)
-        { name: 'hintRowColComplete', fn: () => hintRowColComplete(merged) },
+        { name: 'hintRowColComplete', fn: () => puzzleCore.hintRowColComplete(merged) },
 
         // ===== LEVEL 3: MODERATE (pattern recognition or 2-step reasoning) =====
         // Empty cell surrounded by walls/edges would be invalid dead end
-        { name: 'hintEmptyDeadEndMustBeWall', fn: () => hintEmptyDeadEndMustBeWall(merged, null) },
+        { name: 'hintEmptyDeadEndMustBeWall', fn: () => puzzleCore.hintEmptyDeadEndMustBeWall(merged, null) },
         // Vault interior cells must be paths when only one vault position works
-        { name: 'hintVaultInteriorMustBePath', fn: () => hintVaultInteriorMustBePath(merged) },
+        { name: 'hintVaultInteriorMustBePath', fn: () => puzzleCore.hintVaultInteriorMustBePath(merged) },
         // Vault exit cannot be adjacent to dead end in certain positions
-        { name: 'hintVaultExitDeadEnd', fn: () => hintVaultExitDeadEnd(merged) },
+        { name: 'hintVaultExitDeadEnd', fn: () => puzzleCore.hintVaultExitDeadEnd(merged) },
         // Two adjacent dead ends: the cell between them must connect them
-        { name: 'hintDeadEndAdjacent', fn: () => hintDeadEndAdjacent(merged) },
+        { name: 'hintDeadEndAdjacent', fn: () => puzzleCore.hintDeadEndAdjacent(merged) },
         // Corner with flanking dead ends on both edges
-        { name: 'hintCornerFlankingDeadEnds', fn: () => hintCornerFlankingDeadEnds(merged) },
+        { name: 'hintCornerFlankingDeadEnds', fn: () => puzzleCore.hintCornerFlankingDeadEnds(merged) },
 
         // ===== LEVEL 4: ADVANCED (multi-step reasoning or constraint combination) =====
         // If cell were path, it would need a neighbor to avoid dead end, but that creates 2x2
-        { name: 'hintDeadEndOr2x2Squeeze', fn: () => hintDeadEndOr2x2Squeeze(merged) },
+        { name: 'hintDeadEndOr2x2Squeeze', fn: () => puzzleCore.hintDeadEndOr2x2Squeeze(merged) },
         // Edge row/col needs 1 wall, dead end forces it to be adjacent
-        { name: 'hintEdgeDeadEndOneWall', fn: () => hintEdgeDeadEndOneWall(merged) },
+        { name: 'hintEdgeDeadEndOneWall', fn: () => puzzleCore.hintEdgeDeadEndOneWall(merged) },
         // Corner dead end on edge with limited wall budget
-        { name: 'hintEdgeCornerDeadEnd', fn: () => hintEdgeCornerDeadEnd(merged) },
+        { name: 'hintEdgeCornerDeadEnd', fn: () => puzzleCore.hintEdgeCornerDeadEnd(merged) },
         // Cache position constraints near board edge
-        { name: 'hintCacheNearEdge', fn: () => hintCacheNearEdge(merged) },
+        { name: 'hintCacheNearEdge', fn: () => puzzleCore.hintCacheNearEdge(merged) },
 
         // ===== LEVEL 5: COMPLEX (hypothetical reasoning / lookahead) =====
         // Completing a row/col would cause an error elsewhere
-        { name: 'hintRowColCompletionCausesError', fn: () => hintRowColCompletionCausesError(merged) },
+        { name: 'hintRowColCompletionCausesError', fn: () => puzzleCore.hintRowColCompletionCausesError(merged) },
         // Only 4 empty cells left with two valid solutions
-        { name: 'hintTwoValidSolutions', fn: () => hintTwoValidSolutions(merged, null) },
+        { name: 'hintTwoValidSolutions', fn: () => puzzleCore.hintTwoValidSolutions(merged, null) },
 
         // ===== LEVEL 6: TRIAL AND ERROR =====
         // No logical deduction possible, must try a hypothesis
@@ -6894,6 +5017,7 @@ function getHint() {
         if (hint) {
             // Validate the hint before returning it
             if (validateHint(hint, name)) {
+                hint.technique = name;
                 return hint;
             }
             // Invalid hint - skip it and try the next one
@@ -6947,33 +5071,33 @@ function getHintForCell(targetR, targetC) {
     const hintFunctions = [
         // ===== LEVEL 0: ERROR DETECTION =====
         { name: 'hintForkContradiction', fn: () => hintForkContradiction(merged) },
-        { name: 'hintCheckMistakes', fn: () => hintCheckMistakes(merged, inFork) },
+        { name: 'hintCheckMistakes', fn: () => puzzleCore.hintCheckMistakes(merged, inFork) },
 
         // ===== LEVEL 1: TRIVIAL =====
-        { name: 'hintTrivialRowCol', fn: () => hintTrivialRowCol(merged, forCell) },
-        { name: 'hintRowColComplete', fn: () => hintRowColComplete(merged, forCell) },
+        { name: 'hintTrivialRowCol', fn: () => puzzleCore.hintTrivialRowCol(merged, forCell) },
+        { name: 'hintRowColComplete', fn: () => puzzleCore.hintRowColComplete(merged, forCell) },
 
         // ===== LEVEL 2: SIMPLE =====
-        { name: 'hintDeadEndCanBeFinished', fn: () => hintDeadEndCanBeFinished(merged, forCell) },
-        { name: 'hint2x2With3Paths', fn: () => hint2x2With3Paths(merged, forCell) },
-        { name: 'hintVaultPerimeterComplete', fn: () => hintVaultPerimeterComplete(merged) },
-        { name: 'hintPathMustExtend', fn: () => hintPathMustExtend(merged, forCell) },
+        { name: 'hintDeadEndCanBeFinished', fn: () => puzzleCore.hintDeadEndCanBeFinished(merged, forCell) },
+        { name: 'hint2x2With3Paths', fn: () => puzzleCore.hint2x2With3Paths(merged, forCell) },
+        { name: 'hintVaultPerimeterComplete', fn: () => puzzleCore.hintVaultPerimeterComplete(merged) },
+        { name: 'hintPathMustExtend', fn: () => puzzleCore.hintPathMustExtend(merged, forCell) },
 
         // ===== LEVEL 3: MODERATE =====
-        { name: 'hintEmptyDeadEndMustBeWall', fn: () => hintEmptyDeadEndMustBeWall(merged, forCell) },
-        { name: 'hintVaultInteriorMustBePath', fn: () => hintVaultInteriorMustBePath(merged) },
-        { name: 'hintVaultExitDeadEnd', fn: () => hintVaultExitDeadEnd(merged) },
-        { name: 'hintDeadEndAdjacent', fn: () => hintDeadEndAdjacent(merged) },
-        { name: 'hintCornerFlankingDeadEnds', fn: () => hintCornerFlankingDeadEnds(merged) },
+        { name: 'hintEmptyDeadEndMustBeWall', fn: () => puzzleCore.hintEmptyDeadEndMustBeWall(merged, forCell) },
+        { name: 'hintVaultInteriorMustBePath', fn: () => puzzleCore.hintVaultInteriorMustBePath(merged) },
+        { name: 'hintVaultExitDeadEnd', fn: () => puzzleCore.hintVaultExitDeadEnd(merged) },
+        { name: 'hintDeadEndAdjacent', fn: () => puzzleCore.hintDeadEndAdjacent(merged) },
+        { name: 'hintCornerFlankingDeadEnds', fn: () => puzzleCore.hintCornerFlankingDeadEnds(merged) },
 
         // ===== LEVEL 4: ADVANCED =====
-        { name: 'hintDeadEndOr2x2Squeeze', fn: () => hintDeadEndOr2x2Squeeze(merged) },
-        { name: 'hintEdgeDeadEndOneWall', fn: () => hintEdgeDeadEndOneWall(merged) },
-        { name: 'hintEdgeCornerDeadEnd', fn: () => hintEdgeCornerDeadEnd(merged) },
-        { name: 'hintCacheNearEdge', fn: () => hintCacheNearEdge(merged) },
+        { name: 'hintDeadEndOr2x2Squeeze', fn: () => puzzleCore.hintDeadEndOr2x2Squeeze(merged) },
+        { name: 'hintEdgeDeadEndOneWall', fn: () => puzzleCore.hintEdgeDeadEndOneWall(merged) },
+        { name: 'hintEdgeCornerDeadEnd', fn: () => puzzleCore.hintEdgeCornerDeadEnd(merged) },
+        { name: 'hintCacheNearEdge', fn: () => puzzleCore.hintCacheNearEdge(merged) },
         // ===== LEVEL 5: COMPLEX =====
-        { name: 'hintRowColCompletionCausesError', fn: () => hintRowColCompletionCausesError(merged) },
-        { name: 'hintTwoValidSolutions', fn: () => hintTwoValidSolutions(merged, forCell) },
+        { name: 'hintRowColCompletionCausesError', fn: () => puzzleCore.hintRowColCompletionCausesError(merged) },
+        { name: 'hintTwoValidSolutions', fn: () => puzzleCore.hintTwoValidSolutions(merged, forCell) },
 
         // Note: hintFork is excluded - it doesn't apply to specific cells
     ];
@@ -7059,7 +5183,7 @@ function showCellCoordinates(hint) {
         const c = i % SIZE;
         // Only add labels to empty cells (not walls, paths, dead ends, or stockpile)
         if (merged[i] !== 0) continue;
-        if (isTargetDeadEnd(r, c)) continue;
+        if (puzzleCore.isTargetDeadEnd(r, c)) continue;
         if (stockpilePos && stockpilePos.r === r && stockpilePos.c === c) continue;
 
         const label = document.createElement('div');
@@ -7105,6 +5229,13 @@ function applyHintHighlight(hint) {
         if (rowLabels[hl.index]) {
             addHighlightClass(rowLabels[hl.index], 'hint-highlight-label');
         }
+    } else if (hl.type === 'area') {
+        // Highlight a rectangle of cells (progressive hints)
+        for (let r = hl.r1; r <= hl.r2; r++) {
+            for (let c = hl.c1; c <= hl.c2; c++) {
+                addHighlightClass(gridCells[r * SIZE + c], 'hint-highlight-row');
+            }
+        }
     } else if (hl.type === 'col') {
         // Highlight all cells in the column
         for (let r = 0; r < SIZE; r++) {
@@ -7232,7 +5363,7 @@ function applyHintCells(hint) {
         if (merged[idx] !== 0) continue;
 
         // Skip fixed paths (dead ends, stockpile)
-        if (isFixedPath(cell.r, cell.c)) continue;
+        if (puzzleCore.isFixedPath(cell.r, cell.c)) continue;
 
         // Skip if locked by lower layer
         const isLocked = isCellLocked(idx);
@@ -7262,20 +5393,96 @@ function applyHintCells(hint) {
     return appliedAny;
 }
 
+// Progressive hints: pressing the hint button again on an unchanged board reveals more
+// of the same hint - first the region, then the technique, then the exact cells
+const HINT_TIERS = ['region', 'technique', 'answer'];
+const HINT_TECHNIQUE_NAMES = {
+    hintTrivialRowCol: 'Empty or full line',
+    hintDeadEndCanBeFinished: 'Finish the dead end',
+    hint2x2With3Paths: 'No 2×2 paths',
+    hintVaultPerimeterComplete: 'Sealed vault',
+    hintPathMustExtend: 'Path must extend',
+    hintRowColComplete: 'Line count complete',
+    hintEmptyDeadEndMustBeWall: 'No unmarked dead ends',
+    hintVaultInteriorMustBePath: 'Vault interior',
+    hintVaultExitDeadEnd: 'Vault exit beside a dead end',
+    hintDeadEndAdjacent: 'Neighboring dead ends',
+    hintCornerFlankingDeadEnds: 'Corner flanked by dead ends',
+    hintDeadEndOr2x2Squeeze: 'Dead end or 2×2 squeeze',
+    hintEdgeDeadEndOneWall: 'Dead end with one wall left',
+    hintEdgeCornerDeadEnd: 'Corner dead end on an edge',
+    hintCacheNearEdge: 'Vault near an edge',
+    hintRowColCompletionCausesError: 'Completing a line causes an error',
+    hintTwoValidSolutions: 'Last cells of a line'
+};
+let hintDisclosure = null; // {hint, tier, boardKey} for the hint being revealed
+
+// The row, column or area a hint is about, without giving away its cells
+function getHintRegion(hint) {
+    const hl = hint.highlight;
+    if (hl && hl.type === 'row') {
+        return { highlight: hl, description: `row ${rowToNumber(hl.index)}` };
+    }
+    if (hl && hl.type === 'col') {
+        return { highlight: hl, description: `column ${colToLetter(hl.index)}` };
+    }
+    // Widen the box around the hint's cells by one so it points at an area, not a cell
+    const rs = hint.cells.map(cell => cell.r), cs = hint.cells.map(cell => cell.c);
+    const r1 = Math.max(0, Math.min(...rs) - 1), r2 = Math.min(SIZE - 1, Math.max(...rs) + 1);
+    const c1 = Math.max(0, Math.min(...cs) - 1), c2 = Math.min(SIZE - 1, Math.max(...cs) + 1);
+    return {
+        highlight: { type: 'area', r1, c1, r2, c2 },
+        description: `the area ${cellRef(r1, c1)}–${cellRef(r2, c2)}`
+    };
+}
+
+// The part of a hint shown at a disclosure tier (index into HINT_TIERS)
+function getHintAtTier(hint, tier) {
+    if (tier === HINT_TIERS.length - 1) return hint;
+    const region = getHintRegion(hint);
+    const technique = HINT_TECHNIQUE_NAMES[hint.technique];
+    const message = tier === 0 || !technique
+        ? `Something can be deduced in ${region.description}. Tap ? again for more.`
+        : `Technique: ${technique}, in ${region.description}. Tap ? again for the answer.`;
+    return { message, highlight: region.highlight };
+}
+
 // Hint button click handler
 document.getElementById('hintBtn').onclick = () => {
-    if (isWon || !isHintsEnabled()) return;
+    if (isWon || isGenerating || !isHintsEnabled()) return;
     ChipSound.click();
     clearHintHighlights();
-    const hint = getHint();
 
-    // If Apply Hints is enabled and hint has cells to apply, apply them
-    if (isApplyHintsEnabled() && hint && hint.cells && hint.shouldBe) {
+    const boardKey = `${currentIdx}:${getMergedBoard().join('')}`;
+    const sameBoard = hintDisclosure && hintDisclosure.boardKey === boardKey;
+    if (sameBoard && hintDisclosure.tier === HINT_TIERS.length - 1) {
+        // Everything is already revealed; just show it again
+        showHint(hintDisclosure.hint);
+        return;
+    }
+
+    const hint = sameBoard ? hintDisclosure.hint : getHint();
+    // Mistakes, contradictions and the fork suggestion have nothing to hold back
+    if (!hint.cells || !hint.shouldBe) {
+        hintDisclosure = null;
+        showHint(hint);
+        return;
+    }
+
+    const tier = sameBoard ? hintDisclosure.tier + 1 : 0;
+    PlayerStats.recordHint(HINT_TIERS[tier]);
+
+    // If Apply Hints is enabled, apply the cells once they are revealed
+    if (tier === HINT_TIERS.length - 1 && isApplyHintsEnabled()) {
         saveUndoState();
+        noteSolveAction('hint');
         applyHintCells(hint);
+        hintDisclosure = null;
+    } else {
+        hintDisclosure = { hint, tier, boardKey };
     }
 
-    showHint(hint);
+    showHint(getHintAtTier(hint, tier));
 };
 // localStorage helper functions for briefing preference (works with file:// protocol)
 function setBriefingPreference(dontShow) {
@@ -7335,6 +5542,16 @@ document.addEventListener('keydown', (e) => {
         return;
     }
 
+    // The puzzle editor has its own board; game shortcuts would act on the hidden one
+    if (document.getElementById('puzzleEditorDialog').open) return;
+    if (document.getElementById('dailyArchiveDialog').open) return;
+
+    // Arrow keys step through the solve walkthrough
+    if (solveReplay && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+        stepSolveReplay(e.key === 'ArrowLeft' ? -1 : 1);
+        return;
+    }
+
     // Close briefing dialog on Escape key
     if (e.key === 'Escape') {
         const briefingOverlay = document.getElementById('briefingOverlay');
@@ -7427,15 +5644,13 @@ document.addEventListener('keydown', (e) => {
         return;
     }
 
-    // Ctrl+Z or CMD+Z for Undo
-    if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z')) {
-        // Only trigger if not Ctrl/Cmd+Shift+Z (redo, if implemented)
-        if (!e.shiftKey) {
-            const undoBtn = document.getElementById('undoBtn');
-            if (undoBtn && !undoBtn.disabled) {
-                e.preventDefault();
-                undoBtn.click();
-            }
+    // Ctrl+Z or CMD+Z for Undo, Ctrl/Cmd+Shift+Z or Ctrl+Y for Redo
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z' || e.key === 'y' || e.key === 'Y')) {
+        const isRedo = e.shiftKey || e.key === 'y' || e.key === 'Y';
+        const btn = document.getElementById(isRedo ? 'redoBtn' : 'undoBtn');
+        if (btn && !btn.disabled) {
+            e.preventDefault();
+            btn.click();
         }
         return;
     }
@@ -7504,14 +5719,16 @@ function loadUserPreferences() {
     } catch (e) {
         console.warn('Failed to load user preferences:', e);
     }
-    return { soundMuted: false, musicPlaying: true, decryptOverlay: false };
+    return { soundMuted: false, musicPlaying: true, decryptOverlay: false, difficulty: 'any', ghostRace: false };
 }
 
 function saveUserPreferences() {
     const settings = {
         soundMuted: ChipSound.getMuted(),
         musicPlaying: ChipMusic.isPlaying(),
-        decryptOverlay: showKey
+        decryptOverlay: showKey,
+        difficulty: document.getElementById('difficultySelect').value,
+        ghostRace: ghostRaceEnabled
     };
     try {
         localStorage.setItem('neuralReconPrefs', JSON.stringify(settings));
@@ -7562,6 +5779,7 @@ function updateAssistUI() {
     updateToggleUI('errorIndicatorsBtn', 'errorIndicatorsState', assistSettings.visualHints.errorIndicators);
     updateToggleUI('progressIndicatorsBtn', 'progressIndicatorsState', assistSettings.visualHints.progressIndicators);
     updateToggleUI('hintsEnabledBtn', 'hintsEnabledState', assistSettings.visualHints.hintsEnabled);
+    updateToggleUI('forkContradictionsBtn', 'forkContradictionsState', assistSettings.visualHints.forkContradictions);
     updateToggleUI('autoFillBtn', 'autoFillState', assistSettings.autoFill.enabled);
     updateToggleUI('deadEndFillBtn', 'deadEndFillState', assistSettings.autoFill.deadEndFill);
     updateToggleUI('wallCompletionBtn', 'wallCompletionState', assistSettings.autoFill.wallCompletion);
@@ -7624,7 +5842,8 @@ function propagateAutoFillState(enabled) {
 // Check if all children are enabled to update parent state
 function updateParentStates() {
     // Update visualHints.enabled based on children
-    assistSettings.visualHints.enabled = assistSettings.visualHints.errorIndicators || assistSettings.visualHints.progressIndicators || assistSettings.visualHints.hintsEnabled;
+    assistSettings.visualHints.enabled = assistSettings.visualHints.errorIndicators || assistSettings.visualHints.progressIndicators ||
+        assistSettings.visualHints.hintsEnabled || assistSettings.visualHints.forkContradictions;
     // Update autoFill.enabled based on children
     assistSettings.autoFill.enabled = assistSettings.autoFill.deadEndFill || assistSettings.autoFill.wallCompletion || assistSettings.autoFill.pathCompletion || assistSettings.autoFill.applyHints;
     // Update master enabled based on children
@@ -7701,6 +5920,15 @@ document.getElementById('hintsEnabledBtn').onclick = () => {
     update();
 };
 
+document.getElementById('forkContradictionsBtn').onclick = () => {
+    ChipSound.click();
+    assistSettings.visualHints.forkContradictions = !assistSettings.visualHints.forkContradictions;
+    updateParentStates();
+    saveAssistSettings();
+    updateAssistUI();
+    update();
+};
+
 document.getElementById('autoFillBtn').onclick = (e) => {
     const rect = e.currentTarget.getBoundingClientRect();
     if (e.clientX - rect.left < 40) return;
@@ -7767,17 +5995,108 @@ function updateSizeStats(size) {
     document.getElementById('statSizeStreak').textContent = sizeStats.bestStreak;
     document.getElementById('statSizeFastest').textContent = PlayerStats.formatTime(sizeStats.fastestTime);
     document.getElementById('statSizeMoves').textContent = sizeStats.fewestMoves !== null ? sizeStats.fewestMoves : '--';
+    document.getElementById('statSizeFastest').title = sizeStats.fastestSeed || '';
+    document.getElementById('statSizeMoves').title = sizeStats.fewestMovesSeed || '';
+
+    // Race the ghost of the fastest solve, if its recording is still kept
+    const raceBtn = document.getElementById('statSizeRaceBtn');
+    const raceSeed = sizeStats.fastestSeed;
+    raceBtn.style.display = raceSeed && SolveRecordings.getBest(raceSeed) ? '' : 'none';
+    raceBtn.onclick = () => {
+        ChipSound.click();
+        document.getElementById('statsOverlay').classList.remove('visible');
+        setGhostRaceEnabled(true);
+        playSeedCode(raceSeed);
+    };
+}
+
+function updateStatsDisplay() {
+    const stats = PlayerStats.get();
+    document.getElementById('statTotalWins').textContent = stats.totalWins;
+    document.getElementById('statTotalTime').textContent = PlayerStats.formatTotalTime(stats.totalTimePlayed);
+    document.getElementById('statTotalMoves').textContent = stats.totalMoves;
+    document.getElementById('statHintsRegion').textContent = stats.hintsUsed.region || 0;
+    document.getElementById('statHintsTechnique').textContent = stats.hintsUsed.technique || 0;
+    document.getElementById('statHintsAnswer').textContent = stats.hintsUsed.answer || 0;
+
+    // Update the currently selected size tab
+    updateSizeStats(currentStatsSize);
+    updateDailyStatsDisplay();
+    updateRecentSolves();
+}
+
+// Recent solve recordings, each with a replay button
+function updateRecentSolves() {
+    const list = document.getElementById('recentSolvesList');
+    const recordings = SolveRecordings.load();
+    list.innerHTML = '';
+    document.getElementById('recentSolvesEmpty').style.display = recordings.length ? 'none' : '';
+    recordings.forEach(recording => {
+        const item = document.createElement('li');
+        item.className = 'recent-solve';
+        const label = document.createElement('span');
+        label.textContent = `${recording.size}×${recording.size}  ${formatTime(recording.elapsedTime)}  ${recording.moves} ops`;
+        label.title = recording.seed || '';
+        const btn = document.createElement('button');
+        btn.className = 'cyber-btn recent-solve-btn';
+        btn.textContent = 'Replay';
+        btn.onclick = () => {
+            ChipSound.click();
+            document.getElementById('statsOverlay').classList.remove('visible');
+            startRecordingPlayback(recording);
+        };
+        item.append(label, btn);
+        list.appendChild(item);
+    });
+}
+
+// Daily streaks and a heatmap of one month's daily results
+// Without a synced server date yet, fall back to the local UTC day
+let dailyHeatmapMonth = null;
+
+function updateDailyStatsDisplay() {
+    const today = getDailyDateStringSync() || formatDailyDate(Date.now());
+    const todayTime = parseDailyDate(today);
+    if (dailyHeatmapMonth === null) {
+        dailyHeatmapMonth = shiftDailyMonth(todayTime, 0);
+    }
+
+    const streaks = DailyPuzzleState.getStreaks(today);
+    document.getElementById('statDailyStreak').textContent = streaks.current;
+    document.getElementById('statDailyBestStreak').textContent = streaks.best;
+
+    document.getElementById('dailyHeatmapMonth').textContent = formatDailyMonth(dailyHeatmapMonth);
+    document.getElementById('dailyHeatmapNextBtn').disabled = shiftDailyMonth(dailyHeatmapMonth, 1) > todayTime;
+
+    const history = DailyPuzzleState.loadHistory();
+    buildDailyMonthGrid(document.getElementById('dailyHeatmap'), dailyHeatmapMonth, (time, dateString, day) => {
+        const entry = history[dateString];
+        const cell = document.createElement('span');
+        cell.className = 'heatmap-day';
+        cell.title = dateString;
+        if (entry && entry.completed && !entry.archive && entry.completionStats) {
+            // Faster solves glow brighter, on the same bands as the share text
+            const { elapsedTime, moves } = entry.completionStats;
+            const level = elapsedTime < 60000 ? 4 : elapsedTime < 180000 ? 3 : elapsedTime < 300000 ? 2 : 1;
+            cell.classList.add(`heatmap-level-${level}`);
+            cell.title = `${dateString}: ${formatTime(elapsedTime)}, ${moves} moves`;
+        }
+        if (time === todayTime) cell.classList.add('heatmap-today');
+        return cell;
+    });
 }
 
-function updateStatsDisplay() {
-    const stats = PlayerStats.get();
-    document.getElementById('statTotalWins').textContent = stats.totalWins;
-    document.getElementById('statTotalTime').textContent = PlayerStats.formatTotalTime(stats.totalTimePlayed);
-    document.getElementById('statTotalMoves').textContent = stats.totalMoves;
+document.getElementById('dailyHeatmapPrevBtn').onclick = () => {
+    ChipSound.click();
+    dailyHeatmapMonth = shiftDailyMonth(dailyHeatmapMonth, -1);
+    updateDailyStatsDisplay();
+};
 
-    // Update the currently selected size tab
-    updateSizeStats(currentStatsSize);
-}
+document.getElementById('dailyHeatmapNextBtn').onclick = () => {
+    ChipSound.click();
+    dailyHeatmapMonth = shiftDailyMonth(dailyHeatmapMonth, 1);
+    updateDailyStatsDisplay();
+};
 
 // Update stats tabs to show locked/unlocked states
 function updateStatsTabs() {
@@ -7938,6 +6257,442 @@ document.getElementById('statsOverlay').onclick = (e) => {
     }
 };
 
+// ============================================
+// PUZZLE EDITOR
+// ============================================
+// Hand-author a board by painting its walls. Dead ends and targets follow from the
+// walls, and on vault-sized grids a closed 3x3 room with one door becomes the data
+// vault. The generator's own rules and the solver report whether the board is valid
+// and unique, and a valid board can be shared as a board code.
+
+let editorBoard = null; // {size, solution, lockedWalls, stockpilePos, targets}
+let editorSuggestedLocks = []; // Cell indices the solver would lock to make the board unique
+let editorPaintValue = null; // Value being painted while dragging (1 wall, 0 path), or null
+let editorCode = null; // Board code of the current board, or null while it's invalid
+
+function createEditorBoard(size) {
+    editorBoard = {
+        size,
+        solution: Array(size).fill().map(() => Array(size).fill(0)),
+        lockedWalls: Array(size * size).fill(false),
+        stockpilePos: null,
+        targets: { r: Array(size).fill(0), c: Array(size).fill(0) }
+    };
+    deriveEditorBoard();
+}
+
+// Find a 3x3 all-path room walled in on 11 of its 12 sides (grid edges count as walls).
+// Returns the room's center as the stockpile position, or null if there is no such room.
+function findEditorVault() {
+    const { size, solution: sol } = editorBoard;
+    if (size < DATA_VAULT_UNLOCK_SIZE) return null;
+    const isWall = (r, c) => r < 0 || r >= size || c < 0 || c >= size || sol[r][c] === 1;
+
+    for (let roomR = 0; roomR <= size - 3; roomR++) {
+        for (let roomC = 0; roomC <= size - 3; roomC++) {
+            let interiorClear = true;
+            for (let dr = 0; dr < 3; dr++) {
+                for (let dc = 0; dc < 3; dc++) {
+                    if (sol[roomR + dr][roomC + dc] === 1) interiorClear = false;
+                }
+            }
+            if (!interiorClear) continue;
+
+            let wallCount = 0;
+            for (let d = 0; d < 3; d++) {
+                if (isWall(roomR - 1, roomC + d)) wallCount++;
+                if (isWall(roomR + 3, roomC + d)) wallCount++;
+                if (isWall(roomR + d, roomC - 1)) wallCount++;
+                if (isWall(roomR + d, roomC + 3)) wallCount++;
+            }
+            if (wallCount === 11) return { r: roomR + 1, c: roomC + 1 };
+        }
+    }
+    return null;
+}
+
+// Recompute everything that follows from the painted walls
+function deriveEditorBoard() {
+    const { size, solution: sol } = editorBoard;
+    editorBoard.targets = {
+        r: sol.map(row => row.filter(v => v === 1).length),
+        c: Array(size).fill(0).map((_, c) => sol.filter(r => r[c] === 1).length)
+    };
+    editorBoard.stockpilePos = findEditorVault();
+}
+
+// Check the board against the generator's rules. Returns {checks: [{label, status}], valid};
+// status is 'ok', 'fail' or 'warn', and only a 'fail' makes the board invalid. Counting the
+// solutions of a valid board is left to the uniqueness worker, see updateEditorChecks().
+function checkEditorBoard() {
+    const { size, solution: sol, stockpilePos: vault, targets: counts } = editorBoard;
+    const core = createPuzzleCore(editorBoard);
+    const checks = [];
+    const add = (label, ok, status = ok ? 'ok' : 'fail') => {
+        checks.push({ label, status });
+        return ok;
+    };
+
+    // The generator avoids solid wall lines, but they don't break the rules
+    const fullLines = counts.r.filter(t => t === size).length + counts.c.filter(t => t === size).length;
+    add('Every row and column has a path', fullLines === 0, fullLines === 0 ? 'ok' : 'warn');
+    const vaultName = (ThemeManager.current()?.terminology?.vault || 'Data Vault').toLowerCase();
+    const noClumps = add(vault ? `No 2×2 open areas outside the ${vaultName}` : 'No 2×2 open areas',
+        vault
+            ? !core.has2x2PathClumpOutsideRoom(vault.r - 1, vault.c - 1)
+            : !core.has2x2PathBlock());
+    const connected = add('All paths are connected', core.findConnectedComponents().length === 1);
+    const merged = sol.flat().map(v => v === 1 ? 1 : 2);
+    const solves = add('The walls solve the puzzle', core.isValidAlternateSolution(merged));
+
+    return { checks, valid: noClumps && connected && solves };
+}
+
+// The check line for a checkBoardUniqueness() result
+function describeEditorUniqueness({ count, exact, suggestedLocks }) {
+    if (count > 1) {
+        const shown = exact ? count : `${count}+`;
+        return {
+            label: `${shown} solutions: ${suggestedLocks.length} locked wall${suggestedLocks.length === 1 ? '' : 's'} would make it unique`,
+            status: 'warn'
+        };
+    }
+    if (exact) return { label: 'Unique solution', status: 'ok' };
+    return { label: 'Uniqueness unconfirmed: the search ran out of steps', status: 'warn' };
+}
+
+function renderEditor() {
+    const { size, solution: sol, lockedWalls: locks, stockpilePos: vault, targets: counts } = editorBoard;
+    const grid = document.getElementById('editorGrid');
+    const rowL = document.getElementById('editorRowLabels');
+    const colL = document.getElementById('editorColLabels');
+    grid.innerHTML = '';
+    rowL.innerHTML = '';
+    colL.innerHTML = '';
+    grid.style.gridTemplateColumns = `repeat(${size}, var(--cell-size))`;
+    grid.style.gridTemplateRows = `repeat(${size}, var(--cell-size))`;
+
+    for (let i = 0; i < size; i++) {
+        const rowLabel = document.createElement('div');
+        rowLabel.className = 'count-neon';
+        rowLabel.textContent = counts.r[i];
+        rowL.appendChild(rowLabel);
+
+        const colLabel = document.createElement('div');
+        colLabel.className = 'count-neon';
+        colLabel.textContent = counts.c[i];
+        colL.appendChild(colLabel);
+    }
+
+    const core = createPuzzleCore(editorBoard);
+    for (let i = 0; i < size * size; i++) {
+        const r = Math.floor(i / size), c = i % size;
+        const cell = document.createElement('div');
+        cell.className = 'cell';
+        cell.onpointerdown = (e) => { cell.releasePointerCapture(e.pointerId); paintEditorCell(i, true); };
+        cell.onpointerenter = () => { if (editorPaintValue !== null) paintEditorCell(i, false); };
+
+        if (sol[r][c] === 1) {
+            cell.appendChild(ThemeManager.render.wall(0, false, true, !!locks[i]));
+        } else if (vault && vault.r === r && vault.c === c) {
+            cell.appendChild(ThemeManager.render.stockpile('complete'));
+        } else if (core.isTargetDeadEnd(r, c)) {
+            cell.appendChild(ThemeManager.render.node('normal'));
+        }
+        grid.appendChild(cell);
+    }
+}
+
+// Toggle a cell on pointer down, then paint the same value over cells dragged across
+function paintEditorCell(idx, isStart) {
+    const r = Math.floor(idx / editorBoard.size), c = idx % editorBoard.size;
+    if (isStart) editorPaintValue = editorBoard.solution[r][c] === 1 ? 0 : 1;
+    if (editorBoard.solution[r][c] === editorPaintValue) return;
+
+    editorBoard.solution[r][c] = editorPaintValue;
+    // Locks were chosen for the old layout
+    editorBoard.lockedWalls.fill(false);
+    if (editorPaintValue === 1) ChipSound.wall();
+    else ChipSound.erase();
+    deriveEditorBoard();
+    renderEditor();
+}
+
+// Stroke finished: re-check the board once rather than on every dragged cell
+function finishEditorStroke() {
+    if (editorPaintValue === null) return;
+    editorPaintValue = null;
+    updateEditorChecks();
+}
+
+function createEditorCheckItem({ label, status }) {
+    const item = document.createElement('li');
+    item.className = `editor-check-${status}`;
+    item.textContent = label;
+    return item;
+}
+
+// The rule checks are quick and shown at once. Counting solutions can take a while on
+// loose boards, so it runs in a worker and a newer edit cancels the count in flight.
+function updateEditorChecks() {
+    const { checks, valid } = checkEditorBoard();
+    editorSuggestedLocks = [];
+    BoardUniquenessChecker.cancel();
+
+    const list = document.getElementById('editorChecks');
+    list.innerHTML = '';
+    checks.forEach(check => list.appendChild(createEditorCheckItem(check)));
+
+    document.getElementById('editorAddLocksBtn').style.display = 'none';
+
+    editorCode = valid ? encodeBoardCode(editorBoard) : null;
+    document.getElementById('editorCode').textContent = editorCode || '------';
+    document.getElementById('editorCopyBtn').disabled = !editorCode;
+    document.getElementById('editorPlayBtn').disabled = !editorCode;
+    if (!valid) return;
+
+    const pending = createEditorCheckItem({ label: 'Counting solutions...', status: 'pending' });
+    list.appendChild(pending);
+    BoardUniquenessChecker.request({ puzzle: editorBoard, cap: SOLUTION_COUNT_CAP }).then(result => {
+        // Null when a newer edit cancelled this count
+        if (!result) return;
+        editorSuggestedLocks = result.suggestedLocks;
+        pending.replaceWith(createEditorCheckItem(describeEditorUniqueness(result)));
+        document.getElementById('editorAddLocksBtn').style.display = result.suggestedLocks.length > 0 ? '' : 'none';
+    });
+}
+
+function updateEditorSizeSelect() {
+    const select = document.getElementById('editorSizeSelect');
+    select.innerHTML = '';
+    GRID_SIZES.forEach(size => {
+        const option = document.createElement('option');
+        option.value = size;
+        option.textContent = isSizeUnlocked(size) ? `${size}×${size}` : `🔒 ${size}×${size}`;
+        option.disabled = !isSizeUnlocked(size);
+        select.appendChild(option);
+    });
+    select.value = editorBoard.size;
+}
+
+function openPuzzleEditor() {
+    // Start at the current grid size; keep an unfinished board between visits
+    if (!editorBoard || !isSizeUnlocked(editorBoard.size)) {
+        createEditorBoard(isSizeUnlocked(SIZE) ? SIZE : getMaxUnlockedSize());
+    }
+    updateEditorSizeSelect();
+    renderEditor();
+    updateEditorChecks();
+    document.getElementById('puzzleEditorDialog').showModal();
+}
+
+document.getElementById('countSolutionsBtn').onclick = () => {
+    ChipSound.click();
+    closeMenu();
+    showSolutionCount();
+};
+if (DEBUG_HINTS) document.getElementById('countSolutionsBtn').style.display = '';
+
+document.getElementById('editorBtn').onclick = () => {
+    ChipSound.click();
+    closeMenu();
+    openPuzzleEditor();
+};
+
+document.getElementById('editorSizeSelect').onchange = (e) => {
+    ChipSound.click();
+    createEditorBoard(parseInt(e.target.value));
+    renderEditor();
+    updateEditorChecks();
+};
+
+document.getElementById('editorClearBtn').onclick = () => {
+    ChipSound.erase();
+    createEditorBoard(editorBoard.size);
+    renderEditor();
+    updateEditorChecks();
+};
+
+document.getElementById('editorAddLocksBtn').onclick = () => {
+    ChipSound.wall();
+    editorSuggestedLocks.forEach(i => { editorBoard.lockedWalls[i] = true; });
+    renderEditor();
+    updateEditorChecks();
+};
+
+document.getElementById('editorCopyBtn').onclick = () => {
+    if (!editorCode) return;
+    const link = `${window.location.origin}${window.location.pathname}?board=${editorCode}`;
+    navigator.clipboard.writeText(link).then(() => {
+        const btn = document.getElementById('editorCopyBtn');
+        btn.textContent = 'Copied!';
+        setTimeout(() => btn.textContent = 'Copy Link', 1000);
+    });
+};
+
+document.getElementById('editorPlayBtn').onclick = () => {
+    if (!editorCode) return;
+    document.getElementById('puzzleEditorDialog').close();
+    playBoardCode(editorCode);
+};
+
+document.getElementById('editorCloseBtn').onclick = () => {
+    ChipSound.click();
+    document.getElementById('puzzleEditorDialog').close();
+};
+
+document.getElementById('puzzleEditorDialog').addEventListener('pointerup', finishEditorStroke);
+document.getElementById('puzzleEditorDialog').addEventListener('pointerleave', finishEditorStroke);
+document.getElementById('puzzleEditorDialog').addEventListener('close', () => BoardUniquenessChecker.cancel());
+
+// ============================================
+// DAILY ARCHIVE
+// ============================================
+let archiveMonth = null; // UTC timestamp of the first day of the month on show
+
+// 'solved' on the day, 'solved-late' from the archive, 'in-progress' or null
+function getArchiveDayStatus(dateString, history) {
+    if (dateString === getDailyDateStringSync()) {
+        if (DailyPuzzleState.isCompletedToday(dateString)) return 'solved';
+        return DailyPuzzleState.getProgressForToday(dateString)?.state ? 'in-progress' : null;
+    }
+    const entry = history[dateString];
+    if (!entry) return null;
+    if (entry.completed) return entry.archive ? 'solved-late' : 'solved';
+    return entry.state ? 'in-progress' : null;
+}
+
+// Fill a calendar grid for one month: weekday labels, blanks up to the 1st,
+// then one element per day from createDay(time, dateString, day)
+function buildDailyMonthGrid(container, monthTime, createDay) {
+    const month = new Date(monthTime);
+    const year = month.getUTCFullYear();
+    const monthIndex = month.getUTCMonth();
+
+    container.innerHTML = '';
+    ['S', 'M', 'T', 'W', 'T', 'F', 'S'].forEach(name => {
+        const label = document.createElement('span');
+        label.className = 'archive-weekday';
+        label.textContent = name;
+        container.appendChild(label);
+    });
+
+    for (let i = 0; i < month.getUTCDay(); i++) {
+        container.appendChild(document.createElement('span'));
+    }
+
+    const daysInMonth = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+    for (let day = 1; day <= daysInMonth; day++) {
+        const time = Date.UTC(year, monthIndex, day);
+        container.appendChild(createDay(time, formatDailyDate(time), day));
+    }
+}
+
+// Label for a month timestamp, e.g. "Oct 2026"
+function formatDailyMonth(monthTime) {
+    const month = new Date(monthTime);
+    return `${DAILY_MONTH_NAMES[month.getUTCMonth()]} ${month.getUTCFullYear()}`;
+}
+
+// First day of the month before or after the given month
+function shiftDailyMonth(monthTime, delta) {
+    const month = new Date(monthTime);
+    return Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + delta, 1);
+}
+
+function renderDailyArchive() {
+    const today = parseDailyDate(getDailyDateStringSync());
+    const firstDay = parseDailyDate(DAILY_ARCHIVE_FIRST_DATE);
+    const history = DailyPuzzleState.loadHistory();
+
+    document.getElementById('archiveMonthLabel').textContent = formatDailyMonth(archiveMonth);
+    document.getElementById('archivePrevBtn').disabled = archiveMonth <= firstDay;
+    document.getElementById('archiveNextBtn').disabled = shiftDailyMonth(archiveMonth, 1) > today;
+
+    buildDailyMonthGrid(document.getElementById('archiveCalendar'), archiveMonth, (time, dateString, day) => {
+        const status = getArchiveDayStatus(dateString, history);
+        const btn = document.createElement('button');
+        btn.className = 'archive-day';
+        btn.textContent = day;
+        btn.title = dateString;
+        btn.disabled = time < firstDay || time > today;
+        if (time === today) btn.classList.add('archive-today');
+        if (status) btn.classList.add(`archive-${status}`);
+        btn.onclick = () => {
+            ChipSound.click();
+            document.getElementById('dailyArchiveDialog').close();
+            if (time === today) {
+                startDailyPuzzle();
+            } else {
+                startArchiveDailyPuzzle(dateString);
+            }
+        };
+        return btn;
+    });
+}
+
+async function openDailyArchive() {
+    const today = await getDailyDateString();
+    if (!today) {
+        ChipSound.error();
+        showHint({ message: getDailyDateProblem('Daily archive'), highlight: null });
+        return;
+    }
+
+    // Open on the month of the daily being played, or this month
+    const shown = new Date(parseDailyDate(getActiveDailyDate()));
+    archiveMonth = Date.UTC(shown.getUTCFullYear(), shown.getUTCMonth(), 1);
+    renderDailyArchive();
+    document.getElementById('dailyArchiveDialog').showModal();
+}
+
+function stepArchiveMonth(delta) {
+    archiveMonth = shiftDailyMonth(archiveMonth, delta);
+    renderDailyArchive();
+}
+
+document.getElementById('archiveBtn').onclick = () => {
+    ChipSound.click();
+    closeMenu();
+    openDailyArchive();
+};
+
+document.getElementById('archivePrevBtn').onclick = () => {
+    ChipSound.click();
+    stepArchiveMonth(-1);
+};
+
+document.getElementById('archiveNextBtn').onclick = () => {
+    ChipSound.click();
+    stepArchiveMonth(1);
+};
+
+document.getElementById('archiveCloseBtn').onclick = () => {
+    ChipSound.click();
+    document.getElementById('dailyArchiveDialog').close();
+};
+
+document.getElementById('verifyResultBtn').onclick = () => {
+    ChipSound.click();
+    closeMenu();
+    document.getElementById('verifyMessage').textContent = '';
+    document.getElementById('verifyResultDialog').showModal();
+};
+
+document.getElementById('verifyCheckBtn').onclick = () => {
+    const { valid, message } = verifyDailyShareText(document.getElementById('verifyInput').value);
+    if (valid) ChipSound.click(); else ChipSound.error();
+    const messageEl = document.getElementById('verifyMessage');
+    messageEl.textContent = message;
+    messageEl.classList.toggle('verify-ok', valid);
+    messageEl.classList.toggle('verify-fail', !valid);
+};
+
+document.getElementById('verifyCloseBtn').onclick = () => {
+    ChipSound.click();
+    document.getElementById('verifyResultDialog').close();
+};
+
 // Tab switching for briefing modal
 document.querySelectorAll('.briefing-tab').forEach(tab => {
     tab.onclick = () => {
@@ -8027,6 +6782,30 @@ document.querySelectorAll('.mode-btn').forEach(btn => {
 
 // Theme selector
 const themeSelect = document.getElementById('themeSelect');
+
+function populateThemeSelect() {
+    if (!themeSelect) return;
+    const currentId = ThemeManager.current()?.id;
+    themeSelect.innerHTML = '';
+    ThemeManager.getOptions().forEach(opt => {
+        const option = document.createElement('option');
+        option.value = opt.id;
+        option.textContent = opt.name;
+        if (opt.id === currentId) option.selected = true;
+        themeSelect.appendChild(option);
+    });
+}
+
+// Redraw the board in the current theme, keeping a won board in its solved state
+function redrawBoardForTheme() {
+    if (layers.length === 0) return;
+    if (isWon && !recordingPlayback) {
+        renderSolveReplayBoard(getMergedBoard());
+    } else {
+        update();
+    }
+}
+
 if (themeSelect) {
     themeSelect.onchange = () => {
         ChipSound.click();
@@ -8058,15 +6837,18 @@ function updateBriefingTerminology(theme) {
     const stockpileDesc = document.getElementById('stockpileDesc');
     if (stockpileDesc && t.stockpileDesc) stockpileDesc.textContent = t.stockpileDesc;
 
-    // Update vault description (keeping the stockpile tag and replacing size placeholder)
+    // Update vault description (keeping the stockpile tag and replacing size placeholder).
+    // Built from text and elements rather than HTML, as custom themes supply the wording.
     const vaultDesc = document.getElementById('vaultDesc');
     if (vaultDesc && t.vaultDesc) {
-        vaultDesc.innerHTML = t.vaultDesc
-            .replace(/{VAULT_SIZE}/g, `${DATA_VAULT_UNLOCK_SIZE}×${DATA_VAULT_UNLOCK_SIZE}`)
-            .replace(
-                /Stockpile|Data Stockpile|Beehive/gi,
-                `<span class="briefing-tag theme-stockpile">${t.stockpile}</span>`
-            );
+        const text = t.vaultDesc.replace(/{VAULT_SIZE}/g, `${DATA_VAULT_UNLOCK_SIZE}×${DATA_VAULT_UNLOCK_SIZE}`);
+        vaultDesc.replaceChildren(...text.split(/(Data Stockpile|Stockpile|Beehive)/gi).map((part, i) => {
+            if (i % 2 === 0) return part;
+            const tag = document.createElement('span');
+            tag.className = 'briefing-tag theme-stockpile';
+            tag.textContent = t.stockpile;
+            return tag;
+        }));
     }
 
     // Update all theme-specific spans
@@ -8078,8 +6860,271 @@ function updateBriefingTerminology(theme) {
     document.querySelectorAll('.theme-fork').forEach(el => el.textContent = t.fork || 'Fork');
     document.querySelectorAll('.theme-commit').forEach(el => el.textContent = t.commit || 'Commit');
     document.querySelectorAll('.theme-discard').forEach(el => el.textContent = t.discard || 'Discard');
+    document.querySelectorAll('.theme-walls').forEach(el => el.textContent = t.walls || `${t.wall || 'Wall'}s`);
+    document.querySelectorAll('.theme-paths').forEach(el => el.textContent = t.paths || `${t.path || 'Path'}s`);
+    document.querySelectorAll('.theme-deadends').forEach(el => el.textContent = t.deadEnds || `${t.deadEnd || 'Dead End'}s`);
+    document.querySelectorAll('.theme-vaults').forEach(el => el.textContent = `${t.vault || 'Vault'}s`);
+
+    // Other labels name their term in data-term, e.g. data-term="victoryStats.time".
+    // The page's original text stays as the fallback for themes without that term.
+    document.querySelectorAll('[data-term]').forEach(el => {
+        if (el.dataset.termDefault === undefined) el.dataset.termDefault = el.textContent;
+        const value = el.dataset.term.split('.').reduce((obj, key) => obj?.[key], t);
+        el.textContent = typeof value === 'string' ? value : el.dataset.termDefault;
+    });
+    if (t.title) document.title = t.title;
+}
+
+// ============================================
+// THEME EDITOR
+// ============================================
+let themeEditorDraft = null;     // Custom theme data being edited (see CustomThemes)
+let themeEditorReturnId = null;  // Theme to go back to when the editor closes unsaved
+
+// 'dimTrace' -> 'Dim Trace'
+function formatThemeKey(key) {
+    return key.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase());
+}
+
+// Fields are addressed by path into the draft, e.g. 'terminology.victoryStats.time'
+function getThemeDraftValue(field) {
+    return field.split('.').reduce((obj, key) => obj?.[key], themeEditorDraft) ?? '';
+}
+
+function setThemeDraftValue(field, value) {
+    const keys = field.split('.');
+    const last = keys.pop();
+    keys.reduce((obj, key) => obj[key] ??= {}, themeEditorDraft)[last] = value;
+}
+
+function addThemeEditorField(container, label, field, input) {
+    const row = document.createElement('label');
+    row.className = 'theme-editor-field';
+    const name = document.createElement('span');
+    name.textContent = label;
+    input.dataset.field = field;
+    input.value = getThemeDraftValue(field);
+    row.append(name, input);
+    container.appendChild(row);
+}
+
+function createThemeTextInput() {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'theme-editor-input';
+    input.spellcheck = false;
+    return input;
+}
+
+// Font suggestions: every stack a registered theme uses plus the generic families
+function populateThemeFontList() {
+    const fonts = new Set(['monospace', 'serif', 'sans-serif', 'system-ui, sans-serif']);
+    Object.values(ThemeManager.getAll()).forEach(theme => {
+        Object.values(theme.fonts || {}).forEach(font => fonts.add(font));
+    });
+    const list = document.getElementById('themeEditorFontList');
+    list.innerHTML = '';
+    fonts.forEach(font => {
+        const option = document.createElement('option');
+        option.value = font;
+        list.appendChild(option);
+    });
+}
+
+function renderThemeEditor() {
+    document.getElementById('themeEditorName').value = themeEditorDraft.name;
+
+    const colorsEl = document.getElementById('themeEditorColors');
+    colorsEl.innerHTML = '';
+    Object.keys(ThemeBase.colors).forEach(key => {
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.className = 'theme-editor-color';
+        addThemeEditorField(colorsEl, formatThemeKey(key), `colors.${key}`, input);
+    });
+
+    // Layers pick one of the palette colors by role
+    const layersEl = document.getElementById('themeEditorLayers');
+    layersEl.innerHTML = '';
+    themeEditorDraft.layerColors.forEach((color, i) => {
+        const select = document.createElement('select');
+        select.className = 'theme-select';
+        Object.entries(CustomThemes.LAYER_COLOR_ROLES).forEach(([name, role]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = formatThemeKey(role);
+            select.appendChild(option);
+        });
+        addThemeEditorField(layersEl, i === 0 ? 'Main Layer' : `Fork ${i}`, `layerColors.${i}`, select);
+    });
+
+    populateThemeFontList();
+    const fontsEl = document.getElementById('themeEditorFonts');
+    fontsEl.innerHTML = '';
+    Object.keys(ThemeBase.fonts).forEach(key => {
+        const input = createThemeTextInput();
+        input.setAttribute('list', 'themeEditorFontList');
+        addThemeEditorField(fontsEl, formatThemeKey(key), `fonts.${key}`, input);
+    });
+
+    const textEl = document.getElementById('themeEditorText');
+    textEl.innerHTML = '';
+    Object.entries(ThemeBase.terminology).forEach(([key, value]) => {
+        if (Array.isArray(value)) {
+            value.forEach((item, i) => {
+                addThemeEditorField(textEl, `${formatThemeKey(key.replace(/s$/, ''))} ${i + 1}`,
+                    `terminology.${key}.${i}`, createThemeTextInput());
+            });
+        } else if (typeof value === 'object') {
+            Object.keys(value).forEach(subKey => {
+                addThemeEditorField(textEl, `${formatThemeKey(key)}: ${formatThemeKey(subKey)}`,
+                    `terminology.${key}.${subKey}`, createThemeTextInput());
+            });
+        } else {
+            addThemeEditorField(textEl, formatThemeKey(key), `terminology.${key}`, createThemeTextInput());
+        }
+    });
+
+    document.getElementById('themeDeleteBtn').style.display = CustomThemes.get(themeEditorDraft.id) ? '' : 'none';
+}
+
+function setThemeEditorMessage(text, ok = true) {
+    const messageEl = document.getElementById('themeEditorMessage');
+    messageEl.textContent = text;
+    messageEl.classList.toggle('verify-ok', !!text && ok);
+    messageEl.classList.toggle('verify-fail', !!text && !ok);
+}
+
+function previewThemeDraft() {
+    ThemeManager.preview(CustomThemes.build(themeEditorDraft));
+    redrawBoardForTheme();
+}
+
+// Switch to a just-saved custom theme and keep editing it
+function useSavedTheme(saved) {
+    themeEditorDraft = saved;
+    themeEditorReturnId = saved.id;
+    ThemeManager.set(saved.id);
+    populateThemeSelect();
+    renderThemeEditor();
+    redrawBoardForTheme();
+}
+
+function openThemeEditor() {
+    const theme = ThemeManager.current();
+    themeEditorReturnId = theme.id;
+    themeEditorDraft = CustomThemes.draftFrom(theme);
+    renderThemeEditor();
+    setThemeEditorMessage('');
+    document.getElementById('themeEditorDialog').showModal();
+    previewThemeDraft();
 }
 
+document.getElementById('themeEditorBtn').onclick = () => {
+    ChipSound.click();
+    closeMenu();
+    openThemeEditor();
+};
+
+document.getElementById('themeEditorDialog').addEventListener('input', (e) => {
+    const field = e.target.dataset?.field;
+    if (!field || !themeEditorDraft) return;
+    setThemeDraftValue(field, e.target.value);
+    previewThemeDraft();
+});
+
+// Closing by button or Escape drops any unsaved preview
+document.getElementById('themeEditorDialog').addEventListener('close', () => {
+    if (ThemeManager.getAll()[themeEditorReturnId]) ThemeManager.set(themeEditorReturnId);
+    themeEditorDraft = null;
+    populateThemeSelect();
+    redrawBoardForTheme();
+});
+
+document.getElementById('themeSaveBtn').onclick = () => {
+    try {
+        const saved = CustomThemes.save(themeEditorDraft);
+        ChipSound.commit();
+        useSavedTheme(saved);
+        setThemeEditorMessage(`Saved "${saved.name}"`);
+    } catch (e) {
+        ChipSound.error();
+        setThemeEditorMessage(e.message, false);
+    }
+};
+
+document.getElementById('themeExportBtn').onclick = () => {
+    let json;
+    try {
+        json = CustomThemes.toFile(themeEditorDraft);
+    } catch (e) {
+        ChipSound.error();
+        setThemeEditorMessage(e.message, false);
+        return;
+    }
+    ChipSound.click();
+    const name = themeEditorDraft.name.trim();
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${name.replace(/[^a-z0-9]+/gi, '-').toLowerCase() || 'theme'}.theme.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    setThemeEditorMessage(`Exported "${name}"`);
+};
+
+document.getElementById('themeImportBtn').onclick = () => {
+    ChipSound.click();
+    document.getElementById('themeImportInput').click();
+};
+
+document.getElementById('themeImportInput').onchange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+        const saved = CustomThemes.save(CustomThemes.fromFile(await file.text()));
+        ChipSound.commit();
+        useSavedTheme(saved);
+        setThemeEditorMessage(`Imported "${saved.name}"`);
+    } catch (err) {
+        ChipSound.error();
+        setThemeEditorMessage(`Import failed: ${err.message}`, false);
+    }
+};
+
+document.getElementById('themeDeleteBtn').onclick = () => {
+    ChipSound.click();
+    document.getElementById('deleteThemeMessage').textContent =
+        `Delete "${themeEditorDraft.name}"? This cannot be undone.`;
+    document.getElementById('deleteThemeDialog').showModal();
+};
+
+document.getElementById('deleteThemeCancelBtn').onclick = () => {
+    ChipSound.click();
+    document.getElementById('deleteThemeDialog').close();
+};
+
+// Deleting falls back to the theme the custom one was built on
+document.getElementById('deleteThemeConfirmBtn').onclick = () => {
+    ChipSound.abort();
+    const { id, name, base } = CustomThemes.get(themeEditorDraft.id);
+    CustomThemes.remove(id);
+    ThemeManager.set(base);
+    themeEditorReturnId = base;
+    themeEditorDraft = CustomThemes.draftFrom(ThemeManager.current());
+    populateThemeSelect();
+    renderThemeEditor();
+    redrawBoardForTheme();
+    document.getElementById('deleteThemeDialog').close();
+    setThemeEditorMessage(`Deleted "${name}"`);
+};
+
+document.getElementById('themeEditorCloseBtn').onclick = () => {
+    ChipSound.click();
+    document.getElementById('themeEditorDialog').close();
+};
+
 // ============================================
 // TUTORIAL SYSTEM
 // ============================================
@@ -8281,9 +7326,9 @@ function startTutorial(useCurrentPuzzle = false, options = {}) {
         // Reset current puzzle
         layers = [Array(SIZE * SIZE).fill(0)];
         forkAnchors = [null, null, null, null];
+        forkTree = createForkTree();
         currentIdx = 0;
-        undoState = null;
-        document.getElementById('undoBtn').disabled = true;
+        clearUndoHistory();
         updateButtonStates();
         render();
     }
@@ -8681,18 +7726,11 @@ window.onload = () => {
         // Update briefing terminology
         updateBriefingTerminology(theme);
 
-        // Populate theme selector
-        if (themeSelect) {
-            const options = ThemeManager.getOptions();
-            themeSelect.innerHTML = '';
-            options.forEach(opt => {
-                const option = document.createElement('option');
-                option.value = opt.id;
-                option.textContent = opt.name;
-                if (opt.id === theme?.id) option.selected = true;
-                themeSelect.appendChild(option);
-            });
-        }
+        // Sound effects and music follow the theme's sounds settings
+        ChipSound.configure(theme?.sounds);
+        ChipMusic.configure(theme?.sounds);
+
+        populateThemeSelect();
 
         // Listen for theme changes
         ThemeManager.onChange((newTheme) => {
@@ -8701,7 +7739,12 @@ window.onload = () => {
             }
             updateButtonStates();
             updateBriefingTerminology(newTheme);
+            ChipSound.configure(newTheme?.sounds);
+            ChipMusic.configure(newTheme?.sounds);
         });
+
+        // Redraw the board with an image theme's assets once they've loaded
+        ThemeManager.onAssetsReady(redrawBoardForTheme);
     }
 
     // Seed UI event handlers
@@ -8715,14 +7758,22 @@ window.onload = () => {
         }
     };
 
+    document.getElementById('copyBoardLinkBtn').onclick = () => {
+        if (solution.length > 0) {
+            navigator.clipboard.writeText(getBoardLink()).then(() => {
+                const btn = document.getElementById('copyBoardLinkBtn');
+                btn.textContent = '✓';
+                setTimeout(() => btn.textContent = '🔗', 1000);
+            });
+        }
+    };
+
     document.getElementById('playSeedBtn').onclick = () => {
         const input = document.getElementById('seedInput');
-        const seed = input.value.trim().toUpperCase();
-        if (seed.length > 0) {
+        if (input.value.trim().length > 0) {
             ChipSound.click();
             closeMenu();
-            init(true, seed);
-            input.value = '';
+            if (playSeedCode(input.value)) input.value = '';
         }
     };
 
@@ -8732,6 +7783,19 @@ window.onload = () => {
         }
     });
 
+    // Restore the difficulty target before the first puzzle is generated
+    const difficultySelect = document.getElementById('difficultySelect');
+    difficultySelect.value = loadUserPreferences().difficulty || 'any';
+    difficultySelect.onchange = () => {
+        // Takes effect on the next Initialize
+        ChipSound.click();
+        saveUserPreferences();
+    };
+
+    // Ghost races start with the first puzzle too
+    ghostRaceEnabled = !!loadUserPreferences().ghostRace;
+    updateGhostRaceButton();
+
     // Load tutorial completed flag
     hasCompletedTutorial = loadTutorialCompleted();
 
@@ -8761,7 +7825,8 @@ window.onload = () => {
 
     // Save game state when page is about to unload (only if tutorial completed)
     window.addEventListener('beforeunload', () => {
-        if (hasCompletedTutorial && !isTutorialMode) {
+        // A replay has swapped the board out; the game was saved when it started
+        if (hasCompletedTutorial && !isTutorialMode && !recordingPlayback) {
             if (isDailyPuzzle) {
                 DailyPuzzleState.saveProgress();
             } else {
@@ -8772,7 +7837,7 @@ window.onload = () => {
 
     // Also save periodically and after state changes via visibilitychange
     document.addEventListener('visibilitychange', () => {
-        if (document.visibilityState === 'hidden' && hasCompletedTutorial && !isTutorialMode) {
+        if (document.visibilityState === 'hidden' && hasCompletedTutorial && !isTutorialMode && !recordingPlayback) {
             if (isDailyPuzzle) {
                 DailyPuzzleState.saveProgress();
             } else {
@@ -9078,5 +8143,19 @@ window.onload = () => {
                 startDailyPuzzle();
             }
         }, 100);
+    } else if (urlParams.get('board')) {
+        // Full board link, e.g. ?board=B1.CP8A...
+        setTimeout(() => {
+            if (hasCompletedTutorial) {
+                playBoardCode(urlParams.get('board'));
+            }
+        }, 100);
+    } else if (urlParams.get('seed')) {
+        // Seed code link, e.g. ?seed=8V1-YT5EGJ
+        setTimeout(() => {
+            if (hasCompletedTutorial) {
+                playSeedCode(urlParams.get('seed'));
+            }
+        }, 100);
     }
 };
\ No newline at end of file
@@ -0,0 +1,23 @@
+// ============================================
+// PUZZLE GENERATOR WORKER
+// ============================================
+// Runs puzzle generation and the solvers off the main thread.
+// In:  {id, task, options} - task 'generate' takes options as generatePuzzleData() does,
+//      'uniqueness' takes {puzzle, cap} as checkBoardUniqueness() does
+// Out: {id, result} on success, {id, error} if the task threw
+
+importScripts('puzzle-core.js');
+
+const TASKS = {
+    generate: options => generatePuzzleData(options),
+    uniqueness: options => checkBoardUniqueness(options.puzzle, options.cap)
+};
+
+self.onmessage = (e) => {
+    const { id, task, options } = e.data;
+    try {
+        self.postMessage({ id, result: TASKS[task](options) });
+    } catch (err) {
+        self.postMessage({ id, error: err.message });
+    }
+};
@@ -0,0 +1,4233 @@
+// ============================================
+// PUZZLE CORE
+// ============================================
+// Maze generation, puzzle rules, the deterministic solver, difficulty grading and
+// the deduction hints. Loaded by the page before game.js and by generator-worker.js,
+// so nothing in here may touch the DOM or player state (layers, forks, settings).
+//
+// Everything that depends on a puzzle lives in createPuzzleCore() and works on the
+// puzzle it was built for. generatePuzzleData() builds its own core and returns the
+// result as plain data, which the page installs with applyPuzzle() in game.js;
+// checkBoardUniqueness() does the same for the editor's uniqueness check.
+
+const DATA_VAULT_UNLOCK_SIZE = 7; // Grid size at which data vaults are first introduced
+
+// Seeded random number generator (Mulberry32)
+function mulberry32(seed) {
+    return function() {
+        let t = seed += 0x6D2B79F5;
+        t = Math.imul(t ^ t >>> 15, t | 1);
+        t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+}
+
+function generateSeed() {
+    // Generate a 6-character alphanumeric seed
+    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Avoid confusing chars like 0/O, 1/I
+    let seed = '';
+    for (let i = 0; i < 6; i++) {
+        seed += chars[Math.floor(Math.random() * chars.length)];
+    }
+    return seed;
+}
+
+function seedToNumber(seed) {
+    // Convert alphanumeric seed to a number for the RNG
+    let hash = 0;
+    for (let i = 0; i < seed.length; i++) {
+        hash = ((hash << 5) - hash) + seed.charCodeAt(i);
+        hash = hash & hash; // Convert to 32-bit integer
+    }
+    return Math.abs(hash);
+}
+
+// ============================================
+// SEED CODES
+// ============================================
+// A seed code carries everything needed to rebuild a board on any install:
+// "<size>V<generator version><flags>-<seed>", e.g. "8V1-YT5EGJ" or "8V1D-YT5EGJ".
+// Flags: D = daily puzzle variant. Bare seeds from before seed codes ("YT5EGJ")
+// are still accepted, take their size from the caller and build with generator v1,
+// the generator they were made with.
+
+// Bump whenever generation changes the board for a given seed, and keep building older
+// versions for their seed codes. v2: extra locked walls where v1 left a second solution.
+const GENERATOR_VERSION = 2;
+const SEED_CODE_PATTERN = /^([4-9])V(\d+)([A-Z]*)-(.+)$/;
+const SEED_CODE_FLAGS = 'D';
+
+function formatSeedCode({ size, seed, daily, version = GENERATOR_VERSION }) {
+    return `${size}V${version}${daily ? 'D' : ''}-${seed}`;
+}
+
+// Returns {size, version, daily, seed, legacy}, or null if the text is empty or
+// uses variant flags this version doesn't know
+function parseSeedCode(text, fallbackSize) {
+    const code = text.trim().toUpperCase();
+    if (!code) return null;
+
+    const match = code.match(SEED_CODE_PATTERN);
+    if (!match) {
+        return { size: fallbackSize, version: 1, daily: false, seed: code, legacy: true };
+    }
+
+    const [, size, version, flags, seed] = match;
+    if ([...flags].some(f => !SEED_CODE_FLAGS.includes(f))) return null;
+    return {
+        size: parseInt(size),
+        version: parseInt(version),
+        daily: flags.includes('D'),
+        seed,
+        legacy: false
+    };
+}
+
+// ============================================
+// BOARD CODES
+// ============================================
+// A board code stores a finished puzzle rather than the seed that generated it, so
+// hand-built boards can be shared and generator changes can't alter them:
+// "B1.<base64url bytes>" with bytes [size, stockpile index or 255, solution wall
+// bits, locked wall bits]. Targets and dead ends follow from the solution walls.
+
+const BOARD_CODE_PATTERN = /^B1\.([A-Za-z0-9_-]+)$/;
+
+function isBoardCode(text) {
+    return BOARD_CODE_PATTERN.test(text.trim());
+}
+
+function encodeBoardCode({ size, solution, lockedWalls, stockpilePos }) {
+    const cells = size * size;
+    const bytes = new Uint8Array(2 + Math.ceil(cells * 2 / 8));
+    const setBit = (bit) => { bytes[2 + (bit >> 3)] |= 1 << (bit & 7); };
+
+    bytes[0] = size;
+    bytes[1] = stockpilePos ? stockpilePos.r * size + stockpilePos.c : 255;
+    for (let i = 0; i < cells; i++) {
+        if (solution[Math.floor(i / size)][i % size] === 1) setBit(i);
+        if (lockedWalls[i]) setBit(cells + i);
+    }
+
+    const base64 = btoa(String.fromCharCode(...bytes));
+    return 'B1.' + base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Returns {size, solution, lockedWalls, stockpilePos, targets}, or null if the code
+// is malformed. Only the structure is checked; the board is played as given.
+function decodeBoardCode(text) {
+    const match = text.trim().match(BOARD_CODE_PATTERN);
+    if (!match) return null;
+
+    let binary;
+    try {
+        binary = atob(match[1].replace(/-/g, '+').replace(/_/g, '/'));
+    } catch (e) {
+        return null;
+    }
+    const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+
+    const size = bytes[0];
+    if (size < 4 || size > 9) return null;
+    const cells = size * size;
+    if (bytes.length !== 2 + Math.ceil(cells * 2 / 8)) return null;
+    const getBit = (bit) => (bytes[2 + (bit >> 3)] >> (bit & 7)) & 1;
+
+    const solution = Array(size).fill().map((_, r) =>
+        Array(size).fill().map((_, c) => getBit(r * size + c)));
+    const lockedWalls = Array(cells).fill(false).map((_, i) => getBit(cells + i) === 1);
+
+    let stockpilePos = null;
+    if (bytes[1] !== 255) {
+        if (bytes[1] >= cells) return null;
+        stockpilePos = { r: Math.floor(bytes[1] / size), c: bytes[1] % size };
+        if (solution[stockpilePos.r][stockpilePos.c] === 1) return null;
+    }
+
+    // Locked walls must be walls of the solution
+    if (lockedWalls.some((locked, i) => locked && solution[Math.floor(i / size)][i % size] !== 1)) {
+        return null;
+    }
+
+    const targets = {
+        r: solution.map(row => row.filter(v => v === 1).length),
+        c: Array(size).fill(0).map((_, c) => solution.filter(r => r[c] === 1).length)
+    };
+    return { size, solution, lockedWalls, stockpilePos, targets };
+}
+
+// ============================================
+// CELL REFERENCES
+// ============================================
+
+// Convert column index to letter (0 = A, 1 = B, etc.)
+function colToLetter(c) {
+    return String.fromCharCode(65 + c);
+}
+
+// Convert row index to 1-based number
+function rowToNumber(r) {
+    return r + 1;
+}
+
+// Get cell reference like "A1", "B3", etc.
+function cellRef(r, c) {
+    return `${colToLetter(c)}${rowToNumber(r)}`;
+}
+
+// ============================================
+// PUZZLE CORE
+// ============================================
+// createPuzzleCore() binds the generation, rule, solver and hint functions to one
+// puzzle, {size, solution, lockedWalls, targets, stockpilePos}. The arrays are used
+// as given, not copied, and nothing outside the core is read or written, so the
+// page can check another board (editor, daily verification) next to the one in play.
+
+// Generate a puzzle from plain options and return it as plain data.
+// options: {size, seed, daily, difficulty, version} - seed wins over the difficulty target;
+// version rebuilds a seed with an older generator (default GENERATOR_VERSION)
+function generatePuzzleData(options) {
+    return createPuzzleCore({ size: options.size }).generate(options);
+}
+
+// How unique a board that follows the rules is, for the puzzle editor: counts its
+// solutions up to cap and, if there's more than one, the locked walls that would
+// make it unique. Returns {count, exact, suggestedLocks} (see countPuzzleSolutions).
+function checkBoardUniqueness(puzzle, cap) {
+    const core = createPuzzleCore(puzzle);
+    const counted = core.countPuzzleSolutions({ cap });
+    const suggestedLocks = [];
+    if (counted.count > 1) {
+        const locked = core.addLocksUntilUnique(core.runPuzzleSolver({ startLocked: puzzle.lockedWalls }).locked);
+        locked.forEach((isLocked, i) => {
+            if (isLocked && !puzzle.lockedWalls[i]) suggestedLocks.push(i);
+        });
+    }
+    return { count: counted.count, exact: counted.exact, suggestedLocks };
+}
+
+function createPuzzleCore(puzzle) {
+    let SIZE = puzzle.size;
+    let solution = puzzle.solution || [];
+    let lockedWalls = puzzle.lockedWalls || [];
+    let targets = puzzle.targets || { r: [], c: [] };
+    let stockpilePos = puzzle.stockpilePos || null; // {r, c} position of data stockpile, or null if none
+
+    let seededRandom = Math.random; // Default to Math.random
+
+    // Seed the generator RNG. For daily puzzles, apply an extra transformation so
+    // the same seed produces a different puzzle than in normal mode.
+    function applyGeneratorSeed(seed, daily) {
+        const effectiveSeed = daily ? 'DAILY_MODE_' + seed : seed;
+        seededRandom = mulberry32(seedToNumber(effectiveSeed));
+    }
+
+    // ============================================
+    // PUZZLE GENERATION
+    // ============================================
+
+    // See generatePuzzleData(); only called on a core built from {size} alone
+    function generate(options) {
+        const version = options.version || GENERATOR_VERSION;
+        let seed, difficulty;
+        if (options.seed) {
+            seed = options.seed.toUpperCase();
+            difficulty = buildPuzzle(seed, options.daily, version);
+        } else {
+            ({ seed, difficulty } = generatePuzzleForDifficulty(options.difficulty));
+        }
+        return { size: SIZE, seed, daily: !!options.daily, version, solution, targets, stockpilePos, lockedWalls, difficulty };
+    }
+
+    // Build the puzzle for a seed: maze, vault, targets and locked walls. Returns its grade.
+    function buildPuzzle(seed, daily = false, version = GENERATOR_VERSION) {
+        applyGeneratorSeed(seed, daily);
+
+        // Generate maze
+        generateMaze();
+
+        // Ensure no row or column is entirely walls
+        ensureNoFullWallLines();
+
+        // Try to add a secret room with data stockpile
+        tryAddSecretRoom();
+
+        targets = {
+            r: solution.map(row => row.filter(v => v === 1).length),
+            c: Array(SIZE).fill(0).map((_, c) => solution.filter(r => r[c] === 1).length)
+        };
+        lockedWalls = findLockedWallsForAmbiguousSolutions();
+        if (version >= 2) lockedWalls = addLocksUntilUnique(lockedWalls);
+        return gradePuzzleDifficulty();
+    }
+
+    // Choose maze generation algorithm randomly (50/50)
+    function generateMaze() {
+        if (seededRandom() < 0.5) {
+            generateMazeDFS();
+        } else {
+            generateMazeAStar();
+        }
+    }
+
+    // DFS maze generation - creates long natural walls
+    function generateMazeDFS() {
+        solution = Array(SIZE).fill().map(() => Array(SIZE).fill(1));
+        const start = {r: Math.floor(seededRandom()*SIZE), c: Math.floor(seededRandom()*SIZE)};
+        solution[start.r][start.c] = 0;
+        let stack = [start], visited = new Set([`${start.r},${start.c}`]);
+
+        while(stack.length > 0) {
+            const curr = stack[stack.length-1];
+            let neighbors = [];
+            [[0,1],[0,-1],[1,0],[-1,0]].forEach(([dr, dc]) => {
+                let nr=curr.r+dr, nc=curr.c+dc;
+                if(nr>=0 && nr<SIZE && nc>=0 && nc<SIZE && !visited.has(`${nr},${nc}`)) {
+                    let pn = 0;
+                    [[0,1],[0,-1],[1,0],[-1,0]].forEach(([ddr,ddc])=>{
+                        let nnr=nr+ddr, nnc=nc+ddc;
+                        if(nnr>=0&&nnr<SIZE&&nnc>=0&&nnc<SIZE&&solution[nnr][nnc]===0) pn++;
+                    });
+                    if(pn === 1) neighbors.push({r:nr,c:nc});
+                }
+            });
+            if(neighbors.length > 0) {
+                let next = neighbors[Math.floor(seededRandom()*neighbors.length)];
+                solution[next.r][next.c] = 0;
+                visited.add(`${next.r},${next.c}`);
+                stack.push(next);
+            } else stack.pop();
+        }
+    }
+
+    // A* pathfinding-based maze generation
+    function generateMazeAStar() {
+        // Try with decreasing number of paths until successful
+        for (let numPaths = SIZE - 2; numPaths >= 1; numPaths--) {
+            for (let fullAttempt = 0; fullAttempt < 10; fullAttempt++) {
+                if (tryGenerateMazeAStar(numPaths)) {
+                    return; // Success
+                }
+            }
+        }
+        // Fallback: use DFS method
+        generateMazeDFS();
+    }
+
+    function tryGenerateMazeAStar(numPaths) {
+        // Initialize grid: all walls (1)
+        solution = Array(SIZE).fill().map(() => Array(SIZE).fill(1));
+
+        // Weight grid: tracks wall weights for A* pathfinding
+        // Infinity = impenetrable, 1.0 = normal wall, 0.4 = existing path
+        const weights = Array(SIZE).fill().map(() => Array(SIZE).fill(1.0));
+
+        // Track endpoints for later relaxation
+        const endpoints = [];
+
+        for (let pathIdx = 0; pathIdx < numPaths; pathIdx++) {
+            // Try up to 10 times to find valid start/end points
+            let pathSuccess = false;
+            let minDistance = Math.max(2, SIZE - pathIdx - 2); // Relax distance requirement on retries
+
+            for (let attempt = 0; attempt < 10; attempt++) {
+                const start = findValidStartPoint(weights, minDistance > 2);
+                if (!start) {
+                    minDistance = Math.max(2, minDistance - 1);
+                    continue;
+                }
+
+                const end = findValidEndPoint(weights, start, minDistance);
+                if (!end) {
+                    minDistance = Math.max(2, minDistance - 1);
+                    continue;
+                }
+
+                // Try to carve path using A*
+                const path = aStarCarve(start, end, weights);
+                if (!path) {
+                    minDistance = Math.max(2, minDistance - 1);
+                    continue;
+                }
+
+                // Carve the path and update weights
+                carvePath(path, weights, start, end);
+                endpoints.push(start, end);
+                pathSuccess = true;
+                break;
+            }
+
+            if (!pathSuccess) {
+                return false; // Failed to carve this path
+            }
+        }
+
+        // Relax endpoint walls (change from infinite to 100 where safe)
+        relaxEndpointWalls(endpoints, weights);
+
+        // Connect disconnected subgraphs
+        if (!connectDisconnectedSubgraphs(weights)) {
+            return false;
+        }
+
+        // Final check: ensure no 2x2 open areas (secret room check happens later in tryAddSecretRoom)
+        if (has2x2PathBlock()) {
+            return false;
+        }
+
+        return true;
+    }
+
+    // Find a valid start point: 3-4 orthogonal neighbors as walls, at least one non-impenetrable
+    function findValidStartPoint(weights, requireFourWalls) {
+        const candidates = [];
+
+        for (let r = 0; r < SIZE; r++) {
+            for (let c = 0; c < SIZE; c++) {
+                const wallInfo = countOrthogonalWalls(r, c, weights);
+
+                // Need 3 or 4 walls around it
+                if (wallInfo.wallCount < 3) continue;
+                if (requireFourWalls && wallInfo.wallCount < 4) continue;
+
+                // If surrounded by 4 walls, at least one must not be impenetrable
+                if (wallInfo.wallCount === 4 && wallInfo.penetrableCount === 0) continue;
+
+                candidates.push({r, c});
+            }
+        }
+
+        if (candidates.length === 0) return null;
+        return candidates[Math.floor(seededRandom() * candidates.length)];
+    }
+
+    // Find a valid end point: distant from start, 3-4 walls around it
+    function findValidEndPoint(weights, start, minDistance) {
+        const candidates = [];
+
+        for (let r = 0; r < SIZE; r++) {
+            for (let c = 0; c < SIZE; c++) {
+                // Check distance (Euclidean)
+                const dist = Math.sqrt((r - start.r) ** 2 + (c - start.c) ** 2);
+                if (dist < minDistance) continue;
+
+                const wallInfo = countOrthogonalWalls(r, c, weights);
+
+                // Need 3 or 4 walls around it
+                if (wallInfo.wallCount < 3) continue;
+
+                // If surrounded by 4 walls, at least one must not be impenetrable
+                if (wallInfo.wallCount === 4 && wallInfo.penetrableCount === 0) continue;
+
+                candidates.push({r, c, dist});
+            }
+        }
+
+        if (candidates.length === 0) return null;
+
+        // Prefer more distant points
+        candidates.sort((a, b) => b.dist - a.dist);
+        const topCandidates = candidates.slice(0, Math.max(1, Math.floor(candidates.length / 3)));
+        return topCandidates[Math.floor(seededRandom() * topCandidates.length)];
+    }
+
+    // Count orthogonal walls around a cell
+    function countOrthogonalWalls(r, c, weights) {
+        let wallCount = 0;
+        let penetrableCount = 0;
+
+        for (const [dr, dc] of [[0,1],[0,-1],[1,0],[-1,0]]) {
+            const nr = r + dr, nc = c + dc;
+            if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) {
+                wallCount++; // Grid edge counts as impenetrable wall
+            } else if (solution[nr][nc] === 1) {
+                wallCount++;
+                if (weights[nr][nc] !== Infinity) {
+                    penetrableCount++;
+                }
+            }
+        }
+
+        return {wallCount, penetrableCount};
+    }
+
+    // A* pathfinding to carve through the maze
+    function aStarCarve(start, end, weights) {
+        const openSet = new MinHeap();
+        const gScore = Array(SIZE).fill().map(() => Array(SIZE).fill(Infinity));
+        const fScore = Array(SIZE).fill().map(() => Array(SIZE).fill(Infinity));
+        const cameFrom = Array(SIZE).fill().map(() => Array(SIZE).fill(null));
+        const prevDir = Array(SIZE).fill().map(() => Array(SIZE).fill(null));
+
+        gScore[start.r][start.c] = 0;
+        fScore[start.r][start.c] = euclideanDist(start, end);
+        openSet.push({r: start.r, c: start.c, f: fScore[start.r][start.c]});
+
+        const visited = new Set();
+
+        while (!openSet.isEmpty()) {
+            const current = openSet.pop();
+            const key = `${current.r},${current.c}`;
+
+            if (visited.has(key)) continue;
+            visited.add(key);
+
+            if (current.r === end.r && current.c === end.c) {
+                // Reconstruct path
+                const path = [];
+                let curr = {r: end.r, c: end.c};
+                while (curr) {
+                    path.unshift(curr);
+                    curr = cameFrom[curr.r][curr.c];
+                }
+                return path;
+            }
+
+            for (const [dr, dc] of [[0,1],[0,-1],[1,0],[-1,0]]) {
+                const nr = current.r + dr, nc = current.c + dc;
+                if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) continue;
+
+                // Skip impenetrable walls
+                if (weights[nr][nc] === Infinity) continue;
+
+                // Calculate movement cost
+                let moveCost;
+                if (solution[nr][nc] === 0) {
+                    moveCost = 0.4; // Existing path
+                } else {
+                    moveCost = weights[nr][nc]; // Wall (1.0 or other weight)
+                }
+
+                // Add turn penalty to favor straight lines
+                const currentDir = `${dr},${dc}`;
+                const previousDir = prevDir[current.r][current.c];
+                if (previousDir !== null && previousDir !== currentDir) {
+                    moveCost += 0.001; // Small penalty for turning
+                }
+
+                const tentativeG = gScore[current.r][current.c] + moveCost;
+
+                if (tentativeG < gScore[nr][nc]) {
+                    cameFrom[nr][nc] = {r: current.r, c: current.c};
+                    prevDir[nr][nc] = currentDir;
+                    gScore[nr][nc] = tentativeG;
+                    fScore[nr][nc] = tentativeG + euclideanDist({r: nr, c: nc}, end);
+                    openSet.push({r: nr, c: nc, f: fScore[nr][nc]});
+                }
+            }
+        }
+
+        return null; // No path found
+    }
+
+    function euclideanDist(a, b) {
+        return Math.sqrt((a.r - b.r) ** 2 + (a.c - b.c) ** 2);
+    }
+
+    // Simple min-heap for A*
+    class MinHeap {
+        constructor() { this.data = []; }
+        push(item) {
+            this.data.push(item);
+            this.bubbleUp(this.data.length - 1);
+        }
+        pop() {
+            if (this.data.length === 0) return null;
+            const result = this.data[0];
+            const last = this.data.pop();
+            if (this.data.length > 0) {
+                this.data[0] = last;
+                this.bubbleDown(0);
+            }
+            return result;
+        }
+        isEmpty() { return this.data.length === 0; }
+        bubbleUp(i) {
+            while (i > 0) {
+                const parent = Math.floor((i - 1) / 2);
+                if (this.data[parent].f <= this.data[i].f) break;
+                [this.data[parent], this.data[i]] = [this.data[i], this.data[parent]];
+                i = parent;
+            }
+        }
+        bubbleDown(i) {
+            while (true) {
+                const left = 2 * i + 1, right = 2 * i + 2;
+                let smallest = i;
+                if (left < this.data.length && this.data[left].f < this.data[smallest].f) smallest = left;
+                if (right < this.data.length && this.data[right].f < this.data[smallest].f) smallest = right;
+                if (smallest === i) break;
+                [this.data[smallest], this.data[i]] = [this.data[i], this.data[smallest]];
+                i = smallest;
+            }
+        }
+    }
+
+    // Carve the path and update weights
+    function carvePath(path, weights, start, end) {
+        // Mark remaining 3 walls around start as impenetrable (after first step)
+        const startNeighbors = getOrthogonalNeighbors(start.r, start.c);
+
+        for (let i = 0; i < path.length; i++) {
+            const {r, c} = path[i];
+
+            // Carve this cell
+            solution[r][c] = 0;
+            weights[r][c] = 0.4; // Now it's a path
+
+            // After first step, mark remaining walls around start as impenetrable
+            if (i === 1) {
+                for (const {nr, nc} of startNeighbors) {
+                    if (solution[nr][nc] === 1) {
+                        weights[nr][nc] = Infinity;
+                    }
+                }
+            }
+
+            // Check for 2x2 prevention: if this cell creates a 2x2 with 3 open cells,
+            // mark the 4th as highly impenetrable
+            check2x2Prevention(r, c, weights);
+        }
+
+        // Mark remaining 3 walls around end as impenetrable
+        const endNeighbors = getOrthogonalNeighbors(end.r, end.c);
+        for (const {nr, nc} of endNeighbors) {
+            if (solution[nr][nc] === 1) {
+                weights[nr][nc] = Infinity;
+            }
+        }
+    }
+
+    function getOrthogonalNeighbors(r, c) {
+        const neighbors = [];
+        for (const [dr, dc] of [[0,1],[0,-1],[1,0],[-1,0]]) {
+            const nr = r + dr, nc = c + dc;
+            if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE) {
+                neighbors.push({nr, nc});
+            }
+        }
+        return neighbors;
+    }
+
+    // Check all 2x2 areas containing this cell; if 3 are open, mark 4th as impenetrable
+    function check2x2Prevention(r, c, weights) {
+        // Check all 4 possible 2x2 squares that include (r, c)
+        const offsets = [[0, 0], [0, -1], [-1, 0], [-1, -1]];
+
+        for (const [dr, dc] of offsets) {
+            const topR = r + dr, topC = c + dc;
+            if (topR < 0 || topR + 1 >= SIZE || topC < 0 || topC + 1 >= SIZE) continue;
+
+            const cells = [
+                {r: topR, c: topC},
+                {r: topR, c: topC + 1},
+                {r: topR + 1, c: topC},
+                {r: topR + 1, c: topC + 1}
+            ];
+
+            let openCount = 0;
+            let wallCell = null;
+
+            for (const cell of cells) {
+                if (solution[cell.r][cell.c] === 0) {
+                    openCount++;
+                } else {
+                    wallCell = cell;
+                }
+            }
+
+            // If 3 cells are open and 1 is a wall, mark that wall as impenetrable
+            if (openCount === 3 && wallCell) {
+                weights[wallCell.r][wallCell.c] = Infinity;
+            }
+        }
+    }
+
+    // Relax endpoint walls: change from infinite to 100 where it won't create 2x2 open areas
+    function relaxEndpointWalls(endpoints, weights) {
+        for (const endpoint of endpoints) {
+            const neighbors = getOrthogonalNeighbors(endpoint.r, endpoint.c);
+
+            for (const {nr, nc} of neighbors) {
+                if (solution[nr][nc] === 1 && weights[nr][nc] === Infinity) {
+                    // Check if carving this wall would create a 2x2 open area
+                    if (!wouldCreate2x2Open(nr, nc)) {
+                        weights[nr][nc] = 100;
+                    }
+                }
+            }
+        }
+    }
+
+    // Check if carving a wall at (r, c) would create a 2x2 open area
+    function wouldCreate2x2Open(r, c) {
+        // Temporarily mark as open
+        solution[r][c] = 0;
+
+        // Check all 4 possible 2x2 squares that include (r, c)
+        const offsets = [[0, 0], [0, -1], [-1, 0], [-1, -1]];
+        let creates2x2 = false;
+
+        for (const [dr, dc] of offsets) {
+            const topR = r + dr, topC = c + dc;
+            if (topR < 0 || topR + 1 >= SIZE || topC < 0 || topC + 1 >= SIZE) continue;
+
+            if (solution[topR][topC] === 0 &&
+                solution[topR][topC + 1] === 0 &&
+                solution[topR + 1][topC] === 0 &&
+                solution[topR + 1][topC + 1] === 0) {
+                creates2x2 = true;
+                break;
+            }
+        }
+
+        // Restore
+        solution[r][c] = 1;
+        return creates2x2;
+    }
+
+    // Connect disconnected subgraphs
+    function connectDisconnectedSubgraphs(weights) {
+        const components = findConnectedComponents();
+
+        if (components.length <= 1) return true; // Already connected
+
+        // Sort by size, largest first
+        components.sort((a, b) => b.length - a.length);
+
+        // Try to connect each smaller component to the main one
+        const mainComponent = new Set(components[0].map(p => `${p.r},${p.c}`));
+
+        for (let i = 1; i < components.length; i++) {
+            const other = components[i];
+
+            // Pick a random point from the smaller component
+            const startPoint = other[Math.floor(seededRandom() * other.length)];
+
+            // Find closest point in main component
+            let closestPoint = null;
+            let closestDist = Infinity;
+
+            for (const key of mainComponent) {
+                const [r, c] = key.split(',').map(Number);
+                const dist = euclideanDist(startPoint, {r, c});
+                if (dist < closestDist) {
+                    closestDist = dist;
+                    closestPoint = {r, c};
+                }
+            }
+
+            if (!closestPoint) return false;
+
+            // Use A* to carve a path between them
+            const path = aStarCarve(startPoint, closestPoint, weights);
+            if (!path) return false;
+
+            // Carve the connecting path
+            for (const {r, c} of path) {
+                solution[r][c] = 0;
+                weights[r][c] = 0.4;
+                // Check 2x2 prevention
+                check2x2Prevention(r, c, weights);
+            }
+
+            // Add other component to main
+            for (const p of other) {
+                mainComponent.add(`${p.r},${p.c}`);
+            }
+            // Add path cells to main
+            for (const p of path) {
+                mainComponent.add(`${p.r},${p.c}`);
+            }
+        }
+
+        return true;
+    }
+
+    // Find connected components of open cells
+    function findConnectedComponents() {
+        const visited = Array(SIZE).fill().map(() => Array(SIZE).fill(false));
+        const components = [];
+
+        for (let r = 0; r < SIZE; r++) {
+            for (let c = 0; c < SIZE; c++) {
+                if (solution[r][c] === 0 && !visited[r][c]) {
+                    const component = [];
+                    const stack = [{r, c}];
+                    visited[r][c] = true;
+
+                    while (stack.length > 0) {
+                        const curr = stack.pop();
+                        component.push(curr);
+
+                        for (const [dr, dc] of [[0,1],[0,-1],[1,0],[-1,0]]) {
+                            const nr = curr.r + dr, nc = curr.c + dc;
+                            if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE &&
+                                solution[nr][nc] === 0 && !visited[nr][nc]) {
+                                visited[nr][nc] = true;
+                                stack.push({r: nr, c: nc});
+                            }
+                        }
+                    }
+
+                    components.push(component);
+                }
+            }
+        }
+
+        return components;
+    }
+
+    // Ensure no row or column is entirely walls (SIZE walls)
+    function ensureNoFullWallLines() {
+        // Check rows
+        for (let r = 0; r < SIZE; r++) {
+            const wallCount = solution[r].filter(v => v === 1).length;
+            if (wallCount === SIZE) {
+                // Find a cell adjacent to existing path that won't create 2x2 path block
+                const candidates = [];
+                for (let c = 0; c < SIZE; c++) {
+                    if (hasAdjacentPath(r, c)) candidates.push(c);
+                }
+                // Shuffle
+                for (let i = candidates.length - 1; i > 0; i--) {
+                    const j = Math.floor(seededRandom() * (i + 1));
+                    [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+                }
+                for (const c of candidates) {
+                    solution[r][c] = 0;
+                    if (!has2x2PathBlock()) break;
+                    solution[r][c] = 1;
+                }
+            }
+        }
+
+        // Check columns
+        for (let c = 0; c < SIZE; c++) {
+            let wallCount = 0;
+            for (let r = 0; r < SIZE; r++) {
+                if (solution[r][c] === 1) wallCount++;
+            }
+            if (wallCount === SIZE) {
+                const candidates = [];
+                for (let r = 0; r < SIZE; r++) {
+                    if (hasAdjacentPath(r, c)) candidates.push(r);
+                }
+                for (let i = candidates.length - 1; i > 0; i--) {
+                    const j = Math.floor(seededRandom() * (i + 1));
+                    [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+                }
+                for (const r of candidates) {
+                    solution[r][c] = 0;
+                    if (!has2x2PathBlock()) break;
+                    solution[r][c] = 1;
+                }
+            }
+        }
+    }
+
+    // Check if a cell has an adjacent path cell
+    function hasAdjacentPath(r, c) {
+        for (const [dr, dc] of [[0,1],[0,-1],[1,0],[-1,0]]) {
+            const nr = r + dr, nc = c + dc;
+            if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE && solution[nr][nc] === 0) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Check if solution has any 2x2 path blocks
+    function has2x2PathBlock() {
+        for (let r = 0; r < SIZE - 1; r++) {
+            for (let c = 0; c < SIZE - 1; c++) {
+                if (solution[r][c] === 0 && solution[r+1][c] === 0 &&
+                    solution[r][c+1] === 0 && solution[r+1][c+1] === 0) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    // Try to add a secret 3x3 room with a single door and data stockpile
+    // Forces the room into the maze, adding walls as needed, then tries to fix connectivity
+    function tryAddSecretRoom() {
+        stockpilePos = null;
+
+        if (SIZE < DATA_VAULT_UNLOCK_SIZE) return; // No data vaults for sizes below unlock size
+
+        // Save original solution in case we need to revert
+        const originalSolution = solution.map(row => [...row]);
+
+        // Candidate positions - prefer corners and edges
+        const candidates = [];
+        // Corners (0 or 1 row/col from edge)
+        const edgeOffsets = [0, 1];
+        for (const rOff of edgeOffsets) {
+            for (const cOff of edgeOffsets) {
+                candidates.push({r: rOff, c: cOff, priority: 0});
+                candidates.push({r: rOff, c: SIZE - 3 - cOff, priority: 0});
+                candidates.push({r: SIZE - 3 - rOff, c: cOff, priority: 0});
+                candidates.push({r: SIZE - 3 - rOff, c: SIZE - 3 - cOff, priority: 0});
+            }
+        }
+        // Add some interior positions with lower priority
+        for (let r = 2; r <= SIZE - 5; r++) {
+            for (let c = 2; c <= SIZE - 5; c++) {
+                candidates.push({r, c, priority: 1});
+            }
+        }
+
+        // Sort by priority, then shuffle within each priority group using Fisher-Yates
+        // (Using seededRandom in sort comparator is non-deterministic across platforms)
+        candidates.sort((a, b) => a.priority - b.priority);
+
+        // Fisher-Yates shuffle within priority groups
+        let groupStart = 0;
+        while (groupStart < candidates.length) {
+            const currentPriority = candidates[groupStart].priority;
+            let groupEnd = groupStart;
+            while (groupEnd < candidates.length && candidates[groupEnd].priority === currentPriority) {
+                groupEnd++;
+            }
+            // Shuffle from groupStart to groupEnd-1
+            for (let i = groupEnd - 1; i > groupStart; i--) {
+                const j = groupStart + Math.floor(seededRandom() * (i - groupStart + 1));
+                [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+            }
+            groupStart = groupEnd;
+        }
+
+        for (const {r, c} of candidates) {
+            // Restore original solution for each attempt
+            for (let i = 0; i < SIZE; i++) solution[i] = [...originalSolution[i]];
+
+            // Step 1: Find door candidates BEFORE modifying the maze
+            // Look for path cells adjacent to where the perimeter walls will be
+            const doorCandidates = [];
+
+            // Top wall (at r-1) - check for paths at r-2 or paths that will be walled at r-1
+            if (r > 0) {
+                for (let dc = 0; dc < 3; dc++) {
+                    const wallC = c + dc;
+                    // Check if there's a path just outside where the wall will be
+                    if (r > 1 && solution[r - 2][wallC] === 0) {
+                        doorCandidates.push({wallR: r - 1, wallC: wallC, side: 'top'});
+                    } else if (r === 1 && solution[0][wallC] === 0) {
+                        // Room at row 1, wall at row 0 - but we can't have door at edge
+                        // Actually if r=1, wall is at r-1=0, and we need path outside which would be r-2=-1 (invalid)
+                    }
+                }
+            }
+            // Bottom wall (at r+3) - check for paths at r+4
+            if (r + 3 < SIZE) {
+                for (let dc = 0; dc < 3; dc++) {
+                    const wallC = c + dc;
+                    if (r + 4 < SIZE && solution[r + 4][wallC] === 0) {
+                        doorCandidates.push({wallR: r + 3, wallC: wallC, side: 'bottom'});
+                    }
+                }
+            }
+            // Left wall (at c-1) - check for paths at c-2
+            if (c > 0) {
+                for (let dr = 0; dr < 3; dr++) {
+                    const wallR = r + dr;
+                    if (c > 1 && solution[wallR][c - 2] === 0) {
+                        doorCandidates.push({wallR: wallR, wallC: c - 1, side: 'left'});
+                    }
+                }
+            }
+            // Right wall (at c+3) - check for paths at c+4
+            if (c + 3 < SIZE) {
+                for (let dr = 0; dr < 3; dr++) {
+                    const wallR = r + dr;
+                    if (c + 4 < SIZE && solution[wallR][c + 4] === 0) {
+                        doorCandidates.push({wallR: wallR, wallC: c + 3, side: 'right'});
+                    }
+                }
+            }
+
+            // Also check if perimeter itself has paths we can connect to
+            // Top perimeter row
+            if (r > 0) {
+                for (let dc = 0; dc < 3; dc++) {
+                    if (solution[r - 1][c + dc] === 0) {
+                        doorCandidates.push({wallR: r - 1, wallC: c + dc, side: 'top', isPath: true});
+                    }
+                }
+            }
+            // Bottom perimeter row
+            if (r + 3 < SIZE) {
+                for (let dc = 0; dc < 3; dc++) {
+                    if (solution[r + 3][c + dc] === 0) {
+                        doorCandidates.push({wallR: r + 3, wallC: c + dc, side: 'bottom', isPath: true});
+                    }
+                }
+            }
+            // Left perimeter column
+            if (c > 0) {
+                for (let dr = 0; dr < 3; dr++) {
+                    if (solution[r + dr][c - 1] === 0) {
+                        doorCandidates.push({wallR: r + dr, wallC: c - 1, side: 'left', isPath: true});
+                    }
+                }
+            }
+            // Right perimeter column
+            if (c + 3 < SIZE) {
+                for (let dr = 0; dr < 3; dr++) {
+                    if (solution[r + dr][c + 3] === 0) {
+                        doorCandidates.push({wallR: r + dr, wallC: c + 3, side: 'right', isPath: true});
+                    }
+                }
+            }
+
+            if (doorCandidates.length === 0) continue;
+
+            // Step 2: Add walls around the 3x3 room (perimeter)
+            // Top perimeter
+            if (r > 0) {
+                for (let dc = -1; dc <= 3; dc++) {
+                    const cc = c + dc;
+                    if (cc >= 0 && cc < SIZE) solution[r - 1][cc] = 1;
+                }
+            }
+            // Bottom perimeter
+            if (r + 3 < SIZE) {
+                for (let dc = -1; dc <= 3; dc++) {
+                    const cc = c + dc;
+                    if (cc >= 0 && cc < SIZE) solution[r + 3][cc] = 1;
+                }
+            }
+            // Left perimeter
+            if (c > 0) {
+                for (let dr = 0; dr < 3; dr++) {
+                    solution[r + dr][c - 1] = 1;
+                }
+            }
+            // Right perimeter
+            if (c + 3 < SIZE) {
+                for (let dr = 0; dr < 3; dr++) {
+                    solution[r + dr][c + 3] = 1;
+                }
+            }
+
+            // Step 3: Carve out the 3x3 room interior
+            for (let dr = 0; dr < 3; dr++) {
+                for (let dc = 0; dc < 3; dc++) {
+                    solution[r + dr][c + dc] = 0;
+                }
+            }
+
+            // Step 4: Open the door
+            const door = doorCandidates[Math.floor(seededRandom() * doorCandidates.length)];
+            solution[door.wallR][door.wallC] = 0;
+
+            // Step 5: Check connectivity and try to fix if broken
+            // Pass room bounds so we don't open additional doors in the room perimeter
+            if (!tryFixConnectivity(r, c)) {
+                continue; // Can't fix, try another position
+            }
+
+            // Step 6: Verify no 2x2 path clumps were created OUTSIDE the room
+            if (has2x2PathClumpOutsideRoom(r, c)) {
+                continue;
+            }
+
+            // Success! Place stockpile randomly in the room
+            const roomCells = [];
+            for (let dr = 0; dr < 3; dr++) {
+                for (let dc = 0; dc < 3; dc++) {
+                    roomCells.push({r: r + dr, c: c + dc});
+                }
+            }
+            stockpilePos = roomCells[Math.floor(seededRandom() * roomCells.length)];
+            return;
+        }
+
+        // Failed to add room, restore original
+        for (let i = 0; i < SIZE; i++) solution[i] = [...originalSolution[i]];
+    }
+
+    // Check if all path cells are connected, try to fix if not
+    // roomR, roomC define the 3x3 room - don't open walls on its perimeter
+    function tryFixConnectivity(roomR, roomC) {
+        // Helper to check if a wall cell is on the room perimeter
+        function isRoomPerimeter(wr, wc) {
+            // Top perimeter: row roomR-1, cols roomC-1 to roomC+3
+            if (wr === roomR - 1 && wc >= roomC - 1 && wc <= roomC + 3) return true;
+            // Bottom perimeter: row roomR+3, cols roomC-1 to roomC+3
+            if (wr === roomR + 3 && wc >= roomC - 1 && wc <= roomC + 3) return true;
+            // Left perimeter: col roomC-1, rows roomR to roomR+2
+            if (wc === roomC - 1 && wr >= roomR && wr <= roomR + 2) return true;
+            // Right perimeter: col roomC+3, rows roomR to roomR+2
+            if (wc === roomC + 3 && wr >= roomR && wr <= roomR + 2) return true;
+            return false;
+        }
+
+        const pathCells = [];
+        for (let r = 0; r < SIZE; r++) {
+            for (let c = 0; c < SIZE; c++) {
+                if (solution[r][c] === 0) pathCells.push({r, c});
+            }
+        }
+        if (pathCells.length === 0) return false;
+
+        // Find connected components
+        const visited = Array(SIZE).fill(null).map(() => Array(SIZE).fill(false));
+        const components = [];
+
+        for (const start of pathCells) {
+            if (visited[start.r][start.c]) continue;
+            const component = [];
+            const stack = [start];
+            while (stack.length > 0) {
+                const {r, c} = stack.pop();
+                if (visited[r][c]) continue;
+                visited[r][c] = true;
+                component.push({r, c});
+                [[0,1],[0,-1],[1,0],[-1,0]].forEach(([dr, dc]) => {
+                    const nr = r + dr, nc = c + dc;
+                    if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE &&
+                        solution[nr][nc] === 0 && !visited[nr][nc]) {
+                        stack.push({r: nr, c: nc});
+                    }
+                });
+            }
+            components.push(component);
+        }
+
+        if (components.length === 1) return true; // Already connected
+
+        // Try to connect components by removing wall cells
+        // Find the largest component
+        components.sort((a, b) => b.length - a.length);
+        const mainComponent = new Set(components[0].map(p => `${p.r},${p.c}`));
+
+        for (let i = 1; i < components.length; i++) {
+            const other = components[i];
+            let connected = false;
+
+            // Try to find a wall cell that connects this component to main
+            for (const {r, c} of other) {
+                if (connected) break;
+                [[0,1],[0,-1],[1,0],[-1,0]].forEach(([dr, dc]) => {
+                    if (connected) return;
+                    const wallR = r + dr, wallC = c + dc;
+                    if (wallR < 0 || wallR >= SIZE || wallC < 0 || wallC >= SIZE) return;
+                    if (solution[wallR][wallC] !== 1) return;
+
+                    // Don't open walls on the room perimeter (would create extra doors)
+                    if (isRoomPerimeter(wallR, wallC)) return;
+
+                    // Check if removing this wall connects to main component
+                    [[0,1],[0,-1],[1,0],[-1,0]].forEach(([dr2, dc2]) => {
+                        if (connected) return;
+                        const adjR = wallR + dr2, adjC = wallC + dc2;
+                        if (adjR >= 0 && adjR < SIZE && adjC >= 0 && adjC < SIZE &&
+                            mainComponent.has(`${adjR},${adjC}`)) {
+                            // Remove wall to connect
+                            solution[wallR][wallC] = 0;
+                            // Add this component to main
+                            other.forEach(p => mainComponent.add(`${p.r},${p.c}`));
+                            mainComponent.add(`${wallR},${wallC}`);
+                            connected = true;
+                        }
+                    });
+                });
+            }
+
+            if (!connected) return false; // Can't connect this component
+        }
+
+        return true;
+    }
+
+    // Check for 2x2 path clumps outside the room area
+    function has2x2PathClumpOutsideRoom(roomR, roomC) {
+        for (let r = 0; r < SIZE - 1; r++) {
+            for (let c = 0; c < SIZE - 1; c++) {
+                // Skip if this 2x2 is entirely within the room
+                if (r >= roomR && r + 1 <= roomR + 2 && c >= roomC && c + 1 <= roomC + 2) {
+                    continue;
+                }
+                if (solution[r][c] === 0 && solution[r+1][c] === 0 &&
+                    solution[r][c+1] === 0 && solution[r+1][c+1] === 0) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    // Helper to check if a cell is a fixed path (dead end or stockpile)
+    function isFixedPath(r, c) {
+        return isTargetDeadEnd(r, c) || (stockpilePos && stockpilePos.r === r && stockpilePos.c === c);
+    }
+
+    function isTargetDeadEnd(r, c) {
+        if(solution[r][c] === 1) return false;
+        let walls = 0;
+        [[0,1],[0,-1],[1,0],[-1,0]].forEach(([dr, dc]) => {
+            let nr=r+dr, nc=c+dc;
+            if(nr<0||nr>=SIZE||nc<0||nc>=SIZE||solution[nr][nc] === 1) walls++;
+        });
+        return walls >= 3;
+    }
+
+    // Check if player's current state is a valid alternate solution
+    // Returns true if: row/col counts match, no 2x2 path blocks, paths connected
+    function isValidAlternateSolution(merged) {
+        // 1. Check row wall counts match targets
+        for (let r = 0; r < SIZE; r++) {
+            let wallCount = 0;
+            for (let c = 0; c < SIZE; c++) {
+                if (merged[r * SIZE + c] === 1) wallCount++;
+            }
+            if (wallCount !== targets.r[r]) return false;
+        }
+
+        // 2. Check column wall counts match targets
+        for (let c = 0; c < SIZE; c++) {
+            let wallCount = 0;
+            for (let r = 0; r < SIZE; r++) {
+                if (merged[r * SIZE + c] === 1) wallCount++;
+            }
+            if (wallCount !== targets.c[c]) return false;
+        }
+
+        // 3. Check no 2x2 path blocks (except around stockpile)
+        for (let r = 0; r < SIZE - 1; r++) {
+            for (let c = 0; c < SIZE - 1; c++) {
+                const corners = [
+                    r * SIZE + c,
+                    r * SIZE + c + 1,
+                    (r + 1) * SIZE + c,
+                    (r + 1) * SIZE + c + 1
+                ];
+
+                // Check if all 4 corners are paths (not walls)
+                if (corners.every(idx => merged[idx] !== 1)) {
+                    // Allow 2x2 paths near stockpile (it's in a 3x3 room)
+                    if (stockpilePos) {
+                        let nearStockpile = false;
+                        for (const idx of corners) {
+                            const cr = Math.floor(idx / SIZE), cc = idx % SIZE;
+                            const dr = Math.abs(cr - stockpilePos.r);
+                            const dc = Math.abs(cc - stockpilePos.c);
+                            if (dr <= 1 && dc <= 1) nearStockpile = true;
+                        }
+                        if (nearStockpile) continue;
+                    }
+                    return false; // Invalid 2x2 path block
+                }
+            }
+        }
+
+        // 4. Check all paths are connected (single connected component)
+        // Find all path cells
+        const pathCells = [];
+        for (let i = 0; i < SIZE * SIZE; i++) {
+            if (merged[i] !== 1) pathCells.push(i);
+        }
+
+        if (pathCells.length === 0) return false;
+
+        // BFS from first path cell
+        const visited = new Set();
+        const stack = [pathCells[0]];
+        visited.add(pathCells[0]);
+
+        while (stack.length > 0) {
+            const idx = stack.pop();
+            const r = Math.floor(idx / SIZE), c = idx % SIZE;
+
+            [[0,1],[0,-1],[1,0],[-1,0]].forEach(([dr, dc]) => {
+                const nr = r + dr, nc = c + dc;
+                if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE) {
+                    const nIdx = nr * SIZE + nc;
+                    if (merged[nIdx] !== 1 && !visited.has(nIdx)) {
+                        visited.add(nIdx);
+                        stack.push(nIdx);
+                    }
+                }
+            });
+        }
+
+        // All path cells should be visited
+        if (visited.size !== pathCells.length) return false;
+
+        return true;
+    }
+
+    function findLockedWallsForAmbiguousSolutions() {
+        return runPuzzleSolver().locked;
+    }
+
+    // "Hints first, fork when stuck" solver shared by wall locking and difficulty grading.
+    // options.startLocked: begin from these locked walls instead of an empty board
+    // options.stats: {techniques, forks, maxForkDepth} collector filled in while solving
+    // options.trace: array that receives each main-line step as {hint, board}; see tracePuzzleSolve()
+    function runPuzzleSolver(options = {}) {
+        const locked = options.startLocked ? options.startLocked.slice() : Array(SIZE * SIZE).fill(false);
+        const merged = locked.map(isLocked => isLocked ? 1 : 0);
+        const stats = options.stats || null;
+        const trace = options.trace || null;
+        const solverGuard = {
+            steps: 0,
+            maxSteps: 8000,
+            maxDepth: 24
+        };
+
+        function guardExceeded() {
+            solverGuard.steps++;
+            return solverGuard.steps > solverGuard.maxSteps;
+        }
+
+        function isSolved(mergedBoard) {
+            return isValidAlternateSolution(mergedBoard);
+        }
+
+        function hasContradiction(mergedBoard) {
+            // 1. Invalid dead end (path boxed in by 3+ walls that isn't a dead end node)
+            if (findInvalidDeadEnd(mergedBoard)) return true;
+
+            // 2. Row/column over limit
+            for (let r = 0; r < SIZE; r++) {
+                const { walls, paths, target, expectedPaths } = getRowCounts(mergedBoard, r);
+                if (walls > target || paths > expectedPaths) return true;
+            }
+            for (let c = 0; c < SIZE; c++) {
+                const { walls, paths, target, expectedPaths } = getColCounts(mergedBoard, c);
+                if (walls > target || paths > expectedPaths) return true;
+            }
+
+            // 3. 2x2 path block (outside vault)
+            for (let r = 0; r < SIZE - 1; r++) {
+                for (let c = 0; c < SIZE - 1; c++) {
+                    let allPaths = true;
+                    let nearStockpile = false;
+                    for (const [dr, dc] of [[0, 0], [0, 1], [1, 0], [1, 1]]) {
+                        const cr = r + dr, cc = c + dc;
+                        const idx = cr * SIZE + cc;
+                        if (mergedBoard[idx] !== 2 && !isFixedPath(cr, cc)) allPaths = false;
+                        if (stockpilePos && Math.abs(cr - stockpilePos.r) <= 1 && Math.abs(cc - stockpilePos.c) <= 1) {
+                            nearStockpile = true;
+                        }
+                    }
+                    if (allPaths && !nearStockpile) return true;
+                }
+            }
+
+            // 4. Dead end with multiple paths
+            for (let r = 0; r < SIZE; r++) {
+                for (let c = 0; c < SIZE; c++) {
+                    if (!isTargetDeadEnd(r, c)) continue;
+                    let pathCount = 0;
+                    for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+                        const nr = r + dr, nc = c + dc;
+                        if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) continue;
+                        const nIdx = nr * SIZE + nc;
+                        if (mergedBoard[nIdx] === 2 || isFixedPath(nr, nc)) pathCount++;
+                    }
+                    if (pathCount > 1) return true;
+                }
+            }
+
+            // 5. Cut-off section of the grid (walls separating regions so paths can't connect)
+            const nonWallCells = [];
+            for (let i = 0; i < SIZE * SIZE; i++) {
+                if (mergedBoard[i] !== 1) nonWallCells.push(i);
+            }
+            if (nonWallCells.length > 1) {
+                const visited = new Set();
+                const stack = [nonWallCells[0]];
+                visited.add(nonWallCells[0]);
+
+                while (stack.length > 0) {
+                    const idx = stack.pop();
+                    const r = Math.floor(idx / SIZE), c = idx % SIZE;
+                    for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+                        const nr = r + dr, nc = c + dc;
+                        if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE) {
+                            const nIdx = nr * SIZE + nc;
+                            if (!visited.has(nIdx) && mergedBoard[nIdx] !== 1) {
+                                visited.add(nIdx);
+                                stack.push(nIdx);
+                            }
+                        }
+                    }
+                }
+
+                if (visited.size < nonWallCells.length) return true;
+            }
+
+            return false;
+        }
+
+        function getDeterministicHint(mergedBoard) {
+            // Levels match the complexity levels in getHint()
+            const hintFunctions = [
+                { name: 'hintTrivialRowCol', level: 1, fn: () => hintTrivialRowCol(mergedBoard) },
+                { name: 'hintDeadEndCanBeFinished', level: 2, fn: () => hintDeadEndCanBeFinished(mergedBoard) },
+                { name: 'hint2x2With3Paths', level: 2, fn: () => hint2x2With3Paths(mergedBoard) },
+                { name: 'hintVaultPerimeterComplete', level: 2, fn: () => hintVaultPerimeterComplete(mergedBoard) },
+                { name: 'hintPathMustExtend', level: 2, fn: () => hintPathMustExtend(mergedBoard) },
+                { name: 'hintRowColComplete', level: 2, fn: () => hintRowColComplete(mergedBoard) },
+                { name: 'hintEmptyDeadEndMustBeWall', level: 3, fn: () => hintEmptyDeadEndMustBeWall(mergedBoard, null) },
+                { name: 'hintVaultInteriorMustBePath', level: 3, fn: () => hintVaultInteriorMustBePath(mergedBoard) },
+                { name: 'hintVaultExitDeadEnd', level: 3, fn: () => hintVaultExitDeadEnd(mergedBoard) },
+                { name: 'hintDeadEndAdjacent', level: 3, fn: () => hintDeadEndAdjacent(mergedBoard) },
+                { name: 'hintCornerFlankingDeadEnds', level: 3, fn: () => hintCornerFlankingDeadEnds(mergedBoard) },
+                { name: 'hintDeadEndOr2x2Squeeze', level: 4, fn: () => hintDeadEndOr2x2Squeeze(mergedBoard) },
+                { name: 'hintEdgeDeadEndOneWall', level: 4, fn: () => hintEdgeDeadEndOneWall(mergedBoard) },
+                { name: 'hintEdgeCornerDeadEnd', level: 4, fn: () => hintEdgeCornerDeadEnd(mergedBoard) },
+                { name: 'hintCacheNearEdge', level: 4, fn: () => hintCacheNearEdge(mergedBoard) },
+                { name: 'hintRowColCompletionCausesError', level: 5, fn: () => hintRowColCompletionCausesError(mergedBoard) }
+            ];
+
+            for (const { name, level, fn } of hintFunctions) {
+                const hint = fn();
+                if (hint && hint.cells && hint.shouldBe) {
+                    hint.technique = name;
+                    hint.level = level;
+                    return hint;
+                }
+            }
+            return null;
+        }
+
+        function recordTechnique(hint, depth) {
+            // Only count deductions on the main line; fork branches are measured by depth
+            if (!stats || depth > 0) return;
+            const entry = stats.techniques[hint.technique] || { level: hint.level, count: 0 };
+            entry.count++;
+            stats.techniques[hint.technique] = entry;
+        }
+
+        function recordStep(hint, mergedBoard, depth) {
+            if (!trace || depth > 0) return;
+            trace.push({ hint, board: mergedBoard.slice() });
+        }
+
+        function applyHint(mergedBoard, hint) {
+            const value = hint.shouldBe === 'wall' ? 1 : 2;
+            let changed = false;
+            for (const cell of hint.cells) {
+                const idx = cell.r * SIZE + cell.c;
+                if (mergedBoard[idx] === 0) {
+                    mergedBoard[idx] = value;
+                    changed = true;
+                } else if (mergedBoard[idx] !== value) {
+                    return { conflict: true, changed: false };
+                }
+            }
+            return { conflict: false, changed };
+        }
+
+        function findVaultExitCandidates() {
+            if (!stockpilePos) return [];
+            for (let roomR = Math.max(0, stockpilePos.r - 2); roomR <= Math.min(stockpilePos.r, SIZE - 3); roomR++) {
+                for (let roomC = Math.max(0, stockpilePos.c - 2); roomC <= Math.min(stockpilePos.c, SIZE - 3); roomC++) {
+                    if (stockpilePos.r < roomR || stockpilePos.r > roomR + 2 ||
+                        stockpilePos.c < roomC || stockpilePos.c > roomC + 2) continue;
+
+                    let interiorClear = true;
+                    for (let dr = 0; dr < 3 && interiorClear; dr++) {
+                        for (let dc = 0; dc < 3 && interiorClear; dc++) {
+                            if (solution[roomR + dr][roomC + dc] === 1) interiorClear = false;
+                        }
+                    }
+                    if (!interiorClear) continue;
+
+                    let doorCells = [];
+                    let wallCount = 0;
+                    for (let dc = 0; dc < 3; dc++) {
+                        if (roomR === 0) {
+                            wallCount++;
+                        } else if (solution[roomR - 1][roomC + dc] === 1) {
+                            wallCount++;
+                        } else {
+                            doorCells.push((roomR - 1) * SIZE + (roomC + dc));
+                        }
+
+                        if (roomR + 2 === SIZE - 1) {
+                            wallCount++;
+                        } else if (solution[roomR + 3][roomC + dc] === 1) {
+                            wallCount++;
+                        } else {
+                            doorCells.push((roomR + 3) * SIZE + (roomC + dc));
+                        }
+                    }
+                    for (let dr = 0; dr < 3; dr++) {
+                        if (roomC === 0) {
+                            wallCount++;
+                        } else if (solution[roomR + dr][roomC - 1] === 1) {
+                            wallCount++;
+                        } else {
+                            doorCells.push((roomR + dr) * SIZE + (roomC - 1));
+                        }
+
+                        if (roomC + 2 === SIZE - 1) {
+                            wallCount++;
+                        } else if (solution[roomR + dr][roomC + 3] === 1) {
+                            wallCount++;
+                        } else {
+                            doorCells.push((roomR + dr) * SIZE + (roomC + 3));
+                        }
+                    }
+
+                    if (wallCount === 11) return doorCells;
+                }
+            }
+            return [];
+        }
+
+        function chooseForkCell(mergedBoard) {
+            // Priority 1: path out of dead end
+            for (let r = 0; r < SIZE; r++) {
+                for (let c = 0; c < SIZE; c++) {
+                    if (!isTargetDeadEnd(r, c)) continue;
+                    for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+                        const nr = r + dr, nc = c + dc;
+                        if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) continue;
+                        if (isFixedPath(nr, nc)) continue;
+                        const nIdx = nr * SIZE + nc;
+                        if (mergedBoard[nIdx] === 0) return nIdx;
+                    }
+                }
+            }
+
+            // Priority 2: row/col needs one more path
+            for (let r = 0; r < SIZE; r++) {
+                const { walls, paths, target } = getRowCounts(mergedBoard, r);
+                const expectedPaths = SIZE - target;
+                if (expectedPaths - paths === 1) {
+                    for (let c = 0; c < SIZE; c++) {
+                        const idx = r * SIZE + c;
+                        if (mergedBoard[idx] === 0 && !isFixedPath(r, c)) return idx;
+                    }
+                }
+            }
+            for (let c = 0; c < SIZE; c++) {
+                const { walls, paths, target } = getColCounts(mergedBoard, c);
+                const expectedPaths = SIZE - target;
+                if (expectedPaths - paths === 1) {
+                    for (let r = 0; r < SIZE; r++) {
+                        const idx = r * SIZE + c;
+                        if (mergedBoard[idx] === 0 && !isFixedPath(r, c)) return idx;
+                    }
+                }
+            }
+
+            // Priority 3: row/col needs one more wall
+            for (let r = 0; r < SIZE; r++) {
+                const { walls, target } = getRowCounts(mergedBoard, r);
+                if (target - walls === 1) {
+                    for (let c = 0; c < SIZE; c++) {
+                        const idx = r * SIZE + c;
+                        if (mergedBoard[idx] === 0 && !isFixedPath(r, c)) return idx;
+                    }
+                }
+            }
+            for (let c = 0; c < SIZE; c++) {
+                const { walls, target } = getColCounts(mergedBoard, c);
+                if (target - walls === 1) {
+                    for (let r = 0; r < SIZE; r++) {
+                        const idx = r * SIZE + c;
+                        if (mergedBoard[idx] === 0 && !isFixedPath(r, c)) return idx;
+                    }
+                }
+            }
+
+            // Priority 4: path out of a vault (door cell)
+            const vaultExitCandidates = findVaultExitCandidates();
+            for (const idx of vaultExitCandidates) {
+                const r = Math.floor(idx / SIZE);
+                const c = idx % SIZE;
+                if (mergedBoard[idx] === 0 && !isFixedPath(r, c)) return idx;
+            }
+
+            // Fallback: first empty cell
+            for (let i = 0; i < SIZE * SIZE; i++) {
+                const r = Math.floor(i / SIZE), c = i % SIZE;
+                if (mergedBoard[i] === 0 && !isFixedPath(r, c)) return i;
+            }
+
+            return null;
+        }
+
+        function copyMerged(target, source) {
+            for (let i = 0; i < target.length; i++) {
+                target[i] = source[i];
+            }
+        }
+
+        // Continue from the branch that survived a fork, or that solved the board when the
+        // other didn't (reason 'solved'). When tracing the main line, only the fork cell is
+        // taken over so the deductions after it are recorded as steps too.
+        function adoptBranch(mergedBoard, branchBoard, decisionIdx, depth, reason = 'conflict') {
+            if (!trace || depth > 0) {
+                copyMerged(mergedBoard, branchBoard);
+                return;
+            }
+            const r = Math.floor(decisionIdx / SIZE), c = decisionIdx % SIZE;
+            const shouldBe = branchBoard[decisionIdx] === 1 ? 'wall' : 'path';
+            const ruledOut = shouldBe === 'wall' ? 'path' : 'wall';
+            mergedBoard[decisionIdx] = branchBoard[decisionIdx];
+            recordStep({
+                message: reason === 'solved'
+                    ? `No direct deduction is left. Taking ${cellRef(r, c)} as a ${shouldBe} leads to a finished board.`
+                    : `No direct deduction is left. Assuming ${cellRef(r, c)} is a ${ruledOut} leads to a contradiction, so it must be a ${shouldBe}.`,
+                highlight: { type: 'cell', r, c },
+                cells: [{ r, c }],
+                shouldBe,
+                technique: 'fork'
+            }, mergedBoard, depth);
+        }
+
+        function solveWithHints(mergedBoard, depth = 0) {
+            while (true) {
+                if (guardExceeded())
+                    return { status: 'stuck' };
+                if (hasContradiction(mergedBoard))
+                    return { status: 'conflict' };
+                if (isSolved(mergedBoard))
+                    return { status: 'solved' };
+
+                const hint = getDeterministicHint(mergedBoard);
+                if (!hint) return { status: 'stuck' };
+                const result = applyHint(mergedBoard, hint);
+                if (result.conflict) return { status: 'conflict' };
+                if (!result.changed) return { status: 'stuck' };
+                recordTechnique(hint, depth);
+                recordStep(hint, mergedBoard, depth);
+            }
+        }
+
+        function solveWithForks(mergedBoard, depth = 0) {
+            if (depth > solverGuard.maxDepth) return { status: 'stuck', board: mergedBoard };
+
+            while (true) {
+                const hintResult = solveWithHints(mergedBoard, depth);
+                if (hintResult.status !== 'stuck') {
+                    return { status: hintResult.status, board: mergedBoard };
+                }
+
+                const decisionIdx = chooseForkCell(mergedBoard);
+                if (decisionIdx === null) return { status: 'stuck', board: mergedBoard };
+
+                if (stats) {
+                    stats.forks++;
+                    stats.maxForkDepth = Math.max(stats.maxForkDepth, depth + 1);
+                }
+
+                const wallBranch = mergedBoard.slice();
+                wallBranch[decisionIdx] = 1;
+                const pathBranch = mergedBoard.slice();
+                pathBranch[decisionIdx] = 2;
+
+                const wallResult = solveWithForks(wallBranch, depth + 1);
+                const pathResult = solveWithForks(pathBranch, depth + 1);
+
+                if (wallResult.status === 'conflict' && pathResult.status === 'conflict') {
+                    return { status: 'conflict', board: mergedBoard };
+                }
+
+                if (wallResult.status === 'solved' && pathResult.status === 'solved') {
+                    const newLocks = [];
+                    for (let i = 0; i < SIZE * SIZE; i++) {
+                        if (wallResult.board[i] === pathResult.board[i]) continue;
+                        const r = Math.floor(i / SIZE);
+                        const c = i % SIZE;
+                        if (solution[r][c] === 1) {
+                            if (!locked[i]) newLocks.push(i);
+                        }
+                    }
+
+                    if (newLocks.length === 0) {
+                        if (depth > 0) return { status: 'solved', board: mergedBoard };
+                        // Both ways end with the same walls; follow one so the main line is complete
+                        adoptBranch(mergedBoard, wallResult.board, decisionIdx, depth, 'solved');
+                        continue;
+                    }
+
+                    let bestIdx = newLocks[0];
+                    let bestScore = -Infinity;
+                    for (const idx of newLocks) {
+                        const r = Math.floor(idx / SIZE);
+                        const c = idx % SIZE;
+                        const rowCounts = getRowCounts(mergedBoard, r);
+                        const colCounts = getColCounts(mergedBoard, c);
+                        const remainingRowWalls = rowCounts.target - rowCounts.walls;
+                        const remainingColWalls = colCounts.target - colCounts.walls;
+                        const score = remainingRowWalls + remainingColWalls;
+                        if (score > bestScore) {
+                            bestScore = score;
+                            bestIdx = idx;
+                        }
+                    }
+
+                    locked[bestIdx] = true;
+                    mergedBoard[bestIdx] = 1;
+                    const lockR = Math.floor(bestIdx / SIZE), lockC = bestIdx % SIZE;
+                    recordStep({
+                        message: `No direct deduction is left, and the board can still be finished more than one way. ${cellRef(lockR, lockC)} is taken from the solution as a wall.`,
+                        highlight: { type: 'cell', r: lockR, c: lockC },
+                        cells: [{ r: lockR, c: lockC }],
+                        shouldBe: 'wall',
+                        technique: 'lock'
+                    }, mergedBoard, depth);
+                    continue;
+                }
+
+                if (wallResult.status === 'conflict' && pathResult.status !== 'conflict') {
+                    adoptBranch(mergedBoard, pathResult.board, decisionIdx, depth);
+                    continue;
+                }
+                if (pathResult.status === 'conflict' && wallResult.status !== 'conflict') {
+                    adoptBranch(mergedBoard, wallResult.board, decisionIdx, depth);
+                    continue;
+                }
+
+                if (wallResult.status === 'solved' || pathResult.status === 'solved') {
+                    if (depth > 0) return { status: 'solved', board: mergedBoard };
+                    const solvedBoard = wallResult.status === 'solved' ? wallResult.board : pathResult.board;
+                    adoptBranch(mergedBoard, solvedBoard, decisionIdx, depth, 'solved');
+                    continue;
+                }
+
+                return { status: 'stuck', board: mergedBoard };
+            }
+        }
+
+        const result = solveWithForks(merged);
+        return { locked, status: result.status, board: result.board, guardExceeded: solverGuard.steps > solverGuard.maxSteps };
+    }
+
+    // Solve the puzzle from an empty board the way a player could, for the solve walkthrough.
+    // Returns {steps, solved}: each step is {hint, board} with the board after the hint
+    // (walls=1, paths=2, empty=0); solved is false if the techniques ran out early.
+    function tracePuzzleSolve() {
+        const trace = [];
+        const result = runPuzzleSolver({ startLocked: lockedWalls, trace });
+        return { steps: trace, solved: isValidAlternateSolution(result.board) };
+    }
+
+    // ============================================
+    // SOLUTION COUNTING
+    // ============================================
+    // Counts the boards that follow every rule - the ones isValidAlternateSolution accepts,
+    // with dead ends only at dead end nodes and the stockpile in a one-door vault - and agree with a partial board, the locked
+    // walls and the fixed paths. Unlike the solver it never relies on a deduction: every
+    // open cell is branched on, and a branch is dropped only once a broken rule shows up
+    // among the cells decided so far.
+
+    const SOLUTION_COUNT_MAX_STEPS = 200000;
+
+    // options.board: merged board to extend (walls=1, paths=2, empty=0), default empty
+    // options.locked: locked walls to use instead of lockedWalls
+    // options.cap: stop once this many solutions are found (default 2)
+    // Returns {count, exact, solutions, differingCells}. count is a lower bound unless
+    // exact; differingCells lists the {r, c} cells where the first two solutions disagree.
+    function countPuzzleSolutions(options = {}) {
+        const cap = options.cap || 2;
+        const locked = options.locked || lockedWalls;
+        const board = options.board ? options.board.slice() : Array(SIZE * SIZE).fill(0);
+        const solutions = [];
+        let steps = 0;
+        let outOfSteps = false;
+
+        // Locked walls and fixed paths are part of every solution
+        let clash = false;
+        for (let i = 0; i < SIZE * SIZE; i++) {
+            const r = Math.floor(i / SIZE), c = i % SIZE;
+            const fixed = locked[i] ? 1 : (isFixedPath(r, c) ? 2 : 0);
+            if (!fixed) continue;
+            if (board[i] !== 0 && board[i] !== fixed) clash = true;
+            board[i] = fixed;
+        }
+
+        function blockTouchesStockpile(r, c) {
+            return stockpilePos && stockpilePos.r >= r - 1 && stockpilePos.r <= r + 2 &&
+                stockpilePos.c >= c - 1 && stockpilePos.c <= c + 2;
+        }
+
+        // True if the decided paths can no longer all be joined through non-wall cells
+        function pathsSplit() {
+            const start = board.indexOf(2);
+            if (start === -1) return false;
+            const visited = new Set([start]);
+            const stack = [start];
+            while (stack.length > 0) {
+                const idx = stack.pop();
+                const r = Math.floor(idx / SIZE), c = idx % SIZE;
+                for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+                    const nr = r + dr, nc = c + dc;
+                    const nIdx = nr * SIZE + nc;
+                    if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE && board[nIdx] !== 1 && !visited.has(nIdx)) {
+                        visited.add(nIdx);
+                        stack.push(nIdx);
+                    }
+                }
+            }
+            return board.some((v, idx) => v === 2 && !visited.has(idx));
+        }
+
+        // Once all its neighbors are decided, a path cell must have exactly 3 walls around it
+        // if it is a dead end node and at most 2 otherwise
+        function breaksDeadEndRule(idx) {
+            if (board[idx] === 1) return false;
+            const r = Math.floor(idx / SIZE), c = idx % SIZE;
+            let walls = 0;
+            for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+                const nr = r + dr, nc = c + dc;
+                if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE || board[nr * SIZE + nc] === 1) walls++;
+            }
+            return isTargetDeadEnd(r, c) ? walls !== 3 : walls > 2;
+        }
+
+        // The stockpile must sit in a 3x3 path room walled in on 11 of its 12 sides
+        function hasSealedVault() {
+            const isWall = (r, c) => r < 0 || r >= SIZE || c < 0 || c >= SIZE || board[r * SIZE + c] === 1;
+            for (let roomR = Math.max(0, stockpilePos.r - 2); roomR <= Math.min(stockpilePos.r, SIZE - 3); roomR++) {
+                for (let roomC = Math.max(0, stockpilePos.c - 2); roomC <= Math.min(stockpilePos.c, SIZE - 3); roomC++) {
+                    let interiorClear = true;
+                    let wallCount = 0;
+                    for (let d = 0; d < 3; d++) {
+                        for (let e = 0; e < 3; e++) {
+                            if (isWall(roomR + d, roomC + e)) interiorClear = false;
+                        }
+                        if (isWall(roomR - 1, roomC + d)) wallCount++;
+                        if (isWall(roomR + 3, roomC + d)) wallCount++;
+                        if (isWall(roomR + d, roomC - 1)) wallCount++;
+                        if (isWall(roomR + d, roomC + 3)) wallCount++;
+                    }
+                    if (interiorClear && wallCount === 11) return true;
+                }
+            }
+            return false;
+        }
+
+        // Cells are decided in row-major order, so every check here only looks at cells up to i
+        // plus the preset ones, which are decided from the start
+        function breaksRulesAt(i) {
+            const r = Math.floor(i / SIZE), c = i % SIZE;
+            const row = getRowCounts(board, r);
+            if (row.walls > row.target || row.paths > row.expectedPaths) return true;
+            const col = getColCounts(board, c);
+            if (col.walls > col.target || col.paths > col.expectedPaths) return true;
+            if (r > 0 && c > 0 && [i, i - 1, i - SIZE, i - SIZE - 1].every(idx => board[idx] === 2) &&
+                !blockTouchesStockpile(r - 1, c - 1)) {
+                return true;
+            }
+            // Deciding i completes the neighborhood of the cell above it
+            if (r > 0 && breaksDeadEndRule(i - SIZE)) return true;
+            return c === SIZE - 1 && pathsSplit();
+        }
+
+        function search(i) {
+            if (i === SIZE * SIZE) {
+                let lastRowOk = true;
+                for (let idx = SIZE * (SIZE - 1); idx < SIZE * SIZE; idx++) {
+                    if (breaksDeadEndRule(idx)) lastRowOk = false;
+                }
+                if (lastRowOk && (!stockpilePos || hasSealedVault()) && isValidAlternateSolution(board)) {
+                    solutions.push(board.slice());
+                }
+                return;
+            }
+            if (board[i] !== 0) {
+                if (!breaksRulesAt(i)) search(i + 1);
+                return;
+            }
+            for (const value of [1, 2]) {
+                if (++steps > SOLUTION_COUNT_MAX_STEPS) {
+                    outOfSteps = true;
+                    break;
+                }
+                board[i] = value;
+                if (!breaksRulesAt(i)) search(i + 1);
+                if (solutions.length >= cap || outOfSteps) break;
+            }
+            board[i] = 0;
+        }
+
+        if (!clash) search(0);
+
+        const differingCells = [];
+        if (solutions.length >= 2) {
+            for (let i = 0; i < SIZE * SIZE; i++) {
+                if (solutions[0][i] !== solutions[1][i]) differingCells.push({ r: Math.floor(i / SIZE), c: i % SIZE });
+            }
+        }
+        return {
+            count: solutions.length,
+            exact: solutions.length < cap && !outOfSteps,
+            solutions,
+            differingCells
+        };
+    }
+
+    // Lock solution walls until no other solution is left, starting from the given locks.
+    // Each round locks a wall that the other solution found leaves open, ruling it out.
+    function addLocksUntilUnique(startLocked) {
+        const locked = startLocked.slice();
+        const isSolutionWall = (i) => solution[Math.floor(i / SIZE)][i % SIZE] === 1;
+        while (true) {
+            const { solutions } = countPuzzleSolutions({ locked, cap: 2 });
+            const other = solutions.find(board => board.some((v, i) => (v === 1) !== isSolutionWall(i)));
+            // Row counts match, so another solution always leaves one of our walls open
+            if (!other) return locked;
+            locked[other.findIndex((v, i) => v !== 1 && isSolutionWall(i))] = true;
+        }
+    }
+
+    // ============================================
+    // DIFFICULTY GRADING
+    // ============================================
+    // Grades a puzzle by replaying the solver from its locked walls. Simple counting
+    // deductions scale with board area, so only the harder techniques and forks score.
+
+    const DIFFICULTY_LEVEL_POINTS = { 3: 2, 4: 4, 5: 7 };
+    const DIFFICULTY_FORK_POINTS = 2;
+    const DIFFICULTY_DEPTH_POINTS = 10;
+    const DIFFICULTY_TIERS = [
+        { id: 'easy', name: 'Easy', minScore: 0 },
+        { id: 'medium', name: 'Medium', minScore: 3 },
+        { id: 'hard', name: 'Hard', minScore: 12 },
+        { id: 'expert', name: 'Expert', minScore: 30 }
+    ];
+
+    function getDifficultyTier(score) {
+        let tier = DIFFICULTY_TIERS[0];
+        for (const t of DIFFICULTY_TIERS) {
+            if (score >= t.minScore) tier = t;
+        }
+        return tier;
+    }
+
+    // Returns {score, tier, techniques, forks, maxForkDepth, solved} for the current puzzle
+    function gradePuzzleDifficulty() {
+        const stats = { techniques: {}, forks: 0, maxForkDepth: 0 };
+        const result = runPuzzleSolver({ startLocked: lockedWalls, stats });
+
+        let score = stats.forks * DIFFICULTY_FORK_POINTS + stats.maxForkDepth * DIFFICULTY_DEPTH_POINTS;
+        for (const { level, count } of Object.values(stats.techniques)) {
+            score += (DIFFICULTY_LEVEL_POINTS[level] || 0) * count;
+        }
+
+        return {
+            score,
+            tier: getDifficultyTier(score),
+            techniques: stats.techniques,
+            forks: stats.forks,
+            maxForkDepth: stats.maxForkDepth,
+            // False when the solver gave up or contradicted itself; the score is then a lower bound
+            solved: result.status === 'solved'
+        };
+    }
+
+    const DIFFICULTY_SEARCH_BUDGET_MS = 1500;
+
+    // Sample random seeds until one grades at the requested tier ('any' takes the first).
+    // Once the time budget runs out the closest candidate is used, so generation never
+    // stalls on a size that rarely produces the tier (e.g. Expert 4x4).
+    // Returns {seed, difficulty}; the puzzle state is left on that seed.
+    function generatePuzzleForDifficulty(tierId) {
+        const targetIndex = DIFFICULTY_TIERS.findIndex(t => t.id === tierId);
+        if (targetIndex < 0) {
+            const seed = generateSeed();
+            return { seed, difficulty: buildPuzzle(seed) };
+        }
+
+        const deadline = Date.now() + DIFFICULTY_SEARCH_BUDGET_MS;
+        let best = null;
+        let lastSeed = null;
+        do {
+            lastSeed = generateSeed();
+            const difficulty = buildPuzzle(lastSeed);
+            const tierIndex = DIFFICULTY_TIERS.findIndex(t => t.id === difficulty.tier.id);
+            if (tierIndex === targetIndex && difficulty.solved) return { seed: lastSeed, difficulty };
+
+            // Unresolved grades are only lower bounds, so rank them behind exact ones
+            const distance = Math.abs(tierIndex - targetIndex) + (difficulty.solved ? 0 : 0.5);
+            if (!best || distance < best.distance) best = { seed: lastSeed, difficulty, distance };
+        } while (Date.now() < deadline);
+
+        // Generation is deterministic per seed, so the best candidate can be rebuilt
+        if (best.seed !== lastSeed) buildPuzzle(best.seed);
+        return { seed: best.seed, difficulty: best.difficulty };
+    }
+
+    // ============================================
+    // HINT SYSTEM HELPER FUNCTIONS
+
+    // Find empty cells in a row, optionally excluding cells adjacent to a given position
+    function findEmptyCellsInRow(merged, r, excludeAdjacentTo = null) {
+        const emptyCells = [];
+        for (let c = 0; c < SIZE; c++) {
+            if (excludeAdjacentTo && Math.abs(c - excludeAdjacentTo.c) <= 1) continue;
+            const idx = r * SIZE + c;
+            if (merged[idx] === 0 && !isFixedPath(r, c)) {
+                emptyCells.push({ r, c });
+            }
+        }
+        return emptyCells;
+    }
+
+    // Find empty cells in a column, optionally excluding cells adjacent to a given position
+    function findEmptyCellsInCol(merged, c, excludeAdjacentTo = null) {
+        const emptyCells = [];
+        for (let r = 0; r < SIZE; r++) {
+            if (excludeAdjacentTo && Math.abs(r - excludeAdjacentTo.r) <= 1) continue;
+            const idx = r * SIZE + c;
+            if (merged[idx] === 0 && !isFixedPath(r, c)) {
+                emptyCells.push({ r, c });
+            }
+        }
+        return emptyCells;
+    }
+
+    // Get perpendicular cells to a position (above/below for rows, left/right for columns)
+    // Returns array of {r, c, isEmpty} objects for cells that can be checked
+    function getPerpendicularCells(merged, r, c, direction) {
+        const cells = [];
+        if (direction === 'row') {
+            // For rows, perpendicular means above and below
+            if (r > 0) {
+                const idx = (r - 1) * SIZE + c;
+                cells.push({ r: r - 1, c, isEmpty: merged[idx] === 0 && !isFixedPath(r - 1, c) });
+            }
+            if (r < SIZE - 1) {
+                const idx = (r + 1) * SIZE + c;
+                cells.push({ r: r + 1, c, isEmpty: merged[idx] === 0 && !isFixedPath(r + 1, c) });
+            }
+        } else {
+            // For columns, perpendicular means left and right
+            if (c > 0) {
+                const idx = r * SIZE + (c - 1);
+                cells.push({ r, c: c - 1, isEmpty: merged[idx] === 0 && !isFixedPath(r, c - 1) });
+            }
+            if (c < SIZE - 1) {
+                const idx = r * SIZE + (c + 1);
+                cells.push({ r, c: c + 1, isEmpty: merged[idx] === 0 && !isFixedPath(r, c + 1) });
+            }
+        }
+        return cells;
+    }
+
+    // Create a hint object with standardized structure and forCell filtering
+    function createHintObject(cells, shouldBe, message, highlight, forCell = null) {
+        if (!cells || cells.length === 0) return null;
+        
+        // If forCell is specified, check if any cell matches
+        if (forCell) {
+            const matches = cells.some(cell => cell.r === forCell.r && cell.c === forCell.c);
+            if (!matches) return null;
+        }
+        
+        return {
+            message,
+            highlight,
+            cells,
+            shouldBe
+        };
+    }
+
+    // Generic function to check a row or column for hints
+    // isRow: true for rows, false for columns
+    // index: row number or column number
+    // checkFn: callback(counts, emptyCells, isRow, index) that returns hint object or null
+    function checkRowColForHint(merged, isRow, index, checkFn, forCell = null) {
+        const counts = isRow ? getRowCounts(merged, index) : getColCounts(merged, index);
+        const emptyCells = isRow 
+            ? findEmptyCellsInRow(merged, index)
+            : findEmptyCellsInCol(merged, index);
+        
+        if (emptyCells.length === 0) return null;
+        
+        const hint = checkFn(counts, emptyCells, isRow, index);
+        if (!hint) return null;
+        
+        // Apply forCell filtering if specified
+        if (forCell) {
+            const matches = emptyCells.some(ec => ec.r === forCell.r && ec.c === forCell.c);
+            if (!matches) return null;
+        }
+        
+        return hint;
+    }
+
+    // Count neighbors of a cell (walls, paths, empty cells)
+    // Returns { wallCount, pathCount, emptyCount, emptyCells, wallCells, pathCells }
+    // emptyCells, wallCells, pathCells are arrays of {r, c} objects
+    function countNeighbors(merged, r, c, treatEdgesAsWalls = true) {
+        let wallCount = 0;
+        let pathCount = 0;
+        let emptyCount = 0;
+        const emptyCells = [];
+        const wallCells = [];
+        const pathCells = [];
+
+        for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+            const nr = r + dr, nc = c + dc;
+            if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) {
+                if (treatEdgesAsWalls) {
+                    wallCount++;
+                }
+                continue;
+            }
+            const nIdx = nr * SIZE + nc;
+            if (merged[nIdx] === 1) {
+                wallCount++;
+                wallCells.push({ r: nr, c: nc });
+            } else if (merged[nIdx] === 2 || isFixedPath(nr, nc)) {
+                pathCount++;
+                pathCells.push({ r: nr, c: nc });
+            } else {
+                emptyCount++;
+                emptyCells.push({ r: nr, c: nc });
+            }
+        }
+
+        return { wallCount, pathCount, emptyCount, emptyCells, wallCells, pathCells };
+    }
+
+    // Generic function to iterate all cells and collect hints with forCell support
+    // checkFn: callback(merged, r, c) that returns hint object or null
+    // Returns the first hint that matches forCell, or the best candidate if no forCell
+    function iterateAllCellsForHint(merged, checkFn, forCell = null, bestSelector = null) {
+        const candidates = [];
+        
+        for (let r = 0; r < SIZE; r++) {
+            for (let c = 0; c < SIZE; c++) {
+                const hint = checkFn(merged, r, c);
+                if (!hint) continue;
+                
+                // If forCell is specified, check if hint includes that cell
+                if (forCell && hint.cells) {
+                    const matches = hint.cells.some(cell => cell.r === forCell.r && cell.c === forCell.c);
+                    if (matches) return hint;
+                }
+                
+                candidates.push(hint);
+            }
+        }
+        
+        if (forCell) return null;
+        if (candidates.length === 0) return null;
+        
+        // Use bestSelector if provided, otherwise return first
+        if (bestSelector) {
+            return candidates.reduce(bestSelector);
+        }
+        return candidates[0];
+    }
+
+    // HINT SYSTEM
+    // ============================================
+
+    // Count walls and paths in a row
+    function getRowCounts(merged, r) {
+        let walls = 0, paths = 0;
+        for (let c = 0; c < SIZE; c++) {
+            const idx = r * SIZE + c;
+            if (merged[idx] === 1) walls++;
+            else if (merged[idx] === 2 || isFixedPath(r, c)) paths++;
+        }
+        return { walls, paths, target: targets.r[r], expectedPaths: SIZE - targets.r[r] };
+    }
+
+    // Count walls and paths in a column
+    function getColCounts(merged, c) {
+        let walls = 0, paths = 0;
+        for (let r = 0; r < SIZE; r++) {
+            const idx = r * SIZE + c;
+            if (merged[idx] === 1) walls++;
+            else if (merged[idx] === 2 || isFixedPath(r, c)) paths++;
+        }
+        return { walls, paths, target: targets.c[c], expectedPaths: SIZE - targets.c[c] };
+    }
+
+    // Check if current board state has any mistakes compared to solution
+    // Returns the first mistake found (wall where path should be, or path where wall should be)
+    function findMistake(merged) {
+        for (let r = 0; r < SIZE; r++) {
+            for (let c = 0; c < SIZE; c++) {
+                const idx = r * SIZE + c;
+                const playerState = merged[idx]; // 0=empty, 1=wall, 2=path
+                const solutionIsWall = solution[r][c] === 1;
+
+                // Player placed a wall where solution has a path
+                if (playerState === 1 && !solutionIsWall) {
+                    return { type: 'cell', r, c, mistake: 'wall-on-path' };
+                }
+                // Player placed a path where solution has a wall
+                if (playerState === 2 && solutionIsWall) {
+                    return { type: 'cell', r, c, mistake: 'path-on-wall' };
+                }
+            }
+        }
+        return null;
+    }
+
+    // Check for 2x2 areas with 3 paths (the 4th must be a wall)
+    // Skip areas near the data cache (stockpile) since 2x2 paths are allowed there
+    function find2x2With3Paths(merged) {
+        for (let r = 0; r < SIZE - 1; r++) {
+            for (let c = 0; c < SIZE - 1; c++) {
+                const corners = [
+                    { r, c, idx: r * SIZE + c },
+                    { r, c: c + 1, idx: r * SIZE + c + 1 },
+                    { r: r + 1, c, idx: (r + 1) * SIZE + c },
+                    { r: r + 1, c: c + 1, idx: (r + 1) * SIZE + c + 1 }
+                ];
+
+                // Skip if any corner is near the stockpile
+                if (stockpilePos) {
+                    let nearStockpile = false;
+                    for (const corner of corners) {
+                        const dr = Math.abs(corner.r - stockpilePos.r);
+                        const dc = Math.abs(corner.c - stockpilePos.c);
+                        if (dr <= 1 && dc <= 1) {
+                            nearStockpile = true;
+                            break;
+                        }
+                    }
+                    if (nearStockpile) continue;
+                }
+
+                let pathCount = 0;
+                let emptyCell = null;
+
+                for (const corner of corners) {
+                    if (merged[corner.idx] === 2 || isFixedPath(corner.r, corner.c)) {
+                        pathCount++;
+                    } else if (merged[corner.idx] === 0) {
+                        emptyCell = corner;
+                    }
+                }
+
+                if (pathCount === 3 && emptyCell) {
+                    return { r: emptyCell.r, c: emptyCell.c };
+                }
+            }
+        }
+        return null;
+    }
+
+    // Check if a cell is part of a 2x2 path block
+    function isIn2x2PathBlock(merged, r, c) {
+        // Check all 2x2 squares that include this cell
+        for (const [dr, dc] of [[0, 0], [0, -1], [-1, 0], [-1, -1]]) {
+            const topR = r + dr, topC = c + dc;
+            if (topR < 0 || topR + 1 >= SIZE || topC < 0 || topC + 1 >= SIZE) continue;
+
+            let allPaths = true;
+            for (const [rr, cc] of [[0, 0], [0, 1], [1, 0], [1, 1]]) {
+                const checkR = topR + rr, checkC = topC + cc;
+                const idx = checkR * SIZE + checkC;
+                // Path if merged[idx] === 2 OR it's a fixed path (dead end/stockpile)
+                if (merged[idx] !== 2 && !isFixedPath(checkR, checkC)) {
+                    allPaths = false;
+                    break;
+                }
+            }
+            if (allPaths) return true;
+        }
+        return false;
+    }
+
+    // Check if a dead end has multiple paths connected to it
+    function deadEndHasMultiplePaths(merged, r, c) {
+        if (!isTargetDeadEnd(r, c)) return false;
+
+        let pathCount = 0;
+        for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+            const nr = r + dr, nc = c + dc;
+            if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) continue;
+            const nIdx = nr * SIZE + nc;
+            // Count paths (merged === 2) or other fixed paths (dead ends, stockpile)
+            if (merged[nIdx] === 2 || isFixedPath(nr, nc)) {
+                pathCount++;
+            }
+        }
+        return pathCount > 1;
+    }
+
+    // Check if a path cell is an invalid dead end (surrounded by 3 walls but not a target dead end)
+    function isInvalidDeadEnd(merged, r, c) {
+        // Must be a path (user-placed or fixed path like stockpile)
+        const idx = r * SIZE + c;
+        if (merged[idx] !== 2 && !isFixedPath(r, c)) return false;
+
+        // Skip if it's a target dead end (those are supposed to have 3 walls)
+        if (isTargetDeadEnd(r, c)) return false;
+
+        // Count walls around this cell
+        let wallCount = 0;
+        for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+            const nr = r + dr, nc = c + dc;
+            if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) {
+                wallCount++; // Edge counts as wall
+            } else if (merged[nr * SIZE + nc] === 1) {
+                wallCount++;
+            }
+        }
+
+        return wallCount >= 3;
+    }
+
+    // Check if a mistake is "obvious" - returns type of obviousness
+    function getMistakeObviousness(merged, r, c) {
+        const { walls: rowWalls, target: rowTarget } = getRowCounts(merged, r);
+        const { paths: rowPaths, expectedPaths: rowExpectedPaths } = getRowCounts(merged, r);
+        const { walls: colWalls, target: colTarget } = getColCounts(merged, c);
+        const { paths: colPaths, expectedPaths: colExpectedPaths } = getColCounts(merged, c);
+
+        // Check for row/col count violations (pulsing red)
+        if (rowWalls > rowTarget) return { type: 'row-walls', index: r };
+        if (rowPaths > rowExpectedPaths) return { type: 'row-paths', index: r };
+        if (colWalls > colTarget) return { type: 'col-walls', index: c };
+        if (colPaths > colExpectedPaths) return { type: 'col-paths', index: c };
+
+        // Check for 2x2 path block
+        if (isIn2x2PathBlock(merged, r, c)) return { type: '2x2' };
+
+        // Check if mistake is adjacent to a dead end with multiple paths
+        for (const [dr, dc] of [[0, 0], [0, 1], [0, -1], [1, 0], [-1, 0]]) {
+            const nr = r + dr, nc = c + dc;
+            if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) continue;
+            if (deadEndHasMultiplePaths(merged, nr, nc)) {
+                return { type: 'dead-end-multiple', r: nr, c: nc };
+            }
+        }
+
+        return null;
+    }
+
+    // Format a list of cell references with proper grammar
+    // 1 cell: "A1"
+    // 2 cells: "A1 and B2"
+    // 3+ cells: "A1, B2, and C3" (Oxford comma)
+    function formatCellList(cells) {
+        const refs = cells.map(cell => cellRef(cell.r, cell.c));
+        if (refs.length === 1) return refs[0];
+        if (refs.length === 2) return `${refs[0]} and ${refs[1]}`;
+        return refs.slice(0, -1).join(', ') + ', and ' + refs[refs.length - 1];
+    }
+
+    // Find any invalid dead end on the board (path boxed in by 3+ walls that isn't a target dead end)
+    function findInvalidDeadEnd(merged) {
+        for (let r = 0; r < SIZE; r++) {
+            for (let c = 0; c < SIZE; c++) {
+                if (isInvalidDeadEnd(merged, r, c)) {
+                    return { r, c };
+                }
+            }
+        }
+        return null;
+    }
+
+    // Hint 1: Check for mistakes against solution
+    // If onlyObvious is true, only report mistakes that are obviously wrong (e.g., row/col overflow)
+    function hintCheckMistakes(merged, onlyObvious = false) {
+        // First check for invalid dead ends (structural error, doesn't need findMistake)
+        const invalidDeadEnd = findInvalidDeadEnd(merged);
+        if (invalidDeadEnd) {
+            return {
+                message: `The path at ${cellRef(invalidDeadEnd.r, invalidDeadEnd.c)} is boxed in by walls but isn't a dead end node. It needs another exit.`,
+                highlight: { type: 'cell', r: invalidDeadEnd.r, c: invalidDeadEnd.c }
+            };
+        }
+
+        const mistake = findMistake(merged);
+        if (mistake) {
+            const obvious = getMistakeObviousness(merged, mistake.r, mistake.c);
+
+            if (obvious) {
+                // Indicate general area, not exact cell
+                if (obvious.type === 'row-walls') {
+                    return {
+                        message: `Row ${rowToNumber(obvious.index)} has too many walls.`,
+                        highlight: { type: 'row', index: obvious.index }
+                    };
+                } else if (obvious.type === 'row-paths') {
+                    return {
+                        message: `Row ${rowToNumber(obvious.index)} has too many paths.`,
+                        highlight: { type: 'row', index: obvious.index }
+                    };
+                } else if (obvious.type === 'col-walls') {
+                    return {
+                        message: `Column ${colToLetter(obvious.index)} has too many walls.`,
+                        highlight: { type: 'col', index: obvious.index }
+                    };
+                } else if (obvious.type === 'col-paths') {
+                    return {
+                        message: `Column ${colToLetter(obvious.index)} has too many paths.`,
+                        highlight: { type: 'col', index: obvious.index }
+                    };
+                } else if (obvious.type === '2x2') {
+                    return {
+                        message: `There's a 2×2 block of paths. One of them should be a wall.`,
+                        highlight: null
+                    };
+                } else if (obvious.type === 'dead-end-multiple') {
+                    return {
+                        message: `The dead end at ${cellRef(obvious.r, obvious.c)} has multiple paths connected to it. Dead ends should only have one path.`,
+                        highlight: { type: 'cell', r: obvious.r, c: obvious.c }
+                    };
+                }
+            }
+
+            // Non-obvious mistake - only report if not in onlyObvious mode
+            if (!onlyObvious) {
+                return {
+                    message: `There's a mistake somewhere on the board. Review your work carefully.`,
+                    highlight: null
+                };
+            }
+        }
+        return null;
+    }
+
+    // Hint: Trivial rows/columns (0 or SIZE walls) should be filled first
+    // These are the easiest deductions and should be suggested early
+    function hintTrivialRowCol(merged, forCell = null) {
+        const candidates = [];
+
+        // Check function for trivial cases
+        function checkTrivial(counts, emptyCells, isRow, index) {
+            const { walls, paths, target } = counts;
+            if (emptyCells.length === 0) return null;
+
+            // Only handle trivial cases: target is 0 or SIZE
+            if (target === 0 && walls === 0) {
+                const lineName = isRow ? `Row ${rowToNumber(index)}` : `Column ${colToLetter(index)}`;
+                return {
+                    message: `${lineName} needs 0 walls, so all cells must be paths.`,
+                    highlight: isRow ? { type: 'row', index } : { type: 'col', index },
+                    cells: emptyCells, shouldBe: 'path'
+                };
+            } else if (target === SIZE && paths === 0) {
+                const lineName = isRow ? `Row ${rowToNumber(index)}` : `Column ${colToLetter(index)}`;
+                return {
+                    message: `${lineName} needs ${SIZE} walls, so all cells must be walls.`,
+                    highlight: isRow ? { type: 'row', index } : { type: 'col', index },
+                    cells: emptyCells, shouldBe: 'wall'
+                };
+            }
+            return null;
+            }
+
+        // Check rows
+        for (let r = 0; r < SIZE; r++) {
+            const hint = checkRowColForHint(merged, true, r, (counts, emptyCells) => 
+                checkTrivial(counts, emptyCells, true, r), forCell);
+            if (hint) {
+                if (forCell) return hint;
+                candidates.push(hint);
+            }
+        }
+
+        // Check columns
+        for (let c = 0; c < SIZE; c++) {
+            const hint = checkRowColForHint(merged, false, c, (counts, emptyCells) => 
+                checkTrivial(counts, emptyCells, false, c), forCell);
+            if (hint) {
+                if (forCell) return hint;
+                candidates.push(hint);
+            }
+        }
+
+        if (forCell) return null;
+        if (candidates.length === 0) return null;
+        return candidates.reduce((best, curr) => curr.cells.length > best.cells.length ? curr : best);
+    }
+
+    // Hint 2: Row or column can be finished (walls or paths complete)
+    function hintRowColComplete(merged, forCell = null) {
+        // Collect all possible hints and return the one with the most cells
+        const candidates = [];
+
+        // Check function for completion cases
+        function checkComplete(counts, emptyCells, isRow, index) {
+            const { walls, paths, target, expectedPaths } = counts;
+            if (emptyCells.length === 0) return null;
+
+            const lineName = isRow ? `Row ${rowToNumber(index)}` : `Column ${colToLetter(index)}`;
+            let hint = null;
+
+            if (walls === target) {
+                const pathMessage = emptyCells.length === 1 ? 'The remaining cell must be a path' : 'The remaining cells must all be paths';
+                hint = {
+                    message: `${lineName} has all its walls. ${pathMessage}.`,
+                    highlight: isRow ? { type: 'row', index } : { type: 'col', index },
+                    cells: emptyCells, shouldBe: 'path'
+                };
+            } else if (paths === expectedPaths) {
+                const wallMessage = emptyCells.length === 1 ? 'The remaining cell must be a wall' : 'The remaining cells must all be walls';
+                hint = {
+                    message: `${lineName} has all its paths. ${wallMessage}.`,
+                    highlight: isRow ? { type: 'row', index } : { type: 'col', index },
+                    cells: emptyCells, shouldBe: 'wall'
+                };
+            }
+
+                    return hint;
+                }
+
+        // Check rows
+        for (let r = 0; r < SIZE; r++) {
+            const hint = checkRowColForHint(merged, true, r, (counts, emptyCells) => 
+                checkComplete(counts, emptyCells, true, r), forCell);
+            if (hint) {
+                if (forCell) return hint;
+                candidates.push(hint);
+            }
+        }
+
+        // Check columns
+        for (let c = 0; c < SIZE; c++) {
+            const hint = checkRowColForHint(merged, false, c, (counts, emptyCells) => 
+                checkComplete(counts, emptyCells, false, c), forCell);
+            if (hint) {
+                if (forCell) return hint;
+                candidates.push(hint);
+            }
+        }
+
+        // Return the hint with the most cells
+        if (forCell) return null;
+        if (candidates.length === 0) return null;
+        return candidates.reduce((best, curr) => curr.cells.length > best.cells.length ? curr : best);
+    }
+
+    // Hint 3: Dead end can be finished (has 1 path or 3 walls around it)
+    function hintDeadEndCanBeFinished(merged, forCell = null) {
+        function checkDeadEnd(merged, r, c) {
+            if (!isTargetDeadEnd(r, c)) return null;
+
+            const { pathCount, wallCount, emptyCount, emptyCells } = countNeighbors(merged, r, c);
+
+                // Dead end has exactly 1 path - remaining empty neighbors must be walls
+                if (pathCount === 1 && emptyCount > 0) {
+                    const cellList = formatCellList(emptyCells);
+                    const cellWord = emptyCount === 1 ? 'Cell' : 'Cells';
+                    const wallWord = emptyCount === 1 ? 'a wall' : 'walls';
+                    const mustWord = emptyCount === 1 ? 'must' : emptyCount == 2 ? 'must both' : 'must all';
+                return {
+                        message: `${cellWord} ${cellList} ${mustWord} be ${wallWord} to complete the dead end at ${cellRef(r, c)}.`,
+                        highlight: emptyCount === 1
+                            ? { type: 'cell', r: emptyCells[0].r, c: emptyCells[0].c }
+                            : { type: 'cells', cells: emptyCells },
+                        cells: emptyCells, shouldBe: 'wall'
+                    };
+                }
+
+                // Dead end has 3 walls - the remaining empty neighbor must be a path
+                if (wallCount === 3 && emptyCount === 1 && pathCount === 0) {
+                    const cell = emptyCells[0];
+                return {
+                        message: `Cell ${cellRef(cell.r, cell.c)} must be a path to complete the dead end at ${cellRef(r, c)}.`,
+                        highlight: { type: 'cell', r: cell.r, c: cell.c },
+                        cells: [cell], shouldBe: 'path'
+                    };
+                }
+
+            return null;
+        }
+
+        return iterateAllCellsForHint(merged, checkDeadEnd, forCell, 
+            (best, curr) => curr.cells.length > best.cells.length ? curr : best);
+    }
+    // Hint 4: Data cache vault constraints - some cells are guaranteed to be in the vault
+    // Based on edges, walls, AND row/column wall requirements, we can determine which vault positions are valid
+    function hintCacheNearEdge(merged) {
+        // Check if there's a stockpile (data cache)
+        if (!stockpilePos) return null;
+
+        const cacheR = stockpilePos.r;
+        const cacheC = stockpilePos.c;
+
+        // Check if a 3x3 vault position is valid
+        function isValidVaultPosition(vr, vc) {
+            // Must be within grid
+            if (vr < 0 || vr + 2 >= SIZE || vc < 0 || vc + 2 >= SIZE) return false;
+
+            // Must contain the cache
+            if (cacheR < vr || cacheR > vr + 2 || cacheC < vc || cacheC > vc + 2) return false;
+
+            // Must not have any walls inside the 3x3 area
+            for (let dr = 0; dr < 3; dr++) {
+                for (let dc = 0; dc < 3; dc++) {
+                    const idx = (vr + dr) * SIZE + (vc + dc);
+                    if (merged[idx] === 1) return false; // Wall inside vault
+                }
+            }
+
+            // Check if any row in the vault requires too many walls to fit outside the vault
+            // If vault is here, these 3 columns must be paths in this row
+            // So all remaining walls must fit in the other SIZE-3 columns
+            for (let dr = 0; dr < 3; dr++) {
+                const r = vr + dr;
+                const { target: rowTarget } = getRowCounts(merged, r);
+                // Count walls already placed outside the vault columns
+                // Count empty cells outside the vault columns (where walls could still go)
+                let wallsOutside = 0;
+                let emptyOutside = 0;
+                for (let c = 0; c < SIZE; c++) {
+                    if (c >= vc && c <= vc + 2) continue; // Skip vault columns
+                    const idx = r * SIZE + c;
+                    if (merged[idx] === 1) wallsOutside++;
+                    else if (merged[idx] === 0 && !isFixedPath(r, c)) emptyOutside++;
+                }
+                // If walls needed > walls we have + empty cells outside vault, can't fit
+                if (rowTarget > wallsOutside + emptyOutside) return false;
+            }
+
+            // Same check for columns
+            for (let dc = 0; dc < 3; dc++) {
+                const c = vc + dc;
+                const { target: colTarget } = getColCounts(merged, c);
+                let wallsOutside = 0;
+                let emptyOutside = 0;
+                for (let r = 0; r < SIZE; r++) {
+                    if (r >= vr && r <= vr + 2) continue; // Skip vault rows
+                    const idx = r * SIZE + c;
+                    if (merged[idx] === 1) wallsOutside++;
+                    else if (merged[idx] === 0 && !isFixedPath(r, c)) emptyOutside++;
+                }
+                if (colTarget > wallsOutside + emptyOutside) return false;
+            }
+
+            return true;
+        }
+
+        // Find all valid vault positions
+        const validVaults = [];
+        for (let vr = Math.max(0, cacheR - 2); vr <= Math.min(SIZE - 3, cacheR); vr++) {
+            for (let vc = Math.max(0, cacheC - 2); vc <= Math.min(SIZE - 3, cacheC); vc++) {
+                if (isValidVaultPosition(vr, vc)) {
+                    validVaults.push({ r: vr, c: vc });
+                }
+            }
+        }
+
+        if (validVaults.length === 0) return null; // No valid vaults (shouldn't happen in valid puzzle)
+
+        // Find cells that are in ALL valid vault positions
+        const guaranteedPaths = [];
+
+        for (let r = 0; r < SIZE; r++) {
+            for (let c = 0; c < SIZE; c++) {
+                // Check if this cell is in every valid vault
+                let inAllVaults = true;
+
+                for (const vault of validVaults) {
+                    if (r < vault.r || r > vault.r + 2 || c < vault.c || c > vault.c + 2) {
+                        inAllVaults = false;
+                        break;
+                    }
+                }
+
+                if (inAllVaults) {
+                    const idx = r * SIZE + c;
+                    // Only suggest if cell is empty (not already a path or wall)
+                    if (merged[idx] === 0 && !isFixedPath(r, c)) {
+                        guaranteedPaths.push({ r, c });
+                    }
+                }
+            }
+        }
+
+        if (guaranteedPaths.length === 0) return null;
+
+        // Return hint for the guaranteed path cells
+        if (guaranteedPaths.length === 1) {
+            const cell = guaranteedPaths[0];
+            return {
+                message: `Cell ${cellRef(cell.r, cell.c)} must be a path. Any valid vault containing the data cache must include this cell.`,
+                highlight: { type: 'cell', r: cell.r, c: cell.c },
+                cells: guaranteedPaths, shouldBe: 'path'
+            };
+        } else {
+            const cellList = formatCellList(guaranteedPaths);
+            return {
+                message: `Cells ${cellList} must be paths. Any valid vault containing the data cache must include these cells.`,
+                highlight: { type: 'cells', cells: guaranteedPaths },
+                cells: guaranteedPaths, shouldBe: 'path'
+            };
+        }
+    }
+
+    // Hint: If only one vault position is valid and some interior cells are empty, they must be paths
+    // This handles cases where paths around the stockpile constrain the vault to a single position
+    function hintVaultInteriorMustBePath(merged) {
+        if (!stockpilePos) return null;
+
+        const cacheR = stockpilePos.r;
+        const cacheC = stockpilePos.c;
+
+        // Check if a 3x3 vault position is valid (no walls inside, at most 1 door, row/col constraints satisfied)
+        function isValidVaultPosition(vr, vc) {
+            // Must be within grid
+            if (vr < 0 || vr + 2 >= SIZE || vc < 0 || vc + 2 >= SIZE) return false;
+
+            // Must contain the stockpile
+            if (cacheR < vr || cacheR > vr + 2 || cacheC < vc || cacheC > vc + 2) return false;
+
+            // Check no walls inside the 3x3
+            for (let dr = 0; dr < 3; dr++) {
+                for (let dc = 0; dc < 3; dc++) {
+                    const idx = (vr + dr) * SIZE + (vc + dc);
+                    if (merged[idx] === 1) return false;
+                }
+            }
+
+            // Count paths on the perimeter (doors) - vault can only have 1 door
+            let doorCount = 0;
+            const checkPerimeter = (pr, pc) => {
+                if (pr < 0 || pr >= SIZE || pc < 0 || pc >= SIZE) return;
+                const pIdx = pr * SIZE + pc;
+                if (merged[pIdx] === 2 || isFixedPath(pr, pc)) doorCount++;
+            };
+            // Top perimeter
+            if (vr > 0) for (let dc = 0; dc < 3; dc++) checkPerimeter(vr - 1, vc + dc);
+            // Bottom perimeter
+            if (vr + 3 < SIZE) for (let dc = 0; dc < 3; dc++) checkPerimeter(vr + 3, vc + dc);
+            // Left perimeter
+            if (vc > 0) for (let dr = 0; dr < 3; dr++) checkPerimeter(vr + dr, vc - 1);
+            // Right perimeter
+            if (vc + 3 < SIZE) for (let dr = 0; dr < 3; dr++) checkPerimeter(vr + dr, vc + 3);
+
+            if (doorCount > 1) return false; // Too many doors
+
+            // Check row constraints
+            for (let dr = 0; dr < 3; dr++) {
+                const r = vr + dr;
+                const { target: rowTarget } = getRowCounts(merged, r);
+                let wallsOutside = 0, emptyOutside = 0;
+                for (let c = 0; c < SIZE; c++) {
+                    if (c >= vc && c <= vc + 2) continue;
+                    const idx = r * SIZE + c;
+                    if (merged[idx] === 1) wallsOutside++;
+                    else if (merged[idx] === 0 && !isFixedPath(r, c)) emptyOutside++;
+                }
+                if (rowTarget > wallsOutside + emptyOutside) return false;
+            }
+
+            // Check column constraints
+            for (let dc = 0; dc < 3; dc++) {
+                const c = vc + dc;
+                const { target: colTarget } = getColCounts(merged, c);
+                let wallsOutside = 0, emptyOutside = 0;
+                for (let r = 0; r < SIZE; r++) {
+                    if (r >= vr && r <= vr + 2) continue;
+                    const idx = r * SIZE + c;
+                    if (merged[idx] === 1) wallsOutside++;
+                    else if (merged[idx] === 0 && !isFixedPath(r, c)) emptyOutside++;
+                }
+                if (colTarget > wallsOutside + emptyOutside) return false;
+            }
+
+            return true;
+        }
+
+        // Find all valid vault positions
+        const validVaults = [];
+        for (let vr = Math.max(0, cacheR - 2); vr <= Math.min(SIZE - 3, cacheR); vr++) {
+            for (let vc = Math.max(0, cacheC - 2); vc <= Math.min(SIZE - 3, cacheC); vc++) {
+                if (isValidVaultPosition(vr, vc)) {
+                    validVaults.push({ r: vr, c: vc });
+                }
+            }
+        }
+
+        if (validVaults.length !== 1) return null; // Only applies when exactly one vault position is valid
+
+        const vault = validVaults[0];
+
+        // Find empty cells inside this vault that must be paths
+        const emptyInterior = [];
+        for (let dr = 0; dr < 3; dr++) {
+            for (let dc = 0; dc < 3; dc++) {
+                const r = vault.r + dr, c = vault.c + dc;
+                const idx = r * SIZE + c;
+                if (merged[idx] === 0 && !isFixedPath(r, c)) {
+                    emptyInterior.push({ r, c });
+                }
+            }
+        }
+
+        if (emptyInterior.length === 0) return null;
+
+        if (emptyInterior.length === 1) {
+            const cell = emptyInterior[0];
+            return {
+                message: `Cell ${cellRef(cell.r, cell.c)} must be paths within the vault. This is the only valid vault position, so all interior cells must be paths.`,
+                highlight: { type: 'cell', r: cell.r, c: cell.c },
+                cells: emptyInterior, shouldBe: 'path'
+            };
+        } else {
+            const cellList = formatCellList(emptyInterior);
+            return {
+                message: `Cells ${cellList} must be paths within the vault. This is the only valid vault position, so all interior cells must be paths.`,
+                highlight: { type: 'cells', cells: emptyInterior },
+                cells: emptyInterior, shouldBe: 'path'
+            };
+        }
+    }
+
+    // Hint: If vault interior is complete (3x3 paths with single exit), remaining perimeter must be walls
+    function hintVaultPerimeterComplete(merged) {
+        if (!stockpilePos) return null;
+
+        // Check all possible 3x3 vault positions containing the stockpile
+        for (let roomR = Math.max(0, stockpilePos.r - 2); roomR <= Math.min(stockpilePos.r, SIZE - 3); roomR++) {
+            for (let roomC = Math.max(0, stockpilePos.c - 2); roomC <= Math.min(stockpilePos.c, SIZE - 3); roomC++) {
+                // Check if stockpile is in this room
+                if (stockpilePos.r < roomR || stockpilePos.r > roomR + 2 ||
+                    stockpilePos.c < roomC || stockpilePos.c > roomC + 2) continue;
+
+                // Check if all 9 interior cells are paths
+                let interiorComplete = true;
+                for (let dr = 0; dr < 3 && interiorComplete; dr++) {
+                    for (let dc = 0; dc < 3 && interiorComplete; dc++) {
+                        const cr = roomR + dr, cc = roomC + dc;
+                        const idx = cr * SIZE + cc;
+                        const isStockpileCell = stockpilePos.r === cr && stockpilePos.c === cc;
+                        if (merged[idx] !== 2 && !isTargetDeadEnd(cr, cc) && !isStockpileCell) {
+                            interiorComplete = false;
+                        }
+                    }
+                }
+                if (!interiorComplete) continue;
+
+                // Interior is complete - count doors (paths in perimeter) and find empty perimeter cells
+                let doorCount = 0;
+                const emptyPerimeter = [];
+
+                // Helper to check a perimeter cell
+                const checkPerimeter = (pr, pc) => {
+                    if (pr < 0 || pr >= SIZE || pc < 0 || pc >= SIZE) return; // Edge of grid
+                    const pIdx = pr * SIZE + pc;
+                    if (merged[pIdx] === 2 || isFixedPath(pr, pc)) {
+                        doorCount++;
+                    } else if (merged[pIdx] === 0 && !isFixedPath(pr, pc)) {
+                        emptyPerimeter.push({ r: pr, c: pc });
+                    }
+                };
+
+                // Top perimeter (row above room)
+                if (roomR > 0) {
+                    for (let dc = 0; dc < 3; dc++) checkPerimeter(roomR - 1, roomC + dc);
+                }
+                // Bottom perimeter (row below room)
+                if (roomR + 3 < SIZE) {
+                    for (let dc = 0; dc < 3; dc++) checkPerimeter(roomR + 3, roomC + dc);
+                }
+                // Left perimeter (column left of room)
+                if (roomC > 0) {
+                    for (let dr = 0; dr < 3; dr++) checkPerimeter(roomR + dr, roomC - 1);
+                }
+                // Right perimeter (column right of room)
+                if (roomC + 3 < SIZE) {
+                    for (let dr = 0; dr < 3; dr++) checkPerimeter(roomR + dr, roomC + 3);
+                }
+
+                // If exactly 1 door and there are empty perimeter cells, they must be walls
+                if (doorCount === 1 && emptyPerimeter.length > 0) {
+                    if (emptyPerimeter.length === 1) {
+                        const cell = emptyPerimeter[0];
+                        return {
+                            message: `Cell ${cellRef(cell.r, cell.c)} must be a wall. The vault interior is complete with one door, so the remaining perimeter must be sealed.`,
+                            highlight: { type: 'cell', r: cell.r, c: cell.c },
+                            cells: emptyPerimeter, shouldBe: 'wall'
+                        };
+                    } else {
+                        const cellList = formatCellList(emptyPerimeter);
+                        return {
+                            message: `Cells ${cellList} must be walls. The vault interior is complete with one door, so the remaining perimeter must be sealed.`,
+                            highlight: { type: 'cells', cells: emptyPerimeter },
+                            cells: emptyPerimeter, shouldBe: 'wall'
+                        };
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    // Hint: Vault exit cannot be adjacent to dead end in certain positions
+    // A vault exit on the center of an edge cannot be adjacent to a dead end
+    // A vault exit on a corner adjacent to a dead end cannot be on the grid edge
+    function hintVaultExitDeadEnd(merged) {
+        if (!stockpilePos) return null;
+
+        const cacheR = stockpilePos.r;
+        const cacheC = stockpilePos.c;
+
+        // Find the vault position where all 9 interior cells are paths
+        // Check all possible 3x3 vault positions containing the stockpile
+        for (let vr = Math.max(0, cacheR - 2); vr <= Math.min(cacheR, SIZE - 3); vr++) {
+            for (let vc = Math.max(0, cacheC - 2); vc <= Math.min(cacheC, SIZE - 3); vc++) {
+                // Check if stockpile is in this vault
+                if (cacheR < vr || cacheR > vr + 2 || cacheC < vc || cacheC > vc + 2) continue;
+
+                // Check if all 9 interior cells are paths (vault is complete)
+                let vaultComplete = true;
+                for (let dr = 0; dr < 3 && vaultComplete; dr++) {
+                    for (let dc = 0; dc < 3 && vaultComplete; dc++) {
+                        const cr = vr + dr, cc = vc + dc;
+                        const idx = cr * SIZE + cc;
+                        const isStockpileCell = cacheR === cr && cacheC === cc;
+                        // All cells must be paths (or stockpile/dead end which are fixed paths)
+                        if (merged[idx] !== 2 && !isTargetDeadEnd(cr, cc) && !isStockpileCell) {
+                            vaultComplete = false;
+                        }
+                    }
+                }
+                if (!vaultComplete) continue;
+
+                // Check perimeter cells for potential exits (the 12 cells surrounding the vault)
+                const checkPerimeterExit = (pr, pc, isCorner, isEdgeCenter) => {
+                    if (pr < 0 || pr >= SIZE || pc < 0 || pc >= SIZE) return null;
+                    const pIdx = pr * SIZE + pc;
+                    
+                    // Only check empty cells (potential exits)
+                    if (merged[pIdx] !== 0) return null;
+
+                    // Verify this cell is directly adjacent to the vault (one of its 4 neighbors is in the vault)
+                    let adjacentToVault = false;
+                    for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+                        const nr = pr + dr, nc = pc + dc;
+                        if (nr >= vr && nr <= vr + 2 && nc >= vc && nc <= vc + 2) {
+                            // This neighbor is inside the vault - since vault is complete, it's a path
+                            adjacentToVault = true;
+                            break;
+                        }
+                    }
+                    if (!adjacentToVault) return null;
+
+                    // Check if this perimeter cell is adjacent to a dead end
+                    let adjacentToDeadEnd = false;
+                    for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+                        const nr = pr + dr, nc = pc + dc;
+                        if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE && isTargetDeadEnd(nr, nc)) {
+                            adjacentToDeadEnd = true;
+                            break;
+                        }
+                    }
+
+                    if (!adjacentToDeadEnd) return null;
+
+                    // Case 1: Center of edge adjacent to dead end - cannot be exit
+                    if (isEdgeCenter) {
+                        return {
+                            message: `Cell ${cellRef(pr, pc)} cannot be the vault exit. It's next to a dead end that would cut off the vault from the rest of the grid.`,
+                            highlight: { type: 'cell', r: pr, c: pc },
+                            cells: [{ r: pr, c: pc }], shouldBe: 'wall'
+                        };
+                    }
+
+                    // Case 2: Corner adjacent to dead end on grid edge - cannot be exit
+                    if (isCorner && (pr === 0 || pr === SIZE - 1 || pc === 0 || pc === SIZE - 1)) {
+                        return {
+                            message: `Cell ${cellRef(pr, pc)} cannot be the vault exit. It's next to a dead end that would cut off the vault from the rest of the grid.`,
+                            highlight: { type: 'cell', r: pr, c: pc },
+                            cells: [{ r: pr, c: pc }], shouldBe: 'wall'
+                        };
+                    }
+
+                    return null;
+                };
+
+                // Check top perimeter (row above vault)
+                if (vr > 0) {
+                    // Left corner
+                    const topLeftHint = checkPerimeterExit(vr - 1, vc, true, false);
+                    if (topLeftHint) return topLeftHint;
+                    // Center
+                    const topCenterHint = checkPerimeterExit(vr - 1, vc + 1, false, true);
+                    if (topCenterHint) return topCenterHint;
+                    // Right corner
+                    const topRightHint = checkPerimeterExit(vr - 1, vc + 2, true, false);
+                    if (topRightHint) return topRightHint;
+                }
+
+                // Check bottom perimeter (row below vault)
+                if (vr + 3 < SIZE) {
+                    // Left corner
+                    const bottomLeftHint = checkPerimeterExit(vr + 3, vc, true, false);
+                    if (bottomLeftHint) return bottomLeftHint;
+                    // Center
+                    const bottomCenterHint = checkPerimeterExit(vr + 3, vc + 1, false, true);
+                    if (bottomCenterHint) return bottomCenterHint;
+                    // Right corner
+                    const bottomRightHint = checkPerimeterExit(vr + 3, vc + 2, true, false);
+                    if (bottomRightHint) return bottomRightHint;
+                }
+
+                // Check left perimeter (column left of vault)
+                if (vc > 0) {
+                    // Top corner
+                    const leftTopHint = checkPerimeterExit(vr, vc - 1, true, false);
+                    if (leftTopHint) return leftTopHint;
+                    // Center
+                    const leftCenterHint = checkPerimeterExit(vr + 1, vc - 1, false, true);
+                    if (leftCenterHint) return leftCenterHint;
+                    // Bottom corner
+                    const leftBottomHint = checkPerimeterExit(vr + 2, vc - 1, true, false);
+                    if (leftBottomHint) return leftBottomHint;
+                }
+
+                // Check right perimeter (column right of vault)
+                if (vc + 3 < SIZE) {
+                    // Top corner
+                    const rightTopHint = checkPerimeterExit(vr, vc + 3, true, false);
+                    if (rightTopHint) return rightTopHint;
+                    // Center
+                    const rightCenterHint = checkPerimeterExit(vr + 1, vc + 3, false, true);
+                    if (rightCenterHint) return rightCenterHint;
+                    // Bottom corner
+                    const rightBottomHint = checkPerimeterExit(vr + 2, vc + 3, true, false);
+                    if (rightBottomHint) return rightBottomHint;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // Hint: When only 4 empty cells remain and puzzle has two valid solutions, suggest one
+    function hintTwoValidSolutions(merged, forCell = null) {
+        // Find all empty cells
+        const emptyCells = [];
+        for (let r = 0; r < SIZE; r++) {
+            for (let c = 0; c < SIZE; c++) {
+                const idx = r * SIZE + c;
+                if (merged[idx] === 0 && !isFixedPath(r, c)) {
+                    emptyCells.push({ r, c });
+                }
+            }
+        }
+
+        // Only apply if exactly 4 empty cells
+        if (emptyCells.length !== 4) return null;
+
+        // If forCell is specified, check if it's one of the 4 empty cells
+        if (forCell) {
+            const isInEmptyCells = emptyCells.some(ec => ec.r === forCell.r && ec.c === forCell.c);
+            if (!isInEmptyCells) return null;
+        }
+
+        // Try all possible pairings: (0,1) & (2,3), (0,2) & (1,3), (0,3) & (1,2)
+        const pairings = [
+            [[0, 1], [2, 3]],
+            [[0, 2], [1, 3]],
+            [[0, 3], [1, 2]]
+        ];
+
+        const validSolutions = [];
+
+        for (const pairing of pairings) {
+            const [pair1, pair2] = pairing;
+            
+            // Try making pair1 walls and pair2 paths
+            const testBoard1 = [...merged];
+            for (const idx of pair1) {
+                testBoard1[emptyCells[idx].r * SIZE + emptyCells[idx].c] = 1; // wall
+            }
+            for (const idx of pair2) {
+                testBoard1[emptyCells[idx].r * SIZE + emptyCells[idx].c] = 2; // path
+            }
+            if (isValidAlternateSolution(testBoard1)) {
+                validSolutions.push({
+                    walls: pair1.map(idx => emptyCells[idx]),
+                    paths: pair2.map(idx => emptyCells[idx])
+                });
+            }
+
+            // Try making pair1 paths and pair2 walls
+            const testBoard2 = [...merged];
+            for (const idx of pair1) {
+                testBoard2[emptyCells[idx].r * SIZE + emptyCells[idx].c] = 2; // path
+            }
+            for (const idx of pair2) {
+                testBoard2[emptyCells[idx].r * SIZE + emptyCells[idx].c] = 1; // wall
+            }
+            if (isValidAlternateSolution(testBoard2)) {
+                validSolutions.push({
+                    walls: pair2.map(idx => emptyCells[idx]),
+                    paths: pair1.map(idx => emptyCells[idx])
+                });
+            }
+        }
+
+        // Only hint if exactly 2 solutions found
+        if (validSolutions.length !== 2) return null;
+
+        // Check which solution matches the canonical solution
+        let matchingSolution = null;
+        for (const sol of validSolutions) {
+            let matches = true;
+            for (const cell of sol.walls) {
+                if (solution[cell.r][cell.c] !== 1) {
+                    matches = false;
+                    break;
+                }
+            }
+            if (matches) {
+                // Also verify the paths match
+                for (const cell of sol.paths) {
+                    if (solution[cell.r][cell.c] !== 0) {
+                        matches = false;
+                        break;
+                    }
+                }
+                if (matches) {
+                    matchingSolution = sol;
+                    break;
+                }
+            }
+        }
+
+        // If no solution matches exactly, pick the first one (both are valid)
+        const solutionToSuggest = matchingSolution || validSolutions[0];
+        const cellList = formatCellList(solutionToSuggest.walls);
+        const cellWord = solutionToSuggest.walls.length === 1 ? 'Cell' : 'Cells';
+
+        return {
+            message: `Two solutions are valid. Try making ${cellWord} ${cellList} ${solutionToSuggest.walls.length === 1 ? 'a wall' : 'walls'}.`,
+            highlight: solutionToSuggest.walls.length === 1
+                ? { type: 'cell', r: solutionToSuggest.walls[0].r, c: solutionToSuggest.walls[0].c }
+                : { type: 'cells', cells: solutionToSuggest.walls },
+            // Include all 4 empty cells so clicking any of them will show the hint
+            // But only the suggested cells (in highlight) should be validated
+            cells: emptyCells,
+            shouldBe: 'wall',
+            // Mark that validation should only check highlighted cells, not all cells
+            validateOnlyHighlighted: true
+        };
+    }
+
+    // Hint: If placing a wall/path would complete a row/column and cause an obvious error, cell must be opposite
+    // Errors checked: 2x2 path block (outside vault), invalid dead end, dead end with multiple exits, disconnected paths
+    function hintRowColCompletionCausesError(merged) {
+        // Helper to check if a 2x2 at (topR, topC) would be all paths in the test board
+        const would2x2BeAllPaths = (testBoard, topR, topC) => {
+            if (topR < 0 || topR + 1 >= SIZE || topC < 0 || topC + 1 >= SIZE) return false;
+            for (const [dr, dc] of [[0, 0], [0, 1], [1, 0], [1, 1]]) {
+                const cr = topR + dr, cc = topC + dc;
+                const idx = cr * SIZE + cc;
+                if (testBoard[idx] !== 2 && !isFixedPath(cr, cc)) return false;
+            }
+            // Check if near stockpile (2x2 paths allowed there)
+            if (stockpilePos) {
+                for (const [dr, dc] of [[0, 0], [0, 1], [1, 0], [1, 1]]) {
+                    const cr = topR + dr, cc = topC + dc;
+                    if (Math.abs(cr - stockpilePos.r) <= 1 && Math.abs(cc - stockpilePos.c) <= 1) {
+                        return false; // Near stockpile, 2x2 allowed
+                    }
+                }
+            }
+            return true;
+        };
+
+        // Helper to check if cell would be an invalid dead end in test board
+        const wouldBeInvalidDeadEnd = (testBoard, r, c) => {
+            const idx = r * SIZE + c;
+            if (testBoard[idx] !== 2 && !isFixedPath(r, c)) return false;
+            if (isTargetDeadEnd(r, c)) return false;
+            let wallCount = 0;
+            for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+                const nr = r + dr, nc = c + dc;
+                if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) wallCount++;
+                else if (testBoard[nr * SIZE + nc] === 1) wallCount++;
+            }
+            return wallCount >= 3;
+        };
+
+        // Helper to check if a dead end would have multiple paths
+        const wouldDeadEndHaveMultiplePaths = (testBoard, r, c) => {
+            if (!isTargetDeadEnd(r, c)) return false;
+            let pathCount = 0;
+            for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+                const nr = r + dr, nc = c + dc;
+                if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) continue;
+                const nIdx = nr * SIZE + nc;
+                if (testBoard[nIdx] === 2 || isFixedPath(nr, nc)) pathCount++;
+            }
+            return pathCount > 1;
+        };
+
+        // Helper to check if paths would be truly disconnected (separated by walls with no possible route)
+        // Paths are only "disconnected" if walls make it impossible to connect them - empty cells don't count
+        const wouldPathsBeDisconnected = (testBoard) => {
+            const pathCells = [];
+            for (let i = 0; i < SIZE * SIZE; i++) {
+                const r = Math.floor(i / SIZE), c = i % SIZE;
+                if (testBoard[i] === 2 || isFixedPath(r, c)) pathCells.push(i);
+            }
+            if (pathCells.length <= 1) return false;
+
+            // BFS from first path cell, traversing through paths AND empty cells (not walls)
+            // This checks if all path cells are in the same "reachable region"
+            const visited = new Set();
+            const stack = [pathCells[0]];
+            visited.add(pathCells[0]);
+
+            while (stack.length > 0) {
+                const idx = stack.pop();
+                const r = Math.floor(idx / SIZE), c = idx % SIZE;
+                for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+                    const nr = r + dr, nc = c + dc;
+                    if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE) {
+                        const nIdx = nr * SIZE + nc;
+                        // Can traverse through non-wall cells (paths or empty)
+                        if (!visited.has(nIdx) && testBoard[nIdx] !== 1) {
+                            visited.add(nIdx);
+                            stack.push(nIdx);
+                        }
+                    }
+                }
+            }
+
+            // Check if all path cells were reached
+            for (const pathIdx of pathCells) {
+                if (!visited.has(pathIdx)) return true; // This path cell is unreachable - truly disconnected
+            }
+            return false;
+        };
+
+        // Check what errors would occur after filling a row/column
+        const checkForErrors = (testBoard, filledCells, fillType) => {
+            // Check each filled cell and its neighbors for errors
+            for (const cell of filledCells) {
+                const { r, c } = cell;
+
+                if (fillType === 2) { // Filled with paths
+                    // Check for 2x2 path blocks involving this cell
+                    for (const [dr, dc] of [[0, 0], [0, -1], [-1, 0], [-1, -1]]) {
+                        if (would2x2BeAllPaths(testBoard, r + dr, c + dc)) {
+                            return { type: '2x2', r, c };
+                        }
+                    }
+                    // Check if this cell becomes an invalid dead end
+                    if (wouldBeInvalidDeadEnd(testBoard, r, c)) {
+                        return { type: 'invalid-dead-end', r, c };
+                    }
+                }
+
+                if (fillType === 1) { // Filled with walls
+                    // Check neighbors for invalid dead ends
+                    for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+                        const nr = r + dr, nc = c + dc;
+                        if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE) {
+                            if (wouldBeInvalidDeadEnd(testBoard, nr, nc)) {
+                                return { type: 'invalid-dead-end', r: nr, c: nc };
+                            }
+                        }
+                    }
+                }
+
+                // Check adjacent dead ends for multiple paths
+                for (const [dr, dc] of [[0, 0], [0, 1], [0, -1], [1, 0], [-1, 0]]) {
+                    const nr = r + dr, nc = c + dc;
+                    if (nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE) {
+                        if (wouldDeadEndHaveMultiplePaths(testBoard, nr, nc)) {
+                            return { type: 'dead-end-multiple', r: nr, c: nc };
+                        }
+                    }
+                }
+            }
+
+            // Check for disconnected paths (only if we added walls)
+            if (fillType === 1 && wouldPathsBeDisconnected(testBoard)) {
+                return { type: 'disconnected' };
+            }
+
+            return null;
+        };
+
+        // Try each empty cell
+        for (let r = 0; r < SIZE; r++) {
+            for (let c = 0; c < SIZE; c++) {
+                const idx = r * SIZE + c;
+                // Lower layers and locked walls are already part of the merged board
+                if (merged[idx] !== 0 || isFixedPath(r, c)) continue;
+
+                // Try placing a wall here
+                for (const tryType of [1, 2]) { // 1 = wall, 2 = path
+                    const testBoard = [...merged];
+                    testBoard[idx] = tryType;
+
+                    // Check row completion
+                    const rowCounts = getRowCounts(testBoard, r);
+                    let rowWouldComplete = false;
+                    let rowFillType = 0;
+                    let rowEmptyCells = [];
+
+                    if (rowCounts.walls === rowCounts.target) {
+                        // Row walls complete - remaining empty cells become paths
+                        rowWouldComplete = true;
+                        rowFillType = 2;
+                        for (let cc = 0; cc < SIZE; cc++) {
+                            if (testBoard[r * SIZE + cc] === 0 && !isFixedPath(r, cc)) {
+                                rowEmptyCells.push({ r, c: cc });
+                            }
+                        }
+                    } else if (rowCounts.paths === rowCounts.expectedPaths) {
+                        // Row paths complete - remaining empty cells become walls
+                        rowWouldComplete = true;
+                        rowFillType = 1;
+                        for (let cc = 0; cc < SIZE; cc++) {
+                            if (testBoard[r * SIZE + cc] === 0 && !isFixedPath(r, cc)) {
+                                rowEmptyCells.push({ r, c: cc });
+                            }
+                        }
+                    }
+
+                    if (rowWouldComplete && rowEmptyCells.length > 0) {
+                        // Simulate filling the row
+                        const rowTestBoard = [...testBoard];
+                        for (const cell of rowEmptyCells) {
+                            rowTestBoard[cell.r * SIZE + cell.c] = rowFillType;
+                        }
+                        const error = checkForErrors(rowTestBoard, rowEmptyCells, rowFillType);
+                        if (error) {
+                            const opposite = tryType === 1 ? 'path' : 'wall';
+                            const placed = tryType === 1 ? 'wall' : 'path';
+                            let reason = '';
+                            if (error.type === '2x2') reason = 'it would create a 2×2 path block';
+                            else if (error.type === 'invalid-dead-end') reason = `it would trap ${cellRef(error.r, error.c)} as a dead end`;
+                            else if (error.type === 'dead-end-multiple') reason = `it would give the dead end at ${cellRef(error.r, error.c)} multiple exits`;
+                            else if (error.type === 'disconnected') reason = 'it would disconnect the path network';
+
+                            return {
+                                message: `Cell ${cellRef(r, c)} must be a ${opposite}. Placing a ${placed} would complete row ${rowToNumber(r)}, but ${reason}.`,
+                                highlight: { type: 'cell', r, c },
+                                cells: [{ r, c }], shouldBe: opposite
+                            };
+                        }
+                    }
+
+                    // Check column completion
+                    const colCounts = getColCounts(testBoard, c);
+                    let colWouldComplete = false;
+                    let colFillType = 0;
+                    let colEmptyCells = [];
+
+                    if (colCounts.walls === colCounts.target) {
+                        colWouldComplete = true;
+                        colFillType = 2;
+                        for (let rr = 0; rr < SIZE; rr++) {
+                            if (testBoard[rr * SIZE + c] === 0 && !isFixedPath(rr, c)) {
+                                colEmptyCells.push({ r: rr, c });
+                            }
+                        }
+                    } else if (colCounts.paths === colCounts.expectedPaths) {
+                        colWouldComplete = true;
+                        colFillType = 1;
+                        for (let rr = 0; rr < SIZE; rr++) {
+                            if (testBoard[rr * SIZE + c] === 0 && !isFixedPath(rr, c)) {
+                                colEmptyCells.push({ r: rr, c });
+                            }
+                        }
+                    }
+
+                    if (colWouldComplete && colEmptyCells.length > 0) {
+                        const colTestBoard = [...testBoard];
+                        for (const cell of colEmptyCells) {
+                            colTestBoard[cell.r * SIZE + cell.c] = colFillType;
+                        }
+                        const error = checkForErrors(colTestBoard, colEmptyCells, colFillType);
+                        if (error) {
+                            const opposite = tryType === 1 ? 'path' : 'wall';
+                            const placed = tryType === 1 ? 'wall' : 'path';
+                            let reason = '';
+                            if (error.type === '2x2') reason = 'it would create a 2×2 path block';
+                            else if (error.type === 'invalid-dead-end') reason = `it would trap ${cellRef(error.r, error.c)} as a dead end`;
+                            else if (error.type === 'dead-end-multiple') reason = `it would give the dead end at ${cellRef(error.r, error.c)} multiple exits`;
+                            else if (error.type === 'disconnected') reason = 'it would disconnect the path network';
+
+                            return {
+                                message: `Cell ${cellRef(r, c)} must be a ${opposite}. Placing a ${placed} would complete column ${colToLetter(c)}, but ${reason}.`,
+                                highlight: { type: 'cell', r, c },
+                                cells: [{ r, c }], shouldBe: opposite
+                            };
+                        }
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // Hint: Empty cell surrounded by 3+ walls must be a wall
+    // An empty cell with 3+ walls around it cannot be a path (would be an invalid dead end)
+    function hintEmptyDeadEndMustBeWall(merged, forCell = null) {
+        function checkCell(merged, r, c) {
+            const idx = r * SIZE + c;
+            // Check both empty cells and path cells
+            const isPath = merged[idx] === 2 || isFixedPath(r, c);
+            const isEmpty = merged[idx] === 0 && !isFixedPath(r, c);
+            
+            if (!isEmpty && !isPath) return null;
+            
+            // Skip if it's a target dead end (those are valid path locations)
+            if (isTargetDeadEnd(r, c)) return null;
+
+            const { wallCount } = countNeighbors(merged, r, c);
+
+            // If exactly 3 walls (or 3+ for empty cells), this cell must be a wall
+            // For empty cells: 3+ walls means it would be an invalid dead end
+            // For path cells: exactly 3 walls means it IS an invalid dead end
+            if ((isEmpty && wallCount >= 3) || (isPath && wallCount === 3)) {
+                const message = isPath
+                    ? `Cell ${cellRef(r, c)} is a path with 3 walls around it, making it a dead end. Since it's not a target dead end node, this is invalid. The cell must be a wall.`
+                    : `Cell ${cellRef(r, c)} must be a wall. A path there would be a dead end with no exit.`;
+                
+                return {
+                    message,
+                    highlight: { type: 'cell', r, c },
+                    cells: [{ r, c }], shouldBe: 'wall'
+                };
+            }
+
+            return null;
+        }
+
+        return iterateAllCellsForHint(merged, checkCell, forCell);
+    }
+
+    // Hint 5: 2x2 area with 3 paths
+    function hint2x2With3Paths(merged, forCell = null) {
+        // Find all 2x2 areas with 3 paths and 1 empty cell
+        const allCells = [];
+
+        for (let r = 0; r < SIZE - 1; r++) {
+            for (let c = 0; c < SIZE - 1; c++) {
+                const corners = [
+                    { r, c, idx: r * SIZE + c },
+                    { r, c: c + 1, idx: r * SIZE + c + 1 },
+                    { r: r + 1, c, idx: (r + 1) * SIZE + c },
+                    { r: r + 1, c: c + 1, idx: (r + 1) * SIZE + c + 1 }
+                ];
+
+                // Skip if any corner is near the stockpile
+                if (stockpilePos) {
+                    let nearStockpile = false;
+                    for (const corner of corners) {
+                        const dr = Math.abs(corner.r - stockpilePos.r);
+                        const dc = Math.abs(corner.c - stockpilePos.c);
+                        if (dr <= 1 && dc <= 1) {
+                            nearStockpile = true;
+                            break;
+                        }
+                    }
+                    if (nearStockpile) continue;
+                }
+
+                let pathCount = 0;
+                let emptyCell = null;
+
+                for (const corner of corners) {
+                    if (merged[corner.idx] === 2 || isFixedPath(corner.r, corner.c)) {
+                        pathCount++;
+                    } else if (merged[corner.idx] === 0) {
+                        emptyCell = corner;
+                    }
+                }
+
+                if (pathCount === 3 && emptyCell) {
+                    // If looking for a specific cell, return immediately if found
+                    if (forCell && emptyCell.r === forCell.r && emptyCell.c === forCell.c) {
+                        return {
+                            message: `Cell ${cellRef(emptyCell.r, emptyCell.c)} must be a wall to prevent a 2×2 path block.`,
+                            highlight: { type: 'cell', r: emptyCell.r, c: emptyCell.c },
+                            cells: [{ r: emptyCell.r, c: emptyCell.c }], shouldBe: 'wall'
+                        };
+                    }
+
+                    // Check if this cell is already in our list
+                    const exists = allCells.some(c => c.r === emptyCell.r && c.c === emptyCell.c);
+                    if (!exists) {
+                        allCells.push({ r: emptyCell.r, c: emptyCell.c });
+                    }
+                }
+            }
+        }
+
+        // If looking for a specific cell and we didn't find it, return null
+        if (forCell) return null;
+
+        if (allCells.length === 0) return null;
+
+        // Find groups of overlapping cells (cells that are adjacent or share a 2x2 area)
+        // Two cells overlap if they could be part of the same 2x2 region (within 1 step of each other)
+        const groups = [];
+        const used = new Set();
+
+        for (const cell of allCells) {
+            if (used.has(`${cell.r},${cell.c}`)) continue;
+
+            // BFS to find all connected cells
+            const group = [cell];
+            const queue = [cell];
+            used.add(`${cell.r},${cell.c}`);
+
+            while (queue.length > 0) {
+                const current = queue.shift();
+                for (const other of allCells) {
+                    const key = `${other.r},${other.c}`;
+                    if (used.has(key)) continue;
+                    // Check if cells are close enough to be in overlapping 2x2 areas (within 2 steps)
+                    if (Math.abs(other.r - current.r) <= 2 && Math.abs(other.c - current.c) <= 2) {
+                        used.add(key);
+                        group.push(other);
+                        queue.push(other);
+                    }
+                }
+            }
+
+            groups.push(group);
+        }
+
+        // Return the largest group
+        const bestGroup = groups.reduce((best, curr) => curr.length > best.length ? curr : best);
+
+        if (bestGroup.length === 1) {
+            const cell = bestGroup[0];
+            return {
+                message: `Cell ${cellRef(cell.r, cell.c)} must be a wall to prevent a 2×2 path block.`,
+                highlight: { type: 'cell', r: cell.r, c: cell.c },
+                cells: bestGroup, shouldBe: 'wall'
+            };
+        } else {
+            const cellList = formatCellList(bestGroup);
+            return {
+                message: `Cells ${cellList} must be walls to prevent 2×2 path blocks.`,
+                highlight: { type: 'cells', cells: bestGroup },
+                cells: bestGroup, shouldBe: 'wall'
+            };
+        }
+    }
+
+    // Hint: Forced wall via "dead-end or 2x2" squeeze
+    // If an empty cell has exactly 2 walls and 1 path around it, then (if it were a path)
+    // the remaining neighbor would need to be a path to avoid an invalid dead end.
+    // If making that neighbor a path would complete a forbidden 2x2 path block, the cell must be a wall.
+    function hintDeadEndOr2x2Squeeze(merged) {
+        const dirs = [
+            { name: 'up', dr: -1, dc: 0 },
+            { name: 'right', dr: 0, dc: 1 },
+            { name: 'down', dr: 1, dc: 0 },
+            { name: 'left', dr: 0, dc: -1 }
+        ];
+
+        const isWall = (r, c) => {
+            if (r < 0 || r >= SIZE || c < 0 || c >= SIZE) return true; // edge counts as wall
+            return merged[r * SIZE + c] === 1;
+        };
+        const isPath = (r, c) => {
+            if (r < 0 || r >= SIZE || c < 0 || c >= SIZE) return false;
+            return merged[r * SIZE + c] === 2 || isFixedPath(r, c);
+        };
+        const isEmpty = (r, c) => {
+            if (r < 0 || r >= SIZE || c < 0 || c >= SIZE) return false;
+            return merged[r * SIZE + c] === 0 && !isFixedPath(r, c);
+        };
+
+        const is2x2AllowedHere = (cells) => {
+            // 2x2 paths are allowed in/near the data cache room (within 1 of stockpile)
+            if (!stockpilePos) return false;
+            return cells.some(cell => Math.abs(cell.r - stockpilePos.r) <= 1 && Math.abs(cell.c - stockpilePos.c) <= 1);
+        };
+
+        for (let r = 0; r < SIZE; r++) {
+            for (let c = 0; c < SIZE; c++) {
+                const idx = r * SIZE + c;
+                if (merged[idx] !== 0 || isFixedPath(r, c)) continue;
+                // If this is a target dead end node, being boxed in is allowed, so this inference isn't valid.
+                if (isTargetDeadEnd(r, c)) continue;
+
+                const wallDirs = [];
+                const pathDirs = [];
+                const emptyDirs = [];
+
+                for (const d of dirs) {
+                    const nr = r + d.dr, nc = c + d.dc;
+                    if (isWall(nr, nc)) wallDirs.push(d);
+                    else if (isPath(nr, nc)) pathDirs.push(d);
+                    else if (isEmpty(nr, nc)) emptyDirs.push(d);
+                }
+
+                if (wallDirs.length !== 2 || pathDirs.length !== 1 || emptyDirs.length !== 1) continue;
+
+                const pathDir = pathDirs[0];
+                const emptyDir = emptyDirs[0];
+                // Need a corner (perpendicular) so that making the empty neighbor a path could form a 2x2.
+                if (pathDir.dr * emptyDir.dr + pathDir.dc * emptyDir.dc !== 0) continue;
+
+                const xCell = { r: r + emptyDir.dr, c: c + emptyDir.dc };
+                const diag = { r: r + pathDir.dr + emptyDir.dr, c: c + pathDir.dc + emptyDir.dc };
+                // The diagonal must exist and already be a path for the 2x2 to be forced.
+                if (!isPath(diag.r, diag.c)) continue;
+
+                const pCell = { r: r + pathDir.dr, c: c + pathDir.dc };
+                const square = [{ r, c }, xCell, pCell, diag];
+                if (is2x2AllowedHere(square)) continue;
+
+                return {
+                    message: `Cell ${cellRef(r, c)} must be a wall. If it were a path, it would need to connect to ${cellRef(xCell.r, xCell.c)} to avoid becoming an invalid dead end, but that would create a 2×2 block of paths.`,
+                    highlight: { type: 'cell', r, c },
+                    cells: [{ r, c }], shouldBe: 'wall'
+                };
+            }
+        }
+        return null;
+    }
+
+    // Hint 4: Path flanked by walls must be extended
+    // E.g., __WPW___ means the cell below P must be a path (otherwise P would be a dead end)
+    function hintPathMustExtend(merged, forCell = null) {
+        // Helper to analyze a cell's neighbors (using countNeighbors but with custom board)
+        function analyzeCell(r, c, testBoard) {
+            // countNeighbors uses merged, so we need a custom version for test boards
+            let wallCount = 0, emptyCount = 0, pathCount = 0;
+            const emptyCells = [];
+
+            for (const [dr, dc] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+                const nr = r + dr, nc = c + dc;
+                if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) {
+                    wallCount++;
+                    continue;
+                }
+                const nIdx = nr * SIZE + nc;
+                if (testBoard[nIdx] === 1) {
+                    wallCount++;
+                } else if (testBoard[nIdx] === 2 || isFixedPath(nr, nc)) {
+                    pathCount++;
+                } else {
+                    emptyCount++;
+                    emptyCells.push({ r: nr, c: nc });
+                }
+            }
+            return { wallCount, emptyCount, pathCount, emptyCells };
+        }
+
+        // Helper to check if a cell needs extension (has only 1 connection and 1 empty neighbor)
+        function needsExtension(r, c, testBoard) {
+            if (isTargetDeadEnd(r, c)) return null; // Dead ends don't need 2 connections
+            const { wallCount, emptyCount, pathCount, emptyCells } = analyzeCell(r, c, testBoard);
+            // Needs extension if: 3 walls + 1 empty, OR 2 walls + 1 path + 1 empty
+            if ((wallCount === 3 && emptyCount === 1) || (wallCount === 2 && pathCount === 1 && emptyCount === 1)) {
+                return emptyCells[0];
+            }
+            return null;
+        }
+
+        // Collect all possible hints and return the one with the most cells
+        const candidates = [];
+
+        for (let r = 0; r < SIZE; r++) {
+            for (let c = 0; c < SIZE; c++) {
+                const idx = r * SIZE + c;
+                // Check if this is a path (user-placed or fixed)
+                if (merged[idx] !== 2 && !isFixedPath(r, c)) continue;
+                // Skip dead ends - they're supposed to have only one exit
+                if (isTargetDeadEnd(r, c)) continue;
+
+                const firstForced = needsExtension(r, c, merged);
+                if (!firstForced) continue;
+
+                // Found a path that needs extension - now follow the forced path
+                const forcedCells = [firstForced];
+                const visited = new Set([`${r},${c}`, `${firstForced.r},${firstForced.c}`]);
+
+                // Create a test board with the forced cells as paths
+                const testBoard = [...merged];
+                testBoard[firstForced.r * SIZE + firstForced.c] = 2;
+
+                // Keep following forced extensions
+                let current = firstForced;
+                while (true) {
+                    const next = needsExtension(current.r, current.c, testBoard);
+                    if (!next) break;
+
+                    const key = `${next.r},${next.c}`;
+                    if (visited.has(key)) break;
+
+                    visited.add(key);
+                    forcedCells.push(next);
+                    testBoard[next.r * SIZE + next.c] = 2;
+                    current = next;
+                }
+
+                // Build the hint
+                let hint;
+                if (forcedCells.length === 1) {
+                    const cell = forcedCells[0];
+                    hint = {
+                        message: `Cell ${cellRef(cell.r, cell.c)} must be a path. The path at ${cellRef(r, c)} needs another connection.`,
+                        highlight: { type: 'cell', r: cell.r, c: cell.c },
+                        cells: forcedCells, shouldBe: 'path'
+                    };
+                } else {
+                    const cellList = formatCellList(forcedCells);
+                    hint = {
+                        message: `Cells ${cellList} must be paths. The path at ${cellRef(r, c)} needs another connection, forcing this path.`,
+                        highlight: { type: 'cells', cells: forcedCells },
+                        cells: forcedCells, shouldBe: 'path'
+                    };
+                }
+
+                // If looking for a specific cell, return immediately if this hint includes it
+                if (forCell && forcedCells.some(fc => fc.r === forCell.r && fc.c === forCell.c)) {
+                    return hint;
+                }
+
+                candidates.push(hint);
+            }
+        }
+
+        // If looking for a specific cell and we didn't find it, return null
+        if (forCell) return null;
+
+        // Return the hint with the most cells
+        if (candidates.length === 0) return null;
+        return candidates.reduce((best, curr) => curr.cells.length > best.cells.length ? curr : best);
+    }
+
+    // Hint 5: Corner with two flanking dead ends must be a wall
+    // E.g., if A2 and B1 are dead ends, A1 must be a wall (a path there would be cut off)
+    function hintCornerFlankingDeadEnds(merged) {
+        function checkCorner(merged, r, c) {
+                const idx = r * SIZE + c;
+                // Only check empty cells
+            if (merged[idx] !== 0 || isFixedPath(r, c)) return null;
+
+                // Check each orthogonal direction
+                const dirs = [
+                    { dr: -1, dc: 0 }, // North
+                    { dr: 1, dc: 0 },  // South
+                    { dr: 0, dc: -1 }, // West
+                    { dr: 0, dc: 1 }   // East
+                ];
+
+                const blocked = []; // directions blocked by wall or edge
+                const deadEnds = []; // directions with dead ends
+
+                for (const dir of dirs) {
+                    const nr = r + dir.dr;
+                    const nc = c + dir.dc;
+
+                    if (nr < 0 || nr >= SIZE || nc < 0 || nc >= SIZE) {
+                        // Edge of grid - blocked
+                        blocked.push(dir);
+                    } else if (merged[nr * SIZE + nc] === 1) {
+                        // Wall - blocked
+                        blocked.push(dir);
+                    } else if (isTargetDeadEnd(nr, nc)) {
+                        // Dead end
+                        deadEnds.push({ r: nr, c: nc });
+                    }
+                }
+
+                // Need exactly 2 blocked directions and 2 dead end directions
+            if (blocked.length !== 2 || deadEnds.length !== 2) return null;
+
+                // Check if blocked directions are perpendicular (not opposite)
+                // Perpendicular means one is vertical (dr !== 0) and one is horizontal (dc !== 0)
+                const b1Vertical = blocked[0].dr !== 0;
+                const b2Vertical = blocked[1].dr !== 0;
+
+                if (b1Vertical !== b2Vertical) {
+                    // They are perpendicular - this forms a corner
+                    return {
+                        message: `Cell ${cellRef(r, c)} must be a wall. The dead ends at ${cellRef(deadEnds[0].r, deadEnds[0].c)} and ${cellRef(deadEnds[1].r, deadEnds[1].c)} would cut off a path there.`,
+                        highlight: { type: 'cell', r, c },
+                        cells: [{ r, c }], shouldBe: 'wall'
+                    };
+                }
+
+        return null;
+        }
+
+        return iterateAllCellsForHint(merged, checkCorner);
+    }
+
+    // Hint 5: Edge row/column with exactly 1 wall remaining - corners must have path next to them
+    // E.g., on top row with 1 wall needed: ________ -> _P____P_ (corners can't be dead ends)
+    function hintEdgeCornerDeadEnd(merged) {
+        const edgeRows = [0, SIZE - 1];
+        const edgeCols = [0, SIZE - 1];
+
+        // Check edge rows
+        for (const r of edgeRows) {
+            const { walls, target } = getRowCounts(merged, r);
+            const remaining = target - walls;
+            if (remaining !== 1) continue; // Only applies when exactly 1 wall left
+
+            // Check if corners are empty - if so, the cell next to them must be a path
+            // Left corner (column 0)
+            const leftIdx = r * SIZE + 0;
+            if (merged[leftIdx] === 0 && !isFixedPath(r, 0)) {
+                // Column 0 is empty, check column 1
+                const checkC = 1;
+                if (merged[r * SIZE + checkC] === 0 && !isFixedPath(r, checkC)) {
+                    return {
+                        message: `Cell ${cellRef(r, checkC)} must be a path. A wall there would trap cell ${cellRef(r, 0)} as a dead end.`,
+                        highlight: { type: 'cell', r, c: checkC },
+                        cells: [{ r, c: checkC }], shouldBe: 'path'
+                    };
+                }
+                // Additional check: if corner is not a marked dead end, the cell two positions away must also be a path
+                // to avoid creating a 2x2 path area
+                // Only applies if there are no dead ends between the corner and the target cell
+                if (!isTargetDeadEnd(r, 0) && SIZE > 2) {
+                    const checkC2 = 2;
+                    if (merged[r * SIZE + checkC2] === 0 && !isFixedPath(r, checkC2)) {
+                        // Check if there are any dead ends between corner and target cell
+                        let hasDeadEndBetween = false;
+                        for (let c = 1; c < checkC2; c++) {
+                            if (isTargetDeadEnd(r, c)) {
+                                hasDeadEndBetween = true;
+                                break;
+                            }
+                        }
+                        if (!hasDeadEndBetween) {
+                            return {
+                                message: `Cell ${cellRef(r, checkC2)} must be a path. A wall there would force a dead end or 2x2 path area in the corner.`,
+                                highlight: { type: 'cell', r, c: checkC2 },
+                                cells: [{ r, c: checkC2 }], shouldBe: 'path'
+                            };
+                        }
+                    }
+                }
+            }
+
+            // Right corner (column SIZE-1)
+            const rightIdx = r * SIZE + (SIZE - 1);
+            if (merged[rightIdx] === 0 && !isFixedPath(r, SIZE - 1)) {
+                // Column SIZE-1 is empty, check column SIZE-2
+                const checkC = SIZE - 2;
+                if (merged[r * SIZE + checkC] === 0 && !isFixedPath(r, checkC)) {
+                    return {
+                        message: `Cell ${cellRef(r, checkC)} must be a path. A wall there would trap cell ${cellRef(r, SIZE - 1)} as a dead end.`,
+                        highlight: { type: 'cell', r, c: checkC },
+                        cells: [{ r, c: checkC }], shouldBe: 'path'
+                    };
+                }
+                // Additional check: if corner is not a marked dead end, the cell two positions away must also be a path
+                // to avoid creating a 2x2 path area
+                // Only applies if there are no dead ends between the corner and the target cell
+                if (!isTargetDeadEnd(r, SIZE - 1) && SIZE > 2) {
+                    const checkC2 = SIZE - 3;
+                    if (merged[r * SIZE + checkC2] === 0 && !isFixedPath(r, checkC2)) {
+                        // Check if there are any dead ends between corner and target cell
+                        let hasDeadEndBetween = false;
+                        for (let c = checkC2 + 1; c < SIZE - 1; c++) {
+                            if (isTargetDeadEnd(r, c)) {
+                                hasDeadEndBetween = true;
+                                break;
+                            }
+                        }
+                        if (!hasDeadEndBetween) {
+                            return {
+                                message: `Cell ${cellRef(r, checkC2)} must be a path. A wall there would force a dead end or 2x2 path area in the corner.`,
+                                highlight: { type: 'cell', r, c: checkC2 },
+                                cells: [{ r, c: checkC2 }], shouldBe: 'path'
+                            };
+                        }
+                    }
+                }
+            }
+        }
+
+        // Check edge columns
+        for (const c of edgeCols) {
+            const { walls, target } = getColCounts(merged, c);
+            const remaining = target - walls;
+            if (remaining !== 1) continue; // Only applies when exactly 1 wall left
+
+            // Top corner (row 0)
+            const topIdx = 0 * SIZE + c;
+            if (merged[topIdx] === 0 && !isFixedPath(0, c)) {
+                const checkR = 1;
+                if (merged[checkR * SIZE + c] === 0 && !isFixedPath(checkR, c)) {
+                    return {
+                        message: `Cell ${cellRef(checkR, c)} must be a path. A wall there would trap cell ${cellRef(0, c)} as a dead end.`,
+                        highlight: { type: 'cell', r: checkR, c },
+                        cells: [{ r: checkR, c }], shouldBe: 'path'
+                    };
+                }
+                // Additional check: if corner is not a marked dead end, the cell two positions away must also be a path
+                // to avoid creating a 2x2 path area
+                // Only applies if there are no dead ends between the corner and the target cell
+                if (!isTargetDeadEnd(0, c) && SIZE > 2) {
+                    const checkR2 = 2;
+                    if (merged[checkR2 * SIZE + c] === 0 && !isFixedPath(checkR2, c)) {
+                        // Check if there are any dead ends between corner and target cell
+                        let hasDeadEndBetween = false;
+                        for (let r = 1; r < checkR2; r++) {
+                            if (isTargetDeadEnd(r, c)) {
+                                hasDeadEndBetween = true;
+                                break;
+                            }
+                        }
+                        if (!hasDeadEndBetween) {
+                            return {
+                                message: `Cell ${cellRef(checkR2, c)} must be a path. A wall there would force a dead end or 2x2 path area in the corner.`,
+                                highlight: { type: 'cell', r: checkR2, c },
+                                cells: [{ r: checkR2, c }], shouldBe: 'path'
+                            };
+                        }
+                    }
+                }
+            }
+
+            // Bottom corner (row SIZE-1)
+            const bottomIdx = (SIZE - 1) * SIZE + c;
+            if (merged[bottomIdx] === 0 && !isFixedPath(SIZE - 1, c)) {
+                const checkR = SIZE - 2;
+                if (merged[checkR * SIZE + c] === 0 && !isFixedPath(checkR, c)) {
+                    return {
+                        message: `Cell ${cellRef(checkR, c)} must be a path. A wall there would trap cell ${cellRef(SIZE - 1, c)} as a dead end.`,
+                        highlight: { type: 'cell', r: checkR, c },
+                        cells: [{ r: checkR, c }], shouldBe: 'path'
+                    };
+                }
+                // Additional check: if corner is not a marked dead end, the cell two positions away must also be a path
+                // to avoid creating a 2x2 path area
+                // Only applies if there are no dead ends between the corner and the target cell
+                if (!isTargetDeadEnd(SIZE - 1, c) && SIZE > 2) {
+                    const checkR2 = SIZE - 3;
+                    if (merged[checkR2 * SIZE + c] === 0 && !isFixedPath(checkR2, c)) {
+                        // Check if there are any dead ends between corner and target cell
+                        let hasDeadEndBetween = false;
+                        for (let r = checkR2 + 1; r < SIZE - 1; r++) {
+                            if (isTargetDeadEnd(r, c)) {
+                                hasDeadEndBetween = true;
+                                break;
+                            }
+                        }
+                        if (!hasDeadEndBetween) {
+                            return {
+                                message: `Cell ${cellRef(checkR2, c)} must be a path. A wall there would force a dead end or 2x2 path area in the corner.`,
+                                highlight: { type: 'cell', r: checkR2, c },
+                                cells: [{ r: checkR2, c }], shouldBe: 'path'
+                            };
+                        }
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // Hint 5: Row/column needs N-1 walls, cells next to dead ends must be walls
+    function hintDeadEndAdjacent(merged) {
+        // Helper to check a line (row or column) for dead end adjacent hints
+        function checkLineForDeadEndAdjacent(merged, isRow, index) {
+            const counts = isRow ? getRowCounts(merged, index) : getColCounts(merged, index);
+            if (counts.target !== SIZE - 1) return null;
+
+            // Check adjacent lines for dead ends
+            const adjIndices = isRow ? [index - 1, index + 1] : [index - 1, index + 1];
+            
+            for (const adjIndex of adjIndices) {
+                if (adjIndex < 0 || adjIndex >= SIZE) continue;
+                
+                // Iterate through cells in the line
+                for (let i = 0; i < SIZE; i++) {
+                    const deadEndR = isRow ? adjIndex : i;
+                    const deadEndC = isRow ? i : adjIndex;
+                    
+                    if (isTargetDeadEnd(deadEndR, deadEndC)) {
+                        const cellR = isRow ? index : i;
+                        const cellC = isRow ? i : index;
+                        const idx = cellR * SIZE + cellC;
+                        
+                            if (merged[idx] === 0) {
+                            const lineName = isRow ? `row ${rowToNumber(index)}` : `column ${colToLetter(index)}`;
+                                return {
+                                message: `Cell ${cellRef(cellR, cellC)} must be a wall. It's adjacent to a dead end, and ${lineName} needs ${SIZE - 1} walls.`,
+                                highlight: { type: 'cell', r: cellR, c: cellC },
+                                cells: [{ r: cellR, c: cellC }], shouldBe: 'wall'
+                                };
+                            }
+                        }
+                    }
+                }
+            
+            return null;
+            }
+
+        // Check rows
+        for (let r = 0; r < SIZE; r++) {
+            const hint = checkLineForDeadEndAdjacent(merged, true, r);
+            if (hint) return hint;
+        }
+
+        // Check columns
+        for (let c = 0; c < SIZE; c++) {
+            const hint = checkLineForDeadEndAdjacent(merged, false, c);
+            if (hint) return hint;
+        }
+
+        return null;
+    }
+
+    // Helper function to check a dead end one wall case
+    // Returns path hint or wall hint as appropriate
+    function checkDeadEndOneWallCase(merged, r, c, isRow, isEdge, remainingWalls, neighborState) {
+        // neighborState contains: leftIsWall, rightIsWall, aboveIsWall, belowIsWall,
+        // leftIsEmpty, rightIsEmpty, aboveIsEmpty, belowIsEmpty
+        const { leftIsWall, rightIsWall, aboveIsWall, belowIsWall,
+                leftIsEmpty, rightIsEmpty, aboveIsEmpty, belowIsEmpty } = neighborState;
+        
+        // Count existing walls around dead end
+        const existingWalls = (leftIsWall ? 1 : 0) + (rightIsWall ? 1 : 0) + 
+                              (aboveIsWall ? 1 : 0) + (belowIsWall ? 1 : 0);
+        const wallsStillNeeded = 3 - existingWalls;
+        
+        if (wallsStillNeeded <= 0) return null; // Dead end already satisfied
+        
+        // For edge cases, we know remainingWalls === 1
+        // For interior cases, we need to calculate if the dead end must get the wall
+        let wallsNeededFromLine = 0;
+        let potentialLineWalls = 0;
+        let potentialOutsideWalls = 0;
+        let maxWallsFromLine = 0;
+        
+        if (isEdge) {
+            // Edge case: remainingWalls is always 1, and dead end must get it
+            wallsNeededFromLine = 1;
+        } else {
+            // Interior case: calculate if dead end must get wall from the line
+            if (isRow) {
+                potentialLineWalls = (leftIsEmpty ? 1 : 0) + (rightIsEmpty ? 1 : 0);
+                potentialOutsideWalls = (aboveIsEmpty ? 1 : 0) + (belowIsEmpty ? 1 : 0);
+            } else {
+                potentialLineWalls = (aboveIsEmpty ? 1 : 0) + (belowIsEmpty ? 1 : 0);
+                potentialOutsideWalls = (leftIsEmpty ? 1 : 0) + (rightIsEmpty ? 1 : 0);
+            }
+            maxWallsFromLine = Math.min(remainingWalls, potentialLineWalls);
+            wallsNeededFromLine = Math.max(0, wallsStillNeeded - potentialOutsideWalls);
+        }
+        
+        // Only proceed if line needs exactly 1 wall AND dead end must get that wall
+        if (remainingWalls !== 1 || wallsNeededFromLine < 1) {
+            // Check for the other case: need 2+ walls from outside (only for interior cases)
+            if (!isEdge) {
+                // Calculate maxWallsFromLine if not already done
+                if (maxWallsFromLine === 0) {
+                    if (isRow) {
+                        potentialLineWalls = (leftIsEmpty ? 1 : 0) + (rightIsEmpty ? 1 : 0);
+                        potentialOutsideWalls = (aboveIsEmpty ? 1 : 0) + (belowIsEmpty ? 1 : 0);
+                    } else {
+                        potentialLineWalls = (aboveIsEmpty ? 1 : 0) + (belowIsEmpty ? 1 : 0);
+                        potentialOutsideWalls = (leftIsEmpty ? 1 : 0) + (rightIsEmpty ? 1 : 0);
+                    }
+                    maxWallsFromLine = Math.min(remainingWalls, potentialLineWalls);
+                }
+                if (wallsStillNeeded - maxWallsFromLine >= 2) {
+                const wallCells = [];
+                if (isRow) {
+                    if (aboveIsEmpty) wallCells.push({ r: r - 1, c });
+                    if (belowIsEmpty) wallCells.push({ r: r + 1, c });
+                } else {
+                    if (leftIsEmpty) wallCells.push({ r, c: c - 1 });
+                    if (rightIsEmpty) wallCells.push({ r, c: c + 1 });
+                }
+
+                if (wallCells.length > 0) {
+                    const cellsText = wallCells.length === 1 ? `Cell ${formatCellList(wallCells)} must be a wall` : `Cells ${formatCellList(wallCells)} must be walls`;
+                    const lineName = isRow ? `row ${rowToNumber(r)}` : `column ${colToLetter(c)}`;
+                    const perpName = isRow ? 'above and below' : 'left and right';
+                                return {
+                        message: `${cellsText}. The dead end at ${cellRef(r, c)} needs ${wallsStillNeeded} more wall${wallsStillNeeded > 1 ? 's' : ''}, but ${lineName} can only provide ${maxWallsFromLine}, so the cells ${perpName} must be walls.`,
+                        highlight: wallCells.length === 1 ? { type: 'cell', r: wallCells[0].r, c: wallCells[0].c } : { type: 'cells', cells: wallCells },
+                        cells: wallCells, shouldBe: 'wall'
+                                };
+                            }
+                        }
+                    }
+            return null;
+        }
+
+        // Check if the dead end already has an adjacent wall in the row/column direction
+        // If it does, we can't conclude that the remaining wall must be adjacent to it
+        const hasAdjacentWallInLine = isRow
+            ? (leftIsWall || rightIsWall)
+            : (aboveIsWall || belowIsWall);
+
+        if (hasAdjacentWallInLine) {
+            // Dead end already has a wall in this direction, so we can't use this hint
+            return null;
+        }
+
+        // Find non-adjacent empty cells that must be paths
+        const pathCells = isRow
+            ? findEmptyCellsInRow(merged, r, { r, c })
+            : findEmptyCellsInCol(merged, c, { r, c });
+
+                    if (pathCells.length > 0) {
+                        const cellsText = pathCells.length === 1 ? `Cell ${formatCellList(pathCells)} must be a path` : `Cells ${formatCellList(pathCells)} must be paths`;
+            const lineName = isRow ? `Row ${rowToNumber(r)}` : `Column ${colToLetter(c)}`;
+                        return {
+                message: `${cellsText}. ${lineName} needs only 1 more wall, which must be adjacent to the dead end at ${cellRef(r, c)}.`,
+                            highlight: pathCells.length === 1 ? { type: 'cell', r: pathCells[0].r, c: pathCells[0].c } : { type: 'cells', cells: pathCells },
+                            cells: pathCells, shouldBe: 'path'
+                        };
+        }
+        
+        // All non-adjacent cells are already paths - check perpendicular cells
+        const perpCells = getPerpendicularCells(merged, r, c, isRow ? 'row' : 'col');
+        const wallCells = perpCells.filter(cell => cell.isEmpty).map(cell => ({ r: cell.r, c: cell.c }));
+
+                    if (wallCells.length > 0) {
+            const cellsText = formatCellList(wallCells);
+            const lineName = isRow ? `row ${rowToNumber(r)}` : `column ${colToLetter(c)}`;
+            const perpLineName = isRow ? `column ${colToLetter(c)}` : `row ${rowToNumber(r)}`;
+                        return {
+                message: `The exit for the dead end at ${cellRef(r, c)} must be in ${lineName}. The dead end needs 3 walls total, so the adjacent cell${wallCells.length > 1 ? 's' : ''} at ${cellsText} in ${perpLineName} must be ${wallCells.length === 1 ? 'a wall' : 'walls'}.`,
+                            highlight: wallCells.length === 1 ? { type: 'cell', r: wallCells[0].r, c: wallCells[0].c } : { type: 'cells', cells: wallCells },
+                            cells: wallCells, shouldBe: 'wall'
+                        };
+                    }
+        
+        return null;
+    }
+
+    // Hint 6: Dead end in edge row/col with only 1 more wall needed
+    // The wall must be adjacent to the dead end, so all other empty cells must be paths
+    // Only applies to dead ends with 2 possible exits within the row/col (not corner dead ends)
+    function hintEdgeDeadEndOneWall(merged) {
+        // Helper to get neighbor state for a dead end
+        function getNeighborState(merged, r, c) {
+                const leftIdx = r * SIZE + (c - 1);
+                const rightIdx = r * SIZE + (c + 1);
+                const aboveIdx = (r - 1) * SIZE + c;
+                const belowIdx = (r + 1) * SIZE + c;
+
+            return {
+                leftIsWall: c === 0 || merged[leftIdx] === 1,
+                rightIsWall: c === SIZE - 1 || merged[rightIdx] === 1,
+                aboveIsWall: r === 0 || merged[aboveIdx] === 1,
+                belowIsWall: r === SIZE - 1 || merged[belowIdx] === 1,
+                leftIsEmpty: c > 0 && merged[leftIdx] === 0 && !isFixedPath(r, c - 1),
+                rightIsEmpty: c < SIZE - 1 && merged[rightIdx] === 0 && !isFixedPath(r, c + 1),
+                aboveIsEmpty: r > 0 && merged[aboveIdx] === 0 && !isFixedPath(r - 1, c),
+                belowIsEmpty: r < SIZE - 1 && merged[belowIdx] === 0 && !isFixedPath(r + 1, c)
+            };
+        }
+
+        // Check edge rows (top and bottom)
+        for (const r of [0, SIZE - 1]) {
+            const { walls, target } = getRowCounts(merged, r);
+            if (target - walls !== 1) continue;
+
+            for (let c = 0; c < SIZE; c++) {
+                if (!isTargetDeadEnd(r, c)) continue;
+                // Skip corner dead ends - they only have 1 exit within the row
+                if (c === 0 || c === SIZE - 1) continue;
+
+                const neighborState = getNeighborState(merged, r, c);
+                const hint = checkDeadEndOneWallCase(merged, r, c, true, true, 1, neighborState);
+                if (hint) return hint;
+            }
+        }
+
+        // Check edge columns (left and right)
+        for (const c of [0, SIZE - 1]) {
+            const { walls, target } = getColCounts(merged, c);
+            if (target - walls !== 1) continue;
+
+            for (let r = 0; r < SIZE; r++) {
+                if (!isTargetDeadEnd(r, c)) continue;
+                // Skip corner dead ends - they only have 1 exit within the column
+                if (r === 0 || r === SIZE - 1) continue;
+
+                const neighborState = getNeighborState(merged, r, c);
+                const hint = checkDeadEndOneWallCase(merged, r, c, false, true, 1, neighborState);
+                if (hint) return hint;
+            }
+        }
+
+        // Check interior rows with dead ends
+        for (let r = 1; r < SIZE - 1; r++) {
+            const { walls, target } = getRowCounts(merged, r);
+            const remainingWalls = target - walls;
+            if (remainingWalls < 1) continue;
+
+            for (let c = 0; c < SIZE; c++) {
+                if (!isTargetDeadEnd(r, c)) continue;
+
+                const neighborState = getNeighborState(merged, r, c);
+                const hint = checkDeadEndOneWallCase(merged, r, c, true, false, remainingWalls, neighborState);
+                if (hint) return hint;
+            }
+        }
+
+        // Check interior columns with dead ends
+        for (let c = 1; c < SIZE - 1; c++) {
+            const { walls, target } = getColCounts(merged, c);
+            const remainingWalls = target - walls;
+            if (remainingWalls < 1) continue;
+
+            for (let r = 0; r < SIZE; r++) {
+                if (!isTargetDeadEnd(r, c)) continue;
+
+                const neighborState = getNeighborState(merged, r, c);
+                const hint = checkDeadEndOneWallCase(merged, r, c, false, false, remainingWalls, neighborState);
+                if (hint) return hint;
+            }
+        }
+
+        return null;
+    }
+
+    return {
+        generate,
+        findConnectedComponents,
+        has2x2PathBlock,
+        has2x2PathClumpOutsideRoom,
+        isFixedPath,
+        isTargetDeadEnd,
+        isValidAlternateSolution,
+        findLockedWallsForAmbiguousSolutions,
+        runPuzzleSolver,
+        tracePuzzleSolve,
+        countPuzzleSolutions,
+        addLocksUntilUnique,
+        gradePuzzleDifficulty,
+        getRowCounts,
+        getColCounts,
+        findInvalidDeadEnd,
+        hintCheckMistakes,
+        hintTrivialRowCol,
+        hintRowColComplete,
+        hintDeadEndCanBeFinished,
+        hintCacheNearEdge,
+        hintVaultInteriorMustBePath,
+        hintVaultPerimeterComplete,
+        hintVaultExitDeadEnd,
+        hintTwoValidSolutions,
+        hintRowColCompletionCausesError,
+        hintEmptyDeadEndMustBeWall,
+        hint2x2With3Paths,
+        hintDeadEndOr2x2Squeeze,
+        hintPathMustExtend,
+        hintCornerFlankingDeadEnds,
+        hintEdgeCornerDeadEnd,
+        hintDeadEndAdjacent,
+        hintEdgeDeadEndOneWall
+    };
+}
@@ -0,0 +1,214 @@
+// ============================================
+// DAILY LEADERBOARD - REFERENCE SERVER
+// ============================================
+// A minimal self-hostable leaderboard for the daily puzzle. Plain Node, no
+// dependencies; scores live in a single JSON file.
+//
+//   node server/leaderboard-server.js
+//
+// Environment: PORT (default 8787), LEADERBOARD_FILE (default ./leaderboard.json).
+// Point the game at it with LEADERBOARD_URL in game.js, e.g. 'http://localhost:8787'.
+// Other scripts can start one with require('./leaderboard-server').createServer();
+// the tests in leaderboard-server.test.js run with `node --test server/`.
+//
+// API (JSON, CORS open to any origin):
+//   POST /scores  {date, seed, time, moves, verification, player}
+//                 Keeps each player's best result per date (lowest time, then moves)
+//   GET  /scores?date=<date>&player=<id>
+// Both answer {date, total, rank, ranking: [{rank, player, time, moves, verification}]},
+// where rank is the given player's place (null if they have no score that day).
+//
+// Results are not re-verified here; verification codes are stored and returned so
+// players can check each other's results in the game.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_DATA_FILE = 'leaderboard.json';
+const RANKING_SIZE = 10;
+const MAX_BODY_BYTES = 4096;
+
+const DATE_PATTERN = /^\d{2} (Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) \d{4}$/;
+const SEED_PATTERN = /^[0-9A-Z-]{1,32}$/;
+const VERIFICATION_PATTERN = /^V\d+-[A-Z0-9]{8}$/;
+const PLAYER_PATTERN = /^[A-Za-z0-9-]{1,24}$/;
+
+// Scores are kept as { [date]: { [player]: {seed, time, moves, verification, submittedAt} } }.
+// The maps have no prototype, so players named e.g. "constructor" are looked up like any other.
+function createMap(entries = {}) {
+    return Object.assign(Object.create(null), entries);
+}
+
+function loadScores(dataFile) {
+    try {
+        const saved = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+        const scores = createMap();
+        Object.entries(saved).forEach(([date, dayScores]) => {
+            scores[date] = createMap(dayScores);
+        });
+        return scores;
+    } catch (e) {
+        if (e.code !== 'ENOENT') console.warn('Failed to load scores, starting empty:', e.message);
+        return createMap();
+    }
+}
+
+// Write to a temporary file first so a crash never leaves half a file behind
+function saveScores(dataFile, scores) {
+    const tempFile = `${dataFile}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(scores));
+    fs.renameSync(tempFile, dataFile);
+}
+
+// Returns an error message, or null if the submission is well formed
+function getSubmissionProblem(entry) {
+    if (!entry || typeof entry !== 'object') return 'Expected a JSON object';
+    if (!DATE_PATTERN.test(entry.date)) return 'Invalid date';
+    if (!SEED_PATTERN.test(entry.seed)) return 'Invalid seed';
+    if (!Number.isInteger(entry.time) || entry.time <= 0) return 'Invalid time';
+    if (!Number.isInteger(entry.moves) || entry.moves < 0) return 'Invalid moves';
+    if (!VERIFICATION_PATTERN.test(entry.verification)) return 'Invalid verification code';
+    if (!PLAYER_PATTERN.test(entry.player)) return 'Invalid player';
+    return null;
+}
+
+function isBetter(a, b) {
+    return a.time < b.time || (a.time === b.time && a.moves < b.moves);
+}
+
+function getRanking(scores, date, player) {
+    const dayScores = scores[date] || {};
+    const sorted = Object.entries(dayScores)
+        .map(([name, score]) => ({ player: name, ...score }))
+        .sort((a, b) => a.time - b.time || a.moves - b.moves || a.submittedAt - b.submittedAt);
+    const index = sorted.findIndex(score => score.player === player);
+    return {
+        date,
+        total: sorted.length,
+        rank: index === -1 ? null : index + 1,
+        ranking: sorted.slice(0, RANKING_SIZE).map((score, i) => ({
+            rank: i + 1,
+            player: score.player,
+            time: score.time,
+            moves: score.moves,
+            verification: score.verification
+        }))
+    };
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+// Rejects with error.status 413 once the body passes MAX_BODY_BYTES; whatever
+// arrives after that is dropped rather than kept
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', function onData(chunk) {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                req.off('data', onData);
+                req.resume();
+                body = '';
+                reject(Object.assign(new Error('Body too large'), { status: 413 }));
+            }
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Create a leaderboard server and start listening
+ * @param {Object} [options]
+ * @param {number} [options.port=8787] - Port to listen on; 0 picks a free one
+ * @param {string} [options.dataFile='leaderboard.json'] - JSON file the scores are kept in
+ * @returns {http.Server}
+ */
+function createServer({ port = DEFAULT_PORT, dataFile = DEFAULT_DATA_FILE } = {}) {
+    dataFile = path.resolve(dataFile);
+    const scores = loadScores(dataFile);
+
+    async function handleSubmit(req, res) {
+        let entry;
+        try {
+            entry = JSON.parse(await readBody(req));
+        } catch (e) {
+            if (e.status === 413) {
+                // Close the connection after answering rather than reading on
+                res.setHeader('Connection', 'close');
+                send(res, 413, { error: 'Body too large' });
+            } else {
+                send(res, 400, { error: 'Expected a JSON object' });
+            }
+            return;
+        }
+
+        const problem = getSubmissionProblem(entry);
+        if (problem) {
+            send(res, 400, { error: problem });
+            return;
+        }
+
+        const dayScores = scores[entry.date] || (scores[entry.date] = createMap());
+        const previous = dayScores[entry.player];
+        if (!previous || isBetter(entry, previous)) {
+            dayScores[entry.player] = {
+                seed: entry.seed,
+                time: entry.time,
+                moves: entry.moves,
+                verification: entry.verification,
+                submittedAt: Date.now()
+            };
+            saveScores(dataFile, scores);
+        }
+        send(res, 200, getRanking(scores, entry.date, entry.player));
+    }
+
+    function handleRanking(url, res) {
+        const date = url.searchParams.get('date');
+        if (!DATE_PATTERN.test(date || '')) {
+            send(res, 400, { error: 'Invalid date' });
+            return;
+        }
+        send(res, 200, getRanking(scores, date, url.searchParams.get('player')));
+    }
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        if (req.method === 'OPTIONS') {
+            send(res, 204);
+        } else if (url.pathname === '/scores' && req.method === 'POST') {
+            handleSubmit(req, res).catch(e => {
+                console.warn('Failed to handle submission:', e.message);
+                if (!res.headersSent) send(res, 500, { error: 'Server error' });
+            });
+        } else if (url.pathname === '/scores' && req.method === 'GET') {
+            handleRanking(url, res);
+        } else {
+            send(res, 404, { error: 'Not found' });
+        }
+    });
+
+    server.listen(port);
+    return server;
+}
+
+if (require.main === module) {
+    const dataFile = process.env.LEADERBOARD_FILE || DEFAULT_DATA_FILE;
+    const server = createServer({ port: parseInt(process.env.PORT) || DEFAULT_PORT, dataFile });
+    server.on('listening', () => {
+        console.log(`Leaderboard listening on http://localhost:${server.address().port} (scores in ${path.resolve(dataFile)})`);
+    });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,121 @@
+// ============================================
+// DAILY LEADERBOARD - SERVER TESTS
+// ============================================
+// Run with `node --test server/` (Node 18+, no dependencies).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('node:events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServer } = require('./leaderboard-server');
+
+const DATE = '19 Oct 2026';
+
+function score(player, time, moves) {
+    return { date: DATE, seed: '8V2D-N5HY63', time, moves, verification: 'V2-NRKR7QYZ', player };
+}
+
+test('ranks posted scores and keeps them across restarts', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'leaderboard-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const dataFile = path.join(dir, 'scores.json');
+
+    async function start() {
+        const server = createServer({ port: 0, dataFile });
+        await once(server, 'listening');
+        t.after(() => server.close());
+        return `http://localhost:${server.address().port}/scores`;
+    }
+
+    function post(url, entry) {
+        return fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(entry)
+        });
+    }
+
+    const url = await start();
+    let res = await post(url, score('ada', 75, 44));
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(await res.json(), {
+        date: DATE,
+        total: 1,
+        rank: 1,
+        ranking: [{ rank: 1, player: 'ada', time: 75, moves: 44, verification: 'V2-NRKR7QYZ' }]
+    });
+
+    await post(url, score('bo', 60, 50));
+    // A slower result doesn't replace a player's best
+    res = await post(url, score('ada', 90, 10));
+    assert.strictEqual((await res.json()).rank, 2);
+
+    res = await fetch(`${url}?date=${encodeURIComponent(DATE)}&player=ada`);
+    const ranking = await res.json();
+    assert.strictEqual(ranking.total, 2);
+    assert.strictEqual(ranking.rank, 2);
+    assert.deepStrictEqual(ranking.ranking.map(entry => [entry.player, entry.time]), [['bo', 60], ['ada', 75]]);
+
+    // A second server on the same file picks the scores up
+    const restarted = await start();
+    res = await fetch(`${restarted}?date=${encodeURIComponent(DATE)}&player=bo`);
+    assert.strictEqual((await res.json()).rank, 1);
+});
+
+test('rejects malformed submissions', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'leaderboard-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const server = createServer({ port: 0, dataFile: path.join(dir, 'scores.json') });
+    await once(server, 'listening');
+    t.after(() => server.close());
+    const url = `http://localhost:${server.address().port}/scores`;
+
+    const res = await fetch(url, { method: 'POST', body: JSON.stringify({ ...score('ada', 75, 44), time: -1 }) });
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual(await res.json(), { error: 'Invalid time' });
+    assert.strictEqual((await fetch(`${url}?date=yesterday`)).status, 400);
+});
+
+test('stores players named like object properties', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'leaderboard-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const dataFile = path.join(dir, 'scores.json');
+
+    async function start() {
+        const server = createServer({ port: 0, dataFile });
+        await once(server, 'listening');
+        t.after(() => server.close());
+        return `http://localhost:${server.address().port}/scores`;
+    }
+
+    const url = await start();
+    // Each one is faster than the last, so each takes first place
+    const players = ['constructor', 'toString', 'hasOwnProperty'];
+    for (const [i, player] of players.entries()) {
+        const res = await fetch(url, { method: 'POST', body: JSON.stringify(score(player, 80 - i, 30)) });
+        assert.strictEqual((await res.json()).rank, 1, player);
+    }
+
+    // Still there once loaded back from the file
+    const restarted = await start();
+    const ranking = await (await fetch(`${restarted}?date=${encodeURIComponent(DATE)}&player=valueOf`)).json();
+    assert.deepStrictEqual(ranking.ranking.map(entry => entry.player), [...players].reverse());
+    assert.strictEqual(ranking.rank, null);
+});
+
+test('answers oversized submissions with 413', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'leaderboard-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const server = createServer({ port: 0, dataFile: path.join(dir, 'scores.json') });
+    await once(server, 'listening');
+    t.after(() => server.close());
+
+    const res = await fetch(`http://localhost:${server.address().port}/scores`, {
+        method: 'POST',
+        body: JSON.stringify({ ...score('ada', 75, 44), padding: 'x'.repeat(10000) })
+    });
+    assert.strictEqual(res.status, 413);
+    assert.deepStrictEqual(await res.json(), { error: 'Body too large' });
+});
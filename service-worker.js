@@ -7,6 +7,8 @@ const ASSETS_TO_CACHE = [
   `${BASE_PATH}index.html`,
   `${BASE_PATH}styles.css`,
   `${BASE_PATH}game.js`,
+  `${BASE_PATH}puzzle-core.js`,
+  `${BASE_PATH}generator-worker.js`,
   `${BASE_PATH}manifest.json`,
   `${BASE_PATH}icons/icon-72.png`,
   `${BASE_PATH}icons/icon-96.png`,
@@ -20,6 +22,9 @@ const ASSETS_TO_CACHE = [
   `${BASE_PATH}themes/theme-base.js`,
   `${BASE_PATH}themes/theme-manager.js`,
   `${BASE_PATH}themes/theme-cyberpunk.js`,
+  `${BASE_PATH}themes/theme-dungeon.js`,
+  `${BASE_PATH}themes/theme-blueprint.js`,
+  `${BASE_PATH}themes/theme-custom.js`,
   // Maskable icons
   `${BASE_PATH}icons/icon-maskable.svg`,
   `${BASE_PATH}icons/icon-maskable-192.png`,
@@ -51,6 +56,19 @@ self.addEventListener('activate', (event) => {
   );
 });
 
+// Message event - cache theme image assets
+// They're listed in the theme scripts, so the page sends them once it has loaded
+self.addEventListener('message', (event) => {
+  if (!event.data || event.data.type !== 'cacheThemeAssets') return;
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => Promise.all(
+      event.data.urls.map((url) => cache.match(url).then((cached) => cached || cache.add(url)).catch(() => {
+        console.log('Could not cache theme asset:', url);
+      }))
+    ))
+  );
+});
+
 // Fetch event - stale-while-revalidate strategy
 // Returns cached version immediately for speed, then fetches fresh version
 // in background to update cache for next visit
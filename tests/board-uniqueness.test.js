@@ -0,0 +1,26 @@
+// ============================================
+// EDITOR UNIQUENESS CHECK - TESTS
+// ============================================
+// Run with `node --test tests/` (Node 18+, no dependencies).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { loadPuzzleCore } = require('./load-game');
+
+// A 6×6 board without locked walls that has two solutions
+const LOOSE_BOARD = 'B1.Bv-AK2oGBAAAAAA';
+
+test('suggested locks make a loose board unique', () => {
+    const core = loadPuzzleCore();
+    const { before, after } = JSON.parse(vm.runInContext(`(() => {
+        const puzzle = decodeBoardCode('${LOOSE_BOARD}');
+        const before = checkBoardUniqueness(puzzle, 10);
+        before.suggestedLocks.forEach(i => { puzzle.lockedWalls[i] = true; });
+        return JSON.stringify({ before, after: checkBoardUniqueness(puzzle, 10) });
+    })()`, core));
+
+    assert.strictEqual(before.count, 2);
+    assert.ok(before.suggestedLocks.length > 0);
+    assert.deepStrictEqual(after, { count: 1, exact: true, suggestedLocks: [] });
+});
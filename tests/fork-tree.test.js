@@ -0,0 +1,60 @@
+// ============================================
+// FORK TREE - TESTS
+// ============================================
+// Run with `node --test tests/` (Node 18+, no dependencies).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { loadGame } = require('./load-game');
+
+async function startGame() {
+    const game = loadGame();
+    await vm.runInContext("init(true, '6V2-ABCDEF')", game);
+    // Values are copied out of the game's context so they compare as plain data
+    return code => {
+        const value = vm.runInContext(code, game);
+        return value === undefined ? value : JSON.parse(JSON.stringify(value));
+    };
+}
+
+test('committing a fork drops the forks parked beside it', async () => {
+    const run = await startGame();
+    run(`
+        openFork();
+        layers[1][0] = 1;
+        openFork();
+        layers[2][1] = 1;
+        switchFork(0);
+        openFork();
+        layers[1][0] = 2;
+    `);
+    // Forks 1 (A1 wall) and its child 2 are parked beside fork 3 (A1 path)
+    assert.deepStrictEqual(run('forkTree.parked.map(node => node.id)'), [2, 1]);
+
+    run('commitFork()');
+    assert.deepStrictEqual(run('forkTree.path'), [0]);
+    assert.deepStrictEqual(run('forkTree.parked'), []);
+    assert.strictEqual(run('layers[0][0]'), 2);
+});
+
+test('committing a fork moves its own forks up to the parent', async () => {
+    const run = await startGame();
+    run(`
+        openFork();
+        layers[1][0] = 1;
+        openFork();
+        layers[2][1] = 1;
+        openFork();
+        layers[3][2] = 1;
+        switchFork(2);
+        switchFork(1);
+        openFork();
+        layers[2][1] = 2;
+        switchFork(2);
+    `);
+    // Fork 2 has child 3; fork 4 is its sibling under fork 1
+    run('commitFork()');
+    assert.deepStrictEqual(run('forkTree.path'), [0, 1]);
+    assert.deepStrictEqual(run('forkTree.parked.map(node => [node.id, node.parent])'), [[3, 1]]);
+});
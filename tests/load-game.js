@@ -0,0 +1,98 @@
+// ============================================
+// TEST HELPERS - LOAD THE GAME SCRIPTS
+// ============================================
+// The game is plain browser scripts sharing one global scope, so the tests run
+// them in a vm context. The DOM is a stand-in where every element accepts any
+// property and method, enough for the game to start without a page.
+
+const vm = require('vm');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+const THEME_SCRIPTS = [
+    'themes/theme-base.js',
+    'themes/theme-manager.js',
+    'themes/theme-cyberpunk.js',
+    'themes/theme-dungeon.js',
+    'themes/theme-blueprint.js',
+    'themes/theme-custom.js'
+];
+
+function createElement() {
+    return new Proxy(function () {}, {
+        get(target, key) {
+            if (key === Symbol.toPrimitive) return () => '';
+            if (key in target) return target[key];
+            if (key === 'children' || key === 'childNodes') return [];
+            if (key === 'classList') return { add() {}, remove() {}, toggle() {}, contains: () => false };
+            if (key === 'style' || key === 'dataset') return {};
+            if (key === 'value') return '8';
+            if (key === 'querySelectorAll') return () => [];
+            return createElement();
+        },
+        set(target, key, value) {
+            target[key] = value;
+            return true;
+        },
+        apply: () => createElement()
+    });
+}
+
+function createContext() {
+    const store = {};
+    const context = {
+        // The game warns when it falls back from browser features the tests don't have
+        console: { ...console, warn() {} },
+        setTimeout: () => 0,
+        clearTimeout() {},
+        setInterval: () => 0,
+        clearInterval() {},
+        requestAnimationFrame() {},
+        fetch: () => Promise.reject(new Error('No network in tests')),
+        btoa,
+        atob,
+        URLSearchParams,
+        localStorage: {
+            getItem: key => store[key] ?? null,
+            setItem: (key, value) => { store[key] = String(value); },
+            removeItem: key => { delete store[key]; }
+        },
+        navigator: {},
+        location: { search: '', href: '' },
+        matchMedia: () => ({ matches: false, addEventListener() {} }),
+        addEventListener() {},
+        document: createElement()
+    };
+    context.window = context;
+    context.self = context;
+    return vm.createContext(context);
+}
+
+function run(context, files) {
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+/**
+ * Load puzzle-core.js on its own
+ * @returns {Object} vm context holding the core's globals
+ */
+function loadPuzzleCore() {
+    return run(createContext(), ['puzzle-core.js']);
+}
+
+/**
+ * Load the themes, the core and game.js, muted and without drawing
+ * @returns {Object} vm context holding the game's globals
+ */
+function loadGame() {
+    const context = run(createContext(), [...THEME_SCRIPTS, 'puzzle-core.js', 'game.js']);
+    vm.runInContext('ChipSound.setMuted(true); render = () => {}; update = () => {}; renderForkTree = () => {};', context);
+    return context;
+}
+
+module.exports = { loadPuzzleCore, loadGame };
@@ -0,0 +1,46 @@
+// ============================================
+// SOLVE WALKTHROUGH - TESTS
+// ============================================
+// Run with `node --test tests/` (Node 18+, no dependencies).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { loadPuzzleCore } = require('./load-game');
+
+// An 8×8 board without locked walls: the solver ends on a fork where one branch
+// finishes the board and the other gets stuck
+const LOOSE_BOARD = 'B1.CAF4IIg_SGIWRAAAAAAAAAAA';
+
+test('a walkthrough that solves the board ends on a solved board', () => {
+    const core = loadPuzzleCore();
+    const { steps, solved, lastBoardSolved, forkMessages } = vm.runInContext(`(() => {
+        const puzzleCore = createPuzzleCore(decodeBoardCode('${LOOSE_BOARD}'));
+        const { steps, solved } = puzzleCore.tracePuzzleSolve();
+        return {
+            steps: steps.length,
+            solved,
+            lastBoardSolved: puzzleCore.isValidAlternateSolution(steps[steps.length - 1].board),
+            forkMessages: steps.filter(step => step.hint.technique === 'fork').map(step => step.hint.message)
+        };
+    })()`, core);
+
+    assert.ok(steps > 0);
+    assert.strictEqual(solved, true);
+    assert.strictEqual(lastBoardSolved, true);
+    assert.match(forkMessages[forkMessages.length - 1], /leads to a finished board/);
+});
+
+test('a wall the walkthrough takes from the solution is shown as a step', () => {
+    const core = loadPuzzleCore();
+    // 6×6 and without locked walls, so the board can be finished in more than one way
+    const lockSteps = vm.runInContext(`(() => {
+        const puzzleCore = createPuzzleCore(decodeBoardCode('B1.Bv-AK2oGBAAAAAA'));
+        return puzzleCore.tracePuzzleSolve().steps
+            .filter(step => step.hint.technique === 'lock')
+            .map(step => ({ cell: step.hint.cells[0], value: step.board[step.hint.cells[0].r * 6 + step.hint.cells[0].c] }));
+    })()`, core);
+
+    assert.strictEqual(lockSteps.length, 1);
+    assert.strictEqual(lockSteps[0].value, 1);
+});
@@ -12,7 +12,12 @@ const ThemeBase = {
     // Whether this theme uses image assets or CSS shapes
     useImages: false,
     
-    // Asset paths (only used if useImages is true)
+    // Asset paths (only used if useImages is true), relative to index.html.
+    // An asset is an image URL or a spritesheet frame, {sheet: 'name', frame: n}, with frames
+    // counted left to right from the top. State variants are named after the asset, e.g.
+    // wallError, wallLocked, pathComplete, pathCompleteBlue, pathError, nodeConflict,
+    // stockpileRetrieved, and fall back to the plain asset. Missing assets, and images that
+    // fail to load, fall back to the CSS shapes.
     assets: {
         wall: null,           // Wall/barrier image
         path: null,           // Path marker image
@@ -23,6 +28,9 @@ const ThemeBase = {
         background: null,     // Cell background tile
         gridBackground: null  // Overall grid background
     },
+
+    // Spritesheets for assets to take frames from: { name: {src, columns, rows} }
+    spritesheets: {},
     
     // Color palette - maps to CSS variables
     colors: {
@@ -69,6 +77,7 @@ const ThemeBase = {
         commit: 'Commit',
         discard: 'Discard',
         undo: 'Undo',
+        redo: 'Redo',
         briefing: 'Briefing',
 
         // Layer names
@@ -79,14 +88,39 @@ const ThemeBase = {
         victoryStats: {
             time: 'Duration',
             moves: 'Operations',
-            streak: 'Consecutive Wins'
+            streak: 'Consecutive Wins',
+            wins: 'Wins'
         },
+        nextLevel: 'Next Puzzle',
+        dailyCompleteTitle: 'DAILY COMPLETE',
+
+        // Tutorial and daily messages
+        tutorialWelcome: 'Welcome. This guided training will teach you to solve the grid.',
+        tutorialSuccess: 'Puzzle solved!',
+        levelUpSuccess: 'Larger grids unlocked!',
+        dailyComplete: "Today's puzzle has been solved!",
+        dailyArchiveComplete: 'Archived puzzle solved!',
+        tutorialIntroTitle: 'TRAINING',
+        tutorialTechno: 'You know the rules. Time for a real puzzle.',
+        levelUpTitle: 'LEVEL UP',
+        levelUpTechno: 'Bigger puzzles are now available.',
+        vaultUnlockTechno: 'Larger grids may now hide a vault.',
+        dailyCompleteTechno: 'Come back tomorrow for a new puzzle.',
+        dailyDateLabel: 'Date',
+
+        // Stats and leaderboard
+        statsTitle: 'STATISTICS',
+        player: 'player',
+        players: 'players',
 
         // Briefing terminology
         briefingTitle: 'Mission Briefing',
         wall: 'Wall',
+        walls: 'Walls',
         path: 'Path',
+        paths: 'Paths',
         deadEnd: 'Dead End',
+        deadEnds: 'Dead Ends',
         stockpile: 'Stockpile',
         vault: 'Vault',
         stockpileDesc: 'Located inside a 3×3 vault surrounded by walls with one door.',
@@ -110,11 +144,22 @@ const ThemeBase = {
         return `${prefix}-${middle} ${suffix}. ${extra}`;
     },
     
-    // Sound configuration (frequency multipliers, can be overridden)
+    // Sound configuration, applied to ChipSound and ChipMusic when the theme is set
     sounds: {
-        enabled: true,
-        pitchMultiplier: 1.0,  // Adjust overall pitch
-        waveform: 'square'     // Default oscillator type
+        enabled: true,         // false silences effects and music
+        pitchMultiplier: 1.0,  // Scales sound effect frequencies
+        waveform: 'square',    // Default oscillator type (effects and the music's lead)
+
+        // Optional: replace sound effects by name (wall, path, erase, error, victory,
+        // fork, commit, abort, labelFill, autoComplete, newGame, undo, redo, click).
+        // Each is a list of steps started `at` ms in; see DEFAULT_EFFECTS in game.js:
+        //   effects: { wall: [{ tone: 180, duration: 0.05, wave: 'triangle', volume: 0.06 }] }
+        effects: {},
+
+        // Optional: replace music settings (the music's scale sets its own pitch):
+        //   { tempo, scale: [freqs], chordProgressions: [[scale indices]],
+        //     bassPattern: [scale indices], arpPatterns: [[chord positions]] }
+        music: {}
     },
     
     // Animation configuration
@@ -126,19 +171,38 @@ const ThemeBase = {
     
     // Custom render functions (can be overridden by themes)
     // These return DOM elements or modify existing ones
+
+    /**
+     * Paint an element with the theme's image for it, if there is one
+     * @param {HTMLElement} element - Element to paint
+     * @param {string} name - Asset name ('wall', 'path', 'node', 'stockpile')
+     * @param {Array<string>} states - State variants to try first, most specific first
+     * @param {string} imageClass - Class that strips the CSS shape's own styling
+     * @returns {boolean} Whether an image was applied
+     */
+    applyImage(element, name, states, imageClass) {
+        const asset = ThemeManager.getAsset(this, name, states);
+        if (!asset) return false;
+        ThemeManager.paintAsset(element, asset);
+        element.classList.add(imageClass);
+        return true;
+    },
     
     /**
      * Render a wall element
      * @param {number} layerIndex - Which layer (0-3)
      * @param {boolean} isError - Whether wall is in error state
      * @param {boolean} isCurrent - Whether this is the current layer
+     * @param {boolean} isLocked - Whether this is a locked wall given by the puzzle
      * @returns {HTMLElement}
      */
-    renderWall(layerIndex, isError, isCurrent) {
+    renderWall(layerIndex, isError, isCurrent, isLocked = false) {
         const wall = document.createElement('div');
         wall.className = `wall wall-l${layerIndex}`;
         if (!isCurrent) wall.classList.add('opacity-40');
         if (isError) wall.classList.add(isCurrent ? 'wall-error' : 'wall-error-dim');
+        if (isLocked) wall.classList.add('wall-locked');
+        this.applyImage(wall, 'wall', [isLocked ? 'locked' : null, isError ? 'error' : null], 'wall-image');
         return wall;
     },
     
@@ -146,7 +210,7 @@ const ThemeBase = {
      * Render a path dot element
      * @param {number} layerIndex - Which layer
      * @param {boolean} isCurrent - Whether this is the current layer
-     * @param {string} state - 'normal', 'complete', 'error', 'erratic'
+     * @param {string} state - 'normal', 'complete', 'complete-blue' (inside a sealed vault), 'error', 'erratic'
      * @returns {HTMLElement}
      */
     renderPathDot(layerIndex, isCurrent, state) {
@@ -154,8 +218,10 @@ const ThemeBase = {
         dot.className = 'path-dot';
         if (!isCurrent) dot.classList.add('path-dot-dim');
         if (state === 'complete') dot.classList.add('path-dot-complete');
+        if (state === 'complete-blue') dot.classList.add('path-dot-complete-blue');
         if (state === 'error') dot.classList.add('path-dot-error');
         if (state === 'erratic') dot.classList.add('path-dot-erratic');
+        this.applyImage(dot, 'path', state === 'complete-blue' ? [state, 'complete'] : [state], 'path-dot-image');
         return dot;
     },
     
@@ -174,24 +240,26 @@ const ThemeBase = {
         const core = document.createElement('div');
         core.className = 'node-core';
         node.appendChild(core);
+        this.applyImage(node, 'node', [state], 'node-image');
         
         return node;
     },
     
     /**
      * Render a stockpile element
-     * @param {string} state - 'normal', 'complete', 'retrieved'
+     * @param {string} state - 'normal', 'complete', 'retrieved' (the victory fill reached it)
      * @returns {HTMLElement}
      */
     renderStockpile(state) {
         const stockpile = document.createElement('div');
         stockpile.className = 'stockpile';
-        if (state === 'complete') stockpile.classList.add('stockpile-complete');
+        if (state === 'complete' || state === 'retrieved') stockpile.classList.add('stockpile-complete');
         if (state === 'retrieved') stockpile.classList.add('stockpile-retrieved');
         
         const icon = document.createElement('div');
         icon.className = 'stockpile-icon';
         stockpile.appendChild(icon);
+        this.applyImage(stockpile, 'stockpile', state === 'retrieved' ? [state, 'complete'] : [state], 'stockpile-image');
         
         return stockpile;
     },
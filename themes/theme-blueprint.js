@@ -0,0 +1,62 @@
+/**
+ * Blueprint Theme
+ * Drafting-table look drawn with image assets: a small spritesheet for the nodes,
+ * the stockpile and the cell tile, and a plain image behind the grid
+ */
+
+const ThemeBlueprint = Object.assign({}, ThemeBase, {
+    id: 'blueprint',
+    name: 'Blueprint',
+    description: 'Draft the network on blueprint paper',
+
+    useImages: true,
+
+    // Walls and path dots stay CSS shapes so fork layers keep their colors
+    assets: {
+        wall: null,
+        path: null,
+        node: { sheet: 'pieces', frame: 0 },
+        nodeComplete: { sheet: 'pieces', frame: 1 },
+        stockpile: { sheet: 'pieces', frame: 3 },
+        stockpileComplete: { sheet: 'pieces', frame: 4 },
+        stockpileRetrieved: { sheet: 'pieces', frame: 5 },
+        background: { sheet: 'pieces', frame: 2 },
+        gridBackground: 'themes/blueprint/grid.svg'
+    },
+
+    spritesheets: {
+        pieces: { src: 'themes/blueprint/sprites.svg', columns: 3, rows: 2 }
+    },
+
+    colors: {
+        primary: '#7fd4ff',      // Pencil blue
+        secondary: '#4d8dff',    // Ink blue
+        success: '#8cf0b0',      // Approved green
+        warning: '#ffd166',      // Highlighter yellow
+        error: '#ff6b6b',        // Correction red
+        accent: '#c79bff',       // Revision purple
+        background: '#0b2545',   // Blueprint paper
+        dimTrace: '#3a5a80',
+        labelDefault: '#7f9cc0',
+        text: '#eaf4ff'
+    },
+
+    fonts: {
+        primary: "Consolas, 'Courier New', monospace",
+        mono: "Consolas, 'Courier New', monospace",
+        display: "Consolas, 'Courier New', monospace",
+        heading: "Consolas, 'Courier New', monospace"
+    },
+
+    layerColors: ['cyan', 'amber', 'green', 'magenta'],
+
+    terminology: {
+        ...ThemeBase.terminology,
+        title: 'Neural Recon Blueprint'
+    }
+});
+
+// Register theme
+if (typeof ThemeManager !== 'undefined') {
+    ThemeManager.register(ThemeBlueprint);
+}
@@ -0,0 +1,265 @@
+/**
+ * Custom Themes
+ * Player-built themes: a built-in theme with its own colors, layer colors,
+ * fonts and terminology. Saved to localStorage, registered with ThemeManager
+ * and exchanged as JSON files.
+ */
+
+const CustomThemes = (() => {
+    const STORAGE_KEY = 'neuralReconCustomThemes';
+    const FILE_FORMAT = 'neural-recon-theme';
+    const FILE_VERSION = 1;
+
+    const ID_PATTERN = /^custom-[a-z0-9]+$/;
+    const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+    const MAX_NAME_LENGTH = 40;
+    const MAX_TEXT_LENGTH = 240;
+    const MAX_FONT_LENGTH = 120;
+
+    // Layer colors name a theme color through its CSS variable (--neon-<name>)
+    const LAYER_COLOR_ROLES = {
+        cyan: 'primary',
+        blue: 'secondary',
+        green: 'success',
+        amber: 'warning',
+        red: 'error',
+        magenta: 'accent'
+    };
+
+    let saved = [];
+
+    function createId() {
+        return `custom-${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`;
+    }
+
+    function copy(data) {
+        return JSON.parse(JSON.stringify(data));
+    }
+
+    // Custom themes borrow everything else (rendering, babble, sounds) from a built-in theme
+    function getBaseTheme(baseId) {
+        const themes = ThemeManager.getAll();
+        if (themes[baseId] && !themes[baseId].custom) return themes[baseId];
+        return themes.cyberpunk || ThemeBase;
+    }
+
+    // Terminology is only ever set as page text, but markup is still refused so shared files stay plain
+    function readText(value, label, maxLength = MAX_TEXT_LENGTH) {
+        if (typeof value !== 'string') throw new Error(`${label} must be text`);
+        const text = value.trim();
+        if (!text) throw new Error(`${label} can't be empty`);
+        if (text.length > maxLength) throw new Error(`${label} is longer than ${maxLength} characters`);
+        if (/[<>]/.test(text)) throw new Error(`${label} can't contain < or >`);
+        return text;
+    }
+
+    function readTerminology(raw, base) {
+        const terminology = {};
+        Object.entries(base).forEach(([key, fallback]) => {
+            const value = raw?.[key];
+            if (value === undefined) return;
+            if (Array.isArray(fallback)) {
+                if (!Array.isArray(value)) throw new Error(`${key} must be a list`);
+                terminology[key] = fallback.map((item, i) =>
+                    value[i] === undefined ? item : readText(value[i], `${key} ${i + 1}`));
+            } else if (typeof fallback === 'object') {
+                terminology[key] = readTerminology(value, fallback);
+            } else {
+                terminology[key] = readText(value, key);
+            }
+        });
+        return terminology;
+    }
+
+    /**
+     * Check raw theme data (from storage or a file) and keep only the editable fields
+     * @param {Object} raw - {name, base, colors, layerColors, fonts, terminology}
+     * @returns {Object} Clean theme data, without an id
+     * @throws {Error} Describing the first problem found
+     */
+    function sanitize(raw) {
+        if (!raw || typeof raw !== 'object') throw new Error('Not a theme');
+        const base = getBaseTheme(raw.base);
+
+        const colors = {};
+        Object.keys(ThemeBase.colors).forEach(key => {
+            const value = raw.colors?.[key];
+            if (value === undefined) return;
+            if (!COLOR_PATTERN.test(value)) throw new Error(`Invalid color for ${key}: ${value}`);
+            colors[key] = value.toLowerCase();
+        });
+
+        // The layer count sets the fork depth, so it stays that of the base theme
+        const layerColors = [...base.layerColors];
+        if (raw.layerColors !== undefined) {
+            if (!Array.isArray(raw.layerColors)) throw new Error('layerColors must be a list');
+            raw.layerColors.slice(0, layerColors.length).forEach((name, i) => {
+                if (!(name in LAYER_COLOR_ROLES)) throw new Error(`Invalid layer color: ${name}`);
+                layerColors[i] = name;
+            });
+        }
+
+        const fonts = {};
+        Object.keys(ThemeBase.fonts).forEach(key => {
+            const value = raw.fonts?.[key];
+            if (value === undefined) return;
+            const font = readText(value, `${key} font`, MAX_FONT_LENGTH);
+            if (/[;{}]/.test(font)) throw new Error(`Invalid ${key} font: ${font}`);
+            fonts[key] = font;
+        });
+
+        return {
+            name: readText(raw.name, 'Theme name', MAX_NAME_LENGTH),
+            base: base.id,
+            colors,
+            layerColors,
+            fonts,
+            terminology: readTerminology(raw.terminology, ThemeBase.terminology)
+        };
+    }
+
+    /**
+     * Build a full theme object from custom theme data
+     * @param {Object} data - Custom theme data with an id
+     * @returns {Object} Theme object following ThemeBase structure
+     */
+    function build(data) {
+        const base = getBaseTheme(data.base);
+        const baseTerms = base.terminology || ThemeBase.terminology;
+        return Object.assign({}, base, {
+            id: data.id,
+            name: data.name,
+            description: `Custom theme based on ${base.name}`,
+            base: base.id,
+            custom: true,
+            colors: { ...base.colors, ...data.colors },
+            layerColors: [...data.layerColors],
+            fonts: { ...base.fonts, ...data.fonts },
+            terminology: {
+                ...baseTerms,
+                ...data.terminology,
+                victoryStats: { ...baseTerms.victoryStats, ...data.terminology?.victoryStats }
+            }
+        });
+    }
+
+    function load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            saved = stored.flatMap(entry => {
+                try {
+                    if (!ID_PATTERN.test(entry?.id)) throw new Error('Invalid id');
+                    return [{ id: entry.id, ...sanitize(entry) }];
+                } catch (e) {
+                    console.warn('Skipping invalid custom theme:', e.message);
+                    return [];
+                }
+            });
+        } catch (e) {
+            console.warn('Failed to load custom themes:', e);
+            saved = [];
+        }
+        saved.forEach(data => ThemeManager.register(build(data)));
+    }
+
+    function persist() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+        } catch (e) {
+            console.warn('Failed to save custom themes:', e);
+        }
+    }
+
+    load();
+
+    return {
+        LAYER_COLOR_ROLES,
+
+        /**
+         * Get a saved custom theme's data
+         * @param {string} id - Theme id
+         * @returns {Object|null}
+         */
+        get(id) {
+            const data = saved.find(entry => entry.id === id);
+            return data ? copy(data) : null;
+        },
+
+        /**
+         * Editable data for a theme: a saved custom theme's own data, or a new
+         * custom theme starting from any other theme's current look
+         * @param {Object} theme - Theme object
+         * @returns {Object} Custom theme data with an id
+         */
+        draftFrom(theme) {
+            const existing = theme.custom && this.get(theme.id);
+            if (existing) return existing;
+            const base = getBaseTheme(theme.id);
+            return copy({
+                id: createId(),
+                name: `My ${base.name}`,
+                base: base.id,
+                colors: base.colors,
+                layerColors: base.layerColors,
+                fonts: base.fonts,
+                terminology: base.terminology
+            });
+        },
+
+        build,
+
+        /**
+         * Validate, store and register custom theme data (replacing any with the same id)
+         * @param {Object} data - Custom theme data with an id
+         * @returns {Object} The stored data
+         * @throws {Error} If the data is invalid
+         */
+        save(data) {
+            const id = ID_PATTERN.test(data.id) ? data.id : createId();
+            const clean = { id, ...sanitize(data) };
+            const index = saved.findIndex(entry => entry.id === id);
+            if (index === -1) saved.push(clean); else saved[index] = clean;
+            persist();
+            ThemeManager.register(build(clean));
+            return copy(clean);
+        },
+
+        /**
+         * Delete a saved custom theme
+         * @param {string} id - Theme id
+         */
+        remove(id) {
+            saved = saved.filter(entry => entry.id !== id);
+            persist();
+            ThemeManager.unregister(id);
+        },
+
+        /**
+         * Theme file contents for sharing
+         * @param {Object} data - Custom theme data
+         * @returns {string} JSON text
+         * @throws {Error} If the data is invalid
+         */
+        toFile(data) {
+            return JSON.stringify({ format: FILE_FORMAT, version: FILE_VERSION, theme: sanitize(data) }, null, 2);
+        },
+
+        /**
+         * Read a theme file; the result gets a fresh id so it never overwrites a saved theme
+         * @param {string} text - File contents
+         * @returns {Object} Custom theme data with an id
+         * @throws {Error} If the file isn't a valid theme
+         */
+        fromFile(text) {
+            let file;
+            try {
+                file = JSON.parse(text);
+            } catch (e) {
+                throw new Error('Not a JSON file');
+            }
+            if (file?.format !== FILE_FORMAT) throw new Error('Not a Neural Recon theme file');
+            if (file.version > FILE_VERSION) throw new Error('Theme file is from a newer version of the game');
+            return { id: createId(), ...sanitize(file.theme) };
+        }
+    };
+})();
@@ -47,19 +47,41 @@ const ThemeCyberpunk = Object.assign({}, ThemeBase, {
         commit: 'Commit',
         discard: 'Discard',
         undo: 'Undo',
+        redo: 'Redo',
         briefing: 'Briefing',
         layerNames: ['Root', 'Fork 1', 'Fork 2', 'Fork 3'],
         victoryTitle: 'NEURAL LINK RESTORED',
         victoryStats: {
             time: 'Sync Duration',
             moves: 'Node Operations',
-            streak: 'Consecutive Links'
+            streak: 'Consecutive Links',
+            wins: 'Links Restored'
         },
+        nextLevel: 'Initialize Next Sequence',
+        dailyCompleteTitle: 'RESTORATION COMPLETE',
+        tutorialWelcome: 'Welcome, Operator. This guided training will teach you to decode neural pathways.',
+        tutorialSuccess: 'Neural pathway reconstruction successful!',
+        levelUpSuccess: 'Neural bandwidth expanded!',
+        dailyComplete: "Today's neural link has been restored!",
+        dailyArchiveComplete: 'Archived neural link restored!',
+        tutorialIntroTitle: 'TRAINING PROTOCOL INITIATED',
+        tutorialTechno: 'Synaptic calibration verified. Cognitive pattern recognition modules now online. You are cleared for field operations.',
+        levelUpTitle: 'CLEARANCE UPGRADED',
+        levelUpTechno: 'Cognitive load capacity verified. Higher-complexity matrices now accessible.',
+        vaultUnlockTechno: 'Secure data sectors now within operational parameters. New containment protocols available.',
+        dailyCompleteTechno: 'Daily encryption sequence verified. Return tomorrow for the next link.',
+        dailyDateLabel: 'Sync Date',
+        statsTitle: 'OPERATOR METRICS',
+        player: 'operator',
+        players: 'operators',
         // Briefing terminology
         briefingTitle: 'Mission Briefing',
         wall: 'wall',
+        walls: 'walls',
         path: 'path',
+        paths: 'paths',
         deadEnd: 'dead end',
+        deadEnds: 'dead ends',
         stockpile: 'Data Cache',
         vault: 'Data Vault',
         stockpileDesc: 'Located inside a 3×3 vault surrounded by walls with one door. Turns green when the vault is properly sealed.',
@@ -0,0 +1,215 @@
+/**
+ * Dungeon Theme
+ * Torch-lit fantasy delve: stone walls, lurking monsters and a treasure chest
+ */
+
+const ThemeDungeon = Object.assign({}, ThemeBase, {
+    id: 'dungeon',
+    name: 'Dungeon',
+    description: 'Map the crypt, corner its monsters, find the treasure',
+
+    useImages: false,
+
+    colors: {
+        primary: '#d9a441',      // Torch gold
+        secondary: '#7b8fa6',    // Cold stone
+        success: '#6fbf4a',      // Moss green
+        warning: '#e0782f',      // Ember orange
+        error: '#c0392b',        // Blood red
+        accent: '#9b59b6',       // Arcane purple
+        background: '#120e0b',   // Cave dark
+        dimTrace: '#3d332a',
+        labelDefault: '#6b5d4f', // Worn parchment
+        text: '#f0e6d2'
+    },
+
+    buttonColors: {
+        default: 'primary',      // Gold
+        action: 'success',       // Green (Scout)
+        danger: 'error',         // Red (Retreat)
+        info: 'warning',         // Orange (Lore)
+        sound: 'accent'          // Purple
+    },
+
+    fonts: {
+        primary: "Georgia, 'Times New Roman', serif",
+        mono: "'Courier New', monospace",
+        display: "'Palatino Linotype', Palatino, 'Book Antiqua', Georgia, serif",
+        heading: "'Palatino Linotype', Palatino, 'Book Antiqua', Georgia, serif"
+    },
+
+    // Root walls are plain stone; scouting layers take the torch and ember colors
+    layerColors: ['blue', 'cyan', 'amber', 'magenta'],
+
+    terminology: {
+        title: 'Dungeon Delve',
+        newGame: 'Descend',
+        fork: 'Scout',
+        commit: 'Claim',
+        discard: 'Retreat',
+        undo: 'Undo',
+        redo: 'Redo',
+        briefing: 'Lore',
+        layerNames: ['Camp', 'Scout 1', 'Scout 2', 'Scout 3'],
+        victoryTitle: 'DUNGEON CLEARED',
+        victoryStats: {
+            time: 'Delve Time',
+            moves: 'Actions Taken',
+            streak: 'Dungeons in a Row',
+            wins: 'Dungeons Cleared'
+        },
+        nextLevel: 'Descend Deeper',
+        dailyCompleteTitle: 'DELVE COMPLETE',
+        tutorialWelcome: 'Welcome, Adventurer. This guided training will teach you to map the dungeon.',
+        tutorialSuccess: 'Dungeon mapped successfully!',
+        levelUpSuccess: 'Deeper dungeons unlocked!',
+        dailyComplete: "Today's dungeon has been cleared!",
+        dailyArchiveComplete: 'Archived dungeon cleared!',
+        tutorialIntroTitle: 'TRAINING GROUNDS',
+        tutorialTechno: 'Your map-reading is proven. The guild clears you for real delves.',
+        levelUpTitle: 'NEW DEPTHS REACHED',
+        levelUpTechno: 'Your torch burns brighter. Deeper halls are now open.',
+        vaultUnlockTechno: 'The deeper halls hide sealed chambers. Guard their treasure well.',
+        dailyCompleteTechno: 'The dungeon shifts at dawn. Return tomorrow for a new delve.',
+        dailyDateLabel: 'Delve Date',
+        statsTitle: 'ADVENTURER RECORDS',
+        player: 'adventurer',
+        players: 'adventurers',
+        // Briefing terminology
+        briefingTitle: "Adventurer's Lore",
+        wall: 'stone wall',
+        walls: 'stone walls',
+        path: 'corridor',
+        paths: 'corridors',
+        deadEnd: 'monster',
+        deadEnds: 'monsters',
+        stockpile: 'Treasure Chest',
+        vault: 'Treasure Room',
+        stockpileDesc: 'Hidden inside a 3×3 treasure room sealed by stone with one door. The chest glows green when the room is properly sealed.',
+        vaultDesc: 'On {VAULT_SIZE}+ grids, look for a 3×3 treasure room with 11 stone walls around it and 1 door. The room holds a Treasure Chest somewhere inside.'
+    },
+
+    babble: {
+        prefixes: ['Ancient', 'Cursed', 'Forgotten', 'Gilded', 'Haunted', 'Sunken', 'Runed', 'Shadowed', 'Crumbling', 'Dragon'],
+        middles: ['crypt', 'vault', 'hoard', 'tomb', 'keep', 'lair', 'catacomb', 'shrine', 'barrow', 'hall'],
+        suffixes: ['plundered', 'unsealed', 'conquered', 'explored', 'claimed', 'purged', 'charted', 'reclaimed', 'breached', 'looted'],
+        extras: [
+            'The torches still burn.',
+            'No traps were sprung.',
+            'The goblins flee in terror.',
+            'Gold coins: uncountable.',
+            'The bard will sing of this.',
+            'Rations remaining: plenty.',
+            'A distant roar fades away.',
+            'The map is complete.',
+            'Your sword is still sharp.',
+            'Experience gained.'
+        ]
+    },
+
+    // Word pairs read better as "Cursed crypt plundered" than hyphenated
+    generateBabble() {
+        const pick = list => list[Math.floor(Math.random() * list.length)];
+        return `${pick(this.babble.prefixes)} ${pick(this.babble.middles)} ${pick(this.babble.suffixes)}. ${pick(this.babble.extras)}`;
+    },
+
+    sounds: {
+        enabled: true,
+        pitchMultiplier: 0.75,
+        waveform: 'triangle',
+
+        effects: {
+            // Stone scraping into place
+            wall: [
+                { tone: 90, duration: 0.08, wave: 'sine', volume: 0.12 },
+                { noise: true, duration: 0.04, volume: 0.04 }
+            ],
+            // A monster's growl
+            error: [
+                { slide: [140, 70], duration: 0.25, wave: 'sawtooth', volume: 0.14 }
+            ],
+            // Minor-key horn call
+            victory: [
+                { arpeggio: [220, 262, 330, 440], duration: 0.16, volume: 0.15 },
+                { at: 700, arpeggio: [392, 440, 523, 659], duration: 0.2, wave: 'sine', volume: 0.12 }
+            ]
+        },
+
+        // A natural minor, slow and low
+        music: {
+            tempo: 62,
+            scale: [
+                110.00, // A2
+                123.47, // B2
+                130.81, // C3
+                146.83, // D3
+                164.81, // E3
+                174.61, // F3
+                196.00, // G3
+                220.00, // A3
+                246.94, // B3
+                261.63, // C4
+                293.66, // D4
+                329.63, // E4
+            ],
+            chordProgressions: [
+                [0, 2, 4],    // A minor
+                [5, 7, 9],    // F major
+                [3, 5, 7],    // D minor
+                [4, 6, 8],    // E minor
+            ],
+            bassPattern: [0, 0, 0, 4, 5, 5, 4, 4],
+            arpPatterns: [
+                [0, 1, 2, 1],
+                [2, 1, 0, 1],
+            ]
+        }
+    },
+
+    animations: {
+        victoryWaveDelay: 70,
+        pulseSpeed: 0.8,
+        glowIntensity: 0.6
+    },
+
+    /**
+     * Dead ends are monsters: the base node box with a face in place of the core
+     */
+    renderNode(state) {
+        const node = ThemeBase.renderNode.call(this, state);
+        if (node.classList.contains('node-image')) return node;
+
+        node.classList.add('node-monster');
+        const face = document.createElement('div');
+        face.className = 'monster-face';
+        face.textContent = state === 'complete' ? '💀' : '👹';
+        node.appendChild(face);
+        return node;
+    },
+
+    /**
+     * The stockpile is a treasure chest whose lid opens when the run retrieves it
+     */
+    renderStockpile(state) {
+        const stockpile = ThemeBase.renderStockpile.call(this, state);
+        if (stockpile.classList.contains('stockpile-image')) return stockpile;
+
+        stockpile.classList.add('stockpile-chest');
+        stockpile.replaceChildren();
+        ['chest-lid', 'chest-body', 'chest-lock'].forEach(part => {
+            const el = document.createElement('div');
+            el.className = part;
+            stockpile.appendChild(el);
+        });
+        return stockpile;
+    },
+
+    playVictorySequence(defaultSequence) {
+        defaultSequence();
+    }
+});
+
+// Register theme
+if (typeof ThemeManager !== 'undefined') {
+    ThemeManager.register(ThemeDungeon);
+}
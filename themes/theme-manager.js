@@ -7,6 +7,38 @@ const ThemeManager = (() => {
     const themes = {};
     let currentTheme = null;
     let onThemeChangeCallbacks = [];
+    let onAssetsReadyCallbacks = [];
+
+    // Image asset URL -> true once loaded, false if it failed
+    const loadedAssets = {};
+    const ASSET_TIMEOUT_MS = 8000;
+
+    function loadImage(url) {
+        if (url in loadedAssets) return Promise.resolve();
+        return new Promise(resolve => {
+            const img = new Image();
+            const timer = setTimeout(() => finish(false), ASSET_TIMEOUT_MS);
+            function finish(loaded) {
+                clearTimeout(timer);
+                if (!loaded) console.warn(`Theme asset unavailable, using CSS shapes: ${url}`);
+                loadedAssets[url] = loaded;
+                resolve();
+            }
+            img.onload = () => finish(true);
+            img.onerror = () => finish(false);
+            img.src = url;
+        });
+    }
+
+    // A theme built on another (e.g. a custom theme) also wears its base's class for CSS
+    function getBodyClasses(theme) {
+        return theme.base ? [`theme-${theme.id}`, `theme-${theme.base}`] : [`theme-${theme.id}`];
+    }
+
+    // 'complete-blue' -> 'nodeCompleteBlue'
+    function getAssetKey(name, state) {
+        return name + state.split('-').map(part => part[0].toUpperCase() + part.slice(1)).join('');
+    }
     
     return {
         /**
@@ -21,6 +53,14 @@ const ThemeManager = (() => {
             themes[theme.id] = theme;
         },
         
+        /**
+         * Remove a registered theme (e.g. a deleted custom theme)
+         * @param {string} themeId - ID of theme to remove
+         */
+        unregister(themeId) {
+            delete themes[themeId];
+        },
+        
         /**
          * Get all registered themes
          * @returns {Object} Map of theme id to theme object
@@ -61,6 +101,24 @@ const ThemeManager = (() => {
                 return false;
             }
             
+            this.preview(theme);
+            
+            // Save preference
+            try {
+                localStorage.setItem('gameTheme', themeId);
+            } catch (e) {
+                console.warn('Could not save theme preference:', e);
+            }
+            
+            return true;
+        },
+        
+        /**
+         * Make a theme current without saving it as the preference. The theme
+         * needn't be registered, so editors can show unsaved drafts.
+         * @param {Object} theme - Theme object following ThemeBase structure
+         */
+        preview(theme) {
             const previousTheme = currentTheme;
             currentTheme = theme;
             
@@ -69,21 +127,131 @@ const ThemeManager = (() => {
             
             // Update body class
             document.body.classList.remove(...Object.keys(themes).map(id => `theme-${id}`));
-            document.body.classList.add(`theme-${themeId}`);
-            
-            // Save preference
-            try {
-                localStorage.setItem('gameTheme', themeId);
-            } catch (e) {
-                console.warn('Could not save theme preference:', e);
+            if (previousTheme) document.body.classList.remove(...getBodyClasses(previousTheme));
+            document.body.classList.add(...getBodyClasses(theme));
+
+            // Image themes keep the board hidden until their assets have loaded
+            this.applyBackgroundAssets(null);
+            if (theme.useImages) {
+                document.body.classList.add('theme-assets-loading');
+                this.preloadAssets(theme).then(() => {
+                    if (currentTheme !== theme) return;
+                    document.body.classList.remove('theme-assets-loading');
+                    this.applyBackgroundAssets(theme);
+                    onAssetsReadyCallbacks.forEach(cb => cb(theme));
+                });
+            } else {
+                document.body.classList.remove('theme-assets-loading');
             }
             
             // Notify listeners
             onThemeChangeCallbacks.forEach(cb => cb(theme, previousTheme));
-            
-            return true;
         },
         
+        /**
+         * Image URLs a theme uses: its assets and spritesheets
+         * @param {Object} theme - Theme object
+         * @returns {Array<string>}
+         */
+        getAssetUrls(theme) {
+            if (!theme.useImages) return [];
+            const urls = new Set();
+            Object.values(theme.assets || {}).forEach(asset => {
+                if (typeof asset === 'string') urls.add(asset);
+            });
+            Object.values(theme.spritesheets || {}).forEach(sheet => urls.add(sheet.src));
+            return [...urls];
+        },
+
+        /**
+         * Image URLs of every registered theme, for the service worker to cache
+         * @returns {Array<string>}
+         */
+        getAllAssetUrls() {
+            return [...new Set(Object.values(themes).flatMap(theme => this.getAssetUrls(theme)))];
+        },
+
+        /**
+         * Load a theme's images; failed or slow ones are left out and fall back to CSS
+         * @param {Object} theme - Theme object
+         * @returns {Promise} Resolves once every image has loaded or failed
+         */
+        preloadAssets(theme) {
+            return Promise.all(this.getAssetUrls(theme).map(loadImage));
+        },
+
+        /**
+         * Find a loaded image for a board element, trying each state variant before the plain asset
+         * @param {Object} theme - Theme object
+         * @param {string} name - Asset name, e.g. 'node'
+         * @param {Array<string>} states - States to try in order, e.g. ['complete']
+         * @returns {Object|null} {src} or {src, sheet, frame}, null if there's no usable image
+         */
+        getAsset(theme, name, states = []) {
+            if (!theme?.useImages || !theme.assets) return null;
+            const keys = [...states.filter(Boolean).map(state => getAssetKey(name, state)), name];
+            for (const key of keys) {
+                const asset = theme.assets[key];
+                if (!asset) continue;
+                if (typeof asset === 'string') {
+                    if (loadedAssets[asset]) return { src: asset };
+                    continue;
+                }
+                const sheet = theme.spritesheets?.[asset.sheet];
+                if (sheet && loadedAssets[sheet.src]) return { src: sheet.src, sheet, frame: asset.frame || 0 };
+            }
+            return null;
+        },
+
+        /**
+         * CSS background values that show an asset from getAsset(): a spritesheet
+         * frame fills the element, a plain image is fitted as given
+         * @param {Object} asset
+         * @param {string} fit - background-size for a plain image, e.g. 'contain'
+         * @returns {Object} {image, size, position}
+         */
+        getAssetBackground(asset, fit) {
+            const image = `url("${asset.src}")`;
+            if (!asset.sheet) return { image, size: fit, position: 'center' };
+            const { columns = 1, rows = 1 } = asset.sheet;
+            const col = asset.frame % columns;
+            const row = Math.floor(asset.frame / columns);
+            return {
+                image,
+                size: `${columns * 100}% ${rows * 100}%`,
+                position: `${columns > 1 ? col / (columns - 1) * 100 : 0}% ${rows > 1 ? row / (rows - 1) * 100 : 0}%`
+            };
+        },
+
+        /**
+         * Paint an asset from getAsset() as an element's background
+         * @param {HTMLElement} element
+         * @param {Object} asset
+         */
+        paintAsset(element, asset) {
+            const { image, size, position } = this.getAssetBackground(asset, 'contain');
+            element.style.backgroundImage = image;
+            element.style.backgroundRepeat = 'no-repeat';
+            element.style.backgroundSize = size;
+            element.style.backgroundPosition = position;
+        },
+
+        /**
+         * Set the cell and grid background images, or clear them when theme is null.
+         * Plain images cover the cell or grid; spritesheet frames fill it.
+         * @param {Object|null} theme - Theme object
+         */
+        applyBackgroundAssets(theme) {
+            const root = document.documentElement;
+            [['background', '--theme-cell-image'], ['gridBackground', '--theme-grid-image']].forEach(([name, variable]) => {
+                const asset = theme ? this.getAsset(theme, name) : null;
+                const background = asset ? this.getAssetBackground(asset, 'cover') : { image: 'none', size: 'cover', position: 'center' };
+                root.style.setProperty(variable, background.image);
+                root.style.setProperty(`${variable}-size`, background.size);
+                root.style.setProperty(`${variable}-position`, background.position);
+            });
+        },
+
         /**
          * Apply theme colors as CSS custom properties
          * @param {Object} theme - Theme object
@@ -102,6 +270,7 @@ const ThemeManager = (() => {
             root.style.setProperty('--bg-black', colors.background);
             root.style.setProperty('--dim-trace', colors.dimTrace);
             root.style.setProperty('--label-default', colors.labelDefault || '#888888');
+            root.style.setProperty('--text-color', colors.text || '#ffffff');
 
             // Set theme-specific layer colors
             if (theme.layerColors) {
@@ -149,6 +318,14 @@ const ThemeManager = (() => {
             this.set(savedId);
         },
         
+        /**
+         * Register callback for when an image theme's assets have loaded
+         * @param {Function} callback - Function(theme)
+         */
+        onAssetsReady(callback) {
+            onAssetsReadyCallbacks.push(callback);
+        },
+
         /**
          * Register callback for theme changes
          * @param {Function} callback - Function(newTheme, oldTheme)
@@ -186,26 +363,35 @@ const ThemeManager = (() => {
             return 'Complete.';
         },
         
+        /**
+         * Run the current theme's victory sequence
+         * @param {Function} defaultSequence - The standard path fill animation
+         */
+        playVictorySequence(defaultSequence) {
+            const theme = currentTheme || ThemeBase;
+            (theme.playVictorySequence || ThemeBase.playVictorySequence).call(theme, defaultSequence);
+        },
+        
         /**
          * Get render function from current theme
          * Falls back to ThemeBase if not defined
          */
         render: {
-            wall(layerIndex, isError, isCurrent) {
+            wall(layerIndex, isError, isCurrent, isLocked = false) {
                 const theme = ThemeManager.current() || ThemeBase;
-                return theme.renderWall(layerIndex, isError, isCurrent);
+                return (theme.renderWall || ThemeBase.renderWall).call(theme, layerIndex, isError, isCurrent, isLocked);
             },
             pathDot(layerIndex, isCurrent, state) {
                 const theme = ThemeManager.current() || ThemeBase;
-                return theme.renderPathDot(layerIndex, isCurrent, state);
+                return (theme.renderPathDot || ThemeBase.renderPathDot).call(theme, layerIndex, isCurrent, state);
             },
             node(state) {
                 const theme = ThemeManager.current() || ThemeBase;
-                return theme.renderNode(state);
+                return (theme.renderNode || ThemeBase.renderNode).call(theme, state);
             },
             stockpile(state) {
                 const theme = ThemeManager.current() || ThemeBase;
-                return theme.renderStockpile(state);
+                return (theme.renderStockpile || ThemeBase.renderStockpile).call(theme, state);
             }
         }
     };